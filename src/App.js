@@ -1,15 +1,59 @@
 // src/App.js
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import axios from "axios";
+import React, { useEffect, useRef, useState } from "react";
 import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  isoWithLocalOffsetFromDate,
+  nowLocalDatetimeInput,
+  fileToBase64NoPrefix,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildDocumentAttachment,
+  buildComposition,
+  buildDocumentBundle,
+} from "./fhir-builders";
+import { xhtml } from "./narrative";
+import { buildRenditionAttachment } from "./pdf-rendition";
+import { INTAKE_ACCEPT } from "./attachment-intake";
+import IntakeFeedback, { useIntake } from "./intake-feedback";
+import { hashAttachments, detailsParams } from "./attachment-metadata";
+import DocumentDetails, { NO_DETAILS } from "./document-details";
+import ScanMerge from "./scan-merge";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import { applyAmendment } from "./document-revision";
+import AmendmentBanner, { useAmendment } from "./amendment-banner";
+import {
+  patientFromBundle,
+  restorePatientSelection,
+  isoToDatetimeLocal,
+  narrativeParagraphs,
+  attachmentsFromBundle,
+  attachmentToFile,
+} from "./bundle-reader";
 
 /*
   Health Document Record (Prescription Record) builder
-  - Patient fetched from /patients.json (public)
+  - Patient + ABHA address from the shared patient context (patient-context.js)
   - Practitioner from global PRACTITIONERS (no API)
   - ABHA addresses normalized and selectable
-  - File upload: PDF / JPG / JPEG (multiple)
-  - If no file uploaded, a small PDF placeholder base64 is used
+  - File upload: PDF / JPEG / PNG / HEIC (multiple), checked by attachment-intake.js; each gets an optional description and kind
+    (document-details.js) and Attachment.size / hash / creation (attachment-metadata.js)
+  - Photos of a multi-page report can be reordered, rotated and combined into one PDF document
+    (scan-merge.js), with camera capture on mobile
+  - If no file is uploaded, a PDF rendition of the record is generated (pdf-rendition.js)
+  - Form (selected files and their details included) autosaved as a draft per patient (drafts-panel.js)
   - Produces FHIR Bundle (document) containing:
       Composition (type: LOINC 34133-9 "Summarization of Episode Note")
       Patient
@@ -19,167 +63,27 @@ import "bootstrap/dist/css/bootstrap.min.css";
   - Bundle.identifier uses urn:ietf:rfc:3986 + urn:uuid:<uuid>
   - All XHTML narratives include lang & xml:lang to avoid validator warnings
   - UI is Bootstrap-based (cards + rows) consistent with your previous forms
+  - Amend: opened from the Submission History with a submitted bundle, the form is filled
+    from it and the next bundle replaces it (document-revision.js); "amended" and
+    "entered-in-error" are only set that way, so they always link to the earlier document
 */
 
-/* ------------------------------- HELPERS -------------------------------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-/* Convert dd-mm-yyyy (or dd/mm/yyyy) to yyyy-mm-dd, else return undefined */
-function ddmmyyyyToISO(v) {
-  if (!v) return undefined;
-  const s = String(v).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
-  if (!sep) return undefined;
-  const parts = s.split(sep);
-  if (parts.length !== 3) return undefined;
-  const [dd, mm, yyyy] = parts;
-  if (!dd || !mm || !yyyy) return undefined;
-  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
-}
-
-/* Produce ISO datetime string with local timezone offset (e.g., 2025-08-30T15:04:05+05:30) */
-function isoWithLocalOffsetFromDate(d) {
-  const date = d instanceof Date ? d : new Date(d);
-  const pad = n => String(Math.abs(Math.floor(n))).padStart(2, "0");
-  const tzo = -date.getTimezoneOffset();
-  const sign = tzo >= 0 ? "+" : "-";
-  const hh = pad(Math.floor(Math.abs(tzo) / 60));
-  const mm = pad(Math.abs(tzo) % 60);
-  return (
-    date.getFullYear() +
-    "-" +
-    pad(date.getMonth() + 1) +
-    "-" +
-    pad(date.getDate()) +
-    "T" +
-    pad(date.getHours()) +
-    ":" +
-    pad(date.getMinutes()) +
-    ":" +
-    pad(date.getSeconds()) +
-    sign +
-    hh +
-    ":" +
-    mm
-  );
-}
-
-/* Convert 'datetime-local' input (YYYY-MM-DDTHH:MM) to iso-with-offset */
-function localDatetimeToISOWithOffset(localDatetime) {
-  if (!localDatetime) return isoWithLocalOffsetFromDate(new Date());
-  return isoWithLocalOffsetFromDate(new Date(localDatetime));
-}
-
-/* Narrative wrapper (XHTML) with lang & xml:lang (validator requirement) */
-function buildNarrative(title, innerHtml) {
-  return {
-    status: "generated",
-    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${title}</h3>${innerHtml}</div>`,
-  };
-}
-
-/* Read file into base64 (no "data:...," prefix) */
-function fileToBase64NoPrefix(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onerror = () => reject(new Error("File read error"));
-    reader.onload = () => {
-      const res = reader.result || "";
-      const idx = String(res).indexOf("base64,");
-      if (idx >= 0) resolve(String(res).slice(idx + 7));
-      else resolve(String(res));
-    };
-    reader.readAsDataURL(file);
-  });
-}
-
-/* Small PDF header placeholder (short; validator-friendly) */
-const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
-
 /* Fixed LOINC coding for Composition.type (replaces SNOMED 419891008 to avoid validator error) */
 const COMPOSITION_DOC_TYPE = { system: "http://snomed.info/sct", code: "419891008", display: "Record artifact" };
 
-/* Normalize ABHA addresses (strings or objects with address/isPrimary) */
-function normalizeAbhaAddresses(patientObj) {
-  const raw =
-    patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
-      ? patientObj.additional_attributes.abha_addresses
-      : Array.isArray(patientObj?.abha_addresses)
-        ? patientObj.abha_addresses
-        : [];
-
-  const out = raw
-    .map(item => {
-      if (!item) return null;
-      if (typeof item === "string") return { value: item, label: item, primary: false };
-      if (typeof item === "object") {
-        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
-        try {
-          const v = JSON.stringify(item);
-          return { value: v, label: v, primary: !!item.isPrimary };
-        } catch { return null; }
-      }
-      return null;
-    })
-    .filter(Boolean);
-  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
-  return out;
-}
-function resolveGlobalPractitioner() {
-  const gp =
-    (typeof window !== "undefined" &&
-      (window.GlobalPractioner || window.GlobalPractitionerFHIR)) ||
-    null;
-
-  const fallback = {
-    id: `TEMP-${uuidv4()}`,
-    name: "Dr. ABC",
-    license: "LIC-0000",
-  };
-
-  if (!gp) return fallback;
-
-  const id = gp.id || fallback.id;
-  const name =
-    (Array.isArray(gp.name) && gp.name[0]?.text) ||
-    (typeof gp.name === "string" ? gp.name : fallback.name);
-  const license =
-    (Array.isArray(gp.identifier) && gp.identifier[0]?.value) ||
-    gp.license ||
-    fallback.license;
-
-  return { id, name, license };
-}
-
-
 /* ------------------------------- APP ------------------------------------- */
 
 export default function App() {
-  /* Patients (from /patients.json) */
-  const [patients, setPatients] = useState([]);
+  /* Patient + ABHA address (shared across builders) */
+  const patientSelection = usePatientSelection();
+  const { selectedPatient, selectedAbha } = patientSelection;
+  const [validationIssues, setValidationIssues] = useState([]);
   const [practitioner, setPractitioner] = useState(resolveGlobalPractitioner());
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(-1);
-  const selectedPatient = useMemo(() => (selectedPatientIdx >= 0 ? patients[selectedPatientIdx] : null), [patients, selectedPatientIdx]);
-
-  /* ABHA addresses */
-  const [abhaOptions, setAbhaOptions] = useState([]);
-  const [selectedAbha, setSelectedAbha] = useState("");
 
   /* Composition fields */
   const [status, setStatus] = useState("final"); // preliminary | final | amended | entered-in-error
   const [title, setTitle] = useState("Prescription Record"); // required
-  const [dateTimeLocal, setDateTimeLocal] = useState(() => {
-    const d = new Date();
-    const pad = n => String(n).padStart(2, "0");
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
-  });
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
 
   /* Optional fields */
   const [encounterRefText, setEncounterRefText] = useState(""); // free text for Encounter reference (optional)
@@ -192,42 +96,11 @@ export default function App() {
   const fileInputRef = useRef(null);
   const [files, setFiles] = useState([]); // array of File objects
   const [fileNamesPreview, setFileNamesPreview] = useState([]);
+  const [fileDetails, setFileDetails] = useState([]); // { description, category, language } per file
 
   /* Output JSON */
   // const [jsonOut, setJsonOut] = useState("");
 
-  /* Load patients on mount */
-  // useEffect(() => {
-  //   (async () => {
-  //     try {
-  //       const res = await fetch("/patients.json");
-  //       const data = await res.json();
-  //       const arr = Array.isArray(data) ? data : [];
-  //       setPatients(arr);
-  //       if (arr.length > 0) {
-  //         setSelectedPatientIdx(0);
-  //         const norm = normalizeAbhaAddresses(arr[0]);
-  //         setAbhaOptions(norm);
-  //         setSelectedAbha(norm.length ? norm[0].value : "");
-  //       }
-  //     } catch (e) {
-  //       console.error("Failed loading /patients.json", e);
-  //     }
-  //   })();
-  // }, []);
-
-  // /* When selected patient changes, update ABHA options */
-  // useEffect(() => {
-  //   if (!selectedPatient) {
-  //     setAbhaOptions([]);
-  //     setSelectedAbha("");
-  //     return;
-  //   }
-  //   const norm = normalizeAbhaAddresses(selectedPatient);
-  //   setAbhaOptions(norm);
-  //   setSelectedAbha(norm.length ? norm[0].value : "");
-  // }, [selectedPatientIdx]); // eslint-disable-line
-
   useEffect(() => {
     const resolved = resolveGlobalPractitioner();
     if (resolved.name !== practitioner.name || resolved.license !== practitioner.license || resolved.id !== practitioner.id) {
@@ -235,72 +108,87 @@ export default function App() {
     }
   }, []);
 
+  /* Amending a submitted document: fill the form from it */
+  const amendment = useAmendment("health-document", doc => {
+    const { composition } = doc;
+    const { notes } = restorePatientSelection(patientFromBundle(doc), patientSelection);
+    setStatus("amended");
+    setTitle(composition.title || "Prescription Record");
+    setDateTimeLocal(isoToDatetimeLocal(composition.date) || nowLocalDatetimeInput());
+    setEncounterRefText(narrativeParagraphs(doc.resolve(composition.encounter))[0] || "");
+    setCustodianName(doc.resolve(composition.custodian)?.name || "");
+    const attester = composition.attester?.[0];
+    const party = doc.resolve(attester?.party);
+    if (attester?.mode) setAttesterMode(attester.mode);
+    setAttesterPartyType(party?.resourceType === "Organization" ? "Organization" : "Practitioner");
+    setAttesterOrgName(party?.resourceType === "Organization" ? party.name || "" : "");
+    const attachments = attachmentsFromBundle(doc);
+    const imported = attachments.map(attachmentToFile);
+    setFiles(imported);
+    setFileNamesPreview(imported.map(f => f.name));
+    setFileDetails(attachments.map(({ description, category, language }) => ({ description, category, language })));
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    setValidationIssues([]);
+    return notes;
+  });
 
-  useEffect(() => {
-    if (!selectedPatient) {
-      setAbhaOptions([]);
-      setSelectedAbha("");
-      return;
+  function onCancelAmendment() {
+    amendment.cancel();
+    setStatus("final");
+  }
+
+  /* autosaved drafts; an amendment's link to the earlier document is not kept in the draft */
+  const drafts = useDrafts(
+    "health-document",
+    { status, title, dateTimeLocal, encounterRefText, custodianName, attesterMode, attesterPartyType, attesterOrgName, files, fileDetails },
+    d => {
+      setStatus(d.status === "preliminary" ? "preliminary" : "final");
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setEncounterRefText(d.encounterRefText);
+      setCustodianName(d.custodianName);
+      setAttesterMode(d.attesterMode);
+      setAttesterPartyType(d.attesterPartyType);
+      setAttesterOrgName(d.attesterOrgName);
+      setFiles(d.files || []);
+      setFileNamesPreview((d.files || []).map(f => f.name));
+      setFileDetails(d.fileDetails || (d.files || []).map(() => NO_DETAILS));
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      setValidationIssues([]);
     }
-    const norm = normalizeAbhaAddresses(selectedPatient);
-    setAbhaOptions(norm);
-    setSelectedAbha(norm.length ? norm[0].value : "");
-  }, [selectedPatient]); // FIX: depend on selectedPatient, not selectedPatientIdx
+  );
 
+  /* Handle file pick (multiple allowed, added to the list): real type, photo downscaling, size limits */
+  const intake = useIntake();
+  const usedBytes = files.reduce((sum, f) => sum + f.size, 0);
+  function addFiles(list) {
+    setFiles(prev => [...prev, ...list]);
+    setFileNamesPreview(prev => [...prev, ...list.map(f => f.name)]);
+    setFileDetails(prev => [...prev, ...list.map(() => NO_DETAILS)]);
+  }
 
-  /* Load patients on mount: API first, fallback to local */
-  useEffect(() => {
-    (async () => {
-      try {
-        // 🔹 Try API first
-        const apiRes = await fetch(window.GlobalPatientAPI || "/api/v5/patients", {
-          headers: {
-            "Content-Type": "application/json",
-            ...(window.GlobalAuthToken ? { "Authorization": `Bearer ${window.GlobalAuthToken}` } : {})
-          }
-        });
-        if (!apiRes.ok) throw new Error("API fetch failed");
-        const apiData = await apiRes.json();
-        if (!Array.isArray(apiData) || apiData.length === 0) throw new Error("API returned empty");
-
-        setPatients(apiData);
-        setSelectedPatientIdx(0);
-        const first = apiData[0];
-        const norm = normalizeAbhaAddresses(first);
-        setAbhaOptions(norm);
-        setSelectedAbha(norm.length ? norm[0].value : "");
-      } catch (apiErr) {
-        // alert("⚠️ Patient not found in API. Falling back to local patients.json.");
-        console.warn("API fetch failed, falling back to local patients.json", apiErr);
-        try {
-          const localRes = await fetch("/patients.json");
-          const localData = await localRes.json();
-          const arr = Array.isArray(localData) ? localData : [];
-          setPatients(arr);
-          if (arr.length > 0) {
-            setSelectedPatientIdx(0);
-            const norm = normalizeAbhaAddresses(arr[0]);
-            setAbhaOptions(norm);
-            setSelectedAbha(norm.length ? norm[0].value : "");
-          }
-        } catch (localErr) {
-          console.error("Failed to fetch local patients.json:", localErr);
-        }
-      }
-    })();
-  }, []);
+  async function onFilesPicked(e) {
+    const picked = Array.from(e.target.files || []);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    addFiles(await intake.run(picked, usedBytes));
+  }
+
+  /* PDF combined from scanned pages: checked against the limits like any upload */
+  async function onScanMerged(pdf) {
+    const list = await intake.run([pdf], usedBytes);
+    addFiles(list);
+    return list.length > 0;
+  }
 
-  /* Handle file pick (multiple allowed) */
-  function onFilesPicked(e) {
-    const list = e.target.files ? Array.from(e.target.files) : [];
-    setFiles(list);
-    setFileNamesPreview(list.map(f => f.name));
+  function setFileDetailsAt(i, details) {
+    setFileDetails(prev => prev.map((d, idx) => (idx === i ? details : d)));
   }
 
   /* Remove a selected file from the UI before building */
   function removeFileAtIndex(i) {
     setFiles(prev => prev.filter((_, idx) => idx !== i));
     setFileNamesPreview(prev => prev.filter((_, idx) => idx !== i));
+    setFileDetails(prev => prev.filter((_, idx) => idx !== i));
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
@@ -332,151 +220,36 @@ export default function App() {
     const attesterOrgId = attesterPartyType === "Organization" && attesterOrgName ? uuidv4() : null;
 
     // Prepare DocumentReference & Binary resources
-    const docsToProcess = files.length > 0 ? files : [null]; // null indicates placeholder
+    const docsToProcess = files.length > 0 ? files : [null]; // null indicates the generated rendition
     const binaryIds = docsToProcess.map(() => uuidv4());
     const docRefIds = docsToProcess.map(() => uuidv4());
 
-    // Build Patient resource
-    function buildPatientResource() {
-      const p = selectedPatient;
-      const identifiers = [];
-      const mrn = p?.mrn || p?.user_ref_id || p?.abha_ref || p?.id;
-      if (mrn) identifiers.push({ system: "https://healthid.ndhm.gov.in", value: String(mrn) });
-      if (p?.abha_ref) identifiers.push({ system: "https://abdm.gov.in/abha", value: p.abha_ref });
-
-      const telecom = [];
-      if (p?.mobile) telecom.push({ system: "phone", value: p.mobile });
-      if (p?.email) telecom.push({ system: "email", value: p.email });
-      if (selectedAbha) telecom.push({ system: "url", value: `abha://${selectedAbha}` });
-
-      return {
-        resourceType: "Patient",
-        id: patientId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] },
-        text: buildNarrative("Patient", `<p>${p.name || ""}</p><p>${(p.gender || "").toLowerCase()} ${ddmmyyyyToISO(p.dob) || ""}</p>`),
-        identifier: identifiers.map(id => ({
-          ...id,
-          type: id.system.includes("ndhm.gov.in")
-            ? { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "PI", display: "Patient internal identifier" }], text: "ABHA Number" }
-            : id.system.includes("address")
-              ? { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "PN", display: "Person number" }], text: "ABHA Address" }
-              : { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR", display: "Medical record number" }], text: "MRN" }
-        })),
-        name: p.name ? [{ text: p.name }] : undefined,
-        gender: p.gender ? String(p.gender).toLowerCase() : undefined,
-        birthDate: ddmmyyyyToISO(p.dob) || undefined,
-        telecom: telecom.length ? telecom : undefined,
-        address: p?.address ? [{ text: p.address }] : undefined,
-      };
-    }
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
 
-    const practitionerRes = {
-      resourceType: "Practitioner",
-      id: practitioner.id || uuidv4(),
-      language: "en-IN",
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-      identifier: [
-        {
-          type: {
-            coding: [
-              {
-                system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-                code: "MD",
-                display: "Medical License number"
-              }
-            ]
-          },
-          system: "https://doctor.ndhm.gov.in",
-          value: practitioner.license || "LIC-0000"
-        }
-      ],
-      name: [{ text: practitioner.name || "Dr. ABC" }],
-      text: buildNarrative("Practitioner", `<p>${practitioner.name}</p><p>License: ${practitioner.license}</p>`),
-    };
-
-    // Optional Organization resources
-    function buildOrganizationResource(orgId, orgName) {
-      if (!orgName) return null;
-      return {
-        resourceType: "Organization",
-        id: orgId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"] },
-        identifier: [
-          {
-            system: "https://facility.ndhm.gov.in",
-            value: "HIP123456"   // 🔴 Replace with your real HIP facility code
-          }
-        ],
-        name: orgName,
-      };
-    }
-
-    // Build Encounter resource if text provided
-    function buildEncounterResource() {
-      if (!encounterId) return null;
-      const start = isoWithLocalOffsetFromDate(new Date());
-      return {
-        resourceType: "Encounter",
-        id: encounterId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Encounter"] },
-        text: buildNarrative("Encounter", `<p>${encounterRefText}</p>`),
-        status: "finished",
-        class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
-        subject: { reference: `urn:uuid:${patientId}` },
-        period: { start, end: start },
-      };
-    }
-
-    // Build Binary + DocumentReference resources
-    async function buildDocAndBinaryResources() {
+    // Build Binary + DocumentReference resources (the record rendered to PDF when nothing was uploaded)
+    async function buildDocAndBinaryResources(composition, resources) {
       const binaries = [];
       const docRefs = [];
 
       for (let i = 0; i < docsToProcess.length; i++) {
         const f = docsToProcess[i];
-        const binId = binaryIds[i];
-        const docId = docRefIds[i];
-        let contentType = "application/pdf";
-        let dataB64 = PLACEHOLDER_PDF_B64;
-        let title = "placeholder.pdf";
-
-        if (f) {
-          contentType = f.type || "application/pdf";
-          dataB64 = await fileToBase64NoPrefix(f);
-          title = f.name || title;
-        }
-
-        const binary = {
-          resourceType: "Binary",
-          id: binId,
-          language: "en-IN",
-          meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
-          contentType,
-          data: dataB64,
-        };
-
-        const docRef = {
-          resourceType: "DocumentReference",
-          id: docId,
-          language: "en-IN",
-          meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentReference"] },
-          status: "current",
-          text: buildNarrative("DocumentReference", `<p>${title}</p>`),
+        const common = {
+          docRefId: docRefIds[i],
+          binaryId: binaryIds[i],
+          patientId,
           type: { coding: [COMPOSITION_DOC_TYPE], text: COMPOSITION_DOC_TYPE.display },
-          subject: { reference: `urn:uuid:${patientId}` },
-          date: authoredOn,
-          content: [{
-            attachment: {
-              contentType,
-              title,
-              data: dataB64,              // ✅ REQUIRED by NDHM profile
-              url: `urn:uuid:${binId}`    // optional, keep if you also include Binary
-            }
-          }],
         };
+        const { binary, docRef } = f
+          ? buildDocumentAttachment({
+            ...common,
+            title: f.name || "document.pdf",
+            contentType: f.type || "application/pdf",
+            data: await fileToBase64NoPrefix(f),
+            date: authoredOn,
+            creation: isoWithLocalOffsetFromDate(new Date(f.lastModified || Date.now())),
+            ...detailsParams(fileDetails[i]),
+          })
+          : buildRenditionAttachment({ ...common, authorId: practitionerRes.id, composition, resources });
 
         binaries.push(binary);
         docRefs.push(docRef);
@@ -486,129 +259,80 @@ export default function App() {
     }
 
     // Build Composition resource referencing DocumentReference entries
-    function buildCompositionResource(docRefs) {
-      const sectionEntries = docRefs.map(dr => ({ reference: `urn:uuid:${dr.id}` }));
+    function buildCompositionResource() {
       const attesterArr = [];
 
       if (attesterPartyType === "Practitioner") {
-        attesterArr.push({ mode: attesterMode, party: { reference: `urn:uuid:${practitionerRes.id}` } });
+        attesterArr.push({ mode: attesterMode, party: ref(practitionerRes.id) });
       } else if (attesterPartyType === "Organization" && attesterOrgId) {
-        attesterArr.push({ mode: attesterMode, party: { reference: `urn:uuid:${attesterOrgId}` } });
+        attesterArr.push({ mode: attesterMode, party: ref(attesterOrgId) });
       }
 
-      const composition = {
-        resourceType: "Composition",
+      return buildComposition({
         id: compId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/HealthDocumentRecord"] },
-        text: buildNarrative("Prescription Record", `<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p>`),
-        status: status,
+        profile: "HealthDocumentRecord",
         type: { coding: [COMPOSITION_DOC_TYPE], text: COMPOSITION_DOC_TYPE.display },
-        subject: { reference: `urn:uuid:${patientId}` },
-        ...(encounterReference ? { encounter: { reference: encounterReference } } : {}),
+        title,
+        status,
+        patientId,
+        encounterId,
         date: authoredOn,
-        // author: [{ reference: `urn:uuid:${practitionerRes.id}`, display: practitionerRes.name?.[0]?.text }],
-        author: [{ reference: `urn:uuid:${practitionerRes.id}`, display: practitioner.name }],
-        attester: [{ mode: "official", party: { reference: `urn:uuid:${practitionerRes.id}` } }],
-
-        title: title,
-        attester: (attesterArr.length ? attesterArr : [{ mode: "official", party: { reference: `urn:uuid:${practitionerRes.id}` } }]),
-        ...(custodianOrgId ? { custodian: { reference: `urn:uuid:${custodianOrgId}` } } : {}),
+        authorId: practitionerRes.id,
+        authorDisplay: practitioner.name,
+        attester: attesterArr.length ? attesterArr : [{ mode: "official", party: ref(practitionerRes.id) }],
+        custodianId: custodianOrgId,
+        narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p>`,
         section: [
           {
             title: "Health documents",
             code: { coding: [COMPOSITION_DOC_TYPE], text: COMPOSITION_DOC_TYPE.display },
-            entry: sectionEntries,
+            entry: docRefIds.map(id => entryRef({ id, resourceType: "DocumentReference" })),
           },
         ],
-      };
-
-      return composition;
+      });
     }
 
     // Build the resources
-    const patientRes = buildPatientResource();
-    // const practitionerReferenceId = window.GlobalPractioner?.id || practitionerId;
-
-    // const practitionerRes = {
-    //   resourceType: "Practitioner",
-    //   id: gp?.id || practitionerId,
-    //   meta: gp?.meta || { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-    //   text: gp?.text || buildNarrative("Practitioner", `<p>${practitionerName}</p>`),
-    //   identifier: gp?.identifier || [
-    //     {
-    //       type: {
-    //         coding: [
-    //           { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" }
-    //         ]
-    //       },
-    //       system: "https://doctor.ndhm.gov.in",
-    //       value: practitionerLicense
-    //     }
-    //   ],
-    //   name: gp?.name || [{ text: practitionerName }]
-    // };
-
-    const encounterReference = encounterRefText ? `urn:uuid:${encounterId}` : undefined;
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
     const encounterRes = encounterId
-      ? {
-        resourceType: "Encounter",
-        id: encounterId,
-        language: "en-IN",
-        meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Encounter"] },
-        // text: buildNarrative("Encounter", `<p>${encounterRefText}</p>`),
-        status: "finished",
-        class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
-        subject: { reference: `urn:uuid:${patientId}` },
-        period: { start: isoWithLocalOffsetFromDate(new Date()), end: isoWithLocalOffsetFromDate(new Date()) },
-      }
+      ? buildEncounter({ id: encounterId, patientId, narrative: encounterRefText })
       : null;
-    const custodianRes = custodianOrgId ? buildOrganizationResource(custodianOrgId, custodianName) : null;
-    const attesterOrgRes = attesterOrgId ? buildOrganizationResource(attesterOrgId, attesterOrgName) : null;
-
-    const { binaries, docRefs } = await buildDocAndBinaryResources();
-    const compositionRes = buildCompositionResource(docRefs);
-
-    // Build Bundle
-    const bundleId = `HealthDocumentBundle-${uuidv4()}`;
-    const bundle = {
-      resourceType: "Bundle",
-      id: bundleId,
-      meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Bundle"], lastUpdated: isoWithLocalOffsetFromDate(new Date()) },
-      identifier: { system: "urn:ietf:rfc:3986", value: `urn:uuid:${uuidv4()}` },
-      type: "document",
-      timestamp: isoWithLocalOffsetFromDate(new Date()),
-      entry: [
-        { fullUrl: `urn:uuid:${compositionRes.id}`, resource: compositionRes },
-        { fullUrl: `urn:uuid:${patientRes.id}`, resource: patientRes },
-        { fullUrl: `urn:uuid:${practitionerRes.id}`, resource: practitionerRes },
-      ],
-    };
-
-    if (encounterRes) bundle.entry.push({ fullUrl: `urn:uuid:${encounterRes.id}`, resource: encounterRes });
-    if (custodianRes) bundle.entry.push({ fullUrl: `urn:uuid:${custodianRes.id}`, resource: custodianRes });
-    if (attesterOrgRes) bundle.entry.push({ fullUrl: `urn:uuid:${attesterOrgRes.id}`, resource: attesterOrgRes });
-
-    docRefs.forEach(dr => {
-      bundle.entry.push({ fullUrl: `urn:uuid:${dr.id}`, resource: dr });
-    });
-    binaries.forEach(b => {
-      bundle.entry.push({ fullUrl: `urn:uuid:${b.id}`, resource: b });
+    const custodianRes = buildOrganization({ id: custodianOrgId, name: custodianName });
+    const attesterOrgRes = attesterOrgId ? buildOrganization({ id: attesterOrgId, name: attesterOrgName }) : null;
+
+    const compositionRes = buildCompositionResource();
+    const recordResources = [patientRes, practitionerRes, encounterRes, custodianRes, attesterOrgRes];
+    const { binaries, docRefs } = await buildDocAndBinaryResources(compositionRes, recordResources);
+
+    const built = buildDocumentBundle({
+      idPrefix: "HealthDocumentBundle",
+      composition: compositionRes,
+      resources: [...recordResources, ...docRefs, ...binaries],
     });
+    // amendment: same identifiers as the submitted document, relatesTo "replaces" it
+    // Attachment.hash (SHA-1) on every document
+    const bundle = await hashAttachments(amendment.active ? applyAmendment(built, amendment.active.bundle) : built);
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
 
     console.log(selectedPatient.id);
     const patientId2 = Number(selectedPatient.user_id);
-    axios.post('https://uat.discharge.org.in/api/v5/fhir-bundle', { bundle, patient: patientId2 })
-      .then(response => {
-        console.log('FHIR Bundle Submitted:', response.data);
-        console.log({ bundle, patient: patientId2 })
-        alert("FHIR Bundle Submitted Successfully");
-      })
-      .catch(error => {
-        console.error('Error submitting FHIR Bundle:', error.response?.data || error.message);
-        alert("Error submitting FHIR Bundle. See console.");
-        console.log({ bundle, patient: patientId2 })
-      });
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const revision = amendment.active ? { kind: "amendment", of: amendment.active.historyId } : null;
+    const result = await submitBundle({ recordType: 'health-document', label: `Health Document${revision ? " (amended)" : ""} — ${selectedPatient.name}`, bundle: signed, patient: patientId2, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name, revision });
+    if (result.ok) console.log('FHIR Bundle Submitted:', result.data);
+    alert(submitResultMessage(result));
+    if (revision && (result.ok || result.queued)) {
+      amendment.finish();
+      setStatus("final");
+    }
 
     // setJsonOut(JSON.stringify(bundle, null, 2));
   }
@@ -617,56 +341,11 @@ export default function App() {
   return (
     <div className="container py-4">
       <h2 className="mb-3">Health Document Record — Builder</h2>
+      <AmendmentBanner amendment={amendment} onCancel={onCancelAmendment} />
+      <DraftsPanel drafts={drafts} />
 
       {/* 1. Patient */}
-      <div className="card mb-3">
-        <div className="card-header">1. Patient <span className="text-danger">*</span></div>
-        <div className="card-body">
-          <div className="row g-3 mb-2">
-            <div className="col-md-8">
-              <label className="form-label">Select Patient</label>
-              <select className="form-select" value={selectedPatientIdx} onChange={e => setSelectedPatientIdx(Number(e.target.value))}>
-                {patients.map((p, i) => (
-                  <option key={p.id || i} value={i}>{p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}</option>
-                ))}
-              </select>
-            </div>
-
-            <div className="col-md-4">
-              <label className="form-label">ABHA Address (pick)</label>
-              <select className="form-select" value={selectedAbha} onChange={e => setSelectedAbha(e.target.value)} disabled={!abhaOptions.length}>
-                {abhaOptions.length === 0 ? <option value="">No ABHA addresses</option> : abhaOptions.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
-              </select>
-            </div>
-          </div>
-
-          {selectedPatient && (
-            <div className="row g-3">
-              <div className="col-md-6">
-                <label className="form-label">Name</label>
-                <input className="form-control" readOnly value={selectedPatient.name || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">Gender</label>
-                <input className="form-control" readOnly value={selectedPatient.gender || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">DOB</label>
-                <input className="form-control" readOnly value={selectedPatient.dob || ""} />
-              </div>
-              <div className="col-md-2">
-                <label className="form-label">Mobile</label>
-                <input className="form-control" readOnly value={selectedPatient.mobile || ""} />
-              </div>
-
-              <div className="col-12">
-                <label className="form-label">Address</label>
-                <textarea className="form-control" rows={2} readOnly value={selectedPatient.address || ""} />
-              </div>
-            </div>
-          )}
-        </div>
-      </div>
+      <PatientCard showAddress issues={issuesByField(validationIssues)} />
 
       {/* 2. Practitioner (global) */}
       <div className="card mb-3">
@@ -687,7 +366,6 @@ export default function App() {
         </div>
       </div>
 
-
       {/* 3. Composition metadata */}
       <div className="card mb-3">
         <div className="card-header">3. Composition Metadata</div>
@@ -695,12 +373,13 @@ export default function App() {
           <div className="row g-3">
             <div className="col-md-3">
               <label className="form-label">Status <span className="text-danger">*</span></label>
-              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+              <select className="form-select" value={status} disabled={!!amendment.active} onChange={e => setStatus(e.target.value)}>
                 <option value="preliminary">preliminary</option>
                 <option value="final">final</option>
-                <option value="amended">amended</option>
-                <option value="entered-in-error">entered-in-error</option>
+                <option value="amended" disabled={!amendment.active}>amended</option>
+                <option value="entered-in-error" disabled>entered-in-error</option>
               </select>
+              {!amendment.active && <div className="form-text">To amend or withdraw a submitted document, start from the Submission History.</div>}
             </div>
 
             <div className="col-md-6">
@@ -774,24 +453,31 @@ export default function App() {
         <div className="card-header">5. Documents (one or more) <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="mb-2">
-            <label className="form-label">Upload PDF / JPG / JPEG (multiple allowed)</label>
-            <input ref={fileInputRef} type="file" accept=".pdf,.jpg,.jpeg,application/pdf,image/jpeg" multiple onChange={onFilesPicked} />
+            <label className="form-label">Upload PDF / JPG / PNG / HEIC (multiple allowed)</label>
+            <input ref={fileInputRef} type="file" accept={INTAKE_ACCEPT} multiple onChange={onFilesPicked} />
+            <IntakeFeedback intake={intake} />
           </div>
           <div>
-            {fileNamesPreview.length === 0 ? <div className="text-muted">No files selected — a placeholder PDF will be embedded automatically.</div> : (
+            {fileNamesPreview.length === 0 ? <div className="text-muted">No files selected — a PDF of this record will be generated and embedded.</div> : (
               <ul className="list-group">
                 {fileNamesPreview.map((n, i) => (
-                  <li className="list-group-item d-flex justify-content-between align-items-center" key={i}>
-                    {n}
-                    <button className="btn btn-sm btn-danger" onClick={() => removeFileAtIndex(i)}>Remove</button>
+                  <li className="list-group-item" key={i}>
+                    <div className="d-flex justify-content-between align-items-center">
+                      {n}
+                      <button className="btn btn-sm btn-danger" onClick={() => removeFileAtIndex(i)}>Remove</button>
+                    </div>
+                    <DocumentDetails details={fileDetails[i]} onChange={d => setFileDetailsAt(i, d)} />
                   </li>
                 ))}
               </ul>
             )}
           </div>
+          <ScanMerge onMerged={onScanMerged} usedBytes={usedBytes} />
         </div>
       </div>
 
+      <ValidationSummary issues={validationIssues} />
+
       {/* Actions */}
       <div className="mb-4">
         <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
@@ -1,8 +1,107 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AppShell from './app-shell';
+import { buildPatient, buildPractitioner, buildComposition, buildDocumentBundle } from './fhir-builders';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const PATIENTS = [
+  { id: 45, user_id: 101, name: 'Asha Devi', gender: 'Female', dob: '05-03-1990', abha_ref: '91-1111-2222-3333', additional_attributes: { abha_addresses: ['asha@sbx'] } },
+  { id: 46, user_id: 102, name: 'Rohit Kumar', gender: 'Male', dob: '30-12-1991', abha_ref: '91-4444-5555-6666', additional_attributes: { abha_addresses: ['rohitkumar30@sbx', 'rohittestokay@sbx'] } },
+];
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => PATIENTS }));
+  window.scrollTo = jest.fn();
+});
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+  delete global.fetch;
+});
+
+test('renders a nav link for every record builder', async () => {
+  render(<AppShell />);
+  expect(await screen.findByRole('heading', { name: /Health Document Record/i })).toBeInTheDocument();
+  for (const label of ['Prescription', 'Immunization', 'Wellness', 'Invoice (itemised)']) {
+    expect(screen.getByRole('link', { name: label })).toBeInTheDocument();
+  }
+});
+
+test('deep link selects the patient and ABHA address', async () => {
+  window.history.replaceState(null, '', '/immunization?patient=46&abha=rohittestokay@sbx');
+  render(<AppShell />);
+  expect(await screen.findByRole('heading', { name: /Immunization Record/i })).toBeInTheDocument();
+  expect(await screen.findByDisplayValue('Rohit Kumar')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('rohittestokay@sbx')).toBeInTheDocument();
+});
+
+test('switching builders keeps the selected patient', async () => {
+  window.history.replaceState(null, '', '/prescription?patient=102');
+  render(<AppShell />);
+  expect(await screen.findByDisplayValue('Rohit Kumar')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('link', { name: 'Wellness' }));
+  expect(window.location.pathname).toBe('/wellness');
+  expect(window.location.search).toContain('patient=46');
+  expect(await screen.findByDisplayValue('Rohit Kumar')).toBeInTheDocument();
+});
+
+test('unknown paths show a not-found page', async () => {
+  window.history.replaceState(null, '', '/nope');
+  render(<AppShell />);
+  expect(screen.getByText(/Page not found/i)).toBeInTheDocument();
+  await screen.findByRole('link', { name: 'Referral' });
+});
+
+test('wellness bundle is checked offline when generated', async () => {
+  window.history.replaceState(null, '', '/wellness?patient=46');
+  render(<AppShell />);
+  expect(await screen.findByDisplayValue('Rohit Kumar')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /Generate FHIR Bundle/i }));
+  expect(await screen.findByText(/passed the offline NDHM checks/i)).toBeInTheDocument();
+});
+
+test('a generated immunization bundle can be re-opened into the form', async () => {
+  const patient = buildPatient({ id: 'p1', patient: PATIENTS[1], abhaAddress: 'rohittestokay@sbx' });
+  const practitioner = buildPractitioner({ id: 'd1', name: 'Dr. B. Rao', license: 'NMC-456' });
+  const immunization = {
+    resourceType: 'Immunization', id: 'i1', status: 'completed', lotNumber: 'LOT-9',
+    vaccineCode: { coding: [{ system: 'http://snomed.info/sct', code: '836374004' }], text: 'Hep B (birth dose)' },
+    patient: { reference: 'urn:uuid:p1' }, occurrenceDateTime: '2024-02-01T09:00:00.000Z',
+  };
+  const composition = buildComposition({
+    id: 'c1', profile: 'ImmunizationRecord', type: { text: 'Immunization record' }, title: 'Birth doses',
+    patientId: 'p1', date: '2024-02-01T10:00:00+05:30', authorId: 'd1', section: [{ title: 'Immunizations', entry: [{ reference: 'urn:uuid:i1' }] }],
+  });
+  const bundle = buildDocumentBundle({ idPrefix: 'T', composition, resources: [patient, practitioner, immunization] });
+
+  window.history.replaceState(null, '', '/immunization');
+  render(<AppShell />);
+  expect(await screen.findByDisplayValue('Asha Devi')).toBeInTheDocument();
+  const file = new File([JSON.stringify(bundle)], 'imm.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText(/Re-open bundle/i), { target: { files: [file] } });
+
+  expect(await screen.findByText(/Loaded imm.json/)).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Rohit Kumar')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('rohittestokay@sbx')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Birth doses')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Hep B (birth dose)')).toBeInTheDocument();
+  expect(screen.getByText('SNOMED 836374004')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('2024-02-01')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('LOT-9')).toBeInTheDocument();
+});
+
+test('amending a submitted health document fills the builder and links it', async () => {
+  const patient = buildPatient({ id: 'p1', patient: PATIENTS[1], abhaAddress: 'rohittestokay@sbx' });
+  const practitioner = buildPractitioner({ id: 'd1', name: 'Dr. B. Rao', license: 'NMC-456' });
+  const composition = buildComposition({ id: 'c1', profile: 'HealthDocumentRecord', type: { text: 'Record artifact' }, title: 'Discharge papers', patientId: 'p1', date: '2024-05-01T10:00:00+05:30', authorId: 'd1', section: [] });
+  sessionStorage.setItem('ndhm.amendment', JSON.stringify({ recordType: 'health-document', historyId: 'h1', bundle: buildDocumentBundle({ idPrefix: 'HealthDocumentBundle', composition, resources: [patient, practitioner] }) }));
+
+  render(<AppShell />);
+  expect(await screen.findByText('Amending')).toBeInTheDocument();
+  expect(await screen.findByDisplayValue('Discharge papers')).toBeInTheDocument();
+  expect(await screen.findByDisplayValue('rohittestokay@sbx')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('amended')).toBeDisabled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Cancel amendment' }));
+  expect(screen.queryByText('Amending')).not.toBeInTheDocument();
+  expect(sessionStorage.getItem('ndhm.amendment')).toBeNull();
+  expect(screen.getByDisplayValue('final')).toBeEnabled();
 });
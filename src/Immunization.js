@@ -1,14 +1,64 @@
 // src/App.js
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useRef, useState } from "react";
 import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  ref,
+  entryRef,
+  ddmmyyyyToISO,
+  localDatetimeToISOWithOffset,
+  isoWithLocalOffsetFromDate,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  fileToBase64NoPrefix,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildDocumentAttachment,
+  buildComposition,
+  buildDocumentBundle,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { immunizationTable } from "./narrative";
+import { usePatientSelection } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { findTerm, toCodeableConcept } from "./terminology";
+import { buildRenditionAttachment } from "./pdf-rendition";
+import { INTAKE_ACCEPT } from "./attachment-intake";
+import IntakeFeedback, { useIntake } from "./intake-feedback";
+import { hashAttachments, detailsParams } from "./attachment-metadata";
+import DocumentDetails, { NO_DETAILS } from "./document-details";
+import BundleImport from "./bundle-import";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+import {
+  conceptParts,
+  isoToDateInput,
+  isoToDatetimeLocal,
+  narrativeParagraphs,
+  patientFromBundle,
+  practitionerFromBundle,
+  attachmentsFromBundle,
+  attachmentToFile,
+  restorePatientSelection,
+} from "./bundle-reader";
 
 /*
   Immunization Record Builder (plain JS, single-file)
-  - Patient: fetched from /patients.json (public)
+  - Patient: shared patient context (patient-context.js)
   - Practitioner: global PRACTITIONERS (no API)
-  - Add/Remove Immunizations (each becomes Immunization resource)
+  - Add/Remove Immunizations (each becomes Immunization resource); vaccines picked from the
+    local SNOMED subset (terminology.js), free text still allowed
   - Optional ImmunizationRecommendation
-  - Upload DocumentReference files (PDF/JPEG/JPG)
+  - Upload DocumentReference files (PDF/JPEG/PNG/HEIC, attachment-intake.js), each with an optional description and
+    kind (document-details.js); without uploads a PDF of the record is generated instead (pdf-rendition.js)
+  - Attachment.size / hash / creation on every document (attachment-metadata.js)
+  - Re-open a generated Bundle (bundle-reader.js) to correct and regenerate it
+  - Form (rows, recommendation, selected files and their details) autosaved as a draft per patient (drafts-panel.js)
   - Produces FHIR Bundle (document) with Composition (SNOMED 41000179103)
 */
 
@@ -18,123 +68,16 @@ const PRACTITIONERS = [
   { id: "prac-2", name: "Dr. B. Rao", qualification: "MBBS, MS", phone: "+919000022222", email: "rao@example.org", registration: { system: "https://nmc.org.in", value: "NMC-456" } },
 ];
 
-/* ------------------------------- UTILITIES --------------------------------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-function ddmmyyyyToISO(v) {
-  if (!v) return undefined;
-  const s = String(v).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
-  if (!sep) return undefined;
-  const parts = s.split(sep);
-  if (parts.length !== 3) return undefined;
-  const [dd, mm, yyyy] = parts;
-  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
-}
-
-function isoWithLocalOffsetFromDate(d) {
-  const date = d instanceof Date ? d : new Date(d);
-  const pad = n => String(Math.abs(Math.floor(n))).padStart(2, "0");
-  const tzo = -date.getTimezoneOffset();
-  const sign = tzo >= 0 ? "+" : "-";
-  const hh = pad(Math.floor(Math.abs(tzo) / 60));
-  const mm = pad(Math.abs(tzo) % 60);
-  return (
-    date.getFullYear() +
-    "-" +
-    pad(date.getMonth() + 1) +
-    "-" +
-    pad(date.getDate()) +
-    "T" +
-    pad(date.getHours()) +
-    ":" +
-    pad(date.getMinutes()) +
-    ":" +
-    pad(date.getSeconds()) +
-    sign +
-    hh +
-    ":" +
-    mm
-  );
-}
-
-function localDatetimeToISOWithOffset(localDatetime) {
-  if (!localDatetime) return isoWithLocalOffsetFromDate(new Date());
-  return isoWithLocalOffsetFromDate(new Date(localDatetime));
-}
-
-function buildNarrative(title, innerHtml) {
-  return {
-    status: "generated",
-    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${title}</h3>${innerHtml}</div>`,
-  };
-}
-
-function fileToBase64NoPrefix(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onerror = () => reject(new Error("File read error"));
-    reader.onload = () => {
-      const res = reader.result || "";
-      const idx = String(res).indexOf("base64,");
-      if (idx >= 0) resolve(String(res).slice(idx + 7));
-      else resolve(String(res));
-    };
-    reader.readAsDataURL(file);
-  });
-}
-
-/* tiny placeholder PDF header if no files uploaded */
-const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
-
 /* Fixed SNOMED coding for Composition.type and section code */
 const SNOMED_IMM_RECORD = { system: "http://snomed.info/sct", code: "41000179103", display: "Immunization record" };
 
-/* Normalize ABHA addresses (strings or objects) */
-function normalizeAbhaAddresses(patientObj) {
-  const raw =
-    patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
-      ? patientObj.additional_attributes.abha_addresses
-      : Array.isArray(patientObj?.abha_addresses)
-        ? patientObj.abha_addresses
-        : [];
-
-  const out = raw
-    .map(item => {
-      if (!item) return null;
-      if (typeof item === "string") return { value: item, label: item, primary: false };
-      if (typeof item === "object") {
-        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
-        try {
-          const v = JSON.stringify(item);
-          return { value: v, label: v, primary: !!item.isPrimary };
-        } catch { return null; }
-      }
-      return null;
-    })
-    .filter(Boolean);
-  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
-  return out;
-}
-
 /* ------------------------------- APP -------------------------------------- */
 
 export default function App() {
-  /* patients + selection */
-  const [patients, setPatients] = useState([]);
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(-1);
-  const selectedPatient = useMemo(() => (selectedPatientIdx >= 0 ? patients[selectedPatientIdx] : null), [patients, selectedPatientIdx]);
-
-  /* abha list */
-  const [abhaOptions, setAbhaOptions] = useState([]);
-  const [selectedAbha, setSelectedAbha] = useState("");
+  /* Patient + ABHA address (shared across builders) */
+  const patientSelection = usePatientSelection();
+  const { selectedPatient, selectedAbha } = patientSelection;
+  const [validationIssues, setValidationIssues] = useState([]);
 
   /* practitioner (global) */
   const [selectedPractitionerIdx, setSelectedPractitionerIdx] = useState(0);
@@ -142,23 +85,20 @@ export default function App() {
   /* composition meta */
   const [status, setStatus] = useState("final");
   const [title, setTitle] = useState("Immunization Record");
-  const [dateTimeLocal, setDateTimeLocal] = useState(() => {
-    const d = new Date();
-    const pad = n => String(n).padStart(2, "0");
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
-  });
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
 
   /* optional fields */
   const [encounterText, setEncounterText] = useState("");
   const [custodianName, setCustodianName] = useState("");
 
-  /* immunizations list (each: vaccineText, date, status, lotNumber) */
-  const [immunizations, setImmunizations] = useState([
-    { vaccineText: "BCG", occurrenceDate: "", status: "completed", lotNumber: "" },
-  ]);
+  /* immunizations list (each: vaccineText, vaccineTerm, date, status, lotNumber) */
+  const [immunizations, setImmunizations] = useState(() => {
+    const bcg = findTerm("vaccines", "836402002");
+    return [{ vaccineText: bcg.display, vaccineTerm: bcg, occurrenceDate: "", status: "completed", lotNumber: "" }];
+  });
 
   function addImmunization() {
-    setImmunizations(prev => [...prev, { vaccineText: "", occurrenceDate: "", status: "completed", lotNumber: "" }]);
+    setImmunizations(prev => [...prev, { vaccineText: "", vaccineTerm: null, occurrenceDate: "", status: "completed", lotNumber: "" }]);
   }
   function updateImmunization(i, key, val) {
     setImmunizations(prev => prev.map((m, idx) => (idx === i ? { ...m, [key]: val } : m)));
@@ -169,58 +109,58 @@ export default function App() {
 
   /* optional immunization recommendation */
   const [immRecText, setImmRecText] = useState("");
+  const [immRecTerm, setImmRecTerm] = useState(null);
   const [immRecDateLocal, setImmRecDateLocal] = useState("");
 
   /* Document uploads */
   const fileInputRef = useRef(null);
   const [files, setFiles] = useState([]); // File[]
   const [filePreviewNames, setFilePreviewNames] = useState([]);
+  const [fileDetails, setFileDetails] = useState([]); // { description, category, language } per file
 
-  function onFilesPicked(e) {
-    const list = e.target.files ? Array.from(e.target.files) : [];
+  const intake = useIntake();
+  async function onFilesPicked(e) {
+    const list = await intake.run(e.target.files);
     setFiles(list);
     setFilePreviewNames(list.map(f => f.name));
+    setFileDetails(list.map(() => NO_DETAILS));
+  }
+
+  function setFileDetailsAt(i, details) {
+    setFileDetails(prev => prev.map((d, idx) => (idx === i ? details : d)));
   }
 
   function removeFileAtIndex(i) {
     setFiles(prev => prev.filter((_, idx) => idx !== i));
     setFilePreviewNames(prev => prev.filter((_, idx) => idx !== i));
+    setFileDetails(prev => prev.filter((_, idx) => idx !== i));
     if (fileInputRef.current) fileInputRef.current.value = "";
   }
 
   /* output */
   const [jsonOut, setJsonOut] = useState("");
 
-  /* load patients */
-  useEffect(() => {
-    (async () => {
-      try {
-        const res = await fetch("/patients.json");
-        const data = await res.json();
-        const arr = Array.isArray(data) ? data : [];
-        setPatients(arr);
-        if (arr.length > 0) {
-          setSelectedPatientIdx(0);
-          const abhas = normalizeAbhaAddresses(arr[0]);
-          setAbhaOptions(abhas);
-          setSelectedAbha(abhas.length ? abhas[0].value : "");
-        }
-      } catch (e) {
-        console.error("Failed to load patients.json", e);
-      }
-    })();
-  }, []);
-
-  useEffect(() => {
-    if (!selectedPatient) {
-      setAbhaOptions([]);
-      setSelectedAbha("");
-      return;
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "immunization",
+    { selectedPractitionerIdx, status, title, dateTimeLocal, encounterText, custodianName, immunizations, immRecText, immRecTerm, immRecDateLocal, files, fileDetails },
+    d => {
+      setSelectedPractitionerIdx(d.selectedPractitionerIdx);
+      setStatus(d.status);
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setEncounterText(d.encounterText);
+      setCustodianName(d.custodianName);
+      setImmunizations(d.immunizations);
+      setImmRecText(d.immRecText);
+      setImmRecTerm(d.immRecTerm);
+      setImmRecDateLocal(d.immRecDateLocal);
+      setFiles(d.files || []);
+      setFilePreviewNames((d.files || []).map(f => f.name));
+      setFileDetails(d.fileDetails || (d.files || []).map(() => NO_DETAILS));
+      if (fileInputRef.current) fileInputRef.current.value = "";
     }
-    const abhas = normalizeAbhaAddresses(selectedPatient);
-    setAbhaOptions(abhas);
-    setSelectedAbha(abhas.length ? abhas[0].value : "");
-  }, [selectedPatientIdx]); // eslint-disable-line
+  );
 
   /* Validation before generating */
   function validateBeforeBuild() {
@@ -258,80 +198,6 @@ export default function App() {
     const docBinaryIds = (files.length ? files : [null]).map(() => uuidv4());
     const docRefIds = docBinaryIds.map(() => uuidv4());
 
-    // Patient resource
-    function buildPatientResource() {
-      const p = selectedPatient;
-      const identifiers = [];
-      const mrn = p?.mrn || p?.user_ref_id || p?.abha_ref || p?.id;
-      if (mrn) identifiers.push({ system: "https://healthid.ndhm.gov.in", value: String(mrn) });
-      if (p?.abha_ref) identifiers.push({ system: "https://abdm.gov.in/abha", value: p.abha_ref });
-
-      const telecom = [];
-      if (p?.mobile) telecom.push({ system: "phone", value: p.mobile });
-      if (p?.email) telecom.push({ system: "email", value: p.email });
-      if (selectedAbha) telecom.push({ system: "url", value: `abha://${selectedAbha}` });
-
-      return {
-        resourceType: "Patient",
-        id: patientId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Patient"] },
-        text: buildNarrative("Patient", `<p>${p.name || ""}</p><p>${p.gender || ""} ${p.dob || ""}</p>`),
-        identifier: identifiers.length ? identifiers : undefined,
-        name: p.name ? [{ text: p.name }] : undefined,
-        gender: p.gender ? String(p.gender).toLowerCase() : undefined,
-        birthDate: ddmmyyyyToISO(p.dob) || undefined,
-        telecom: telecom.length ? telecom : undefined,
-        address: p?.address ? [{ text: p.address }] : undefined,
-      };
-    }
-
-    // Practitioner resource (global)
-    function buildPractitionerResource() {
-      const p = PRACTITIONERS[selectedPractitionerIdx] || PRACTITIONERS[0];
-      return {
-        resourceType: "Practitioner",
-        id: practitionerId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Practitioner"] },
-        text: buildNarrative("Practitioner", `<p>${p.name}</p><p>${p.qualification}</p>`),
-        identifier: p.registration?.system && p.registration?.value ? [{ system: p.registration.system, value: p.registration.value }] : undefined,
-        name: [{ text: p.name }],
-        telecom: [
-          p.phone ? { system: "phone", value: p.phone } : null,
-          p.email ? { system: "email", value: p.email } : null,
-        ].filter(Boolean),
-      };
-    }
-
-    function buildEncounterResource() {
-      if (!encounterId) return null;
-      const start = isoWithLocalOffsetFromDate(new Date());
-      return {
-        resourceType: "Encounter",
-        id: encounterId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Encounter"] },
-        text: buildNarrative("Encounter", `<p>${encounterText}</p>`),
-        status: "finished",
-        class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
-        subject: { reference: `urn:uuid:${patientId}` },
-        period: { start, end: start },
-      };
-    }
-
-    function buildCustodianOrg() {
-      if (!custodianId) return null;
-      return {
-        resourceType: "Organization",
-        id: custodianId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Organization"] },
-        text: buildNarrative("Organization", `<p>${custodianName}</p>`),
-        name: custodianName,
-      };
-    }
-
     // Build Immunization resources from immunizations[] entries
     function buildImmunizationResources() {
       return immunizations.map((m, idx) => {
@@ -340,12 +206,12 @@ export default function App() {
         return {
           resourceType: "Immunization",
           id,
-          language: "en-IN",
+          language: DEFAULT_LANGUAGE,
           meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Immunization"] },
           text: buildNarrative("Immunization", `Vaccine: ${m.vaccineText || "Unknown"}, Date: ${occ}`),
           status: m.status || "completed",
-          vaccineCode: { text: m.vaccineText || "Unknown vaccine" },
-          patient: { reference: `urn:uuid:${patientId}` },
+          vaccineCode: toCodeableConcept(m.vaccineTerm, m.vaccineText) || { text: "Unknown vaccine" },
+          patient: ref(patientId),
           occurrenceDateTime: occ,
           lotNumber: m.lotNumber || undefined,
         };
@@ -358,13 +224,13 @@ export default function App() {
       const rr = {
         resourceType: "ImmunizationRecommendation",
         id: immRecId,
-        language: "en-IN",
+        language: DEFAULT_LANGUAGE,
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/ImmunizationRecommendation"] },
-        patient: { reference: `urn:uuid:${patientId}` },
+        patient: ref(patientId),
         date: immRecDateLocal ? localDatetimeToISOWithOffset(immRecDateLocal) : authoredOn,
         recommendation: [
           {
-            vaccineCode: immRecText ? [{ text: immRecText }] : undefined,
+            vaccineCode: immRecText ? [toCodeableConcept(immRecTerm, immRecText)] : undefined,
             forecastStatus: immRecText ? { text: "Recommended" } : undefined,
           },
         ],
@@ -373,47 +239,32 @@ export default function App() {
     }
 
     // Build DocumentReference + Binary resources from files (or placeholder)
-    async function buildDocAndBinaryResources() {
+    async function buildDocAndBinaryResources(composition, resources) {
       const binaries = [];
       const docRefs = [];
 
-      const toProcess = files.length > 0 ? files : [null]; // null => placeholder
+      const toProcess = files.length > 0 ? files : [null]; // null => generated rendition
       for (let i = 0; i < toProcess.length; i++) {
         const f = toProcess[i];
-        const binId = docBinaryIds[i];
-        const docId = docRefIds[i];
-
-        let contentType = "application/pdf";
-        let dataB64 = PLACEHOLDER_PDF_B64;
-        let title = "placeholder.pdf";
-
-        if (f) {
-          contentType = f.type || "application/pdf";
-          dataB64 = await fileToBase64NoPrefix(f);
-          title = f.name || title;
-        }
-        const binary = {
-          resourceType: "Binary",
-          id: binId,
-          language: "en-IN",
-          meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
-          contentType,
-          data: dataB64,
-        };
-
         // DocumentReference.type: use SNOMED immunization record coding so it aligns with Composition.section
-        const docRef = {
-          resourceType: "DocumentReference",
-          id: docId,
-          language: "en-IN",
-          meta: { profile: ["http://hl7.org/fhir/StructureDefinition/DocumentReference"] },
-          text: buildNarrative("DocumentReference", `<p>${title}</p>`),
-          status: "current",
+        const common = {
+          docRefId: docRefIds[i],
+          binaryId: docBinaryIds[i],
+          patientId,
+          authorId: practitionerId,
           type: { coding: [SNOMED_IMM_RECORD], text: "Immunization document" },
-          subject: { reference: `urn:uuid:${patientId}` },
-          date: authoredOn,
-          content: [{ attachment: { contentType, title, url: `urn:uuid:${binId}` } }],
         };
+        const { binary, docRef } = f
+          ? buildDocumentAttachment({
+            ...common,
+            title: f.name || "document.pdf",
+            contentType: f.type || "application/pdf",
+            data: await fileToBase64NoPrefix(f),
+            date: authoredOn,
+            creation: isoWithLocalOffsetFromDate(new Date(f.lastModified || Date.now())),
+            ...detailsParams(fileDetails[i]),
+          })
+          : buildRenditionAttachment({ ...common, composition, resources });
 
         binaries.push(binary);
         docRefs.push(docRef);
@@ -423,134 +274,124 @@ export default function App() {
     }
 
     // Build Composition referencing immunizations, immRec, docRefs
-    function buildComposition(docRefsArr) {
-      const entries = [];
-      immIds.forEach(id => entries.push({ reference: `urn:uuid:${id}`, type: "Immunization" }));
-      if (immRecId) entries.push({ reference: `urn:uuid:${immRecId}`, type: "ImmunizationRecommendation" });
-      if (docRefsArr && docRefsArr.length) docRefsArr.forEach(dr => entries.push({ reference: `urn:uuid:${dr.id}`, type: "DocumentReference" }));
-
-      const comp = {
-        resourceType: "Composition",
+    function buildCompositionResource(immunizationsArr, immRec) {
+      const docRefEntries = docRefIds.map(id => entryRef({ id, resourceType: "DocumentReference" }));
+      const entries = [...[...immunizationsArr, immRec].filter(Boolean).map(entryRef), ...docRefEntries];
+
+      return buildComposition({
         id: compId,
-        language: "en-IN",
-        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Composition"] },
-        text: buildNarrative("Composition", `<p>${title}</p><p>Author: ${PRACTITIONERS[selectedPractitionerIdx]?.name || ""}</p>`),
-        status: status,
+        profile: "ImmunizationRecord",
         type: { coding: [SNOMED_IMM_RECORD], text: "Immunization record" },
-        subject: { reference: `urn:uuid:${patientId}` },
-        ...(encounterId ? { encounter: { reference: `urn:uuid:${encounterId}` } } : {}),
+        title,
+        status,
+        patientId,
+        encounterId,
         date: authoredOn,
-        author: [{ reference: `urn:uuid:${practitionerId}`, display: PRACTITIONERS[selectedPractitionerIdx]?.name }],
-        title: title,
-        ...(custodianId ? { custodian: { reference: `urn:uuid:${custodianId}` } } : {}),
+        authorId: practitionerId,
+        authorDisplay: practitioner.name,
+        custodianId,
         section: [
           {
             title: "Immunization section",
             code: { coding: [SNOMED_IMM_RECORD], text: "Immunization record" },
             entry: entries.length ? entries : undefined,
-            text: entries.length ? undefined : {
-              status: "generated",
-              div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><p>No immunization entries</p></div>`,
-            },
+            text: buildNarrative("Immunization section", immunizationTable(immunizationsArr)),
           },
         ],
-      };
-      return comp;
+      });
     }
 
     // Build resources
-    const patientRes = buildPatientResource();
-    const practitionerRes = buildPractitionerResource();
-    const encounterRes = buildEncounterResource();
-    const custodianRes = buildCustodianOrg();
+    const practitioner = PRACTITIONERS[selectedPractitionerIdx] || PRACTITIONERS[0];
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const practitionerRes = buildPractitioner({
+      id: practitionerId,
+      name: practitioner.name,
+      license: practitioner.registration?.value,
+      qualification: practitioner.qualification,
+      phone: practitioner.phone,
+      email: practitioner.email,
+    });
+    const encounterRes = encounterId ? buildEncounter({ id: encounterId, patientId, practitionerId, narrative: encounterText }) : null;
+    const custodianRes = buildOrganization({ id: custodianId, name: custodianName });
     const immunizationResources = buildImmunizationResources();
     const immRecResource = buildImmRecResource();
-    const { binaries, docRefs } = await buildDocAndBinaryResources();
-    const compositionRes = buildComposition(docRefs);
-
-    // Compose Bundle (document)
-    const bundleId = `ImmunizationBundle-${uuidv4()}`;
-    const bundle = {
-      resourceType: "Bundle",
-      id: bundleId,
-      meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Bundle"], lastUpdated: isoWithLocalOffsetFromDate(new Date()) },
-      identifier: { system: "urn:ietf:rfc:3986", value: `urn:uuid:${uuidv4()}` },
-      type: "document",
-      timestamp: isoWithLocalOffsetFromDate(new Date()),
-      entry: [
-        { fullUrl: `urn:uuid:${compositionRes.id}`, resource: compositionRes },
-        { fullUrl: `urn:uuid:${patientRes.id}`, resource: patientRes },
-        { fullUrl: `urn:uuid:${practitionerRes.id}`, resource: practitionerRes },
-      ],
-    };
-
-    if (encounterRes) bundle.entry.push({ fullUrl: `urn:uuid:${encounterRes.id}`, resource: encounterRes });
-    if (custodianRes) bundle.entry.push({ fullUrl: `urn:uuid:${custodianRes.id}`, resource: custodianRes });
-
-    immunizationResources.forEach((r, i) => bundle.entry.push({ fullUrl: `urn:uuid:${r.id}`, resource: r }));
-    if (immRecResource) bundle.entry.push({ fullUrl: `urn:uuid:${immRecResource.id}`, resource: immRecResource });
-
-    docRefs.forEach(dr => bundle.entry.push({ fullUrl: `urn:uuid:${dr.id}`, resource: dr }));
-    binaries.forEach(b => bundle.entry.push({ fullUrl: `urn:uuid:${b.id}`, resource: b }));
-
-    setJsonOut(JSON.stringify(bundle, null, 2));
-    console.log("Generated Immunization Bundle:", bundle);
+    const compositionRes = buildCompositionResource(immunizationResources, immRecResource);
+    const recordResources = [patientRes, practitionerRes, encounterRes, custodianRes, ...immunizationResources, immRecResource];
+    const { binaries, docRefs } = await buildDocAndBinaryResources(compositionRes, recordResources);
+
+    const bundle = await hashAttachments(buildDocumentBundle({
+      idPrefix: "ImmunizationBundle",
+      composition: compositionRes,
+      resources: [...recordResources, ...docRefs, ...binaries],
+    }));
+
+    setValidationIssues(validateBundle(bundle));
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+    setJsonOut(JSON.stringify(signed, null, 2));
+    console.log("Generated Immunization Bundle:", signed);
     alert("Bundle generated and logged in console. Copy JSON below to validate.");
   }
 
+  /* ------------------- Re-open a generated bundle (import) ------------------- */
+  function onImportBundle(doc) {
+    const { composition } = doc;
+    const { notes } = restorePatientSelection(patientFromBundle(doc), patientSelection);
+
+    const pr = practitionerFromBundle(doc);
+    const prIdx = pr ? PRACTITIONERS.findIndex(p => p.registration?.value === pr.license || p.name === pr.name) : -1;
+    if (prIdx >= 0) setSelectedPractitionerIdx(prIdx);
+    else notes.push(`Practitioner "${pr?.name || "unknown"}" is not in the practitioner list; the current one is kept.`);
+
+    // amended / entered-in-error versions come from the Submission History, not from a re-opened file
+    setStatus(composition.status === "preliminary" ? "preliminary" : "final");
+    setTitle(composition.title || "Immunization Record");
+    setDateTimeLocal(isoToDatetimeLocal(composition.date) || nowLocalDatetimeInput());
+    setEncounterText(narrativeParagraphs(doc.resolve(composition.encounter))[0] || "");
+    setCustodianName(doc.resolve(composition.custodian)?.name || "");
+
+    const rows = doc.all("Immunization").map(im => {
+      const c = conceptParts(im.vaccineCode);
+      return {
+        vaccineText: c.text === "Unknown vaccine" ? "" : c.text,
+        vaccineTerm: c.code ? findTerm("vaccines", c.code) : null,
+        occurrenceDate: isoToDateInput(im.occurrenceDateTime),
+        status: im.status || "completed",
+        lotNumber: im.lotNumber || "",
+      };
+    });
+    setImmunizations(rows.length ? rows : [{ vaccineText: "", vaccineTerm: null, occurrenceDate: "", status: "completed", lotNumber: "" }]);
+
+    const rec = doc.all("ImmunizationRecommendation")[0];
+    const recVaccine = conceptParts(rec?.recommendation?.[0]?.vaccineCode?.[0]);
+    setImmRecText(recVaccine.text);
+    setImmRecTerm(recVaccine.code ? findTerm("vaccines", recVaccine.code) : null);
+    setImmRecDateLocal(rec ? isoToDateInput(rec.date) : "");
+
+    const attachments = attachmentsFromBundle(doc);
+    const imported = attachments.map(attachmentToFile);
+    setFiles(imported);
+    setFilePreviewNames(imported.map(f => f.name));
+    setFileDetails(attachments.map(({ description, category, language }) => ({ description, category, language })));
+    if (fileInputRef.current) fileInputRef.current.value = "";
+
+    setValidationIssues([]);
+    setJsonOut(JSON.stringify(doc.bundle, null, 2));
+    return notes;
+  }
+
   /* ------------------------------- UI ------------------------------------- */
   return (
     <div className="container py-4">
       <h2 className="mb-3">Immunization Record — Builder</h2>
+      <BundleImport onImport={onImportBundle} />
+      <DraftsPanel drafts={drafts} />
 
-      {/* Patient card */}
-      <div className="card mb-3">
-        <div className="card-header">1. Patient <span className="text-danger">*</span></div>
-        <div className="card-body">
-          <div className="row g-3 mb-2">
-            <div className="col-md-8">
-              <label className="form-label">Select Patient</label>
-              <select className="form-select" value={selectedPatientIdx} onChange={e => setSelectedPatientIdx(Number(e.target.value))}>
-                {patients.map((p, i) => <option key={p.id || i} value={i}>{p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}</option>)}
-              </select>
-            </div>
-            <div className="col-md-4">
-              <label className="form-label">ABHA Address</label>
-              <select className="form-select" value={selectedAbha} onChange={e => setSelectedAbha(e.target.value)} disabled={!abhaOptions.length}>
-                {abhaOptions.length === 0 ? <option value="">No ABHA</option> : abhaOptions.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
-              </select>
-            </div>
-          </div>
-
-          {selectedPatient && (
-            <>
-              <div className="row g-3">
-                <div className="col-md-6">
-                  <label className="form-label">Name</label>
-                  <input className="form-control" readOnly value={selectedPatient.name || ""} />
-                </div>
-                <div className="col-md-2">
-                  <label className="form-label">Gender</label>
-                  <input className="form-control" readOnly value={selectedPatient.gender || ""} />
-                </div>
-                <div className="col-md-2">
-                  <label className="form-label">DOB</label>
-                  <input className="form-control" readOnly value={selectedPatient.dob || ""} />
-                </div>
-                <div className="col-md-2">
-                  <label className="form-label">Mobile</label>
-                  <input className="form-control" readOnly value={selectedPatient.mobile || ""} />
-                </div>
-
-                <div className="col-12">
-                  <label className="form-label">Address</label>
-                  <textarea className="form-control" rows={2} readOnly value={selectedPatient.address || ""} />
-                </div>
-              </div>
-            </>
-          )}
-        </div>
-      </div>
+      {/* 1. Patient */}
+      <PatientCard showAddress issues={issuesByField(validationIssues)} />
 
       {/* Practitioner */}
       <div className="card mb-3">
@@ -581,8 +422,6 @@ export default function App() {
               <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
                 <option value="preliminary">preliminary</option>
                 <option value="final">final</option>
-                <option value="amended">amended</option>
-                <option value="entered-in-error">entered-in-error</option>
               </select>
             </div>
             <div className="col-md-6">
@@ -614,8 +453,14 @@ export default function App() {
             <div key={i} className="border rounded p-2 mb-2">
               <div className="row g-2 align-items-end">
                 <div className="col-md-5">
-                  <label className="form-label">Vaccine (e.g. 'COVID-19 Vaccine') </label>
-                  <input className="form-control" value={m.vaccineText} onChange={e => updateImmunization(i, "vaccineText", e.target.value)} placeholder="Vaccine name" />
+                  <label className="form-label">Vaccine</label>
+                  <TermPicker
+                    valueSet="vaccines"
+                    value={m.vaccineText}
+                    term={m.vaccineTerm}
+                    onChange={(text, term) => setImmunizations(prev => prev.map((x, idx) => (idx === i ? { ...x, vaccineText: text, vaccineTerm: term } : x)))}
+                    placeholder="Vaccine name (e.g. BCG, Hep B)"
+                  />
                 </div>
                 <div className="col-md-3">
                   <label className="form-label">Date (optional)</label>
@@ -652,8 +497,14 @@ export default function App() {
         <div className="card-body">
           <div className="row g-3">
             <div className="col-md-8">
-              <label className="form-label">Recommendation summary/text</label>
-              <input className="form-control" value={immRecText} onChange={e => setImmRecText(e.target.value)} placeholder="Recommendation summary (optional)" />
+              <label className="form-label">Recommended vaccine</label>
+              <TermPicker
+                valueSet="vaccines"
+                value={immRecText}
+                term={immRecTerm}
+                onChange={(text, term) => { setImmRecText(text); setImmRecTerm(term); }}
+                placeholder="Recommended vaccine (optional)"
+              />
             </div>
             <div className="col-md-4">
               <label className="form-label">Recommendation date</label>
@@ -668,15 +519,19 @@ export default function App() {
         <div className="card-header">6. Documents (optional) — DocumentReference + Binary</div>
         <div className="card-body">
           <div className="mb-2">
-            <label className="form-label">Upload PDF / JPG / JPEG (multiple)</label>
-            <input ref={fileInputRef} type="file" accept=".pdf,.jpg,.jpeg,application/pdf,image/jpeg" multiple onChange={onFilesPicked} />
+            <label className="form-label">Upload PDF / JPG / PNG / HEIC (multiple)</label>
+            <input ref={fileInputRef} type="file" accept={INTAKE_ACCEPT} multiple onChange={onFilesPicked} />
+            <IntakeFeedback intake={intake} />
           </div>
-          {filePreviewNames.length === 0 ? <div className="text-muted">No files selected — placeholder PDF will be embedded if no files uploaded.</div> : (
+          {filePreviewNames.length === 0 ? <div className="text-muted">No files selected — a PDF of this record will be generated and embedded.</div> : (
             <ul className="list-group">
               {filePreviewNames.map((n, i) => (
-                <li key={i} className="list-group-item d-flex justify-content-between align-items-center">
-                  {n}
-                  <button className="btn btn-sm btn-danger" onClick={() => removeFileAtIndex(i)}>Remove</button>
+                <li key={i} className="list-group-item">
+                  <div className="d-flex justify-content-between align-items-center">
+                    {n}
+                    <button className="btn btn-sm btn-danger" onClick={() => removeFileAtIndex(i)}>Remove</button>
+                  </div>
+                  <DocumentDetails details={fileDetails[i]} onChange={d => setFileDetailsAt(i, d)} />
                 </li>
               ))}
             </ul>
@@ -684,6 +539,8 @@ export default function App() {
         </div>
       </div>
 
+      <ValidationSummary issues={validationIssues} />
+
       {/* Actions */}
       <div className="mb-4">
         <button className="btn btn-primary" onClick={onBuildBundle}>Generate Immunization Bundle</button>
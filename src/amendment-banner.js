@@ -0,0 +1,62 @@
+// src/amendment-banner.js
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { usePatientSelection } from "./patient-context";
+import { readDocumentBundle } from "./bundle-reader";
+import { pendingAmendment, clearAmendment } from "./document-revision";
+
+/*
+  Amendment mode for a builder (document-revision.js)
+  - useAmendment(recordType, onLoad): when the Submission History handed this builder a
+    submitted Bundle, onLoad(doc) fills the form from it once the patient list is loaded
+    (doc: readDocumentBundle(); returns notes to show). active stays set until finish() /
+    cancel(), so the builder knows to link its next Bundle with applyAmendment()
+  - AmendmentBanner: what is being amended, load notes, Cancel
+*/
+
+export function useAmendment(recordType, onLoad) {
+  const { loading } = usePatientSelection();
+  const [active, setActive] = useState(() => pendingAmendment(recordType));
+  const [notes, setNotes] = useState([]);
+  const loaded = useRef(false);
+  const latestOnLoad = useRef(onLoad);
+  latestOnLoad.current = onLoad;
+
+  useEffect(() => {
+    if (!active || loaded.current || loading) return;
+    loaded.current = true;
+    try {
+      setNotes(latestOnLoad.current(readDocumentBundle(active.bundle)) || []);
+    } catch (e) {
+      setNotes([`The submitted bundle could not be re-opened: ${e.message}`]);
+    }
+  }, [active, loading]);
+
+  const finish = useCallback(() => {
+    clearAmendment();
+    setActive(null);
+    setNotes([]);
+  }, []);
+
+  return { active, notes, finish, cancel: finish };
+}
+
+export default function AmendmentBanner({ amendment, onCancel }) {
+  const { active, notes } = amendment;
+  if (!active) return null;
+  const composition = active.bundle?.entry?.[0]?.resource || {};
+  return (
+    <div className="alert alert-info">
+      <div className="d-flex justify-content-between align-items-start gap-2">
+        <div>
+          <strong>Amending</strong> {composition.title || "document"} — Composition <code>{composition.id}</code>
+          {composition.date && <span className="text-muted"> of {new Date(composition.date).toLocaleString()}</span>}
+          <div className="small">
+            Submitting sends a new version (status "amended") that replaces it; patient, practitioner and document identifiers are kept.
+          </div>
+          {notes.map(n => <div key={n} className="small text-warning-emphasis">{n}</div>)}
+        </div>
+        <button className="btn btn-sm btn-outline-secondary" onClick={onCancel}>Cancel amendment</button>
+      </div>
+    </div>
+  );
+}
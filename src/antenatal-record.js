@@ -0,0 +1,553 @@
+// src/antenatal-record.js
+import React, { useMemo, useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  ndhmMeta,
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildComposition,
+  buildDocumentBundle,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml, immunizationTable } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import { findTerm, toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Antenatal Care (ANC) visit builder — maternal health record for the MCH clinic
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - Pregnancy: LMP, EDD (computed as LMP + 280 days, Naegele's rule), gestational age at visit, gravida / para
+  - Visit findings: fundal height, fetal heart rate, blood pressure, haemoglobin
+  - TT / Td doses given in this pregnancy -> Immunization (same resource shape as Immunization.js)
+  - Visit details and TT / Td doses autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) containing:
+      Composition (OPConsultRecord, titled "Antenatal care visit")
+      Patient
+      Practitioner
+      (optional) Organization (clinic)
+      EpisodeOfCare (the pregnancy, SNOMED 424525001 "Antenatal care")
+      Encounter (ANC visit, linked to the EpisodeOfCare)
+      Observation(s) (LOINC coded)
+      Immunization(s)
+*/
+
+/* Fixed SNOMED coding for Composition.type */
+const SNOMED_OP_CONSULT = { system: "http://snomed.info/sct", code: "371530004", display: "Clinical consultation report" };
+const SNOMED_ANTENATAL_CARE = { system: "http://snomed.info/sct", code: "424525001", display: "Antenatal care" };
+
+/* Section codes */
+const SECTION_CODES = {
+  pregnancy: { system: "http://loinc.org", code: "10162-6", display: "History of pregnancies Narrative" },
+  examination: { system: "http://snomed.info/sct", code: "425044008", display: "Physical exam section" },
+  investigations: { system: "http://loinc.org", code: "30954-2", display: "Relevant diagnostic tests/laboratory data Narrative" },
+  immunizations: { system: "http://snomed.info/sct", code: "41000179103", display: "Immunization record" },
+};
+
+/* LOINC codes for the ANC observations */
+const ANC_LOINC = {
+  lmp: { code: "8665-2", display: "Last menstrual period start date" },
+  edd: { code: "11778-8", display: "Delivery date Estimated" },
+  gestationalAge: { code: "11884-4", display: "Gestational age Estimated" },
+  gravida: { code: "11996-6", display: "[#] Pregnancies" },
+  para: { code: "11977-6", display: "[#] Parity" },
+  fundalHeight: { code: "11881-0", display: "Uterus Fundal height Tape measure" },
+  fetalHeartRate: { code: "55283-6", display: "Fetal Heart rate" },
+  bpPanel: { code: "85354-9", display: "Blood pressure panel with all children optional" },
+  systolic: { code: "8480-6", display: "Systolic blood pressure" },
+  diastolic: { code: "8462-4", display: "Diastolic blood pressure" },
+  haemoglobin: { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood" },
+};
+
+const OBS_CATEGORY = {
+  exam: { system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "exam", display: "Exam" },
+  vitalSigns: { system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "vital-signs", display: "Vital Signs" },
+  laboratory: { system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" },
+};
+
+/* Tetanus toxoid schedule used in ANC: TT-1, TT-2 or a single booster if immunised in a previous pregnancy */
+const TETANUS_VACCINES = ["Td (Tetanus-diphtheria)", "TT (Tetanus toxoid)"];
+/* Both are Clostridium tetani antigen-containing vaccines; the text keeps TT vs Td */
+const TETANUS_VACCINE_TERM = findTerm("vaccines", "836398007");
+const TETANUS_DOSES = [
+  { value: "1", label: "Dose 1" },
+  { value: "2", label: "Dose 2" },
+  { value: "booster", label: "Booster" },
+];
+
+function emptyTetanusDose() {
+  return { vaccineText: TETANUS_VACCINES[0], dose: "1", date: "", lotNumber: "", status: "completed" };
+}
+
+const DAY_MS = 86400000;
+
+/* EDD by Naegele's rule: LMP + 280 days. Input/output yyyy-mm-dd */
+export function computeEdd(lmp) {
+  if (!lmp) return "";
+  const d = new Date(`${lmp}T00:00:00Z`);
+  if (isNaN(d)) return "";
+  return new Date(d.getTime() + 280 * DAY_MS).toISOString().slice(0, 10);
+}
+
+/* Gestational age at a given date as { weeks, days, totalDays } or null */
+export function gestationalAge(lmp, onDate) {
+  if (!lmp || !onDate) return null;
+  const total = Math.floor((new Date(`${onDate}T00:00:00Z`) - new Date(`${lmp}T00:00:00Z`)) / DAY_MS);
+  if (isNaN(total) || total < 0) return null;
+  return { weeks: Math.floor(total / 7), days: total % 7, totalDays: total };
+}
+
+/* Form errors for the pregnancy details (yyyy-mm-dd dates; gravida / para as entered) */
+export function pregnancyErrors({ lmp, visitDate, gravida, para }) {
+  const errors = [];
+  const ga = gestationalAge(lmp, visitDate);
+  if (!lmp) errors.push("LMP is required.");
+  else if (lmp > visitDate) errors.push("LMP cannot be after the visit date.");
+  else if (ga && ga.weeks > 44) errors.push("LMP gives a gestational age over 44 weeks; please check the date.");
+  if (gravida !== "" && (!Number.isInteger(Number(gravida)) || Number(gravida) < 1)) errors.push("Gravida must be a whole number of at least 1.");
+  if (para !== "" && (!Number.isInteger(Number(para)) || Number(para) < 0)) errors.push("Para must be a whole number.");
+  if (gravida !== "" && para !== "" && Number(para) >= Number(gravida)) errors.push("Para must be less than gravida (the current pregnancy is counted in gravida).");
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function AntenatalRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+  const [clinicName, setClinicName] = useState("");
+
+  /* Pregnancy */
+  const [lmp, setLmp] = useState("");
+  const [gravida, setGravida] = useState("");
+  const [para, setPara] = useState("");
+  const edd = useMemo(() => computeEdd(lmp), [lmp]);
+  const ga = useMemo(() => gestationalAge(lmp, dateTimeLocal.slice(0, 10)), [lmp, dateTimeLocal]);
+
+  /* Visit findings */
+  const [fundalHeight, setFundalHeight] = useState("");
+  const [fetalHeartRate, setFetalHeartRate] = useState("");
+  const [systolic, setSystolic] = useState("");
+  const [diastolic, setDiastolic] = useState("");
+  const [haemoglobin, setHaemoglobin] = useState("");
+
+  /* TT / Td doses */
+  const [tetanusDoses, setTetanusDoses] = useState([]);
+  function addTetanusDose() {
+    setTetanusDoses(prev => [...prev, emptyTetanusDose()]);
+  }
+  function updateTetanusDose(i, key, val) {
+    setTetanusDoses(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: val } : r)));
+  }
+  function removeTetanusDose(i) {
+    setTetanusDoses(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "antenatal",
+    { status, dateTimeLocal, clinicName, lmp, gravida, para, fundalHeight, fetalHeartRate, systolic, diastolic, haemoglobin, tetanusDoses },
+    d => {
+      setStatus(d.status);
+      setDateTimeLocal(d.dateTimeLocal);
+      setClinicName(d.clinicName);
+      setLmp(d.lmp);
+      setGravida(d.gravida);
+      setPara(d.para);
+      setFundalHeight(d.fundalHeight);
+      setFetalHeartRate(d.fetalHeartRate);
+      setSystolic(d.systolic);
+      setDiastolic(d.diastolic);
+      setHaemoglobin(d.haemoglobin);
+      setTetanusDoses(d.tetanusDoses);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    const visitDate = dateTimeLocal.slice(0, 10);
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (selectedPatient && selectedPatient.gender && String(selectedPatient.gender).toLowerCase() !== "female") {
+      errors.push("Antenatal records can only be created for female patients.");
+    }
+    if (!status) errors.push("Status is required.");
+    errors.push(...pregnancyErrors({ lmp, visitDate, gravida, para }));
+    if ((systolic === "") !== (diastolic === "")) errors.push("Enter both systolic and diastolic blood pressure.");
+    [["Fundal height", fundalHeight], ["Fetal heart rate", fetalHeartRate], ["Systolic BP", systolic], ["Diastolic BP", diastolic], ["Haemoglobin", haemoglobin]].forEach(([label, v]) => {
+      if (v !== "" && (isNaN(Number(v)) || Number(v) <= 0)) errors.push(`${label} must be a positive number.`);
+    });
+    tetanusDoses.forEach((t, i) => {
+      if (!t.date) errors.push(`TT/Td #${i + 1}: date is required.`);
+      else if (t.date > visitDate) errors.push(`TT/Td #${i + 1}: date cannot be after the visit date.`);
+    });
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+    const obsStatus = status === "preliminary" ? "preliminary" : "final";
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const encounterId = uuidv4();
+    const episodeId = uuidv4();
+    const clinicOrgId = clinicName ? uuidv4() : null;
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+    const patientRef = ref(patientId);
+    const practitionerRef = ref(practitionerRes.id, practitioner.name);
+    const encounterRef = ref(encounterId);
+
+    // The pregnancy: starts at LMP, expected to end around EDD
+    function buildEpisodeOfCareResource() {
+      return {
+        resourceType: "EpisodeOfCare",
+        id: episodeId,
+        language: DEFAULT_LANGUAGE,
+        meta: { profile: ["http://hl7.org/fhir/StructureDefinition/EpisodeOfCare"] },
+        text: buildNarrative("EpisodeOfCare", xhtml`<p>Antenatal care: LMP ${lmp}, EDD ${edd}</p>`),
+        status: "active",
+        type: [{ coding: [SNOMED_ANTENATAL_CARE], text: "Antenatal care" }],
+        patient: patientRef,
+        ...(clinicOrgId ? { managingOrganization: ref(clinicOrgId) } : {}),
+        period: { start: lmp },
+        careManager: practitionerRef,
+      };
+    }
+
+    function buildEncounterResource() {
+      return buildEncounter({
+        id: encounterId,
+        patientId,
+        practitionerId: practitionerRes.id,
+        start: authoredOn,
+        narrative: `Antenatal visit on ${authoredOn}`,
+        type: [{ coding: [SNOMED_ANTENATAL_CARE], text: "Antenatal visit" }],
+        episodeOfCare: [ref(episodeId)],
+        ...(clinicOrgId ? { serviceProvider: ref(clinicOrgId) } : {}),
+      });
+    }
+
+    // Common Observation shell; `value` carries the value[x] property
+    function buildObservation(key, value, narrative, category) {
+      const loinc = ANC_LOINC[key];
+      return {
+        resourceType: "Observation",
+        id: uuidv4(),
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("Observation"),
+        text: buildNarrative("Observation", xhtml`<p>${loinc.display}: ${narrative}</p>`),
+        status: obsStatus,
+        ...(category ? { category: [{ coding: [category] }] } : {}),
+        code: { coding: [{ system: "http://loinc.org", code: loinc.code, display: loinc.display }], text: loinc.display },
+        subject: patientRef,
+        encounter: encounterRef,
+        effectiveDateTime: authoredOn,
+        performer: [practitionerRef],
+        ...value,
+      };
+    }
+
+    function quantity(v, unit, code) {
+      return { value: Number(v), unit, system: "http://unitsofmeasure.org", code: code || unit };
+    }
+
+    function buildPregnancyObservations() {
+      const obs = [
+        buildObservation("lmp", { valueDateTime: lmp }, lmp),
+        buildObservation("edd", { valueDateTime: edd }, edd),
+      ];
+      if (ga) obs.push(buildObservation("gestationalAge", { valueQuantity: quantity(ga.totalDays, "d") }, `${ga.weeks} weeks ${ga.days} days`));
+      if (gravida !== "") obs.push(buildObservation("gravida", { valueInteger: Number(gravida) }, gravida));
+      if (para !== "") obs.push(buildObservation("para", { valueInteger: Number(para) }, para));
+      return obs;
+    }
+
+    function buildExaminationObservations() {
+      const obs = [];
+      if (fundalHeight !== "") obs.push(buildObservation("fundalHeight", { valueQuantity: quantity(fundalHeight, "cm") }, `${fundalHeight} cm`, OBS_CATEGORY.exam));
+      if (fetalHeartRate !== "") obs.push(buildObservation("fetalHeartRate", { valueQuantity: quantity(fetalHeartRate, "/min") }, `${fetalHeartRate} /min`, OBS_CATEGORY.exam));
+      if (systolic !== "" && diastolic !== "") {
+        const component = [
+          { code: { coding: [{ system: "http://loinc.org", ...ANC_LOINC.systolic }] }, valueQuantity: quantity(systolic, "mmHg", "mm[Hg]") },
+          { code: { coding: [{ system: "http://loinc.org", ...ANC_LOINC.diastolic }] }, valueQuantity: quantity(diastolic, "mmHg", "mm[Hg]") },
+        ];
+        obs.push(buildObservation("bpPanel", { component }, `${systolic}/${diastolic} mmHg`, OBS_CATEGORY.vitalSigns));
+      }
+      return obs;
+    }
+
+    function buildInvestigationObservations() {
+      if (haemoglobin === "") return [];
+      return [buildObservation("haemoglobin", { valueQuantity: quantity(haemoglobin, "g/dL") }, `${haemoglobin} g/dL`, OBS_CATEGORY.laboratory)];
+    }
+
+    // Same shape as Immunization.js, plus the dose number in protocolApplied
+    function buildImmunizationResources() {
+      return tetanusDoses.map(m => {
+        const occ = m.date;
+        return {
+          resourceType: "Immunization",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Immunization"] },
+          text: buildNarrative("Immunization", `Vaccine: ${m.vaccineText || "Unknown"}, Date: ${occ}`),
+          status: m.status || "completed",
+          vaccineCode: toCodeableConcept(TETANUS_VACCINE_TERM, m.vaccineText),
+          patient: patientRef,
+          occurrenceDateTime: occ,
+          lotNumber: m.lotNumber || undefined,
+          protocolApplied: [
+            m.dose === "booster"
+              ? { series: "Tetanus (pregnancy)", doseNumberString: "Booster" }
+              : { series: "Tetanus (pregnancy)", doseNumberPositiveInt: Number(m.dose) },
+          ],
+        };
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const clinicOrgRes = buildOrganization({ id: clinicOrgId, name: clinicName });
+    const episodeRes = buildEpisodeOfCareResource();
+    const encounterRes = buildEncounterResource();
+    const pregnancyObs = buildPregnancyObservations();
+    const examinationObs = buildExaminationObservations();
+    const investigationObs = buildInvestigationObservations();
+    const immunizationResources = buildImmunizationResources();
+
+    const sections = [
+      { title: "Pregnancy details", code: { coding: [SECTION_CODES.pregnancy] }, entry: [episodeRes, ...pregnancyObs].map(entryRef) },
+    ];
+    if (examinationObs.length) sections.push({ title: "Antenatal examination", code: { coding: [SECTION_CODES.examination] }, entry: examinationObs.map(entryRef) });
+    if (investigationObs.length) sections.push({ title: "Investigations", code: { coding: [SECTION_CODES.investigations] }, entry: investigationObs.map(entryRef) });
+    if (immunizationResources.length) sections.push({ title: "Immunizations", code: { coding: [SECTION_CODES.immunizations] }, text: buildNarrative("Immunizations", immunizationTable(immunizationResources)), entry: immunizationResources.map(entryRef) });
+
+    const compositionRes = buildComposition({
+      id: compId,
+      profile: "OPConsultRecord",
+      type: { coding: [SNOMED_OP_CONSULT], text: "Antenatal care visit" },
+      title: "Antenatal care visit",
+      status,
+      patientId,
+      encounterId,
+      date: authoredOn,
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      custodianId: clinicOrgId,
+      section: sections,
+      narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>LMP ${lmp}, EDD ${edd}${ga ? `, GA ${ga.weeks}w ${ga.days}d` : ""}</p><p>Author: ${practitioner.name}</p>`,
+    });
+
+    const bundle = buildDocumentBundle({
+      idPrefix: "AntenatalBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, clinicOrgRes, episodeRes, encounterRes, ...pregnancyObs, ...examinationObs, ...investigationObs, ...immunizationResources],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "antenatal", label: `Antenatal Record — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Antenatal Care Record — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Visit */}
+      <div className="card mb-3">
+        <div className="card-header">3. Visit <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-4">
+              <label className="form-label">Visit date/time</label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Status</label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Clinic (optional)</label>
+              <input className="form-control" value={clinicName} onChange={e => setClinicName(e.target.value)} placeholder="Organization name (custodian)" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. Pregnancy */}
+      <div className="card mb-3">
+        <div className="card-header">4. Pregnancy <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">LMP <span className="text-danger">*</span></label>
+              <input type="date" className="form-control" value={lmp} onChange={e => setLmp(e.target.value)} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">EDD (computed)</label>
+              <input className="form-control" readOnly value={edd} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Gestational age</label>
+              <input className="form-control" readOnly value={ga ? `${ga.weeks}w ${ga.days}d` : ""} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Gravida</label>
+              <input type="number" min="1" className="form-control" value={gravida} onChange={e => setGravida(e.target.value)} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Para</label>
+              <input type="number" min="0" className="form-control" value={para} onChange={e => setPara(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 5. Examination & investigations */}
+      <div className="card mb-3">
+        <div className="card-header">5. Examination &amp; investigations (optional)</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-2">
+              <label className="form-label">Fundal height (cm)</label>
+              <input type="number" className="form-control" value={fundalHeight} onChange={e => setFundalHeight(e.target.value)} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">FHR (/min)</label>
+              <input type="number" className="form-control" value={fetalHeartRate} onChange={e => setFetalHeartRate(e.target.value)} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">BP systolic</label>
+              <input type="number" className="form-control" value={systolic} onChange={e => setSystolic(e.target.value)} placeholder="mmHg" />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">BP diastolic</label>
+              <input type="number" className="form-control" value={diastolic} onChange={e => setDiastolic(e.target.value)} placeholder="mmHg" />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Hb (g/dL)</label>
+              <input type="number" step="0.1" className="form-control" value={haemoglobin} onChange={e => setHaemoglobin(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 6. TT / Td */}
+      <div className="card mb-3">
+        <div className="card-header">6. TT / Td doses (optional)</div>
+        <div className="card-body">
+          {tetanusDoses.length === 0 && <div className="text-muted">No doses recorded for this visit.</div>}
+          {tetanusDoses.map((t, i) => (
+            <div className="row g-2 align-items-end mb-2" key={i}>
+              <div className="col-md-3">
+                <label className="form-label">Vaccine</label>
+                <select className="form-select" value={t.vaccineText} onChange={e => updateTetanusDose(i, "vaccineText", e.target.value)}>
+                  {TETANUS_VACCINES.map(v => <option key={v} value={v}>{v}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Dose</label>
+                <select className="form-select" value={t.dose} onChange={e => updateTetanusDose(i, "dose", e.target.value)}>
+                  {TETANUS_DOSES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Date</label>
+                <input type="date" className="form-control" value={t.date} onChange={e => updateTetanusDose(i, "date", e.target.value)} />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Lot number</label>
+                <input className="form-control" value={t.lotNumber} onChange={e => updateTetanusDose(i, "lotNumber", e.target.value)} />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Status</label>
+                <select className="form-select" value={t.status} onChange={e => updateTetanusDose(i, "status", e.target.value)}>
+                  <option value="completed">completed</option>
+                  <option value="not-done">not-done</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeTetanusDose(i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={addTetanusDose}>+ Add TT / Td dose</button>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { computeEdd, gestationalAge, pregnancyErrors } from "./antenatal-record";
+
+test("EDD is LMP + 280 days (Naegele's rule), across years and leap days", () => {
+  expect(computeEdd("2024-01-01")).toBe("2024-10-07");
+  expect(computeEdd("2023-06-15")).toBe("2024-03-21");
+  expect(computeEdd("")).toBe("");
+  expect(computeEdd("not a date")).toBe("");
+});
+
+test("gestational age in completed weeks and days on the visit date", () => {
+  expect(gestationalAge("2024-01-01", "2024-03-20")).toEqual({ weeks: 11, days: 2, totalDays: 79 });
+  expect(gestationalAge("2024-01-01", "2024-01-01")).toEqual({ weeks: 0, days: 0, totalDays: 0 });
+  expect(gestationalAge("2024-03-20", "2024-01-01")).toBeNull();
+  expect(gestationalAge("", "2024-01-01")).toBeNull();
+});
+
+test("LMP is required and plausible; gravida and para are whole numbers with para below gravida", () => {
+  const visit = { lmp: "2024-01-01", visitDate: "2024-05-01", gravida: "2", para: "1" };
+  expect(pregnancyErrors(visit)).toEqual([]);
+  expect(pregnancyErrors({ ...visit, lmp: "" })).toEqual(["LMP is required."]);
+  expect(pregnancyErrors({ ...visit, lmp: "2024-05-02" })).toEqual(["LMP cannot be after the visit date."]);
+  expect(pregnancyErrors({ ...visit, lmp: "2023-06-01" })).toEqual(["LMP gives a gestational age over 44 weeks; please check the date."]);
+  expect(pregnancyErrors({ ...visit, gravida: "0", para: "1.5" })).toEqual([
+    "Gravida must be a whole number of at least 1.",
+    "Para must be a whole number.",
+    "Para must be less than gravida (the current pregnancy is counted in gravida).",
+  ]);
+  expect(pregnancyErrors({ ...visit, gravida: "1", para: "1" })).toEqual(["Para must be less than gravida (the current pregnancy is counted in gravida)."]);
+});
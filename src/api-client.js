@@ -0,0 +1,54 @@
+// src/api-client.js
+/*
+  HTTP client for the backend (axios instance shared by the app)
+  - Requests go to the URLs of the active environment (config.js)
+  - Every request carries "Authorization: Bearer <token>" of the signed-in user (auth.js);
+    a 401 asks the user to sign in again and the request is retried once; background callers
+    (the outbox retry loop) pass { noLoginPrompt: true } and get the 401 instead of a prompt
+  - apiFetch(): the same for fetch() callers (patient lookup)
+  - In the "mock" environment requests are answered in the browser (mock-api.js)
+*/
+import axios from "axios";
+import { getConfig } from "./config";
+import { mockAdapter } from "./mock-api";
+import { getAccessToken, requestLogin } from "./auth";
+
+const SESSION_EXPIRED = "Your session has expired or you are not signed in.";
+
+export const apiClient = axios.create({
+  headers: { "Content-Type": "application/json" },
+});
+
+apiClient.interceptors.request.use(async request => {
+  if (getConfig().mock) request.adapter = mockAdapter;
+  const token = await getAccessToken();
+  if (token) request.headers.set("Authorization", `Bearer ${token}`);
+  return request;
+});
+
+apiClient.interceptors.response.use(undefined, async error => {
+  const request = error.config;
+  if (error.response?.status !== 401 || !request || request.authRetried || request.noLoginPrompt) throw error;
+  try {
+    await requestLogin(SESSION_EXPIRED);
+  } catch {
+    throw error;
+  }
+  return apiClient({ ...request, authRetried: true });
+});
+
+/* fetch() with the Authorization header and the same 401 re-prompt */
+export async function apiFetch(url, init = {}, retried = false) {
+  const token = await getAccessToken();
+  const res = await fetch(url, {
+    ...init,
+    headers: { "Content-Type": "application/json", ...init.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+  });
+  if (res.status !== 401 || retried) return res;
+  try {
+    await requestLogin(SESSION_EXPIRED);
+  } catch {
+    return res;
+  }
+  return apiFetch(url, init, true);
+}
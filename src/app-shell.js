@@ -0,0 +1,153 @@
+// src/app-shell.js
+/*
+  Application shell
+  - Navbar + one route per record builder (plain History API, no router dependency),
+    plus the signing key, outbox and submission history pages
+  - Runs the outbox retry worker (outbox.js) for as long as the app is open; the Outbox
+    link shows how many submissions are waiting or failed
+  - Environment picker (config.js): switching restarts the app on the chosen backend
+  - Sign in / out (auth.js); the login dialog also opens when a request gets a 401
+  - Every builder is rendered inside <PatientProvider>, so the selected patient and
+    ABHA address carry across builders
+  - Deep links: /immunization?patient=46 opens the builder with that patient selected;
+    the query string is kept when switching builders
+*/
+import React, { useCallback, useEffect, useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import { PatientProvider } from "./patient-context";
+import HealthDocumentRecord from "./App";
+import PrescriptionRecord from "./prescription-record";
+import DiagnosticReportRecord from "./diagnostic-report-record";
+import OPConsultRecord from "./op-consult-record";
+import DischargeSummaryRecord from "./discharge-summary-record";
+import ReferralRecord from "./referral-record";
+import CertificateRecord from "./certificate-record";
+import AntenatalRecord from "./antenatal-record";
+import ImagingReportRecord from "./imaging-report-record";
+import ImmunizationRecord from "./Immunization";
+import WellnessRecord from "./wellness-record";
+import InvoiceRecord from "./invoice-record";
+import ItemisedInvoiceRecord from "./invoice-record-2";
+import SigningKeyPage from "./signing-key";
+import OutboxPage, { useOutbox } from "./outbox-panel";
+import HistoryPage from "./history-panel";
+import { startOutboxWorker } from "./outbox";
+import { ENVIRONMENTS, getConfig, switchEnvironment } from "./config";
+import { requestLogin, logout } from "./auth";
+import LoginDialog, { useAuth } from "./login-dialog";
+
+export const ROUTES = [
+  { path: "/", label: "Health Document", component: HealthDocumentRecord },
+  { path: "/prescription", label: "Prescription", component: PrescriptionRecord },
+  { path: "/diagnostic-report", label: "Diagnostic Report", component: DiagnosticReportRecord },
+  { path: "/op-consult", label: "OP Consult", component: OPConsultRecord },
+  { path: "/discharge-summary", label: "Discharge Summary", component: DischargeSummaryRecord },
+  { path: "/referral", label: "Referral", component: ReferralRecord },
+  { path: "/certificate", label: "Certificate", component: CertificateRecord },
+  { path: "/antenatal", label: "Antenatal", component: AntenatalRecord },
+  { path: "/imaging-report", label: "Imaging Report", component: ImagingReportRecord },
+  { path: "/immunization", label: "Immunization", component: ImmunizationRecord },
+  { path: "/wellness", label: "Wellness", component: WellnessRecord },
+  { path: "/invoice", label: "Invoice", component: InvoiceRecord },
+  { path: "/invoice-itemised", label: "Invoice (itemised)", component: ItemisedInvoiceRecord },
+  { path: "/signing-key", label: "Signing Key", component: SigningKeyPage },
+  { path: "/outbox", label: "Outbox", component: OutboxPage },
+  { path: "/history", label: "History", component: HistoryPage },
+];
+
+/* "/immunization/" and "/immunization" are the same route */
+function normalizePath(pathname) {
+  const p = (pathname || "/").replace(/\/+$/, "");
+  return p || "/";
+}
+
+function NotFound({ path, onNavigate }) {
+  return (
+    <div className="container my-4">
+      <h3>Page not found</h3>
+      <p className="text-muted">Nothing at <code>{path}</code>.</p>
+      <button className="btn btn-primary" onClick={() => onNavigate("/")}>Go to Health Document</button>
+    </div>
+  );
+}
+
+export default function AppShell() {
+  const [path, setPath] = useState(() => normalizePath(window.location.pathname));
+  const { items: outboxItems } = useOutbox();
+  const { session } = useAuth();
+  const outboxCount = outboxItems.filter(i => i.status === "pending" || i.status === "sending" || i.status === "failed").length;
+
+  useEffect(() => startOutboxWorker(), []);
+
+  useEffect(() => {
+    const onPop = () => setPath(normalizePath(window.location.pathname));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  /* Keep ?patient=&abha= so the selection survives the switch (and the URL stays shareable) */
+  const navigate = useCallback((to) => {
+    if (to === path) return;
+    window.history.pushState(null, "", `${to}${window.location.search}`);
+    setPath(to);
+    window.scrollTo(0, 0);
+  }, [path]);
+
+  const environment = getConfig();
+  const route = ROUTES.find(r => r.path === path);
+  const Builder = route?.component;
+
+  return (
+    <PatientProvider>
+      <nav className="navbar navbar-expand navbar-dark bg-dark">
+        <div className="container-fluid">
+          <span className="navbar-brand">NDHM Records</span>
+          <ul className="navbar-nav flex-wrap">
+            {ROUTES.map(r => (
+              <li className="nav-item" key={r.path}>
+                <a
+                  className={`nav-link${r.path === path ? " active" : ""}`}
+                  aria-current={r.path === path ? "page" : undefined}
+                  href={r.path}
+                  onClick={e => {
+                    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+                    e.preventDefault();
+                    navigate(r.path);
+                  }}
+                >
+                  {r.label}
+                  {r.path === "/outbox" && outboxCount > 0 && <span className="badge bg-warning text-dark ms-1">{outboxCount}</span>}
+                </a>
+              </li>
+            ))}
+          </ul>
+          <div className="d-flex align-items-center gap-2 ms-auto">
+            {session ? (
+              <>
+                <span className="navbar-text small">{session.username}</span>
+                <button className="btn btn-sm btn-outline-light" onClick={logout}>Sign out</button>
+              </>
+            ) : (
+              <button className="btn btn-sm btn-outline-light" onClick={() => requestLogin().catch(() => {})}>Sign in</button>
+            )}
+            <select
+              className={`form-select form-select-sm w-auto${environment.name === "production" ? " border-danger" : ""}`}
+              aria-label="Environment"
+              value={environment.name}
+              onChange={e => {
+                if (window.confirm(`Switch to ${ENVIRONMENTS[e.target.value].label}? The app reloads; unsaved form input is lost (drafts are kept).`)) {
+                  switchEnvironment(e.target.value);
+                }
+              }}
+            >
+              {Object.entries(ENVIRONMENTS).map(([name, env]) => <option key={name} value={name}>{env.label}</option>)}
+            </select>
+          </div>
+        </div>
+      </nav>
+
+      {Builder ? <Builder /> : <NotFound path={path} onNavigate={navigate} />}
+      <LoginDialog />
+    </PatientProvider>
+  );
+}
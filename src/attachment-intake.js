@@ -0,0 +1,171 @@
+// src/attachment-intake.js
+/*
+  Intake checks for uploaded documents (before they become Binary / DocumentReference)
+  - sniffType(): the real type from the file signature (PDF, JPEG, PNG, HEIC / HEIF);
+    file.type and the extension are not trusted, so a renamed file gets the right
+    contentType (and extension)
+  - Photos: JPEG / PNG over IMAGE_MAX_DIMENSION px on a side are scaled down, JPEGs over
+    RECOMPRESS_BYTES are re-encoded (canvas; kept only when smaller); HEIC is converted to
+    JPEG where the browser can decode it (Safari), otherwise rejected with a hint
+  - Limits from config.js attachmentLimits: per file (after downscaling) and for all the
+    attachments of one bundle together (usedBytes: what is already attached)
+  - intakeFiles(files, { usedBytes }) -> { accepted: File[], rejected: [{ name, reason }], notes: string[] }
+*/
+import { getConfig } from "./config";
+
+/* <input accept> for document uploads */
+export const INTAKE_ACCEPT = ".pdf,.jpg,.jpeg,.png,.heic,.heif,application/pdf,image/jpeg,image/png,image/heic,image/heif";
+
+const IMAGE_MAX_DIMENSION = 2000;
+const RECOMPRESS_BYTES = 1024 * 1024;
+const JPEG_QUALITY = 0.82;
+
+const EXTENSIONS = { "application/pdf": ["pdf"], "image/jpeg": ["jpg", "jpeg"], "image/png": ["png"] };
+const KNOWN_EXTENSION = /\.(pdf|jpe?g|png|hei[cf])$/i;
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+export function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+/* "Up to 5.0 MB per file, 20.0 MB per record" */
+export function limitsText() {
+  const { maxFileBytes, maxBundleBytes } = getConfig().attachmentLimits;
+  return `Up to ${formatBytes(maxFileBytes)} per file, ${formatBytes(maxBundleBytes)} per record`;
+}
+
+/* ------------------------------- SIGNATURES ------------------------------- */
+/* MIME type from the first bytes of a file, "" when it is none of the accepted kinds */
+export function sniffType(bytes) {
+  const startsWith = sig => sig.every((b, i) => bytes[i] === b);
+  if (startsWith([0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf"; // %PDF-
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  const ascii = (from, to) => String.fromCharCode(...Array.from(bytes.slice(from, to)));
+  if (bytes.length >= 12 && ascii(4, 8) === "ftyp" && HEIF_BRANDS.includes(ascii(8, 12))) return "image/heic";
+  return "";
+}
+
+/* First bytes of a Blob (FileReader: jsdom's Blob has no arrayBuffer()) */
+function readHead(blob, length = 16) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("File read error"));
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob.slice(0, length));
+  });
+}
+
+/* name with an extension of type: a wrong document extension is replaced, others are kept */
+function withExtension(name, type) {
+  const exts = EXTENSIONS[type];
+  const ext = (name.match(KNOWN_EXTENSION) || [])[1];
+  if (ext && exts.includes(ext.toLowerCase())) return name;
+  return `${name.replace(KNOWN_EXTENSION, "") || "document"}.${exts[0]}`;
+}
+
+/* --------------------------------- IMAGES --------------------------------- */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("The image could not be decoded"));
+    img.src = url;
+  });
+}
+
+/*
+  Image redrawn as type, at most IMAGE_MAX_DIMENSION px on a side (on white, so transparent
+  PNGs do not turn black as JPEG); also used by image-pdf.js to turn PNG pages into JPEG
+  @returns {Promise<{ blob, width, height, scaled } | null>}  null: no canvas, not decodable,
+           or nothing to do (within the size and not forced)
+*/
+export async function redraw(blob, type, { force = false } = {}) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx) return null;
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = await loadImage(url);
+    const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+    if (scale === 1 && !force) return null;
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const out = await new Promise(resolve => canvas.toBlob(resolve, type, JPEG_QUALITY));
+    return out ? { blob: out, width: canvas.width, height: canvas.height, scaled: scale < 1 } : null;
+  } catch {
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/* ---------------------------------- INTAKE --------------------------------- */
+/*
+  One file: { file, note? } with the sniffed type, or { reason } when it cannot be attached
+  (limits are checked by intakeFiles)
+*/
+async function intakeOne(file) {
+  const sniffed = sniffType(await readHead(file));
+  if (!sniffed) return { reason: `not a PDF, JPEG, PNG or HEIC file${file.type ? ` (declared ${file.type})` : ""}` };
+
+  if (sniffed === "image/heic") {
+    const converted = await redraw(file, "image/jpeg", { force: true });
+    if (!converted) return { reason: "HEIC photos cannot be converted in this browser; export it as JPEG and attach that" };
+    return { file: new File([converted.blob], withExtension(file.name, "image/jpeg"), { type: "image/jpeg" }), note: "converted from HEIC to JPEG" };
+  }
+
+  const notes = [];
+  if (file.type && file.type !== sniffed) notes.push(`is a ${EXTENSIONS[sniffed][0].toUpperCase()}, not ${file.type}`);
+  let blob = file;
+  if (sniffed !== "application/pdf") {
+    const redrawn = await redraw(file, sniffed, { force: sniffed === "image/jpeg" && file.size > RECOMPRESS_BYTES });
+    if (redrawn && (redrawn.scaled || redrawn.blob.size < file.size)) {
+      blob = redrawn.blob;
+      notes.push(`${redrawn.scaled ? `resized to ${redrawn.width}×${redrawn.height}, ` : "recompressed, "}${formatBytes(file.size)} → ${formatBytes(blob.size)}`);
+    }
+  }
+  const name = withExtension(file.name, sniffed);
+  if (blob === file && name === file.name && file.type === sniffed) return { file };
+  return { file: new File([blob], name, { type: sniffed }), note: notes.join("; ") || undefined };
+}
+
+/*
+  Check, convert and size-limit picked files
+  @param {File[]} files
+  @param {{ usedBytes?: number }} [opts]  bytes already attached to the record
+  @returns {Promise<{ accepted: File[], rejected: Array<{ name, reason }>, notes: string[] }>}
+*/
+export async function intakeFiles(files, { usedBytes = 0 } = {}) {
+  const { maxFileBytes, maxBundleBytes } = getConfig().attachmentLimits;
+  const accepted = [];
+  const rejected = [];
+  const notes = [];
+  let total = usedBytes;
+  for (const original of files) {
+    let result;
+    try {
+      result = await intakeOne(original);
+    } catch (e) {
+      result = { reason: e.message };
+    }
+    const { file, note, reason } = result;
+    if (reason) {
+      rejected.push({ name: original.name, reason });
+    } else if (file.size > maxFileBytes) {
+      rejected.push({ name: original.name, reason: `${formatBytes(file.size)} is over the ${formatBytes(maxFileBytes)} limit per file` });
+    } else if (total + file.size > maxBundleBytes) {
+      rejected.push({ name: original.name, reason: `attachments would total ${formatBytes(total + file.size)}, over the ${formatBytes(maxBundleBytes)} limit per record` });
+    } else {
+      total += file.size;
+      accepted.push(file);
+      if (note) notes.push(`${original.name}${file.name !== original.name ? ` → ${file.name}` : ""}: ${note}`);
+    }
+  }
+  return { accepted, rejected, notes };
+}
@@ -0,0 +1,94 @@
+import { sniffType, intakeFiles } from "./attachment-intake";
+import { resetConfig } from "./config";
+
+const PDF = "%PDF-1.4\n";
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 16]);
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const HEIC = new Uint8Array([0, 0, 0, 24, ...Array.from("ftypheic", c => c.charCodeAt(0)), 0, 0]);
+
+const bytes = s => new Uint8Array(Array.from(s, c => c.charCodeAt(0)));
+
+/* Canvas stand-in: every image decodes as 4000x3000 and encodes to a few bytes */
+function fakeCanvas() {
+  const restore = { Image: window.Image, createObjectURL: URL.createObjectURL, revokeObjectURL: URL.revokeObjectURL };
+  window.Image = class {
+    naturalWidth = 4000;
+    naturalHeight = 3000;
+    set src(url) {
+      setTimeout(() => this.onload());
+    }
+  };
+  URL.createObjectURL = () => "blob:test";
+  URL.revokeObjectURL = () => {};
+  jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({ drawImage: jest.fn(), fillRect: jest.fn() });
+  HTMLCanvasElement.prototype.toBlob = function (cb, type) {
+    cb(new Blob(["small"], { type }));
+  };
+  return () => {
+    Object.assign(window, { Image: restore.Image });
+    Object.assign(URL, { createObjectURL: restore.createObjectURL, revokeObjectURL: restore.revokeObjectURL });
+    delete HTMLCanvasElement.prototype.toBlob;
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.REACT_APP_MAX_ATTACHMENT_MB;
+  delete process.env.REACT_APP_MAX_BUNDLE_ATTACHMENTS_MB;
+  resetConfig();
+});
+
+test("file signatures decide the type", () => {
+  expect(sniffType(bytes(PDF))).toBe("application/pdf");
+  expect(sniffType(JPEG)).toBe("image/jpeg");
+  expect(sniffType(PNG)).toBe("image/png");
+  expect(sniffType(HEIC)).toBe("image/heic");
+  expect(sniffType(bytes("GIF89a"))).toBe("");
+});
+
+test("a renamed file gets its real type and extension; unknown files are rejected", async () => {
+  const renamed = new File([PDF], "scan.jpg", { type: "image/jpeg" });
+  const png = new File([PNG], "chart.png", { type: "image/png" });
+  const text = new File(["hello"], "notes.pdf", { type: "application/pdf" });
+  const { accepted, rejected, notes } = await intakeFiles([renamed, png, text]);
+  expect(accepted.map(f => [f.name, f.type])).toEqual([["scan.pdf", "application/pdf"], ["chart.png", "image/png"]]);
+  expect(accepted[1]).toBe(png);
+  expect(rejected).toEqual([{ name: "notes.pdf", reason: "not a PDF, JPEG, PNG or HEIC file (declared application/pdf)" }]);
+  expect(notes).toEqual(["scan.jpg → scan.pdf: is a PDF, not image/jpeg"]);
+});
+
+test("per-file and per-record limits come from the configuration", async () => {
+  process.env.REACT_APP_MAX_ATTACHMENT_MB = "0.01"; // ~10 KB
+  process.env.REACT_APP_MAX_BUNDLE_ATTACHMENTS_MB = "0.02";
+  resetConfig();
+  const big = new File([PDF, "x".repeat(20000)], "big.pdf", { type: "application/pdf" });
+  const ok = new File([PDF, "x".repeat(8000)], "ok.pdf", { type: "application/pdf" });
+  const { accepted, rejected } = await intakeFiles([big, ok, ok], { usedBytes: 5000 });
+  expect(accepted).toEqual([ok]);
+  expect(rejected[0]).toEqual({ name: "big.pdf", reason: "20 KB is over the 10 KB limit per file" });
+  expect(rejected[1].reason).toMatch(/over the 20 KB limit per record/);
+});
+
+test("HEIC is rejected with a hint when the browser cannot convert it", async () => {
+  const { accepted, rejected } = await intakeFiles([new File([HEIC], "IMG_0001.HEIC", { type: "image/heic" })]);
+  expect(accepted).toEqual([]);
+  expect(rejected[0].reason).toMatch(/export it as JPEG/);
+});
+
+test("large photos are downscaled and HEIC converted when a canvas is available", async () => {
+  const restore = fakeCanvas();
+  try {
+    const photo = new File([JPEG, "x".repeat(3000)], "photo.jpeg", { type: "image/jpeg" });
+    const heic = new File([HEIC], "IMG_0001.HEIC", { type: "" });
+    const { accepted, rejected, notes } = await intakeFiles([photo, heic]);
+    expect(rejected).toEqual([]);
+    expect(accepted.map(f => [f.name, f.type, f.size])).toEqual([["photo.jpeg", "image/jpeg", 5], ["IMG_0001.jpg", "image/jpeg", 5]]);
+    expect(notes).toEqual(["photo.jpeg: resized to 2000×1500, 3 KB → 5 B", "IMG_0001.HEIC → IMG_0001.jpg: converted from HEIC to JPEG"]);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,162 @@
+// src/attachment-metadata.js
+/*
+  Attachment metadata for DocumentReference.content
+  - size and creation are set by buildDocumentAttachment (fhir-builders.js); the SHA-1 hash
+    (base64, as FHIR Attachment.hash requires) needs WebCrypto, which is async, so it is
+    added to the finished Bundle: hashAttachments(bundle)
+  - verifyAttachments(bundle): size / hash / Binary checks for a re-opened bundle, as
+    readable problems (the document was changed after it was generated)
+  - DOCUMENT_CATEGORIES: the per-document kind users pick for uploads (LOINC), used for
+    DocumentReference.category; DOCUMENT_LANGUAGES: the other languages an upload may be written in;
+    detailsParams() turns { description, category, language } as entered (document-details.js)
+    into buildDocumentAttachment params
+*/
+
+const LOINC = "http://loinc.org";
+
+export const DOCUMENT_CATEGORIES = [
+  { code: "11488-4", display: "Consult note" },
+  { code: "11502-2", display: "Laboratory report" },
+  { code: "18748-4", display: "Diagnostic imaging study" },
+  { code: "57833-6", display: "Prescription for medication" },
+  { code: "18842-5", display: "Discharge summary" },
+  { code: "11369-6", display: "History of Immunization Narrative" },
+  { code: "34133-9", display: "Summary of episode note" },
+];
+
+/* BCP-47 codes besides English, which is DEFAULT_LANGUAGE (fhir-builders.js) and "" in the form */
+export const DOCUMENT_LANGUAGES = [
+  { code: "hi-IN", display: "Hindi" },
+  { code: "bn-IN", display: "Bengali" },
+  { code: "mr-IN", display: "Marathi" },
+  { code: "te-IN", display: "Telugu" },
+  { code: "ta-IN", display: "Tamil" },
+  { code: "gu-IN", display: "Gujarati" },
+  { code: "kn-IN", display: "Kannada" },
+  { code: "ml-IN", display: "Malayalam" },
+  { code: "pa-IN", display: "Punjabi" },
+];
+
+/* CodeableConcept for a DOCUMENT_CATEGORIES code, undefined for "" / unknown codes */
+export function categoryConcept(code) {
+  const c = DOCUMENT_CATEGORIES.find(x => x.code === code);
+  return c ? { coding: [{ system: LOINC, ...c }], text: c.display } : undefined;
+}
+
+/* The DOCUMENT_CATEGORIES code of a DocumentReference.category, "" when none matches */
+export function categoryCode(docRef) {
+  const codes = (docRef?.category || []).flatMap(c => c.coding || []).filter(c => c.system === LOINC).map(c => c.code);
+  return DOCUMENT_CATEGORIES.find(c => codes.includes(c.code))?.code || "";
+}
+
+/* The DOCUMENT_LANGUAGES code of a DocumentReference (attachment first), "" for English or none */
+export function languageCode(docRef) {
+  const code = docRef?.content?.[0]?.attachment?.language || docRef?.language;
+  return DOCUMENT_LANGUAGES.some(l => l.code === code) ? code : "";
+}
+
+/* buildDocumentAttachment params for what the user entered about an upload ({ description, category, language }) */
+export function detailsParams(details) {
+  const description = (details?.description || "").trim();
+  return {
+    ...(description ? { description } : {}),
+    ...(details?.category ? { category: categoryConcept(details.category) } : {}),
+    ...(details?.language ? { language: details.language } : {}),
+  };
+}
+
+/* ------------------------------- HASHING -------------------------------- */
+function base64ToBytes(b64) {
+  const bin = atob(String(b64).replace(/\s+/g, ""));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+/* WebCrypto, or null outside a secure context (http on a LAN address) */
+function subtle() {
+  return window.crypto?.subtle || null;
+}
+
+/* Base64 SHA-1 of base64 data (Attachment.hash) */
+export async function sha1Base64(data) {
+  const s = subtle();
+  if (!s) throw new Error("WebCrypto is not available (hashing needs a secure context: https or localhost)");
+  return bytesToBase64(new Uint8Array(await s.digest("SHA-1", base64ToBytes(data))));
+}
+
+function attachmentsOf(bundle) {
+  return (bundle?.entry || [])
+    .map(e => e.resource)
+    .filter(r => r?.resourceType === "DocumentReference")
+    .flatMap(dr => (dr.content || []).map(c => ({ docRef: dr, attachment: c.attachment })))
+    .filter(x => x.attachment);
+}
+
+/*
+  Copy of bundle with Attachment.size and Attachment.hash on every DocumentReference attachment
+  that carries data. Without WebCrypto the bundle is returned with sizes only.
+  @returns {Promise<object>}
+*/
+export async function hashAttachments(bundle) {
+  const canHash = !!subtle();
+  if (!canHash) console.warn("WebCrypto is not available; attachments are sent without Attachment.hash");
+  const entry = await Promise.all((bundle.entry || []).map(async e => {
+    const r = e.resource;
+    if (r?.resourceType !== "DocumentReference" || !(r.content || []).some(c => c.attachment?.data)) return e;
+    const content = await Promise.all(r.content.map(async c => {
+      const a = c.attachment;
+      if (!a?.data) return c;
+      const size = base64ToBytes(a.data).length;
+      return { ...c, attachment: { ...a, size, ...(canHash ? { hash: await sha1Base64(a.data) } : {}) } };
+    }));
+    return { ...e, resource: { ...r, content } };
+  }));
+  return { ...bundle, entry };
+}
+
+/*
+  Integrity of the attachments of a bundle that was read back
+  - size and hash (when present) against the data, inline or in the referenced Binary
+  - inline data that differs from the Binary the attachment points at
+  @returns {Promise<string[]>}  problems, [] when everything matches
+*/
+export async function verifyAttachments(bundle) {
+  const binaries = new Map((bundle?.entry || [])
+    .filter(e => e.resource?.resourceType === "Binary")
+    .map(e => [e.fullUrl, e.resource]));
+  const problems = [];
+  for (const { docRef, attachment: a } of attachmentsOf(bundle)) {
+    const name = a.title || docRef.description || docRef.id || "attachment";
+    const binaryData = binaries.get(a.url)?.data;
+    const data = a.data || binaryData;
+    if (!data) continue;
+    if (a.data && binaryData && a.data.replace(/\s+/g, "") !== binaryData.replace(/\s+/g, "")) {
+      problems.push(`${name}: the attached data differs from its Binary resource`);
+    }
+    let bytes;
+    try {
+      bytes = base64ToBytes(data);
+    } catch {
+      problems.push(`${name}: the attached data is not valid base64`);
+      continue;
+    }
+    if (a.size != null && Number(a.size) !== bytes.length) {
+      problems.push(`${name}: ${bytes.length} bytes, but the attachment says ${a.size}`);
+    }
+    if (a.hash) {
+      if (!subtle()) {
+        problems.push(`${name}: the hash could not be checked (WebCrypto is not available)`);
+      } else if ((await sha1Base64(data)) !== a.hash) {
+        problems.push(`${name}: the content does not match its SHA-1 hash (changed after it was generated)`);
+      }
+    }
+  }
+  return problems;
+}
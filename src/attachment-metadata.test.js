@@ -0,0 +1,73 @@
+import { webcrypto } from "crypto";
+import { sha1Base64, hashAttachments, verifyAttachments, detailsParams, categoryCode, languageCode } from "./attachment-metadata";
+import { buildDocumentAttachment, entryRef } from "./fhir-builders";
+import { validateBundle } from "./ndhm-validator";
+import { makeBundle, TEST_DATE } from "./test-bundles";
+
+// jsdom has no WebCrypto; Node's is the same standard API
+const setCrypto = value => Object.defineProperty(window, "crypto", { value, configurable: true });
+beforeEach(() => setCrypto(webcrypto));
+
+const DATA = btoa("%PDF-1.4 scan");
+
+function scanBundle(details = {}) {
+  const { docRef, binary } = buildDocumentAttachment({
+    docRefId: "r1", binaryId: "b1", patientId: "p1", type: { text: "Scan" }, title: "scan.pdf", contentType: "application/pdf",
+    data: DATA, date: TEST_DATE, creation: "2024-04-30T09:15:00+05:30", ...details,
+  });
+  return makeBundle({ section: [{ title: "Docs", entry: [entryRef(docRef)] }], resources: [docRef, binary] });
+}
+
+const docRefOf = bundle => bundle.entry.find(e => e.resource.resourceType === "DocumentReference").resource;
+
+test("the builder records size, creation, language and what the user entered", () => {
+  const { attachment } = docRefOf(scanBundle()).content[0];
+  expect(attachment).toMatchObject({ size: 13, creation: "2024-04-30T09:15:00+05:30", language: "en-IN", contentType: "application/pdf" });
+
+  const docRef = docRefOf(scanBundle(detailsParams({ description: "  Chest X-ray report ", category: "18748-4" })));
+  expect(docRef.description).toBe("Chest X-ray report");
+  expect(docRef.category).toEqual([{ coding: [{ system: "http://loinc.org", code: "18748-4", display: "Diagnostic imaging study" }], text: "Diagnostic imaging study" }]);
+  expect(categoryCode(docRef)).toBe("18748-4");
+  expect(languageCode(docRef)).toBe("");
+  expect(detailsParams({ description: " ", category: "", language: "" })).toEqual({});
+});
+
+test("an upload in another language says so on the DocumentReference and its attachment", () => {
+  const docRef = docRefOf(scanBundle(detailsParams({ description: "Discharge card", language: "hi-IN" })));
+  expect(docRef.language).toBe("hi-IN");
+  expect(docRef.content[0].attachment.language).toBe("hi-IN");
+  expect(languageCode(docRef)).toBe("hi-IN");
+  expect(languageCode({ language: "fr-FR" })).toBe("");
+});
+
+test("hashAttachments adds the base64 SHA-1 and a re-read bundle verifies", async () => {
+  expect(await sha1Base64(btoa("abc"))).toBe("qZk+NkcGgWq6PiVxeFDCbJzQ2J0=");
+  const original = scanBundle();
+  const bundle = await hashAttachments(original);
+  expect(docRefOf(bundle).content[0].attachment.hash).toBe(await sha1Base64(DATA));
+  expect(docRefOf(original).content[0].attachment.hash).toBeUndefined();
+  expect(validateBundle(bundle).filter(i => i.resourceType === "DocumentReference")).toEqual([]);
+  expect(await verifyAttachments(JSON.parse(JSON.stringify(bundle)))).toEqual([]);
+});
+
+test("changed content, size or Binary is reported", async () => {
+  const bundle = await hashAttachments(scanBundle());
+  const attachment = docRefOf(bundle).content[0].attachment;
+  attachment.data = btoa("%PDF-1.4 edited");
+  expect(await verifyAttachments(bundle)).toEqual([
+    "scan.pdf: the attached data differs from its Binary resource",
+    "scan.pdf: 15 bytes, but the attachment says 13",
+    "scan.pdf: the content does not match its SHA-1 hash (changed after it was generated)",
+  ]);
+  attachment.hash = "not-a-hash";
+  expect(validateBundle(bundle).map(i => i.message)).toContain("Attachment.hash must be the base64 SHA-1 of the data");
+});
+
+test("without WebCrypto the bundle keeps its sizes but gets no hash", async () => {
+  setCrypto(undefined);
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const bundle = await hashAttachments(scanBundle());
+  expect(docRefOf(bundle).content[0].attachment).toMatchObject({ size: 13 });
+  expect(docRefOf(bundle).content[0].attachment.hash).toBeUndefined();
+  console.warn.mockRestore();
+});
@@ -0,0 +1,196 @@
+// src/auth.js
+/*
+  Login session for the backend APIs (patients, bundle submission)
+  - login(): POST <authUrl>/login { username, password } of the active environment (config.js);
+    the token response ({ access_token, refresh_token, expires_in } or camelCase) is kept in
+    sessionStorage per environment, so closing the tab signs out
+  - The access token is refreshed (POST <authUrl>/refresh) shortly before it expires, on a timer
+    and again before a request if the timer did not run (sleeping laptop)
+  - requestLogin(): asks the user to sign in (login-dialog.js shows the prompt) and resolves
+    with the new session; api-client.js calls it on a 401 and retries the request once
+  - window.GlobalAuthToken (set by a host page) is still used when nobody signed in here
+*/
+import axios from "axios";
+import { getConfig } from "./config";
+import { mockAdapter } from "./mock-api";
+
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/* ---------------------------------- STATE ---------------------------------- */
+let session = null;
+let loaded = false;
+let prompt = null; // { reason, resolve, reject } while the login dialog is open
+let refreshing = null;
+let refreshTimer = null;
+const listeners = new Set();
+
+function storageKey() {
+  return `ndhm.auth.${getConfig().name}`;
+}
+
+function notify() {
+  listeners.forEach(fn => fn());
+}
+
+/* fn() is called when the session or the login prompt changes; returns the unsubscribe function */
+export function subscribeAuth(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/* { session, prompt: { reason } | null } for the UI */
+export function getAuthState() {
+  return { session: getSession(), prompt: prompt && { reason: prompt.reason } };
+}
+
+export function getSession() {
+  if (!loaded) {
+    loaded = true;
+    try {
+      session = JSON.parse(window.sessionStorage.getItem(storageKey()) || "null");
+    } catch {
+      session = null;
+    }
+    scheduleRefresh();
+  }
+  return session;
+}
+
+function setSession(next) {
+  session = next;
+  loaded = true;
+  try {
+    if (next) window.sessionStorage.setItem(storageKey(), JSON.stringify(next));
+    else window.sessionStorage.removeItem(storageKey());
+  } catch {
+    // storage unavailable: the session lasts for this page load
+  }
+  scheduleRefresh();
+  notify();
+}
+
+/* ------------------------------- TOKEN CALLS ------------------------------- */
+/* Auth endpoints go through plain axios: no Authorization header, no 401 re-prompt */
+function authPost(path, body) {
+  const { authUrl, mock } = getConfig();
+  return axios.post(`${authUrl}${path}`, body, mock ? { adapter: mockAdapter } : {});
+}
+
+function jwtExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/* Session from a token response; expiry from expires_in, else the JWT exp claim */
+export function sessionFromTokenResponse(data, username) {
+  const accessToken = data?.access_token || data?.accessToken || data?.token;
+  if (!accessToken) throw new Error("The server did not return an access token");
+  const expiresIn = Number(data.expires_in ?? data.expiresIn);
+  return {
+    accessToken,
+    refreshToken: data.refresh_token || data.refreshToken || null,
+    expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : jwtExpiry(accessToken),
+    username,
+  };
+}
+
+function authErrorText(error) {
+  const status = error?.response?.status;
+  if (status === 400 || status === 401) return "Invalid username or password";
+  const data = error?.response?.data;
+  return data?.message || data?.error_description || error?.message || "Sign-in failed";
+}
+
+export async function login(username, password) {
+  try {
+    const res = await authPost("/login", { username, password });
+    const next = sessionFromTokenResponse(res.data, username);
+    setSession(next);
+    return next;
+  } catch (e) {
+    throw new Error(authErrorText(e));
+  }
+}
+
+export function logout() {
+  setSession(null);
+}
+
+/* New access token from the refresh token (one call at a time); null and signed out when that fails */
+export function refreshSession() {
+  const current = getSession();
+  if (!current?.refreshToken) return Promise.resolve(null);
+  if (!refreshing) {
+    refreshing = authPost("/refresh", { refresh_token: current.refreshToken })
+      .then(res => {
+        const next = sessionFromTokenResponse(res.data, current.username);
+        setSession({ ...next, refreshToken: next.refreshToken || current.refreshToken });
+        return getSession();
+      })
+      .catch(e => {
+        console.warn("Token refresh failed:", e.message);
+        setSession(null);
+        return null;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+function expiresSoon(s) {
+  return !!s?.expiresAt && s.expiresAt - Date.now() < REFRESH_MARGIN_MS;
+}
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  if (!session?.expiresAt || !session.refreshToken) return;
+  refreshTimer = setTimeout(refreshSession, Math.max(session.expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+}
+
+/* Token for the Authorization header (refreshed first when about to expire), or null */
+export async function getAccessToken() {
+  let current = getSession();
+  if (expiresSoon(current)) current = await refreshSession();
+  return current?.accessToken || window.GlobalAuthToken || null;
+}
+
+/* --------------------------------- PROMPT ---------------------------------- */
+/*
+  Ask the user to sign in; callers waiting at the same time share one prompt
+  @param {string} [reason]
+  @returns {Promise<object>} the new session; rejects when the user cancels
+*/
+export function requestLogin(reason = "") {
+  if (prompt) return prompt.promise;
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  prompt = { reason, promise, resolve, reject };
+  notify();
+  return promise;
+}
+
+/* Login dialog submit: resolves the open prompt on success, throws the message otherwise */
+export async function submitLogin(username, password) {
+  const next = await login(username, password);
+  if (prompt) {
+    const { resolve } = prompt;
+    prompt = null;
+    resolve(next);
+    notify();
+  }
+  return next;
+}
+
+export function cancelLogin() {
+  if (!prompt) return;
+  const { reject } = prompt;
+  prompt = null;
+  reject(new Error("Sign-in cancelled"));
+  notify();
+}
@@ -0,0 +1,83 @@
+import { apiClient, apiFetch } from "./api-client";
+import { getConfig } from "./config";
+import { login, logout, getSession, getAccessToken, submitLogin, cancelLogin, getAuthState, sessionFromTokenResponse } from "./auth";
+
+beforeAll(() => {
+  window.history.replaceState(null, "", "/?env=mock");
+});
+
+afterEach(() => {
+  logout();
+  cancelLogin();
+  window.sessionStorage.clear();
+  delete global.fetch;
+});
+
+afterAll(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+const post = () => apiClient.post(getConfig().fhirBundleUrl, { bundle: { resourceType: "Bundle" }, patient: 101 });
+
+test("token responses become sessions with an expiry", () => {
+  const s = sessionFromTokenResponse({ accessToken: "a", refreshToken: "r", expiresIn: 60 }, "u");
+  expect(s).toMatchObject({ accessToken: "a", refreshToken: "r", username: "u" });
+  expect(s.expiresAt - Date.now()).toBeGreaterThan(59000);
+
+  const exp = Math.floor(Date.now() / 1000) + 300;
+  const jwt = `x.${btoa(JSON.stringify({ exp }))}.y`;
+  expect(sessionFromTokenResponse({ token: jwt }, "u").expiresAt).toBe(exp * 1000);
+  expect(() => sessionFromTokenResponse({}, "u")).toThrow(/access token/);
+});
+
+test("login stores the session and every request carries the token", async () => {
+  await expect(login("", "")).rejects.toThrow("Invalid username or password");
+  const session = await login("dr.verma", "secret");
+  expect(getSession().username).toBe("dr.verma");
+  expect(JSON.parse(window.sessionStorage.getItem("ndhm.auth.mock")).accessToken).toBe(session.accessToken);
+
+  const res = await post();
+  expect(res.status).toBe(201);
+  expect(res.config.headers.get("Authorization")).toBe(`Bearer ${session.accessToken}`);
+
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => [] }));
+  await apiFetch("/patients.json");
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${session.accessToken}`);
+});
+
+test("a token about to expire is refreshed before the request", async () => {
+  const first = await login("dr.verma", "secret");
+  getSession().expiresAt = Date.now() + 1000;
+
+  const token = await getAccessToken();
+  expect(token).not.toBe(first.accessToken);
+  expect(getSession().expiresAt - Date.now()).toBeGreaterThan(60 * 60 * 1000 - 5000);
+});
+
+test("a 401 prompts for sign-in and the request is retried once signed in", async () => {
+  const pending = post();
+  await waitForPrompt();
+  expect(getAuthState().prompt.reason).toMatch(/not signed in/);
+
+  await expect(submitLogin("dr.verma", "")).rejects.toThrow();
+  expect(getAuthState().prompt).not.toBeNull();
+  await submitLogin("dr.verma", "secret");
+
+  const res = await pending;
+  expect(res.status).toBe(201);
+  expect(getAuthState().prompt).toBeNull();
+});
+
+test("cancelling the prompt fails the request with the original 401", async () => {
+  const pending = post();
+  await waitForPrompt();
+  cancelLogin();
+  await expect(pending).rejects.toMatchObject({ response: { status: 401 } });
+  expect(getAuthState().prompt).toBeNull();
+});
+
+async function waitForPrompt() {
+  for (let i = 0; i < 50 && !getAuthState().prompt; i++) await new Promise(r => setTimeout(r, 0));
+  expect(getAuthState().prompt).not.toBeNull();
+}
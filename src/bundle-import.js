@@ -0,0 +1,45 @@
+// src/bundle-import.js
+import React, { useState } from "react";
+import { readBundleFile } from "./bundle-reader";
+import { verifyAttachments } from "./attachment-metadata";
+
+/*
+  "Re-open bundle" button for builders
+  - Reads a document Bundle JSON file (bundle-reader.js) and hands it to onImport(doc)
+  - onImport may return notes (string[]) about what could not be restored; they are shown
+    under the button together with read errors
+  - Attachment sizes and SHA-1 hashes are checked first (attachment-metadata.js); mismatches
+    are listed with the notes
+*/
+export default function BundleImport({ onImport, label = "Re-open bundle (JSON)" }) {
+  const [status, setStatus] = useState(null);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const doc = await readBundleFile(file);
+      const problems = await verifyAttachments(doc.bundle);
+      const notes = [...problems, ...(onImport(doc) || [])];
+      setStatus({ ok: true, text: `Loaded ${file.name} into the form — review, then generate again.`, notes });
+    } catch (err) {
+      setStatus({ ok: false, text: `Could not open ${file.name}: ${err.message}`, notes: [] });
+    }
+  }
+
+  return (
+    <div className="mb-3">
+      <label className="btn btn-outline-secondary mb-0">
+        {label}
+        <input type="file" accept=".json,application/json,application/fhir+json" hidden onChange={onFile} />
+      </label>
+      {status && (
+        <div className={`small mt-1 ${status.ok ? "text-success" : "text-danger"}`}>
+          {status.text}
+          {status.notes.map((n, i) => <div key={i} className="text-warning">{n}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
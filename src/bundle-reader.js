@@ -0,0 +1,210 @@
+// src/bundle-reader.js
+/*
+  Reads a generated document Bundle back into plain values, so a builder can re-open it
+  - readDocumentBundle: parse + basic shape checks, reference resolution (urn:uuid / Type/id)
+  - patientFromBundle / practitionerFromBundle / attachmentsFromBundle: the parts every
+    builder shares; builder-specific resources (Immunization, Observation, Invoice) are
+    mapped in the builder itself
+  - findPatientIdx: the patient-list entry the Bundle's Patient belongs to
+*/
+import { PLACEHOLDER_PDF_B64, IDENTIFIER_SYSTEMS, ddmmyyyyToISO, normalizeAbhaAddresses } from "./fhir-builders";
+import { RENDITION_DESCRIPTION } from "./pdf-rendition";
+import { categoryCode, languageCode } from "./attachment-metadata";
+
+/*
+  @param {string|object} input  Bundle JSON text or object
+  @returns {{ bundle, composition, resources, resolve(reference), all(resourceType) }}
+  @throws Error with a user-facing message when this is not a document Bundle
+*/
+export function readDocumentBundle(input) {
+  let bundle = input;
+  if (typeof input === "string") {
+    try {
+      bundle = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+  }
+  if (bundle?.resourceType !== "Bundle") throw new Error("Not a FHIR Bundle");
+  if (bundle.type !== "document") throw new Error(`Bundle.type is "${bundle.type}", expected "document"`);
+
+  const entries = (bundle.entry || []).filter(e => e?.resource);
+  const composition = entries[0]?.resource;
+  if (composition?.resourceType !== "Composition") throw new Error("The first entry is not a Composition");
+
+  const byRef = new Map();
+  entries.forEach(({ fullUrl, resource }) => {
+    if (fullUrl) byRef.set(fullUrl, resource);
+    if (resource.id) {
+      byRef.set(`urn:uuid:${resource.id}`, resource);
+      byRef.set(`${resource.resourceType}/${resource.id}`, resource);
+    }
+  });
+  const resources = entries.map(e => e.resource);
+
+  return {
+    bundle,
+    composition,
+    resources,
+    resolve: reference => (reference && byRef.get(typeof reference === "string" ? reference : reference.reference)) || null,
+    all: resourceType => resources.filter(r => r.resourceType === resourceType),
+  };
+}
+
+/* File input -> readDocumentBundle (FileReader, like the rest of the builders) */
+export function readBundleFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("File read error"));
+    reader.onload = () => {
+      try {
+        resolve(readDocumentBundle(String(reader.result || "")));
+      } catch (e) {
+        reject(e);
+      }
+    };
+    reader.readAsText(file);
+  });
+}
+
+/* ---------------------------------- VALUES --------------------------------- */
+const byIdentifierCode = (identifiers, code) =>
+  (identifiers || []).find(i => i.type?.coding?.some(c => c.code === code))?.value || "";
+
+/* First coding's code/display + text of a CodeableConcept */
+export function conceptParts(cc) {
+  const coding = cc?.coding?.[0];
+  return { system: coding?.system || "", code: coding?.code || "", display: coding?.display || "", text: cc?.text || coding?.display || "" };
+}
+
+/* "2024-05-01T10:00:00+05:30" -> "2024-05-01" (value of <input type="date">) */
+export function isoToDateInput(iso) {
+  return typeof iso === "string" && /^\d{4}-\d{2}-\d{2}/.test(iso) ? iso.slice(0, 10) : "";
+}
+
+/* ISO with offset -> local "YYYY-MM-DDTHH:mm" (value of <input type="datetime-local">) */
+export function isoToDatetimeLocal(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || isNaN(d.getTime())) return "";
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/* Text of the <p> elements in a resource narrative (tags stripped, entities decoded) */
+export function narrativeParagraphs(resource) {
+  const div = resource?.text?.div || "";
+  return Array.from(div.matchAll(/<p>([\s\S]*?)<\/p>/g), m =>
+    m[1].replace(/<[^>]*>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&").trim()
+  );
+}
+
+/*
+  Composition.subject Patient as builder form values
+  @returns {{ name, gender, birthDate, abhaNumber, abhaAddress, mobile, email, address } | null}
+*/
+export function patientFromBundle(doc) {
+  const p = doc.resolve(doc.composition.subject) || doc.all("Patient")[0];
+  if (!p) return null;
+  const identifiers = p.identifier || [];
+  return {
+    name: p.name?.[0]?.text || [p.name?.[0]?.given?.join(" "), p.name?.[0]?.family].filter(Boolean).join(" "),
+    gender: p.gender || "",
+    birthDate: p.birthDate || "",
+    abhaNumber: identifiers.find(i => i.system === IDENTIFIER_SYSTEMS.abhaNumber)?.value || byIdentifierCode(identifiers, "MR"),
+    abhaAddress: identifiers.find(i => i.system === IDENTIFIER_SYSTEMS.abhaAddress)?.value || byIdentifierCode(identifiers, "PN"),
+    mobile: p.telecom?.find(t => t.system === "phone")?.value || "",
+    email: p.telecom?.find(t => t.system === "email")?.value || "",
+    address: p.address?.[0]?.text || "",
+  };
+}
+
+/*
+  Composition.author Practitioner
+  @returns {{ name, license, qualification, phone, email } | null}
+*/
+export function practitionerFromBundle(doc) {
+  const authorRef = (doc.composition.author || []).find(a => doc.resolve(a)?.resourceType === "Practitioner");
+  const pr = doc.resolve(authorRef) || doc.all("Practitioner")[0];
+  if (!pr) return null;
+  return {
+    name: pr.name?.[0]?.text || "",
+    license: byIdentifierCode(pr.identifier, "MD") || pr.identifier?.[0]?.value || "",
+    qualification: pr.qualification?.[0]?.code?.text || "",
+    phone: pr.telecom?.find(t => t.system === "phone")?.value || "",
+    email: pr.telecom?.find(t => t.system === "email")?.value || "",
+  };
+}
+
+/*
+  DocumentReference attachments (content from the referenced Binary, else inline data).
+  The PDF builders add when nothing was uploaded (generated rendition, or the placeholder of
+  older bundles) is skipped.
+  @returns {Array<{ title, contentType, data, description, category, language, creation }>}  data:
+           base64 without prefix; description / category (DOCUMENT_CATEGORIES code) / language
+           (DOCUMENT_LANGUAGES code) as entered
+*/
+export function attachmentsFromBundle(doc) {
+  return doc.all("DocumentReference")
+    .filter(dr => dr.description !== RENDITION_DESCRIPTION)
+    .map(dr => {
+      const att = dr.content?.[0]?.attachment || {};
+      const binary = att.url ? doc.resolve(att.url) : null;
+      return {
+        title: att.title || dr.description || "attachment",
+        contentType: binary?.contentType || att.contentType || "application/octet-stream",
+        data: binary?.data || att.data || "",
+        description: dr.description || "",
+        category: categoryCode(dr),
+        language: languageCode(dr),
+        creation: att.creation || "",
+      };
+    })
+    .filter(a => a.data && a.data !== PLACEHOLDER_PDF_B64);
+}
+
+/* Attachment -> File, for builders that keep uploads as File objects (creation -> lastModified) */
+export function attachmentToFile({ title, contentType, data, creation }) {
+  const bin = atob(data);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  const created = Date.parse(creation || "");
+  return new File([bytes], title, { type: contentType, ...(Number.isNaN(created) ? {} : { lastModified: created }) });
+}
+
+/*
+  Index of the patient-list entry for the imported Patient: ABHA number, then ABHA address,
+  then name + date of birth; -1 when the patient is not in the list
+*/
+export function findPatientIdx(patients, info) {
+  if (!info) return -1;
+  const digits = s => String(s || "").replace(/\D/g, "");
+  const name = String(info.name || "").trim().toLowerCase();
+  const matchers = [
+    info.abhaNumber && (p => p.abha_ref && digits(p.abha_ref) === digits(info.abhaNumber)),
+    info.abhaAddress && (p => normalizeAbhaAddresses(p).some(o => o.value === info.abhaAddress)),
+    name && (p => String(p.name || "").trim().toLowerCase() === name && (!info.birthDate || ddmmyyyyToISO(p.dob) === info.birthDate)),
+  ].filter(Boolean);
+  for (const match of matchers) {
+    const idx = patients.findIndex(match);
+    if (idx >= 0) return idx;
+  }
+  return -1;
+}
+
+/*
+  Select the imported patient (and ABHA address) in the shared patient context
+  @param {object} info       patientFromBundle(doc)
+  @param {object} selection  usePatientSelection()
+  @returns {{ idx: number, notes: string[] }} idx -1 when the patient is not in the list
+*/
+export function restorePatientSelection(info, { patients, setSelectedPatientIdx, setSelectedAbha }) {
+  const idx = findPatientIdx(patients, info);
+  if (idx < 0) return { idx, notes: [`Patient "${info?.name || "unknown"}" is not in the patient list; the current selection is kept.`] };
+  setSelectedPatientIdx(idx);
+  if (!info.abhaAddress) return { idx, notes: [] };
+  if (normalizeAbhaAddresses(patients[idx]).some(o => o.value === info.abhaAddress)) {
+    setSelectedAbha(info.abhaAddress);
+    return { idx, notes: [] };
+  }
+  return { idx, notes: [`ABHA address ${info.abhaAddress} is no longer linked to this patient; the primary address is selected.`] };
+}
@@ -0,0 +1,78 @@
+import {
+  readDocumentBundle,
+  patientFromBundle,
+  practitionerFromBundle,
+  attachmentsFromBundle,
+  attachmentToFile,
+  narrativeParagraphs,
+  findPatientIdx,
+  isoToDateInput,
+} from "./bundle-reader";
+import { PLACEHOLDER_PDF_B64, buildDocumentAttachment } from "./fhir-builders";
+import { categoryConcept } from "./attachment-metadata";
+import { makeBundle, TEST_DATE } from "./test-bundles";
+
+const PATIENTS = [
+  { id: 45, name: "Asha Devi", dob: "05-03-1990", abha_ref: "91-1111-2222-3333" },
+  { id: 46, name: "Rohit Kumar", dob: "30-12-1991", abha_ref: "91-4444-5555-6666", additional_attributes: { abha_addresses: ["rohitkumar30@sbx", "rohittestokay@sbx"] } },
+];
+
+function immunizationBundle() {
+  const upload = buildDocumentAttachment({ docRefId: "r1", binaryId: "b1", patientId: "p1", type: { text: "Card" }, title: "card.pdf", contentType: "application/pdf", data: btoa("%PDF-card"), date: TEST_DATE, description: "Vaccination card", category: categoryConcept("11369-6") });
+  const placeholder = buildDocumentAttachment({ docRefId: "r2", binaryId: "b2", patientId: "p1", type: { text: "Doc" }, title: "placeholder.pdf", contentType: "application/pdf", data: PLACEHOLDER_PDF_B64 });
+  return makeBundle({
+    patient: { ...PATIENTS[1], gender: "Male", mobile: "9000000000" },
+    abhaAddress: "rohittestokay@sbx",
+    practitioner: { name: "Dr. B. Rao", license: "NMC-456", qualification: "MBBS, MS" },
+    encounter: "OPD visit & follow-up",
+    profile: "ImmunizationRecord",
+    type: { text: "Immunization record" },
+    title: "Immunization Record",
+    section: [{ title: "Docs", entry: [{ reference: "urn:uuid:r1" }, { reference: "urn:uuid:r2" }] }],
+    resources: [upload.docRef, upload.binary, placeholder.docRef, placeholder.binary],
+  });
+}
+
+test("only document Bundles with a Composition first are accepted", () => {
+  expect(() => readDocumentBundle("{oops")).toThrow(/Not valid JSON/);
+  expect(() => readDocumentBundle({ resourceType: "Patient" })).toThrow(/Not a FHIR Bundle/);
+  expect(() => readDocumentBundle({ ...immunizationBundle(), type: "collection" })).toThrow(/expected "document"/);
+  const b = immunizationBundle();
+  b.entry.push(b.entry.shift());
+  expect(() => readDocumentBundle(b)).toThrow(/first entry/);
+});
+
+test("references resolve by fullUrl and Type/id", () => {
+  const doc = readDocumentBundle(JSON.stringify(immunizationBundle()));
+  expect(doc.resolve(doc.composition.subject).resourceType).toBe("Patient");
+  expect(doc.resolve("Practitioner/d1").name[0].text).toBe("Dr. B. Rao");
+  expect(doc.resolve({ reference: "urn:uuid:nope" })).toBeNull();
+  expect(doc.all("DocumentReference")).toHaveLength(2);
+  expect(narrativeParagraphs(doc.resolve(doc.composition.encounter))).toEqual(["OPD visit & follow-up"]);
+});
+
+test("patient, practitioner and uploaded attachments come back as form values", () => {
+  const doc = readDocumentBundle(immunizationBundle());
+  expect(patientFromBundle(doc)).toMatchObject({
+    name: "Rohit Kumar", gender: "male", birthDate: "1991-12-30",
+    abhaNumber: "91-4444-5555-6666", abhaAddress: "rohittestokay@sbx", mobile: "9000000000",
+  });
+  expect(practitionerFromBundle(doc)).toMatchObject({ name: "Dr. B. Rao", license: "NMC-456", qualification: "MBBS, MS" });
+
+  const attachments = attachmentsFromBundle(doc);
+  expect(attachments).toEqual([{
+    title: "card.pdf", contentType: "application/pdf", data: btoa("%PDF-card"),
+    description: "Vaccination card", category: "11369-6", language: "", creation: "2024-05-01T10:00:00+05:30",
+  }]);
+  const file = attachmentToFile(attachments[0]);
+  expect(file).toMatchObject({ name: "card.pdf", type: "application/pdf", size: 9, lastModified: Date.parse("2024-05-01T04:30:00Z") });
+});
+
+test("the imported patient is matched by ABHA number, address, then name and birth date", () => {
+  expect(findPatientIdx(PATIENTS, { abhaNumber: "91444455556666" })).toBe(1);
+  expect(findPatientIdx(PATIENTS, { abhaNumber: "", abhaAddress: "rohitkumar30@sbx" })).toBe(1);
+  expect(findPatientIdx(PATIENTS, { name: "asha devi", birthDate: "1990-03-05" })).toBe(0);
+  expect(findPatientIdx(PATIENTS, { name: "Asha Devi", birthDate: "1990-03-06" })).toBe(-1);
+  expect(findPatientIdx(PATIENTS, null)).toBe(-1);
+  expect(isoToDateInput("2024-05-01T10:00:00+05:30")).toBe("2024-05-01");
+});
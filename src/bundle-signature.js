@@ -0,0 +1,233 @@
+// src/bundle-signature.js
+/*
+  Bundle.signature for generated documents (WebCrypto, no extra dependency)
+  - Author key: ECDSA P-256, JWS alg ES256; kid = RFC 7638 JWK thumbprint
+  - Signed content: the Bundle canonicalized per FHIR json#document (Bundle.id, Bundle.meta
+    and Bundle.signature removed), keys sorted, no whitespace (RFC 8785 style)
+  - Bundle.signature.data = base64 of a detached compact JWS ("<header>..<signature>");
+    the protected header carries the public JWK so a receiver can check integrity on its own
+  - The practitioner's key is kept in this browser (localStorage) and can be exported /
+    imported as a JWK JSON file
+*/
+
+const ALG = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_ALG = { name: "ECDSA", hash: "SHA-256" };
+const STORAGE_KEY = "ndhm.signingKey";
+
+export const SIGNATURE_TYPE_AUTHOR = {
+  system: "urn:iso-astm:E1762-95:2013",
+  code: "1.2.840.10065.1.12.1.1",
+  display: "Author's Signature",
+};
+export const CANONICALIZATION = "http://hl7.org/fhir/canonicalization/json#document";
+
+function subtle() {
+  const s = window.crypto?.subtle;
+  if (!s) throw new Error("WebCrypto is not available (signing needs a secure context: https or localhost)");
+  return s;
+}
+
+/* ------------------------------- ENCODING -------------------------------- */
+function bytesToBinary(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return out;
+}
+
+function binaryToBytes(bin) {
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function base64url(bytes) {
+  return btoa(bytesToBinary(bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  return binaryToBytes(atob(b64 + "===".slice((b64.length + 3) % 4)));
+}
+
+const utf8 = s => new TextEncoder().encode(s);
+const utf8Decode = b => new TextDecoder().decode(b);
+
+/* ---------------------------- CANONICALIZATION ---------------------------- */
+/* Sorted-key, whitespace-free JSON (undefined members dropped, like JSON.stringify) */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? "null" : canonicalJson(v))).join(",")}]`;
+  const members = Object.keys(value)
+    .filter(k => value[k] !== undefined)
+    .sort()
+    .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+  return `{${members.join(",")}}`;
+}
+
+/* The bytes that get signed: the Bundle without id, meta and signature */
+export function canonicalizeBundle(bundle) {
+  const { id, meta, signature, ...rest } = bundle || {};
+  return canonicalJson(rest);
+}
+
+/* ---------------------------------- KEYS ---------------------------------- */
+function publicJwkOf(jwk) {
+  const { kty, crv, x, y } = jwk;
+  return { kty, crv, x, y };
+}
+
+/* RFC 7638 thumbprint of the public key (base64url SHA-256) */
+export async function jwkThumbprint(jwk) {
+  const { crv, kty, x, y } = jwk;
+  const digest = await subtle().digest("SHA-256", utf8(JSON.stringify({ crv, kty, x, y })));
+  return base64url(new Uint8Array(digest));
+}
+
+/*
+  New author key
+  @returns {Promise<{ kid, privateJwk, publicJwk, createdAt }>}
+*/
+export async function generateSigningKey() {
+  const pair = await subtle().generateKey(ALG, true, ["sign", "verify"]);
+  const privateJwk = await subtle().exportKey("jwk", pair.privateKey);
+  return keyRecordFromJwk(privateJwk);
+}
+
+/*
+  Accepts an exported key file ({ privateJwk, ... }) or a bare EC private JWK; the key is
+  imported once so a malformed file fails here, not at submit time
+*/
+export async function keyRecordFromJwk(input) {
+  const obj = typeof input === "string" ? JSON.parse(input) : input;
+  const privateJwk = obj?.privateJwk || obj;
+  if (privateJwk?.kty !== "EC" || privateJwk?.crv !== "P-256" || !privateJwk.d) {
+    throw new Error("Expected an EC P-256 private key (JWK with kty, crv, x, y, d)");
+  }
+  const clean = { ...publicJwkOf(privateJwk), d: privateJwk.d };
+  await subtle().importKey("jwk", clean, ALG, false, ["sign"]);
+  return {
+    kid: await jwkThumbprint(clean),
+    privateJwk: clean,
+    publicJwk: publicJwkOf(clean),
+    createdAt: obj.createdAt || new Date().toISOString(),
+  };
+}
+
+/* JSON file contents for "Export key" (private) or sharing with receivers (public only) */
+export function exportKeyRecord(record, { includePrivate = true } = {}) {
+  const out = includePrivate
+    ? { kid: record.kid, createdAt: record.createdAt, privateJwk: record.privateJwk, publicJwk: record.publicJwk }
+    : { ...record.publicJwk, kid: record.kid, use: "sig", alg: "ES256" };
+  return JSON.stringify(out, null, 2);
+}
+
+export function loadStoredKey() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("Stored signing key is unreadable", e);
+    return null;
+  }
+}
+
+export function storeKey(record) {
+  if (record) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  else window.localStorage.removeItem(STORAGE_KEY);
+}
+
+/* --------------------------------- SIGNING -------------------------------- */
+/*
+  Returns a copy of the Bundle with Bundle.signature set
+  @param {object} bundle
+  @param {{ keyRecord, who?: { reference, display? }, when?: string }} opts
+    who defaults to the Composition author (so the signer resolves inside the Bundle)
+*/
+export async function signBundle(bundle, { keyRecord, who, when } = {}) {
+  if (!keyRecord?.privateJwk) throw new Error("No signing key");
+  const signer = who || bundle.entry?.[0]?.resource?.author?.[0];
+  if (!signer?.reference) throw new Error("Cannot tell who signs: the Composition has no author");
+
+  const header = { alg: "ES256", kid: keyRecord.kid, jwk: keyRecord.publicJwk };
+  const encodedHeader = base64url(utf8(JSON.stringify(header)));
+  const payload = base64url(utf8(canonicalizeBundle(bundle)));
+  const key = await subtle().importKey("jwk", keyRecord.privateJwk, ALG, false, ["sign"]);
+  const sig = await subtle().sign(SIGN_ALG, key, utf8(`${encodedHeader}.${payload}`));
+  const jws = `${encodedHeader}..${base64url(new Uint8Array(sig))}`;
+
+  return {
+    ...bundle,
+    signature: {
+      type: [SIGNATURE_TYPE_AUTHOR],
+      when: when || bundle.timestamp || new Date().toISOString(),
+      who: signer.display ? { reference: signer.reference, display: signer.display } : { reference: signer.reference },
+      targetFormat: `application/fhir+json;canonicalization=${CANONICALIZATION}`,
+      sigFormat: "application/jose",
+      data: btoa(jws),
+    },
+  };
+}
+
+/*
+  Builder helper: sign with the key stored in this browser, or pass the Bundle through when
+  there is none. If signing fails the user may go on unsigned; null means they cancelled.
+*/
+export async function signWithStoredKey(bundle) {
+  const keyRecord = loadStoredKey();
+  if (!keyRecord) return bundle;
+  try {
+    return await signBundle(bundle, { keyRecord });
+  } catch (e) {
+    console.error("Signing failed:", e);
+    return window.confirm(`Could not sign the bundle (${e.message}). Continue unsigned?`) ? bundle : null;
+  }
+}
+
+/*
+  Check Bundle.signature of a received (or our own) Bundle
+  @param {object} bundle
+  @param {object} [publicJwk]  trusted author key; without it the key embedded in the JWS
+                               header is used, which proves integrity but not who signed
+  @returns {Promise<{ valid: boolean, reason: string, kid?, who?, trustedKey: boolean }>}
+*/
+export async function verifyBundle(bundle, publicJwk) {
+  const fail = (reason, extra = {}) => ({ valid: false, reason, trustedKey: !!publicJwk, ...extra });
+  const sig = bundle?.signature;
+  if (!sig?.data) return fail("Bundle has no signature");
+  if (sig.sigFormat && sig.sigFormat !== "application/jose") return fail(`Unsupported sigFormat ${sig.sigFormat}`);
+
+  let header, encodedHeader, encodedSig;
+  try {
+    const parts = atob(sig.data).split(".");
+    if (parts.length !== 3 || parts[1] !== "") return fail("signature.data is not a detached compact JWS");
+    [encodedHeader, , encodedSig] = parts;
+    header = JSON.parse(utf8Decode(fromBase64url(encodedHeader)));
+  } catch (e) {
+    return fail("signature.data could not be decoded");
+  }
+  if (!header || typeof header !== "object" || Array.isArray(header)) return fail("The JWS header is not a JSON object");
+  if (header.alg !== "ES256") return fail(`Unsupported JWS alg ${header.alg}`);
+
+  const jwk = publicJwk || header.jwk;
+  if (!jwk) return fail("No public key given and none embedded in the JWS header");
+  const meta = { kid: header.kid, who: sig.who?.reference };
+
+  // a malformed key or signature is a failed verification, not an exception
+  let key;
+  try {
+    if (header.kid && header.kid !== (await jwkThumbprint(jwk))) return fail("Signed with a different key", meta);
+    key = await subtle().importKey("jwk", publicJwkOf(jwk), ALG, false, ["verify"]);
+  } catch (e) {
+    return fail(`The public key is not a usable P-256 JWK (${e.message})`, meta);
+  }
+  let ok;
+  try {
+    const payload = base64url(utf8(canonicalizeBundle(bundle)));
+    ok = await subtle().verify(SIGN_ALG, key, fromBase64url(encodedSig), utf8(`${encodedHeader}.${payload}`));
+  } catch (e) {
+    return fail(`The signature could not be checked (${e.message})`, meta);
+  }
+  return ok
+    ? { valid: true, reason: "Signature matches the Bundle content", trustedKey: !!publicJwk, ...meta }
+    : fail("Bundle content was changed after signing", meta);
+}
@@ -0,0 +1,114 @@
+import { webcrypto } from "crypto";
+import { TextEncoder, TextDecoder } from "util";
+import {
+  canonicalJson,
+  canonicalizeBundle,
+  generateSigningKey,
+  keyRecordFromJwk,
+  exportKeyRecord,
+  signBundle,
+  signWithStoredKey,
+  storeKey,
+  verifyBundle,
+  jwkThumbprint,
+} from "./bundle-signature";
+import { ref } from "./fhir-builders";
+import { makeBundle } from "./test-bundles";
+
+// jsdom has no WebCrypto / TextEncoder; Node's are the same standard APIs
+beforeAll(() => {
+  Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+  Object.assign(global, { TextEncoder, TextDecoder });
+});
+
+afterEach(() => storeKey(null));
+
+function wellnessBundle() {
+  return makeBundle({
+    profile: "WellnessRecord",
+    type: { text: "Wellness Record" },
+    title: "Wellness Record — नमस्ते",
+    date: "2024-01-01T10:00:00+05:30",
+    authorDisplay: "Dr. A",
+    section: [{ title: "Notes", text: { status: "generated", div: "<div xmlns=\"http://www.w3.org/1999/xhtml\">ok</div>" } }],
+  });
+}
+
+test("canonical JSON sorts keys, drops whitespace and ignores id/meta/signature", () => {
+  expect(canonicalJson({ b: 1, a: [true, { d: "x", c: null }], u: undefined })).toBe('{"a":[true,{"c":null,"d":"x"}],"b":1}');
+  const b = wellnessBundle();
+  expect(canonicalizeBundle({ ...b, id: "other", meta: {}, signature: { data: "x" } })).toBe(canonicalizeBundle(b));
+});
+
+test("a signed bundle verifies, and any change to its content breaks the signature", async () => {
+  const keyRecord = await generateSigningKey();
+  const signed = await signBundle(wellnessBundle(), { keyRecord });
+
+  expect(signed.signature).toMatchObject({
+    type: [{ code: "1.2.840.10065.1.12.1.1" }],
+    who: { reference: "urn:uuid:d1", display: "Dr. A" },
+    sigFormat: "application/jose",
+  });
+  expect(atob(signed.signature.data)).toMatch(/^[\w-]+\.\.[\w-]+$/);
+
+  expect(await verifyBundle(signed, keyRecord.publicJwk)).toMatchObject({ valid: true, trustedKey: true, kid: keyRecord.kid });
+  expect(await verifyBundle(signed)).toMatchObject({ valid: true, trustedKey: false });
+
+  const tampered = JSON.parse(JSON.stringify(signed));
+  tampered.entry[1].resource.gender = "male";
+  expect(await verifyBundle(tampered, keyRecord.publicJwk)).toMatchObject({ valid: false, reason: expect.stringMatching(/changed after signing/) });
+
+  const otherKey = await generateSigningKey();
+  expect((await verifyBundle(signed, otherKey.publicJwk)).valid).toBe(false);
+  expect((await verifyBundle(wellnessBundle())).reason).toMatch(/no signature/);
+});
+
+test("garbled headers, keys and signatures fail verification instead of throwing", async () => {
+  const keyRecord = await generateSigningKey();
+  const signed = await signBundle(wellnessBundle(), { keyRecord });
+  const [, , encodedSig] = atob(signed.signature.data).split(".");
+  const withData = data => ({ ...signed, signature: { ...signed.signature, data } });
+  const b64url = s => btoa(s).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+
+  expect(await verifyBundle(withData(btoa(`${b64url("null")}..${encodedSig}`)))).toMatchObject({ valid: false, reason: expect.stringMatching(/not a JSON object/) });
+  expect(await verifyBundle(withData("%%%"))).toMatchObject({ valid: false, reason: expect.stringMatching(/could not be decoded/) });
+
+  const badJwkHeader = b64url(JSON.stringify({ alg: "ES256", jwk: { kty: "EC", crv: "P-256", x: "nope", y: "nope" } }));
+  expect(await verifyBundle(withData(btoa(`${badJwkHeader}..${encodedSig}`)))).toMatchObject({ valid: false, reason: expect.stringMatching(/not a usable P-256 JWK/) });
+  expect(await verifyBundle(signed, "not a key")).toMatchObject({ valid: false, reason: "Signed with a different key" });
+});
+
+test("exported keys import back with the same key id; bad files are rejected", async () => {
+  const keyRecord = await generateSigningKey();
+  expect(keyRecord.kid).toBe(await jwkThumbprint(keyRecord.publicJwk));
+
+  const reimported = await keyRecordFromJwk(exportKeyRecord(keyRecord));
+  expect(reimported).toEqual(keyRecord);
+  expect((await keyRecordFromJwk(keyRecord.privateJwk)).kid).toBe(keyRecord.kid);
+
+  const publicOnly = JSON.parse(exportKeyRecord(keyRecord, { includePrivate: false }));
+  expect(publicOnly.d).toBeUndefined();
+  await expect(keyRecordFromJwk(publicOnly)).rejects.toThrow(/private key/);
+});
+
+test("builders sign with the stored key, or pass the bundle through without one", async () => {
+  const bundle = wellnessBundle();
+  expect(await signWithStoredKey(bundle)).toBe(bundle);
+
+  storeKey(await generateSigningKey());
+  const signed = await signWithStoredKey(bundle);
+  expect((await verifyBundle(signed)).valid).toBe(true);
+
+  const noAuthor = { ...bundle, entry: [{ resource: { ...bundle.entry[0].resource, author: undefined } }] };
+  window.confirm = jest.fn(() => false);
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  expect(await signWithStoredKey(noAuthor)).toBeNull();
+  expect(window.confirm).toHaveBeenCalled();
+  console.error.mockRestore();
+});
+
+test("signer can be given explicitly", async () => {
+  const keyRecord = await generateSigningKey();
+  const signed = await signBundle(wellnessBundle(), { keyRecord, who: ref("d1"), when: "2024-01-02T00:00:00+05:30" });
+  expect(signed.signature).toMatchObject({ who: { reference: "urn:uuid:d1" }, when: "2024-01-02T00:00:00+05:30" });
+});
@@ -0,0 +1,390 @@
+// src/certificate-record.js
+import React, { useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  ndhmMeta,
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildDocumentAttachment,
+  buildComposition,
+  buildDocumentBundle,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml } from "./narrative";
+import { buildTextPdfBase64 } from "./pdf-rendition";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { hashAttachments } from "./attachment-metadata";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Medical / Fitness Certificate builder
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - Diagnosis -> Condition (SNOMED coded when picked from terminology.js, else text)
+  - Period of rest (sick leave) -> Composition.event.period
+  - Diagnosis text -> Condition
+  - Practitioner attestation (mode "legal", with time) + declaration printed on the certificate
+  - A printable PDF of the certificate is generated in the browser and embedded as the
+    Binary / DocumentReference content (no placeholder PDF)
+  - Certificate details autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) with Composition (HealthDocumentRecord)
+*/
+
+/* Composition.type (same artifact coding App.js uses for HealthDocumentRecord) */
+const COMPOSITION_DOC_TYPE = { system: "http://snomed.info/sct", code: "419891008", display: "Record artifact" };
+
+const CERTIFICATE_TYPES = {
+  "sick-leave": { label: "Sick leave", heading: "MEDICAL CERTIFICATE FOR SICK LEAVE" },
+  "fitness-work": { label: "Fitness to work", heading: "MEDICAL CERTIFICATE OF FITNESS TO WORK" },
+  "fitness-travel": { label: "Fitness to travel", heading: "MEDICAL CERTIFICATE OF FITNESS TO TRAVEL" },
+};
+
+const ATTESTATION_TEXT = "I hereby certify that I have personally examined the patient and that the particulars stated above are true to the best of my knowledge and belief.";
+
+/* Whole days between two yyyy-mm-dd dates, inclusive */
+export function daysInclusive(from, to) {
+  if (!from || !to) return 0;
+  const ms = new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`);
+  return Math.floor(ms / 86400000) + 1;
+}
+
+/* Certificate body text (shared by the PDF and the narrative) */
+export function certificateStatement({ certType, patientName, diagnosis, periodFrom, periodTo, examinedOn }) {
+  const name = patientName?.trim() || "the patient";
+  const dx = diagnosis.trim();
+  if (certType === "sick-leave") {
+    const days = daysInclusive(periodFrom, periodTo);
+    return `This is to certify that ${name} was examined by me on ${examinedOn}${dx ? ` and is suffering from ${dx}` : ""}. ` +
+      `The patient is advised rest for ${days} day(s), from ${periodFrom} to ${periodTo} (both days inclusive).`;
+  }
+  if (certType === "fitness-work") {
+    return `This is to certify that ${name} was examined by me on ${examinedOn}${dx ? ` following ${dx}` : ""} ` +
+      `and is medically fit to resume duties from ${periodFrom}.`;
+  }
+  return `This is to certify that ${name} was examined by me on ${examinedOn} and is medically fit to travel` +
+    `${periodFrom ? ` from ${periodFrom}` : ""}${periodTo ? ` to ${periodTo}` : ""}.${dx ? ` Relevant condition: ${dx}.` : ""}`;
+}
+
+/* Form errors for the certificate fields (yyyy-mm-dd periods) */
+export function certificateErrors({ certType, diagnosis, periodFrom, periodTo, attested }) {
+  const errors = [];
+  if (certType === "sick-leave") {
+    if (!diagnosis.trim()) errors.push("Diagnosis is required for a sick leave certificate.");
+    if (!periodFrom || !periodTo) errors.push("Period of rest (from / to) is required.");
+    else if (periodFrom > periodTo) errors.push("Period of rest: 'to' date is before 'from' date.");
+  }
+  if (certType === "fitness-work" && !periodFrom) errors.push("Enter the date from which the patient may resume duties.");
+  if (certType === "fitness-travel" && periodFrom && periodTo && periodFrom > periodTo) errors.push("Travel period: 'to' date is before 'from' date.");
+  if (!attested) errors.push("The practitioner must confirm the attestation.");
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function CertificateRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+  const [custodianName, setCustodianName] = useState("");
+
+  /* Certificate fields */
+  const [certType, setCertType] = useState("sick-leave");
+  const [diagnosis, setDiagnosis] = useState("");
+  const [diagnosisTerm, setDiagnosisTerm] = useState(null);
+  const [periodFrom, setPeriodFrom] = useState("");
+  const [periodTo, setPeriodTo] = useState("");
+  const [remarks, setRemarks] = useState("");
+  const [attested, setAttested] = useState(false);
+
+  /* Printed certificate layout (letterhead, heading, statement, attestation, signature block) */
+  function certificatePdfLines(authoredOn) {
+    const p = selectedPatient;
+    const examinedOn = authoredOn.slice(0, 10);
+    return [
+      ...(custodianName ? [{ text: custodianName, size: 14, bold: true, center: true }] : []),
+      { text: CERTIFICATE_TYPES[certType].heading, size: 15, bold: true, center: true, gapBefore: 12 },
+      { text: `Date: ${examinedOn}`, gapBefore: 18 },
+      { text: `Patient: ${p.name || ""}${p.gender ? `, ${p.gender}` : ""}${p.dob ? `, DOB ${p.dob}` : ""}` },
+      ...(p.abha_ref ? [{ text: `ABHA Number: ${p.abha_ref}` }] : []),
+      { text: certificateStatement({ certType, patientName: selectedPatient?.name, diagnosis, periodFrom, periodTo, examinedOn }), gapBefore: 18 },
+      ...(remarks.trim() ? [{ text: `Remarks: ${remarks.trim()}`, gapBefore: 10 }] : []),
+      { text: ATTESTATION_TEXT, gapBefore: 24 },
+      { text: practitioner.name, bold: true, gapBefore: 36 },
+      { text: `Registration / License No: ${practitioner.license}` },
+      { text: `Signed on: ${authoredOn}` },
+    ];
+  }
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "certificate",
+    { status, dateTimeLocal, custodianName, certType, diagnosis, diagnosisTerm, periodFrom, periodTo, remarks, attested },
+    d => {
+      setStatus(d.status);
+      setDateTimeLocal(d.dateTimeLocal);
+      setCustodianName(d.custodianName);
+      setCertType(d.certType);
+      setDiagnosis(d.diagnosis);
+      setDiagnosisTerm(d.diagnosisTerm);
+      setPeriodFrom(d.periodFrom);
+      setPeriodTo(d.periodTo);
+      setRemarks(d.remarks);
+      setAttested(d.attested);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    errors.push(...certificateErrors({ certType, diagnosis, periodFrom, periodTo, attested }));
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+    const examinedOn = authoredOn.slice(0, 10);
+    const cert = CERTIFICATE_TYPES[certType];
+    const statement = certificateStatement({ certType, patientName: selectedPatient?.name, diagnosis, periodFrom, periodTo, examinedOn });
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const conditionId = diagnosis.trim() ? uuidv4() : null;
+    const custodianOrgId = custodianName ? uuidv4() : null;
+    const binaryId = uuidv4();
+    const docRefId = uuidv4();
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+
+    function buildConditionResource() {
+      if (!conditionId) return null;
+      return {
+        resourceType: "Condition",
+        id: conditionId,
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("Condition"),
+        text: buildNarrative("Condition", xhtml`<p>${diagnosis.trim()}</p>`),
+        clinicalStatus: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: certType === "fitness-work" ? "resolved" : "active" }] },
+        code: toCodeableConcept(diagnosisTerm, diagnosis),
+        subject: ref(patientId),
+        recordedDate: authoredOn,
+        recorder: ref(practitionerRes.id),
+      };
+    }
+
+    // Printable certificate rendered to PDF and embedded as Binary + DocumentReference
+    function buildCertificatePdfResources() {
+      const dataB64 = buildTextPdfBase64(certificatePdfLines(authoredOn));
+      const title = `${cert.label.toLowerCase().replace(/\s+/g, "-")}-certificate-${examinedOn}.pdf`;
+
+      return buildDocumentAttachment({
+        docRefId,
+        binaryId,
+        patientId,
+        authorId: practitionerRes.id,
+        type: { coding: [COMPOSITION_DOC_TYPE], text: `${cert.label} certificate` },
+        title,
+        contentType: "application/pdf",
+        data: dataB64,
+        date: authoredOn,
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const custodianRes = buildOrganization({ id: custodianOrgId, name: custodianName });
+    const conditionRes = buildConditionResource();
+    const { binary, docRef } = buildCertificatePdfResources();
+
+    const compositionRes = buildComposition({
+      id: compId,
+      profile: "HealthDocumentRecord",
+      type: { coding: [COMPOSITION_DOC_TYPE], text: `${cert.label} certificate` },
+      title: `${cert.label} certificate`,
+      status,
+      patientId,
+      date: authoredOn,
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      attester: [{ mode: "legal", time: authoredOn, party: ref(practitionerRes.id) }],
+      custodianId: custodianOrgId,
+      narrative: xhtml`<p>${statement}</p><p>${ATTESTATION_TEXT}</p><p>${practitioner.name} (${practitioner.license})</p>`,
+      ...(periodFrom
+        ? {
+          event: [{
+            code: [{ text: certType === "sick-leave" ? "Period of rest" : certType === "fitness-work" ? "Fit to resume duties" : "Fit to travel" }],
+            period: { start: periodFrom, ...(periodTo && certType !== "fitness-work" ? { end: periodTo } : {}) },
+          }],
+        }
+        : {}),
+      section: [
+        {
+          title: "Certificate",
+          code: { coding: [COMPOSITION_DOC_TYPE], text: COMPOSITION_DOC_TYPE.display },
+          entry: [docRef, conditionRes].filter(Boolean).map(entryRef),
+        },
+      ],
+    });
+
+    // Attachment.hash (SHA-1) on the certificate PDF
+    const bundle = await hashAttachments(buildDocumentBundle({
+      idPrefix: "CertificateBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, custodianRes, conditionRes, docRef, binary],
+    }));
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "certificate", label: `Certificate — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* Open the generated PDF in a new tab so it can be printed before submitting */
+  function onPreviewPdf() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+    const b64 = buildTextPdfBase64(certificatePdfLines(localDatetimeToISOWithOffset(dateTimeLocal)));
+    const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: "application/pdf" }));
+    window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Medical / Fitness Certificate — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Certifying Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Certificate */}
+      <div className="card mb-3">
+        <div className="card-header">3. Certificate <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-4">
+              <label className="form-label">Certificate type</label>
+              <select className="form-select" value={certType} onChange={e => setCertType(e.target.value)}>
+                {Object.entries(CERTIFICATE_TYPES).map(([k, c]) => <option key={k} value={k}>{c.label}</option>)}
+              </select>
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Examined on</label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Status</label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+
+            <div className="col-md-6">
+              <label className="form-label">Diagnosis {certType === "sick-leave" && <span className="text-danger">*</span>}</label>
+              <TermPicker valueSet="conditions" value={diagnosis} term={diagnosisTerm} onChange={(text, term) => { setDiagnosis(text); setDiagnosisTerm(term); }} placeholder="e.g. Fever" />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">{certType === "sick-leave" ? "Rest from" : certType === "fitness-work" ? "Fit to resume from" : "Travel from"}</label>
+              <input type="date" className="form-control" value={periodFrom} onChange={e => setPeriodFrom(e.target.value)} />
+            </div>
+            {certType !== "fitness-work" && (
+              <div className="col-md-3">
+                <label className="form-label">{certType === "sick-leave" ? "Rest to" : "Travel to (optional)"}</label>
+                <input type="date" className="form-control" value={periodTo} onChange={e => setPeriodTo(e.target.value)} />
+              </div>
+            )}
+            {certType === "sick-leave" && periodFrom && periodTo && periodFrom <= periodTo && (
+              <div className="col-12 form-text">{daysInclusive(periodFrom, periodTo)} day(s) of rest</div>
+            )}
+
+            <div className="col-md-6">
+              <label className="form-label">Remarks (optional)</label>
+              <input className="form-control" value={remarks} onChange={e => setRemarks(e.target.value)} placeholder="e.g. Avoid strenuous activity" />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Facility / letterhead (optional)</label>
+              <input className="form-control" value={custodianName} onChange={e => setCustodianName(e.target.value)} placeholder="Organization name (custodian)" />
+            </div>
+
+            <div className="col-12">
+              <div className="form-check">
+                <input className="form-check-input" type="checkbox" id="cert-attest" checked={attested} onChange={e => setAttested(e.target.checked)} />
+                <label className="form-check-label" htmlFor="cert-attest">{ATTESTATION_TEXT}</label>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4 d-flex gap-2">
+        <button className="btn btn-outline-secondary" onClick={onPreviewPdf}>Preview PDF</button>
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { daysInclusive, certificateStatement, certificateErrors } from "./certificate-record";
+
+const SICK_LEAVE = { certType: "sick-leave", patientName: " Asha Devi ", diagnosis: "Viral fever", periodFrom: "2024-05-01", periodTo: "2024-05-03", examinedOn: "2024-05-01", attested: true };
+
+test("rest days count both ends, across month ends", () => {
+  expect(daysInclusive("2024-05-01", "2024-05-03")).toBe(3);
+  expect(daysInclusive("2024-02-28", "2024-03-01")).toBe(3);
+  expect(daysInclusive("2024-05-01", "2024-05-01")).toBe(1);
+  expect(daysInclusive("", "2024-05-01")).toBe(0);
+});
+
+test("the statement follows the certificate type", () => {
+  expect(certificateStatement(SICK_LEAVE)).toBe(
+    "This is to certify that Asha Devi was examined by me on 2024-05-01 and is suffering from Viral fever. " +
+    "The patient is advised rest for 3 day(s), from 2024-05-01 to 2024-05-03 (both days inclusive).",
+  );
+  expect(certificateStatement({ ...SICK_LEAVE, certType: "fitness-work", diagnosis: "", periodFrom: "2024-05-04" })).toBe(
+    "This is to certify that Asha Devi was examined by me on 2024-05-01 and is medically fit to resume duties from 2024-05-04.",
+  );
+  expect(certificateStatement({ ...SICK_LEAVE, certType: "fitness-travel", patientName: "", periodFrom: "", periodTo: "" })).toBe(
+    "This is to certify that the patient was examined by me on 2024-05-01 and is medically fit to travel. Relevant condition: Viral fever.",
+  );
+});
+
+test("each type checks its own fields, and attestation is always required", () => {
+  expect(certificateErrors(SICK_LEAVE)).toEqual([]);
+  expect(certificateErrors({ ...SICK_LEAVE, diagnosis: " ", periodTo: "", attested: false })).toEqual([
+    "Diagnosis is required for a sick leave certificate.",
+    "Period of rest (from / to) is required.",
+    "The practitioner must confirm the attestation.",
+  ]);
+  expect(certificateErrors({ ...SICK_LEAVE, periodFrom: "2024-05-04" })).toEqual(["Period of rest: 'to' date is before 'from' date."]);
+  expect(certificateErrors({ ...SICK_LEAVE, certType: "fitness-work", diagnosis: "", periodFrom: "" })).toEqual(["Enter the date from which the patient may resume duties."]);
+  expect(certificateErrors({ ...SICK_LEAVE, certType: "fitness-travel", periodFrom: "2024-05-04" })).toEqual(["Travel period: 'to' date is before 'from' date."]);
+});
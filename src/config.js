@@ -0,0 +1,118 @@
+// src/config.js
+/*
+  Runtime environment profiles (sandbox, UAT, production, local mock)
+  - Every builder reaches the backend through these URLs: patient lookup, bundle
+    submission (outbox.js), auth and the NDHM StructureDefinition base (fhir-builders.js)
+  - Chosen once at startup: ?env=<name> (remembered), then the last choice in this
+    browser, then REACT_APP_ENV at build time, then "uat"
+  - REACT_APP_API_BASE / REACT_APP_NDHM_PROFILE_BASE override the chosen profile for a
+    deployment; a host page can still set window.GlobalPatientAPI for patient lookup
+  - "mock" needs no server: patients come from public/patients.json and the API calls
+    are answered in the browser (mock-api.js)
+  - Attachment limits (attachment-intake.js) are the same in every environment:
+    REACT_APP_MAX_ATTACHMENT_MB per file, REACT_APP_MAX_BUNDLE_ATTACHMENTS_MB per bundle
+*/
+
+const STORAGE_KEY = "ndhm.environment";
+const NDHM_PROFILE_BASE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/";
+const MB = 1024 * 1024;
+
+function apiProfile(label, apiBase) {
+  return {
+    label,
+    apiBase,
+    patientsUrl: `${apiBase}/api/v5/patients`,
+    fhirBundleUrl: `${apiBase}/api/v5/fhir-bundle`,
+    authUrl: `${apiBase}/api/v5/auth`,
+    ndhmProfileBase: NDHM_PROFILE_BASE,
+    mock: false,
+  };
+}
+
+export const ENVIRONMENTS = {
+  sandbox: apiProfile("Sandbox", "https://sandbox.discharge.org.in"),
+  uat: apiProfile("UAT", "https://uat.discharge.org.in"),
+  production: apiProfile("Production", "https://discharge.org.in"),
+  mock: {
+    label: "Local mock",
+    apiBase: "",
+    patientsUrl: "/patients.json",
+    fhirBundleUrl: "/mock-api/fhir-bundle",
+    authUrl: "/mock-api/auth",
+    ndhmProfileBase: NDHM_PROFILE_BASE,
+    mock: true,
+  },
+};
+
+export const DEFAULT_ENVIRONMENT = "uat";
+
+function storedEnvironment() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+function rememberEnvironment(name) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name);
+  } catch {
+    // private mode: the choice only lasts for this page load
+  }
+}
+
+/* Environment name for this page load */
+export function resolveEnvironmentName() {
+  const fromQuery = new URLSearchParams(window.location.search).get("env") || "";
+  if (ENVIRONMENTS[fromQuery]) {
+    rememberEnvironment(fromQuery);
+    return fromQuery;
+  }
+  const candidates = [storedEnvironment(), process.env.REACT_APP_ENV];
+  return candidates.find(name => ENVIRONMENTS[name]) || DEFAULT_ENVIRONMENT;
+}
+
+/* Megabytes from a build variable, or the default when unset / not a positive number */
+function megabytes(value, fallback) {
+  const n = Number(value);
+  return (n > 0 ? n : fallback) * MB;
+}
+
+function buildConfig(name) {
+  const profile = ENVIRONMENTS[name];
+  const apiBase = process.env.REACT_APP_API_BASE;
+  const overridden = apiBase && !profile.mock ? apiProfile(profile.label, apiBase.replace(/\/+$/, "")) : profile;
+  return {
+    ...overridden,
+    name,
+    ndhmProfileBase: process.env.REACT_APP_NDHM_PROFILE_BASE || overridden.ndhmProfileBase,
+    attachmentLimits: {
+      maxFileBytes: megabytes(process.env.REACT_APP_MAX_ATTACHMENT_MB, 5),
+      maxBundleBytes: megabytes(process.env.REACT_APP_MAX_BUNDLE_ATTACHMENTS_MB, 20),
+    },
+  };
+}
+
+let current = null;
+
+/* The active profile: { name, label, apiBase, patientsUrl, fhirBundleUrl, authUrl, ndhmProfileBase, mock, attachmentLimits } */
+export function getConfig() {
+  if (!current) current = buildConfig(resolveEnvironmentName());
+  return current;
+}
+
+/* Switch environment: remembered, then the app restarts on it (loaded data belongs to the old one) */
+export function switchEnvironment(name) {
+  if (!ENVIRONMENTS[name]) throw new Error(`Unknown environment "${name}"`);
+  rememberEnvironment(name);
+  const q = new URLSearchParams(window.location.search);
+  q.delete("env");
+  const search = q.toString();
+  window.location.assign(`${window.location.pathname}${search ? `?${search}` : ""}`);
+}
+
+/* For tests: forget the resolved profile so the next getConfig() resolves again */
+export function resetConfig() {
+  current = null;
+}
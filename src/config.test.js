@@ -0,0 +1,48 @@
+import { getConfig, resetConfig, resolveEnvironmentName, ENVIRONMENTS } from "./config";
+import { apiClient } from "./api-client";
+import { ndhmMeta } from "./fhir-builders";
+import { login, logout } from "./auth";
+
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+  resetConfig();
+});
+
+test("environment comes from ?env=, then the remembered choice, then the default", () => {
+  expect(resolveEnvironmentName()).toBe("uat");
+
+  window.localStorage.setItem("ndhm.environment", "sandbox");
+  expect(resolveEnvironmentName()).toBe("sandbox");
+
+  window.history.replaceState(null, "", "/prescription?env=production&patient=46");
+  expect(resolveEnvironmentName()).toBe("production");
+  expect(window.localStorage.getItem("ndhm.environment")).toBe("production");
+
+  window.history.replaceState(null, "", "/?env=nowhere");
+  expect(resolveEnvironmentName()).toBe("production");
+});
+
+test("the active profile drives the API and NDHM profile URLs", () => {
+  window.history.replaceState(null, "", "/?env=sandbox");
+  const config = getConfig();
+  expect(config).toMatchObject({ name: "sandbox", mock: false });
+  expect(config.patientsUrl).toBe("https://sandbox.discharge.org.in/api/v5/patients");
+  expect(config.fhirBundleUrl).toBe("https://sandbox.discharge.org.in/api/v5/fhir-bundle");
+  expect(ndhmMeta("Patient")).toEqual({ profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] });
+  expect(Object.keys(ENVIRONMENTS)).toEqual(["sandbox", "uat", "production", "mock"]);
+});
+
+test("the local mock answers sign-in and bundle submissions in the browser", async () => {
+  window.history.replaceState(null, "", "/?env=mock");
+  const { fhirBundleUrl, patientsUrl } = getConfig();
+  expect(patientsUrl).toBe("/patients.json");
+  await login("dr.verma", "secret");
+
+  const res = await apiClient.post(fhirBundleUrl, { bundle: { resourceType: "Bundle" }, patient: 101 });
+  expect(res.status).toBe(201);
+  expect(res.data).toMatchObject({ status: "accepted", mock: true });
+
+  await expect(apiClient.post(fhirBundleUrl, { patient: 101 })).rejects.toMatchObject({ response: { status: 400 } });
+  logout();
+});
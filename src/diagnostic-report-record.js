@@ -0,0 +1,492 @@
+// src/diagnostic-report-record.js
+import React, { useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildComposition,
+  buildDocumentBundle,
+  ndhmMeta,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml, paragraphs } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { findTerm, toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Diagnostic Report Record builder (NDHM DiagnosticReportRecord) — lab results
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - Pick a panel (CBC, lipid profile, ...) to pre-fill analyte rows, or build a custom panel
+  - Each analyte row (name, LOINC, value, unit, reference range) becomes an Observation
+    with valueQuantity, referenceRange and an H/L/N interpretation
+  - Analyte names search the local LOINC subset (terminology.js); picking fills LOINC and unit
+  - Panel and result rows autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) containing:
+      Composition (DiagnosticReportRecord, SNOMED 721981007 "Diagnostic studies report")
+      Patient
+      Practitioner
+      (optional) Organization (performing laboratory)
+      DiagnosticReport (DiagnosticReportLab) referencing the Observations
+      Observation(s)
+*/
+
+/* Fixed SNOMED coding for Composition.type and the report section */
+const SNOMED_DIAGNOSTIC_REPORT = { system: "http://snomed.info/sct", code: "721981007", display: "Diagnostic studies report" };
+
+/* v2-0074 diagnostic service section for lab reports */
+const LAB_CATEGORY = { system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" };
+
+const INTERPRETATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation";
+const INTERPRETATIONS = {
+  H: { system: INTERPRETATION_SYSTEM, code: "H", display: "High" },
+  L: { system: INTERPRETATION_SYSTEM, code: "L", display: "Low" },
+  N: { system: INTERPRETATION_SYSTEM, code: "N", display: "Normal" },
+};
+
+/* Lab panels (LOINC) with default analytes, UCUM units and adult reference ranges */
+const LAB_PANELS = {
+  CBC: {
+    code: "58410-2",
+    display: "CBC panel - Blood by Automated count",
+    analytes: [
+      { name: "Hemoglobin", loinc: "718-7", unit: "g/dL", low: "13", high: "17" },
+      { name: "Hematocrit", loinc: "4544-3", unit: "%", low: "40", high: "50" },
+      { name: "Erythrocytes", loinc: "789-8", unit: "10*6/uL", low: "4.5", high: "5.5" },
+      { name: "Leukocytes", loinc: "6690-2", unit: "10*3/uL", low: "4", high: "11" },
+      { name: "Platelets", loinc: "777-3", unit: "10*3/uL", low: "150", high: "410" },
+      { name: "MCV", loinc: "787-2", unit: "fL", low: "83", high: "101" },
+      { name: "MCH", loinc: "785-6", unit: "pg", low: "27", high: "32" },
+      { name: "MCHC", loinc: "786-4", unit: "g/dL", low: "31.5", high: "34.5" },
+    ],
+  },
+  LIPID: {
+    code: "57698-3",
+    display: "Lipid panel with direct LDL - Serum or Plasma",
+    analytes: [
+      { name: "Cholesterol, total", loinc: "2093-3", unit: "mg/dL", low: "", high: "200" },
+      { name: "Triglyceride", loinc: "2571-8", unit: "mg/dL", low: "", high: "150" },
+      { name: "HDL cholesterol", loinc: "2085-9", unit: "mg/dL", low: "40", high: "" },
+      { name: "LDL cholesterol (direct)", loinc: "18262-6", unit: "mg/dL", low: "", high: "100" },
+      { name: "VLDL cholesterol", loinc: "13458-5", unit: "mg/dL", low: "", high: "30" },
+    ],
+  },
+  RENAL: {
+    code: "24362-6",
+    display: "Renal function 2000 panel - Serum or Plasma",
+    analytes: [
+      { name: "Urea", loinc: "3091-6", unit: "mg/dL", low: "15", high: "40" },
+      { name: "Creatinine", loinc: "2160-0", unit: "mg/dL", low: "0.7", high: "1.3" },
+      { name: "Uric acid", loinc: "3084-1", unit: "mg/dL", low: "3.5", high: "7.2" },
+    ],
+  },
+  GLUCOSE: {
+    code: "",
+    display: "Blood glucose",
+    analytes: [
+      { name: "Fasting glucose", loinc: "1558-6", unit: "mg/dL", low: "70", high: "100" },
+      { name: "Hemoglobin A1c", loinc: "4548-4", unit: "%", low: "", high: "5.7" },
+    ],
+  },
+  CUSTOM: { code: "", display: "Custom panel", analytes: [] },
+};
+
+function emptyAnalyte() {
+  return { name: "", term: null, loinc: "", value: "", unit: "", low: "", high: "" };
+}
+
+/* Reference bounds as entered, trimmed ("" when not given) */
+function bounds(a) {
+  return { low: String(a.low).trim(), high: String(a.high).trim() };
+}
+
+/* H / L / N from the numeric value and the (optional) reference range bounds */
+export function interpretValue(a) {
+  const v = Number(a.value);
+  const { low, high } = bounds(a);
+  if (!String(a.value).trim() || Number.isNaN(v)) return null;
+  if (low !== "" && v < Number(low)) return "L";
+  if (high !== "" && v > Number(high)) return "H";
+  if (low === "" && high === "") return null;
+  return "N";
+}
+
+export function referenceRangeText(a) {
+  const { low, high } = bounds(a);
+  if (low !== "" && high !== "") return `${low} - ${high} ${a.unit}`.trim();
+  if (low !== "") return `> ${low} ${a.unit}`.trim();
+  if (high !== "") return `< ${high} ${a.unit}`.trim();
+  return "";
+}
+
+/* Observation.referenceRange entry (UCUM quantities + text); null without bounds */
+export function referenceRange(a) {
+  const { low, high } = bounds(a);
+  const range = {};
+  if (low !== "") range.low = { value: Number(low), unit: a.unit, system: "http://unitsofmeasure.org", code: a.unit };
+  if (high !== "") range.high = { value: Number(high), unit: a.unit, system: "http://unitsofmeasure.org", code: a.unit };
+  if (referenceRangeText(a)) range.text = referenceRangeText(a);
+  return Object.keys(range).length ? range : null;
+}
+
+/* A filled analyte row: a name and a result (blank text counts as empty) */
+function hasResult(a) {
+  return Boolean(a.name && a.name.trim() && String(a.value).trim());
+}
+
+/* Number("  ") is 0, so blanks are not numeric */
+function isNumeric(v) {
+  return String(v).trim() !== "" && !Number.isNaN(Number(v));
+}
+
+/* Form errors for the analyte rows (rows without a name or value are ignored) */
+export function analyteErrors(analytes) {
+  const errors = [];
+  if (!analytes.some(hasResult)) errors.push("Enter a result for at least one analyte.");
+  analytes.forEach((a, i) => {
+    if (!hasResult(a)) return;
+    const label = `Row ${i + 1} (${a.name.trim()})`;
+    const { low, high } = bounds(a);
+    if (!isNumeric(a.value)) errors.push(`${label}: value must be numeric.`);
+    if (low && !isNumeric(low)) errors.push(`${label}: reference low must be numeric.`);
+    if (high && !isNumeric(high)) errors.push(`${label}: reference high must be numeric.`);
+    if (isNumeric(low) && isNumeric(high) && Number(low) > Number(high)) errors.push(`${label}: reference low is above high.`);
+  });
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function DiagnosticReportRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [title, setTitle] = useState("Diagnostic Report");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+
+  /* Report fields */
+  const [panelKey, setPanelKey] = useState("CBC");
+  const [panelName, setPanelName] = useState(LAB_PANELS.CBC.display);
+  const [collectedLocal, setCollectedLocal] = useState("");
+  const [labName, setLabName] = useState("");
+  const [conclusion, setConclusion] = useState("");
+  const [analytes, setAnalytes] = useState(() => LAB_PANELS.CBC.analytes.map(a => ({ ...emptyAnalyte(), ...a })));
+
+  function selectPanel(key) {
+    const panel = LAB_PANELS[key];
+    setPanelKey(key);
+    setPanelName(key === "CUSTOM" ? "" : panel.display);
+    setAnalytes(panel.analytes.length ? panel.analytes.map(a => ({ ...emptyAnalyte(), ...a })) : [emptyAnalyte()]);
+  }
+  function addAnalyte() {
+    setAnalytes(prev => [...prev, emptyAnalyte()]);
+  }
+  function updateAnalyte(i, key, val) {
+    setAnalytes(prev => prev.map((a, idx) => (idx === i ? { ...a, [key]: val } : a)));
+  }
+  function removeAnalyte(i) {
+    setAnalytes(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "diagnostic-report",
+    { status, title, dateTimeLocal, panelKey, panelName, collectedLocal, labName, conclusion, analytes },
+    d => {
+      setStatus(d.status);
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setPanelKey(d.panelKey);
+      setPanelName(d.panelName);
+      setCollectedLocal(d.collectedLocal);
+      setLabName(d.labName);
+      setConclusion(d.conclusion);
+      setAnalytes(d.analytes);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (!title || !title.trim()) errors.push("Title is required.");
+    if (!panelName || !panelName.trim()) errors.push("Panel name is required.");
+    errors.push(...analyteErrors(analytes));
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+    const effective = collectedLocal ? localDatetimeToISOWithOffset(collectedLocal) : authoredOn;
+    const rows = analytes.filter(hasResult);
+    const panel = LAB_PANELS[panelKey];
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const reportId = uuidv4();
+    const labOrgId = labName ? uuidv4() : null;
+    const obsIds = rows.map(() => uuidv4());
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+
+    // One Observation per analyte row
+    function buildObservationResources() {
+      return rows.map((a, idx) => {
+        const flag = interpretValue(a);
+        const range = referenceRangeText(a);
+        const term = a.term || findTerm("labTests", a.loinc);
+        const refRange = referenceRange(a);
+
+        return {
+          resourceType: "Observation",
+          id: obsIds[idx],
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("Observation"),
+          text: buildNarrative("Observation", xhtml`<p>${a.name}: ${a.value} ${a.unit}${range ? ` (ref ${range})` : ""}${flag && flag !== "N" ? ` [${INTERPRETATIONS[flag].display}]` : ""}</p>`),
+          status: status === "preliminary" ? "preliminary" : "final",
+          category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }] }],
+          code: term
+            ? toCodeableConcept(term, a.name)
+            : a.loinc
+              ? { coding: [{ system: "http://loinc.org", code: a.loinc, display: a.name }], text: a.name }
+              : { text: a.name },
+          subject: { reference: `urn:uuid:${patientId}` },
+          effectiveDateTime: effective,
+          performer: [{ reference: `urn:uuid:${labOrgId || practitionerRes.id}` }],
+          valueQuantity: { value: Number(a.value), unit: a.unit || undefined, system: a.unit ? "http://unitsofmeasure.org" : undefined, code: a.unit || undefined },
+          ...(flag ? { interpretation: [{ coding: [INTERPRETATIONS[flag]], text: INTERPRETATIONS[flag].display }] } : {}),
+          ...(refRange ? { referenceRange: [refRange] } : {}),
+        };
+      });
+    }
+
+    function buildDiagnosticReportResource(observations) {
+      const abnormal = rows.filter(a => ["H", "L"].includes(interpretValue(a))).map(a => a.name);
+      return {
+        resourceType: "DiagnosticReport",
+        id: reportId,
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("DiagnosticReportLab"),
+        text: buildNarrative("DiagnosticReport", paragraphs(panelName, abnormal.length && `Out of range: ${abnormal.join(", ")}`, conclusion)),
+        status: status === "preliminary" ? "preliminary" : "final",
+        category: [{ coding: [LAB_CATEGORY], text: LAB_CATEGORY.display }],
+        code: panel.code && panelName === panel.display
+          ? { coding: [{ system: "http://loinc.org", code: panel.code, display: panel.display }], text: panel.display }
+          : { text: panelName },
+        subject: { reference: `urn:uuid:${patientId}` },
+        effectiveDateTime: effective,
+        issued: authoredOn,
+        performer: [{ reference: `urn:uuid:${labOrgId || practitionerRes.id}` }],
+        resultsInterpreter: [{ reference: `urn:uuid:${practitionerRes.id}` }],
+        result: observations.map(o => ({ reference: `urn:uuid:${o.id}` })),
+        ...(conclusion ? { conclusion } : {}),
+      };
+    }
+
+    function buildCompositionResource(report) {
+      return buildComposition({
+        id: compId,
+        profile: "DiagnosticReportRecord",
+        type: { coding: [SNOMED_DIAGNOSTIC_REPORT], text: SNOMED_DIAGNOSTIC_REPORT.display },
+        title,
+        status,
+        patientId,
+        date: authoredOn,
+        authorId: practitionerRes.id,
+        authorDisplay: practitioner.name,
+        custodianId: labOrgId,
+        narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p><p>${panelName}</p>`,
+        section: [
+          {
+            title: panelName,
+            code: { coding: [SNOMED_DIAGNOSTIC_REPORT], text: SNOMED_DIAGNOSTIC_REPORT.display },
+            entry: [entryRef(report)],
+          },
+        ],
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const labOrgRes = buildOrganization({ id: labOrgId, name: labName });
+    const observationResources = buildObservationResources();
+    const reportRes = buildDiagnosticReportResource(observationResources);
+    const compositionRes = buildCompositionResource(reportRes);
+
+    // Build Bundle
+    const bundle = buildDocumentBundle({
+      idPrefix: "DiagnosticReportBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, labOrgRes, reportRes, ...observationResources],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "diagnostic-report", label: `Diagnostic Report — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Diagnostic Report Record — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Reporting Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Composition metadata */}
+      <div className="card mb-3">
+        <div className="card-header">3. Composition Metadata</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">Status <span className="text-danger">*</span></label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Title <span className="text-danger">*</span></label>
+              <input className="form-control" value={title} onChange={e => setTitle(e.target.value)} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Report Date/Time <span className="text-danger">*</span></label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. Panel */}
+      <div className="card mb-3">
+        <div className="card-header">4. Lab Panel <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3 mb-3">
+            <div className="col-md-3">
+              <label className="form-label">Panel</label>
+              <select className="form-select" value={panelKey} onChange={e => selectPanel(e.target.value)}>
+                {Object.entries(LAB_PANELS).map(([k, p]) => <option key={k} value={k}>{p.display}</option>)}
+              </select>
+            </div>
+            <div className="col-md-5">
+              <label className="form-label">Panel name</label>
+              <input className="form-control" value={panelName} onChange={e => setPanelName(e.target.value)} placeholder="e.g. Thyroid profile" />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Sample collected (optional)</label>
+              <input type="datetime-local" className="form-control" value={collectedLocal} onChange={e => setCollectedLocal(e.target.value)} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Performing laboratory (optional)</label>
+              <input className="form-control" value={labName} onChange={e => setLabName(e.target.value)} placeholder="Laboratory name" />
+            </div>
+          </div>
+
+          <div className="row g-2 fw-semibold small mb-1">
+            <div className="col-md-3">Analyte</div>
+            <div className="col-md-2">LOINC</div>
+            <div className="col-md-2">Value</div>
+            <div className="col-md-1">Unit</div>
+            <div className="col-md-1">Low</div>
+            <div className="col-md-1">High</div>
+            <div className="col-md-1">Flag</div>
+          </div>
+          {analytes.map((a, i) => {
+            const flag = interpretValue(a);
+            return (
+              <div key={i} className="row g-2 align-items-center mb-2">
+                <div className="col-md-3">
+                  <TermPicker
+                    valueSet="labTests"
+                    value={a.name}
+                    term={a.term}
+                    onChange={(text, term) => setAnalytes(prev => prev.map((x, idx) => (idx === i ? { ...x, name: text, term, ...(term ? { loinc: term.code, unit: x.unit || term.unit || "" } : {}) } : x)))}
+                    placeholder="Analyte"
+                  />
+                </div>
+                <div className="col-md-2"><input className="form-control" value={a.loinc} onChange={e => updateAnalyte(i, "loinc", e.target.value)} placeholder="e.g. 718-7" /></div>
+                <div className="col-md-2"><input className="form-control" value={a.value} onChange={e => updateAnalyte(i, "value", e.target.value)} placeholder="Result" /></div>
+                <div className="col-md-1"><input className="form-control" value={a.unit} onChange={e => updateAnalyte(i, "unit", e.target.value)} /></div>
+                <div className="col-md-1"><input className="form-control" value={a.low} onChange={e => updateAnalyte(i, "low", e.target.value)} /></div>
+                <div className="col-md-1"><input className="form-control" value={a.high} onChange={e => updateAnalyte(i, "high", e.target.value)} /></div>
+                <div className="col-md-1">
+                  {flag && <span className={`badge ${flag === "N" ? "bg-success" : "bg-danger"}`}>{INTERPRETATIONS[flag].display}</span>}
+                </div>
+                <div className="col-md-1"><button className="btn btn-danger" onClick={() => removeAnalyte(i)} disabled={analytes.length === 1}>X</button></div>
+              </div>
+            );
+          })}
+          <button className="btn btn-sm btn-outline-secondary" onClick={addAnalyte}>+ Add Analyte</button>
+
+          <div className="mt-3">
+            <label className="form-label">Conclusion / remarks (optional)</label>
+            <textarea className="form-control" rows={2} value={conclusion} onChange={e => setConclusion(e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
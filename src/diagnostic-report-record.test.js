@@ -0,0 +1,44 @@
+import { interpretValue, referenceRangeText, referenceRange, analyteErrors } from "./diagnostic-report-record";
+
+const analyte = overrides => ({ name: "Hemoglobin", term: null, loinc: "718-7", value: "14", unit: "g/dL", low: "13", high: "17", ...overrides });
+
+test("values are flagged H / L / N against the bounds that are given", () => {
+  expect(interpretValue(analyte())).toBe("N");
+  expect(interpretValue(analyte({ value: "12.9" }))).toBe("L");
+  expect(interpretValue(analyte({ value: "17.1" }))).toBe("H");
+  expect(interpretValue(analyte({ value: "250", low: "" }))).toBe("H");
+  expect(interpretValue(analyte({ value: "250", low: "", high: "" }))).toBeNull();
+  expect(interpretValue(analyte({ value: "" }))).toBeNull();
+  expect(interpretValue(analyte({ value: "trace" }))).toBeNull();
+});
+
+test("reference ranges keep UCUM units and read as text", () => {
+  expect(referenceRange(analyte())).toEqual({
+    low: { value: 13, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" },
+    high: { value: 17, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" },
+    text: "13 - 17 g/dL",
+  });
+  expect(referenceRangeText(analyte({ low: "" }))).toBe("< 17 g/dL");
+  expect(referenceRangeText(analyte({ high: "", unit: "" }))).toBe("> 13");
+  expect(referenceRange(analyte({ low: "", high: "" }))).toBeNull();
+  expect(referenceRange(analyte({ low: "  ", high: " 17 " }))).toEqual({ high: { value: 17, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" }, text: "< 17 g/dL" });
+  expect(interpretValue(analyte({ value: "20", low: " ", high: " " }))).toBeNull();
+});
+
+test("at least one result; values numeric and ranges in order", () => {
+  expect(analyteErrors([analyte({ value: "" }), analyte({ name: " " })])).toEqual(["Enter a result for at least one analyte."]);
+  expect(analyteErrors([analyte({ value: "high" }), analyte({ name: "MCV", low: "101", high: "83" }), analyte({ name: "", value: "x" })])).toEqual([
+    "Row 1 (Hemoglobin): value must be numeric.",
+    "Row 2 (MCV): reference low is above high.",
+  ]);
+  expect(analyteErrors([analyte({ value: "  " }), analyte({ name: " " })])).toEqual(["Enter a result for at least one analyte."]);
+});
+
+test("reference bounds must be numeric when given", () => {
+  expect(analyteErrors([analyte({ low: "abc", high: "<5" })])).toEqual([
+    "Row 1 (Hemoglobin): reference low must be numeric.",
+    "Row 1 (Hemoglobin): reference high must be numeric.",
+  ]);
+  expect(analyteErrors([analyte({ name: " MCV ", low: " 83 ", high: "" })])).toEqual([]);
+  expect(analyteErrors([analyte({ low: "  " })])).toEqual([]);
+});
@@ -0,0 +1,205 @@
+// src/dicom-parser.js
+/*
+  Minimal DICOM Part 10 header reader (runs in the browser, nothing is uploaded)
+  - Checks the 128 byte preamble + "DICM" magic
+  - File meta group (0002) is always explicit VR little endian; its transfer syntax
+    decides how the dataset is read: implicit VR LE, explicit VR LE or explicit VR BE
+  - Sequences (defined or undefined length) are skipped, not decoded
+  - Stops at Pixel Data (7FE0,0010) so large images are never walked
+  - Only the study / series / instance attributes the imaging builder needs are returned
+*/
+
+const TRANSFER_SYNTAX = {
+  IMPLICIT_LE: "1.2.840.10008.1.2",
+  EXPLICIT_LE: "1.2.840.10008.1.2.1",
+  DEFLATED_LE: "1.2.840.10008.1.2.1.99",
+  EXPLICIT_BE: "1.2.840.10008.1.2.2",
+};
+
+/* Explicit VRs that use a 2 byte reserved field + 4 byte length */
+const LONG_VRS = new Set(["OB", "OD", "OF", "OL", "OV", "OW", "SQ", "SV", "UC", "UN", "UR", "UT", "UV"]);
+
+const UNDEFINED_LENGTH = 0xffffffff;
+const ITEM = "FFFEE000";
+const ITEM_DELIMITATION = "FFFEE00D";
+const SEQUENCE_DELIMITATION = "FFFEE0DD";
+const PIXEL_DATA = "7FE00010";
+
+/* Attributes returned by readDicomHeader, keyed by (group,element) as "GGGGEEEE" */
+const WANTED_TAGS = {
+  "00020010": "transferSyntaxUid",
+  "00080016": "sopClassUid",
+  "00080018": "sopInstanceUid",
+  "00080020": "studyDate",
+  "00080030": "studyTime",
+  "00080050": "accessionNumber",
+  "00080060": "modality",
+  "00081030": "studyDescription",
+  "0008103E": "seriesDescription",
+  "00100010": "patientName",
+  "00100020": "patientId",
+  "00180015": "bodyPartExamined",
+  "0020000D": "studyInstanceUid",
+  "0020000E": "seriesInstanceUid",
+  "00200011": "seriesNumber",
+  "00200013": "instanceNumber",
+};
+
+function hex4(n) {
+  return n.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function readAscii(bytes, offset, length) {
+  let s = "";
+  for (let i = 0; i < length; i++) s += String.fromCharCode(bytes[offset + i]);
+  // DICOM pads strings with a trailing space (or NUL for UI)
+  return s.replace(/[\0 ]+$/, "").trim();
+}
+
+/*
+  Walks data elements from `offset` until `end`, an item/sequence delimiter, or Pixel Data.
+  Collects WANTED_TAGS into `out`. Returns { offset, stop } where `stop` is true once Pixel Data is reached.
+*/
+function walkElements(ctx, offset, end, out) {
+  const { view, bytes } = ctx;
+  while (offset + 8 <= end) {
+    const le = ctx.littleEndian;
+    const tag = hex4(view.getUint16(offset, le)) + hex4(view.getUint16(offset + 2, le));
+
+    if (tag === ITEM_DELIMITATION || tag === SEQUENCE_DELIMITATION) {
+      return { offset: offset + 8, stop: false };
+    }
+    if (tag === PIXEL_DATA) return { offset, stop: true };
+
+    let vr = null;
+    let length;
+    let valueOffset;
+    if (tag === ITEM) {
+      length = view.getUint32(offset + 4, le);
+      valueOffset = offset + 8;
+    } else if (ctx.explicitVr) {
+      vr = String.fromCharCode(bytes[offset + 4], bytes[offset + 5]);
+      if (LONG_VRS.has(vr)) {
+        length = view.getUint32(offset + 8, le);
+        valueOffset = offset + 12;
+      } else {
+        length = view.getUint16(offset + 6, le);
+        valueOffset = offset + 8;
+      }
+    } else {
+      length = view.getUint32(offset + 4, le);
+      valueOffset = offset + 8;
+    }
+
+    if (length === UNDEFINED_LENGTH) {
+      // Sequence or item of undefined length: walk its contents without collecting
+      const nested = walkElements(ctx, valueOffset, end, {});
+      if (nested.stop) return nested;
+      offset = nested.offset;
+      continue;
+    }
+
+    if (valueOffset + length > end) throw new Error("Truncated DICOM file");
+
+    const key = WANTED_TAGS[tag];
+    if (key && vr !== "SQ") out[key] = readAscii(bytes, valueOffset, length);
+    offset = valueOffset + length;
+  }
+  return { offset, stop: false };
+}
+
+/*
+  Parses the header of a DICOM Part 10 file.
+  @param {ArrayBuffer} buffer
+  @returns {object} the WANTED_TAGS attributes that were present (strings)
+  @throws {Error} if the buffer is not a DICOM file or uses an unsupported transfer syntax
+*/
+export function readDicomHeader(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 132 || readAscii(bytes, 128, 4) !== "DICM") {
+    throw new Error("Not a DICOM file (missing DICM prefix)");
+  }
+
+  const view = new DataView(buffer);
+  const meta = {};
+
+  // Pass 1: file meta group only, to learn the transfer syntax
+  let offset = 132;
+  while (offset + 8 <= bytes.length && view.getUint16(offset, true) === 0x0002) {
+    const vr = String.fromCharCode(bytes[offset + 4], bytes[offset + 5]);
+    const long = LONG_VRS.has(vr);
+    const length = long ? view.getUint32(offset + 8, true) : view.getUint16(offset + 6, true);
+    const valueOffset = offset + (long ? 12 : 8);
+    if (valueOffset + length > bytes.length) throw new Error("Truncated DICOM file");
+    const tag = hex4(view.getUint16(offset, true)) + hex4(view.getUint16(offset + 2, true));
+    if (WANTED_TAGS[tag]) meta[WANTED_TAGS[tag]] = readAscii(bytes, valueOffset, length);
+    offset = valueOffset + length;
+  }
+
+  const ts = meta.transferSyntaxUid || TRANSFER_SYNTAX.EXPLICIT_LE;
+  if (ts === TRANSFER_SYNTAX.DEFLATED_LE) throw new Error("Deflated DICOM files are not supported");
+  const ctx = {
+    view,
+    bytes,
+    explicitVr: ts !== TRANSFER_SYNTAX.IMPLICIT_LE,
+    littleEndian: ts !== TRANSFER_SYNTAX.EXPLICIT_BE,
+  };
+
+  // Pass 2: the dataset
+  const out = { ...meta };
+  walkElements(ctx, offset, bytes.length, out);
+  return out;
+}
+
+/* "20240115" -> "2024-01-15" (empty string when not a valid DA) */
+export function dicomDateToISO(da) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(da || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+}
+
+/* "101530.123" / "1015" -> "10:15:30" / "10:15:00" (empty string when not a valid TM) */
+export function dicomTimeToISO(tm) {
+  const m = /^(\d{2})(\d{2})?(\d{2})?/.exec(tm || "");
+  return m ? `${m[1]}:${m[2] || "00"}:${m[3] || "00"}` : "";
+}
+
+/*
+  Groups parsed headers into studies -> series -> instances.
+  Duplicate SOP instances (same file picked twice) are counted once.
+  @param {object[]} headers results of readDicomHeader
+  @returns {{ studyInstanceUid, studyDate, studyTime, studyDescription, accessionNumber, series: object[] }[]}
+*/
+export function groupDicomStudies(headers) {
+  const studies = new Map();
+  headers.forEach(h => {
+    const studyUid = h.studyInstanceUid || "";
+    if (!studies.has(studyUid)) {
+      studies.set(studyUid, {
+        studyInstanceUid: studyUid,
+        studyDate: h.studyDate || "",
+        studyTime: h.studyTime || "",
+        studyDescription: h.studyDescription || "",
+        accessionNumber: h.accessionNumber || "",
+        seriesMap: new Map(),
+      });
+    }
+    const study = studies.get(studyUid);
+    const seriesUid = h.seriesInstanceUid || "";
+    if (!study.seriesMap.has(seriesUid)) {
+      study.seriesMap.set(seriesUid, {
+        seriesInstanceUid: seriesUid,
+        seriesNumber: h.seriesNumber || "",
+        modality: h.modality || "",
+        bodyPartExamined: h.bodyPartExamined || "",
+        seriesDescription: h.seriesDescription || "",
+        instances: [],
+      });
+    }
+    const series = study.seriesMap.get(seriesUid);
+    if (!series.instances.some(i => i.sopInstanceUid === h.sopInstanceUid)) {
+      series.instances.push({ sopInstanceUid: h.sopInstanceUid || "", sopClassUid: h.sopClassUid || "", instanceNumber: h.instanceNumber || "" });
+    }
+  });
+
+  return [...studies.values()].map(({ seriesMap, ...study }) => ({ ...study, series: [...seriesMap.values()] }));
+}
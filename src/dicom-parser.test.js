@@ -0,0 +1,147 @@
+import { readDicomHeader, dicomDateToISO, dicomTimeToISO, groupDicomStudies } from "./dicom-parser";
+
+/* ---- tiny Part 10 writer for fixtures ---- */
+const LONG_VRS = ["OB", "OW", "SQ", "UN", "UT"];
+
+function pad(str) {
+  return str.length % 2 ? str + " " : str;
+}
+
+function tagBytes(group, element, le) {
+  const b = new DataView(new ArrayBuffer(4));
+  b.setUint16(0, group, le);
+  b.setUint16(2, element, le);
+  return [...new Uint8Array(b.buffer)];
+}
+
+function lengthBytes(len, size, le) {
+  const b = new DataView(new ArrayBuffer(size));
+  if (size === 2) b.setUint16(0, len, le);
+  else b.setUint32(0, len, le);
+  return [...new Uint8Array(b.buffer)];
+}
+
+/* element: [group, element, vr, value] where value is a string or a byte array */
+function encode(elements, { explicit = true, le = true } = {}) {
+  const out = [];
+  elements.forEach(([group, element, vr, value]) => {
+    const bytes = typeof value === "string" ? [...pad(value)].map(c => c.charCodeAt(0)) : value;
+    const undefinedLength = value === "UNDEFINED";
+    const data = undefinedLength ? [] : bytes;
+    const len = undefinedLength ? 0xffffffff : data.length;
+    out.push(...tagBytes(group, element, le));
+    if (explicit && vr) {
+      out.push(vr.charCodeAt(0), vr.charCodeAt(1));
+      if (LONG_VRS.includes(vr)) out.push(0, 0, ...lengthBytes(len, 4, le));
+      else out.push(...lengthBytes(len, 2, le));
+    } else {
+      out.push(...lengthBytes(len, 4, le));
+    }
+    out.push(...data);
+  });
+  return out;
+}
+
+function dicomFile(transferSyntax, dataset, opts) {
+  const meta = encode([[0x0002, 0x0010, "UI", transferSyntax + "\0"]]);
+  const bytes = [...new Array(128).fill(0), ..."DICM".split("").map(c => c.charCodeAt(0)), ...meta, ...encode(dataset, opts)];
+  return new Uint8Array(bytes).buffer;
+}
+
+const DATASET = [
+  [0x0008, 0x0016, "UI", "1.2.840.10008.5.1.4.1.1.2"],
+  [0x0008, 0x0018, "UI", "1.2.3.4.5.6.7"],
+  [0x0008, 0x0020, "DA", "20240115"],
+  [0x0008, 0x0060, "CS", "CT"],
+  [0x0008, 0x1030, "LO", "CT CHEST"],
+  [0x0018, 0x0015, "CS", "CHEST"],
+  [0x0020, 0x000d, "UI", "1.2.3.4"],
+  [0x0020, 0x000e, "UI", "1.2.3.4.5"],
+];
+
+describe("readDicomHeader", () => {
+  test("reads explicit VR little endian", () => {
+    const h = readDicomHeader(dicomFile("1.2.840.10008.1.2.1", DATASET));
+    expect(h).toMatchObject({
+      transferSyntaxUid: "1.2.840.10008.1.2.1",
+      sopClassUid: "1.2.840.10008.5.1.4.1.1.2",
+      sopInstanceUid: "1.2.3.4.5.6.7",
+      studyDate: "20240115",
+      modality: "CT",
+      studyDescription: "CT CHEST",
+      bodyPartExamined: "CHEST",
+      studyInstanceUid: "1.2.3.4",
+      seriesInstanceUid: "1.2.3.4.5",
+    });
+  });
+
+  test("reads implicit VR little endian", () => {
+    const h = readDicomHeader(dicomFile("1.2.840.10008.1.2", DATASET, { explicit: false }));
+    expect(h.modality).toBe("CT");
+    expect(h.seriesInstanceUid).toBe("1.2.3.4.5");
+  });
+
+  test("reads explicit VR big endian", () => {
+    const h = readDicomHeader(dicomFile("1.2.840.10008.1.2.2", DATASET, { le: false }));
+    expect(h.studyInstanceUid).toBe("1.2.3.4");
+  });
+
+  test("skips undefined-length sequences without picking up nested values", () => {
+    const dataset = [
+      [0x0008, 0x0060, "CS", "MR"],
+      [0x0008, 0x1115, "SQ", "UNDEFINED"],
+      [0xfffe, 0xe000, null, "UNDEFINED"],
+      [0x0020, 0x000e, "UI", "9.9.9"],
+      [0xfffe, 0xe00d, null, []],
+      [0xfffe, 0xe0dd, null, []],
+      [0x0020, 0x000e, "UI", "1.2.3.4.5"],
+    ];
+    const h = readDicomHeader(dicomFile("1.2.840.10008.1.2.1", dataset));
+    expect(h.modality).toBe("MR");
+    expect(h.seriesInstanceUid).toBe("1.2.3.4.5");
+  });
+
+  test("stops at pixel data", () => {
+    const dataset = [
+      [0x0008, 0x0060, "CS", "CR"],
+      [0x7fe0, 0x0010, "OW", [1, 2, 3, 4]],
+      [0x0020, 0x000d, "UI", "should.not.be.read"],
+    ];
+    const h = readDicomHeader(dicomFile("1.2.840.10008.1.2.1", dataset));
+    expect(h.modality).toBe("CR");
+    expect(h.studyInstanceUid).toBeUndefined();
+  });
+
+  test("rejects files without the DICM prefix", () => {
+    expect(() => readDicomHeader(new Uint8Array(200).buffer)).toThrow(/Not a DICOM file/);
+  });
+
+  test("rejects truncated files", () => {
+    const buf = dicomFile("1.2.840.10008.1.2.1", DATASET);
+    expect(() => readDicomHeader(buf.slice(0, buf.byteLength - 3))).toThrow(/Truncated/);
+  });
+});
+
+describe("date / time helpers", () => {
+  test("convert DA and TM", () => {
+    expect(dicomDateToISO("20240115")).toBe("2024-01-15");
+    expect(dicomDateToISO("")).toBe("");
+    expect(dicomTimeToISO("101530.123")).toBe("10:15:30");
+    expect(dicomTimeToISO("1015")).toBe("10:15:00");
+  });
+});
+
+describe("groupDicomStudies", () => {
+  test("groups instances by study and series and drops duplicates", () => {
+    const studies = groupDicomStudies([
+      { studyInstanceUid: "S1", seriesInstanceUid: "A", sopInstanceUid: "1", modality: "CT" },
+      { studyInstanceUid: "S1", seriesInstanceUid: "A", sopInstanceUid: "2", modality: "CT" },
+      { studyInstanceUid: "S1", seriesInstanceUid: "A", sopInstanceUid: "2", modality: "CT" },
+      { studyInstanceUid: "S1", seriesInstanceUid: "B", sopInstanceUid: "3", modality: "CT" },
+      { studyInstanceUid: "S2", seriesInstanceUid: "C", sopInstanceUid: "4", modality: "MR" },
+    ]);
+    expect(studies).toHaveLength(2);
+    expect(studies[0].series.map(s => s.instances.length)).toEqual([2, 1]);
+    expect(studies[1].series[0].modality).toBe("MR");
+  });
+});
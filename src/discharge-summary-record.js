@@ -0,0 +1,530 @@
+// src/discharge-summary-record.js
+import React, { useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildComposition,
+  buildDocumentBundle,
+  ndhmMeta,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml, paragraphs } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Discharge Summary Record builder (NDHM DischargeSummaryRecord)
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - Admission / discharge dates become an inpatient Encounter (class IMP) with period + discharge disposition
+  - Sections:
+      Diagnosis              -> Condition(s), also listed in Encounter.diagnosis
+      Procedures             -> Procedure(s)
+      Hospital course        -> narrative only (section.text)
+      Medications            -> MedicationRequest(s) (discharge medications)
+      Care Plan              -> CarePlan (follow-up instructions / review date)
+  - Diagnoses and medications are coded from the local terminology subset (terminology.js)
+    when a suggestion is picked
+  - Stay, diagnosis, procedure and medication rows autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) with Composition (SNOMED 373942005 "Discharge summary")
+*/
+
+/* Fixed SNOMED coding for Composition.type */
+const SNOMED_DISCHARGE_SUMMARY = { system: "http://snomed.info/sct", code: "373942005", display: "Discharge summary" };
+
+/* Section codes */
+const SECTION_CODES = {
+  diagnosis: { system: "http://snomed.info/sct", code: "439401001", display: "Diagnosis" },
+  procedures: { system: "http://snomed.info/sct", code: "1003640003", display: "History of past procedure section" },
+  hospitalCourse: { system: "http://loinc.org", code: "8648-8", display: "Hospital course Narrative" },
+  medications: { system: "http://snomed.info/sct", code: "1003606003", display: "Medication history section" },
+  carePlan: { system: "http://snomed.info/sct", code: "734163000", display: "Care plan" },
+};
+
+const DISCHARGE_DISPOSITIONS = {
+  home: "Home",
+  "other-hcf": "Other healthcare facility",
+  aadvice: "Left against advice",
+  exp: "Expired",
+  oth: "Other",
+};
+
+const ROW_TEMPLATES = {
+  diagnosis: { text: "", term: null, primary: false },
+  procedure: { text: "", date: "", notes: "" },
+  medication: { drug: "", term: null, dosage: "" },
+};
+
+/* generic list helpers for the repeatable rows */
+function addRow(setter, template) {
+  setter(prev => [...prev, { ...template }]);
+}
+function updateRow(setter, i, key, val) {
+  setter(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: val } : r)));
+}
+/* coded field: text plus the picked terminology term (null for free text) */
+function updateTermRow(setter, i, key, text, term) {
+  setter(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: text, term } : r)));
+}
+function removeRow(setter, i) {
+  setter(prev => prev.filter((_, idx) => idx !== i));
+}
+
+/* Encounter.diagnosis for the diagnosis Conditions (same order as their rows); primary ones rank first */
+export function encounterDiagnoses(conditions, rows) {
+  return conditions.map((c, idx) => ({
+    condition: ref(c.id),
+    use: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/diagnosis-role", code: "DD", display: "Discharge diagnosis" }] },
+    rank: rows[idx].primary ? 1 : idx + 2,
+  }));
+}
+
+/* Encounter.hospitalization.dischargeDisposition */
+export function dischargeDisposition(code) {
+  return {
+    coding: [{ system: "http://terminology.hl7.org/CodeSystem/discharge-disposition", code, display: DISCHARGE_DISPOSITIONS[code] }],
+    text: DISCHARGE_DISPOSITIONS[code],
+  };
+}
+
+/* Form errors for the stay (datetime-local values) and diagnoses */
+export function stayErrors({ admissionLocal, dischargeLocal, diagnoses, followUpDate }) {
+  const errors = [];
+  if (!admissionLocal) errors.push("Admission date/time is required.");
+  if (!dischargeLocal) errors.push("Discharge date/time is required.");
+  if (admissionLocal && dischargeLocal && new Date(admissionLocal) > new Date(dischargeLocal)) errors.push("Discharge must be after admission.");
+  if (!diagnoses.some(d => d.text && d.text.trim())) errors.push("Enter at least one diagnosis.");
+  if (followUpDate && dischargeLocal && followUpDate < dischargeLocal.slice(0, 10)) errors.push("Follow-up date cannot be before discharge.");
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function DischargeSummaryRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [title, setTitle] = useState("Discharge Summary");
+  const [custodianName, setCustodianName] = useState("");
+
+  /* Stay */
+  const [admissionLocal, setAdmissionLocal] = useState("");
+  const [dischargeLocal, setDischargeLocal] = useState(nowLocalDatetimeInput);
+  const [disposition, setDisposition] = useState("home");
+
+  /* Clinical sections */
+  const [diagnoses, setDiagnoses] = useState([{ ...ROW_TEMPLATES.diagnosis, primary: true }]);
+  const [procedures, setProcedures] = useState([]);
+  const [hospitalCourse, setHospitalCourse] = useState("");
+  const [medications, setMedications] = useState([]);
+  const [followUpInstructions, setFollowUpInstructions] = useState("");
+  const [followUpDate, setFollowUpDate] = useState("");
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "discharge-summary",
+    { status, title, custodianName, admissionLocal, dischargeLocal, disposition, diagnoses, procedures, hospitalCourse, medications, followUpInstructions, followUpDate },
+    d => {
+      setStatus(d.status);
+      setTitle(d.title);
+      setCustodianName(d.custodianName);
+      setAdmissionLocal(d.admissionLocal);
+      setDischargeLocal(d.dischargeLocal);
+      setDisposition(d.disposition);
+      setDiagnoses(d.diagnoses);
+      setProcedures(d.procedures);
+      setHospitalCourse(d.hospitalCourse);
+      setMedications(d.medications);
+      setFollowUpInstructions(d.followUpInstructions);
+      setFollowUpDate(d.followUpDate);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (!title || !title.trim()) errors.push("Title is required.");
+    errors.push(...stayErrors({ admissionLocal, dischargeLocal, diagnoses, followUpDate }));
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const admittedOn = localDatetimeToISOWithOffset(admissionLocal);
+    const dischargedOn = localDatetimeToISOWithOffset(dischargeLocal);
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const encounterId = uuidv4();
+    const custodianOrgId = custodianName ? uuidv4() : null;
+
+    const patientRef = ref(patientId);
+    const encounterRef = ref(encounterId);
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+    const practitionerRef = ref(practitionerRes.id, practitioner.name);
+
+    const diagnosisRows = diagnoses.filter(d => d.text && d.text.trim());
+
+    function buildDiagnosisResources() {
+      return diagnosisRows
+        .map(d => ({
+          resourceType: "Condition",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("Condition"),
+          text: buildNarrative("Condition", xhtml`<p>${d.text}${d.primary ? " (primary)" : ""}</p>`),
+          clinicalStatus: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: "active" }] },
+          category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "encounter-diagnosis", display: "Encounter Diagnosis" }] }],
+          code: toCodeableConcept(d.term, d.text),
+          subject: patientRef,
+          encounter: encounterRef,
+          recordedDate: dischargedOn,
+        }));
+    }
+
+    function buildProcedureResources() {
+      return procedures
+        .filter(p => p.text && p.text.trim())
+        .map(p => ({
+          resourceType: "Procedure",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("Procedure"),
+          text: buildNarrative("Procedure", paragraphs(`${p.text}${p.date ? ` on ${p.date}` : ""}`, p.notes)),
+          status: "completed",
+          code: { text: p.text.trim() },
+          subject: patientRef,
+          encounter: encounterRef,
+          ...(p.date ? { performedDateTime: p.date } : {}),
+          performer: [{ actor: practitionerRef }],
+          ...(p.notes ? { note: [{ text: p.notes }] } : {}),
+        }));
+    }
+
+    function buildMedicationResources() {
+      return medications
+        .filter(m => m.drug && m.drug.trim())
+        .map(m => ({
+          resourceType: "MedicationRequest",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("MedicationRequest"),
+          text: buildNarrative("MedicationRequest", paragraphs(m.drug, m.dosage)),
+          status: "active",
+          intent: "order",
+          category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/medicationrequest-category", code: "discharge", display: "Discharge" }] }],
+          medicationCodeableConcept: toCodeableConcept(m.term, m.drug),
+          subject: patientRef,
+          encounter: encounterRef,
+          authoredOn: dischargedOn,
+          requester: practitionerRef,
+          ...(m.dosage ? { dosageInstruction: [{ text: m.dosage }] } : {}),
+        }));
+    }
+
+    function buildCarePlanResource() {
+      if (!followUpInstructions.trim() && !followUpDate) return null;
+      return {
+        resourceType: "CarePlan",
+        id: uuidv4(),
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("CarePlan"),
+        text: buildNarrative("CarePlan", paragraphs(followUpInstructions || "Follow up", followUpDate && `Review on ${followUpDate}`)),
+        status: "active",
+        intent: "plan",
+        category: [{ coding: [{ system: "http://snomed.info/sct", code: "736371005", display: "Discharge care plan" }] }],
+        title: "Follow-up instructions",
+        ...(followUpInstructions.trim() ? { description: followUpInstructions.trim() } : {}),
+        subject: patientRef,
+        encounter: encounterRef,
+        period: { start: dischargedOn.slice(0, 10), ...(followUpDate ? { end: followUpDate } : {}) },
+        author: practitionerRef,
+      };
+    }
+
+    const diagnosisRes = buildDiagnosisResources();
+
+    function buildEncounterResource() {
+      return buildEncounter({
+        id: encounterId,
+        patientId,
+        practitionerId: practitionerRes.id,
+        classCode: "IMP",
+        start: admittedOn,
+        end: dischargedOn,
+        narrative: `Admitted ${admittedOn}, discharged ${dischargedOn} (${DISCHARGE_DISPOSITIONS[disposition]})`,
+        ...(diagnosisRes.length ? { diagnosis: encounterDiagnoses(diagnosisRes, diagnosisRows) } : {}),
+        hospitalization: { dischargeDisposition: dischargeDisposition(disposition) },
+        ...(custodianOrgId ? { serviceProvider: ref(custodianOrgId) } : {}),
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const encounterRes = buildEncounterResource();
+    const custodianRes = buildOrganization({ id: custodianOrgId, name: custodianName });
+    const procedureRes = buildProcedureResources();
+    const medicationRes = buildMedicationResources();
+    const carePlanRes = buildCarePlanResource();
+
+    function section(key, title, resources) {
+      if (!resources.length) return null;
+      return {
+        title,
+        code: { coding: [SECTION_CODES[key]] },
+        entry: resources.map(entryRef),
+      };
+    }
+
+    const sections = [
+      section("diagnosis", "Diagnosis", diagnosisRes),
+      section("procedures", "Procedures", procedureRes),
+      hospitalCourse.trim()
+        ? { title: "Hospital Course", code: { coding: [SECTION_CODES.hospitalCourse] }, text: buildNarrative("Hospital Course", xhtml`<p>${hospitalCourse.trim()}</p>`) }
+        : null,
+      section("medications", "Discharge Medications", medicationRes),
+      section("carePlan", "Follow-up Instructions", carePlanRes ? [carePlanRes] : []),
+    ].filter(Boolean);
+
+    const compositionRes = buildComposition({
+      id: compId,
+      profile: "DischargeSummaryRecord",
+      type: { coding: [SNOMED_DISCHARGE_SUMMARY], text: SNOMED_DISCHARGE_SUMMARY.display },
+      title,
+      status,
+      patientId,
+      encounterId,
+      date: dischargedOn,
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      custodianId: custodianOrgId,
+      section: sections,
+      narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p><p>Stay: ${admittedOn} to ${dischargedOn}</p>`,
+    });
+
+    const bundle = buildDocumentBundle({
+      idPrefix: "DischargeSummaryBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, encounterRes, custodianRes, ...diagnosisRes, ...procedureRes, ...medicationRes, carePlanRes],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "discharge-summary", label: `Discharge Summary — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Discharge Summary Record — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Discharging Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Composition metadata + stay */}
+      <div className="card mb-3">
+        <div className="card-header">3. Composition Metadata &amp; Stay</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">Status <span className="text-danger">*</span></label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-5">
+              <label className="form-label">Title <span className="text-danger">*</span></label>
+              <input className="form-control" value={title} onChange={e => setTitle(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Hospital (custodian) (optional)</label>
+              <input className="form-control" placeholder="Organization name (optional)" value={custodianName} onChange={e => setCustodianName(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Admitted on <span className="text-danger">*</span></label>
+              <input type="datetime-local" className="form-control" value={admissionLocal} onChange={e => setAdmissionLocal(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Discharged on <span className="text-danger">*</span></label>
+              <input type="datetime-local" className="form-control" value={dischargeLocal} onChange={e => setDischargeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Discharge disposition</label>
+              <select className="form-select" value={disposition} onChange={e => setDisposition(e.target.value)}>
+                {Object.entries(DISCHARGE_DISPOSITIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. Diagnoses */}
+      <div className="card mb-3">
+        <div className="card-header">4. Diagnoses <span className="text-danger">*</span></div>
+        <div className="card-body">
+          {diagnoses.map((d, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-8">
+                <label className="form-label">Diagnosis</label>
+                <TermPicker valueSet="conditions" value={d.text} term={d.term} onChange={(text, term) => updateTermRow(setDiagnoses, i, "text", text, term)} placeholder="e.g. Pneumonia" />
+              </div>
+              <div className="col-md-3">
+                <div className="form-check mb-2">
+                  <input className="form-check-input" type="checkbox" id={`dx-primary-${i}`} checked={d.primary} onChange={e => updateRow(setDiagnoses, i, "primary", e.target.checked)} />
+                  <label className="form-check-label" htmlFor={`dx-primary-${i}`}>Primary</label>
+                </div>
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setDiagnoses, i)} disabled={diagnoses.length === 1}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setDiagnoses, ROW_TEMPLATES.diagnosis)}>+ Add Diagnosis</button>
+        </div>
+      </div>
+
+      {/* 5. Procedures */}
+      <div className="card mb-3">
+        <div className="card-header">5. Procedures Performed (optional)</div>
+        <div className="card-body">
+          {procedures.map((p, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-5">
+                <label className="form-label">Procedure</label>
+                <input className="form-control" value={p.text} onChange={e => updateRow(setProcedures, i, "text", e.target.value)} placeholder="e.g. Laparoscopic appendicectomy" />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Date</label>
+                <input type="date" className="form-control" value={p.date} onChange={e => updateRow(setProcedures, i, "date", e.target.value)} />
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Notes</label>
+                <input className="form-control" value={p.notes} onChange={e => updateRow(setProcedures, i, "notes", e.target.value)} />
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setProcedures, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setProcedures, ROW_TEMPLATES.procedure)}>+ Add Procedure</button>
+        </div>
+      </div>
+
+      {/* 6. Hospital course */}
+      <div className="card mb-3">
+        <div className="card-header">6. Hospital Course (optional)</div>
+        <div className="card-body">
+          <textarea className="form-control" rows={5} value={hospitalCourse} onChange={e => setHospitalCourse(e.target.value)} placeholder="Summary of the course in hospital, treatment given and condition at discharge" />
+        </div>
+      </div>
+
+      {/* 7. Discharge medications */}
+      <div className="card mb-3">
+        <div className="card-header">7. Discharge Medications (optional)</div>
+        <div className="card-body">
+          {medications.map((m, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-5">
+                <label className="form-label">Drug</label>
+                <TermPicker valueSet="medications" value={m.drug} term={m.term} onChange={(text, term) => updateTermRow(setMedications, i, "drug", text, term)} placeholder="e.g. Amoxicillin" />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Dosage instructions</label>
+                <input className="form-control" value={m.dosage} onChange={e => updateRow(setMedications, i, "dosage", e.target.value)} placeholder="e.g. 1 capsule TDS for 5 days" />
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setMedications, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setMedications, ROW_TEMPLATES.medication)}>+ Add Medication</button>
+        </div>
+      </div>
+
+      {/* 8. Follow up */}
+      <div className="card mb-3">
+        <div className="card-header">8. Follow-up Instructions (optional)</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-8">
+              <label className="form-label">Instructions</label>
+              <textarea className="form-control" rows={2} value={followUpInstructions} onChange={e => setFollowUpInstructions(e.target.value)} placeholder="e.g. Soft diet, wound dressing on alternate days" />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Review date</label>
+              <input type="date" className="form-control" value={followUpDate} onChange={e => setFollowUpDate(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { encounterDiagnoses, dischargeDisposition, stayErrors } from "./discharge-summary-record";
+
+const STAY = { admissionLocal: "2024-05-01T09:00", dischargeLocal: "2024-05-04T17:30", diagnoses: [{ text: "Dengue fever", primary: true }], followUpDate: "" };
+
+test("discharge diagnoses rank the primary one first", () => {
+  const diagnosis = encounterDiagnoses([{ id: "c1" }, { id: "c2" }], [{ text: "Anaemia", primary: false }, { text: "Dengue fever", primary: true }]);
+  expect(diagnosis.map(d => [d.condition.reference, d.rank])).toEqual([["urn:uuid:c1", 2], ["urn:uuid:c2", 1]]);
+  expect(diagnosis[0].use.coding[0]).toEqual({ system: "http://terminology.hl7.org/CodeSystem/diagnosis-role", code: "DD", display: "Discharge diagnosis" });
+});
+
+test("the disposition is coded from the HL7 discharge-disposition system", () => {
+  expect(dischargeDisposition("aadvice")).toEqual({
+    coding: [{ system: "http://terminology.hl7.org/CodeSystem/discharge-disposition", code: "aadvice", display: "Left against advice" }],
+    text: "Left against advice",
+  });
+});
+
+test("admission and discharge are required and in order; follow-up is not before discharge", () => {
+  expect(stayErrors(STAY)).toEqual([]);
+  expect(stayErrors({ ...STAY, admissionLocal: "", diagnoses: [{ text: " " }] })).toEqual(["Admission date/time is required.", "Enter at least one diagnosis."]);
+  expect(stayErrors({ ...STAY, admissionLocal: "2024-05-05T09:00" })).toEqual(["Discharge must be after admission."]);
+  expect(stayErrors({ ...STAY, followUpDate: "2024-05-03" })).toEqual(["Follow-up date cannot be before discharge."]);
+  expect(stayErrors({ ...STAY, followUpDate: "2024-05-04" })).toEqual([]);
+});
@@ -0,0 +1,38 @@
+// src/document-details.js
+import React from "react";
+import { DOCUMENT_CATEGORIES, DOCUMENT_LANGUAGES } from "./attachment-metadata";
+
+/*
+  Description, kind and language of one uploaded document, entered under its name in the
+  builders' document lists; becomes DocumentReference.description / category / language
+  (detailsParams)
+*/
+export const NO_DETAILS = { description: "", category: "", language: "" };
+
+export default function DocumentDetails({ details = NO_DETAILS, onChange }) {
+  const set = patch => onChange({ ...details, ...patch });
+  return (
+    <div className="row g-2 mt-1">
+      <div className="col-md-5">
+        <input
+          className="form-control form-control-sm"
+          placeholder="Description (optional)"
+          value={details.description}
+          onChange={e => set({ description: e.target.value })}
+        />
+      </div>
+      <div className="col-md-4">
+        <select className="form-select form-select-sm" value={details.category} onChange={e => set({ category: e.target.value })}>
+          <option value="">Kind of document (optional)</option>
+          {DOCUMENT_CATEGORIES.map(c => <option key={c.code} value={c.code}>{c.display}</option>)}
+        </select>
+      </div>
+      <div className="col-md-3">
+        <select className="form-select form-select-sm" value={details.language || ""} onChange={e => set({ language: e.target.value })}>
+          <option value="">Language (English)</option>
+          {DOCUMENT_LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.display}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+// src/document-revision.js
+/*
+  Amending or retracting a submitted document (started from the Submission History)
+  - Amendment: the builder re-opens the submitted Bundle (startAmendment / pendingAmendment),
+    the user edits it and applyAmendment() links the new Bundle to the earlier one:
+      Composition.status "amended", the same Composition.identifier (version independent;
+      the earlier urn:uuid when it had none) and relatesTo "replaces" the earlier Composition (by identifier);
+      Patient / Practitioner / Organization / Encounter keep their earlier logical ids when
+      they still describe the same entity (shared identifier or name)
+  - Retraction: retractionBundle() is the submitted document again with Composition.status
+    "entered-in-error" (same Composition and resource ids), as a new Bundle instance
+  - Both are new documents: new Bundle.id, Bundle.identifier and timestamp, no signature
+*/
+import { uuidv4, isoWithLocalOffsetFromDate, IDENTIFIER_SYSTEMS } from "./fhir-builders";
+
+/*
+  Record types whose builder can re-open a submitted Bundle for amendment; the other builders
+  only offer preliminary / final (their documents can still be withdrawn: retractionBundle)
+*/
+export const AMENDABLE_RECORD_TYPES = ["health-document"];
+
+/* Resource types that keep their earlier logical id in an amendment */
+const STABLE_RESOURCE_TYPES = ["Patient", "Practitioner", "Organization", "Encounter"];
+
+const PENDING_KEY = "ndhm.amendment";
+
+/* ---------------------------------- LINKS ---------------------------------- */
+/* Composition.identifier shared by every version of a document */
+export function versionIdentifier(composition) {
+  return composition.identifier || { system: IDENTIFIER_SYSTEMS.uri, value: `urn:uuid:${composition.id}` };
+}
+
+/*
+  Composition.relatesTo entry pointing at the version this one replaces; by identifier only,
+  the earlier Composition is not an entry of the new Bundle (a literal reference would not resolve)
+*/
+export function replacesRelation(earlier) {
+  return {
+    code: "replaces",
+    targetReference: {
+      type: "Composition",
+      identifier: versionIdentifier(earlier),
+      ...(earlier.title ? { display: earlier.title } : {}),
+    },
+  };
+}
+
+function compositionOf(bundle) {
+  const composition = bundle?.entry?.[0]?.resource;
+  if (composition?.resourceType !== "Composition") throw new Error("The first entry is not a Composition");
+  return composition;
+}
+
+/* New Bundle.id (same prefix), identifier and timestamp; the signature belongs to the old instance */
+function newInstance(bundle) {
+  const now = isoWithLocalOffsetFromDate(new Date());
+  const { signature, ...rest } = bundle;
+  const prefix = String(bundle.id || "DocumentBundle").replace(/-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "");
+  return {
+    ...rest,
+    id: `${prefix}-${uuidv4()}`,
+    meta: { ...bundle.meta, lastUpdated: now },
+    identifier: { system: IDENTIFIER_SYSTEMS.uri, value: `urn:uuid:${uuidv4()}` },
+    timestamp: now,
+  };
+}
+
+/* Copy of value with every reference to an id in idMap (urn:uuid:<id>, Type/<id>, id) rewritten */
+function remapIds(value, idMap) {
+  if (Array.isArray(value)) return value.map(v => remapIds(v, idMap));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, remapIds(v, idMap)]));
+  }
+  if (typeof value !== "string") return value;
+  const m = value.match(/^(urn:uuid:|[A-Z][A-Za-z]+\/)?(.+)$/);
+  return m && idMap.has(m[2]) ? `${m[1] || ""}${idMap.get(m[2])}` : value;
+}
+
+function sameEntity(a, b) {
+  if (a.resourceType === "Encounter") return true;
+  const values = r => (r.identifier || []).map(i => i.value).filter(Boolean);
+  const name = r => (typeof r.name === "string" ? r.name : r.name?.[0]?.text) || "";
+  return values(a).some(v => values(b).includes(v)) || (!!name(a) && name(a) === name(b));
+}
+
+/* new id -> earlier id, per stable resource type when both Bundles have the same number of them */
+function stableIdMap(bundle, earlier) {
+  const idMap = new Map();
+  const ofType = (b, type) => (b.entry || []).map(e => e.resource).filter(r => r?.resourceType === type && r.id);
+  STABLE_RESOURCE_TYPES.forEach(type => {
+    const now = ofType(bundle, type);
+    const before = ofType(earlier, type);
+    if (now.length !== before.length) return;
+    now.forEach((r, i) => {
+      if (r.id !== before[i].id && sameEntity(r, before[i])) idMap.set(r.id, before[i].id);
+    });
+  });
+  return idMap;
+}
+
+/* -------------------------------- REVISIONS -------------------------------- */
+/*
+  Link a freshly built Bundle to the submitted one it amends
+  @param {object} bundle   Bundle built from the edited form
+  @param {object} earlier  the submitted Bundle
+  @returns {object} a new Bundle; the input is not modified
+*/
+export function applyAmendment(bundle, earlier) {
+  const before = compositionOf(earlier);
+  const amended = remapIds(bundle, stableIdMap(bundle, earlier));
+  const composition = compositionOf(amended);
+  composition.status = "amended";
+  composition.identifier = versionIdentifier(before);
+  composition.relatesTo = [...(composition.relatesTo || []).filter(r => r.code !== "replaces"), replacesRelation(before)];
+  return amended;
+}
+
+/* The submitted Bundle withdrawn: same content and ids, Composition "entered-in-error" */
+export function retractionBundle(earlier) {
+  const retraction = newInstance(JSON.parse(JSON.stringify(earlier)));
+  const composition = compositionOf(retraction);
+  composition.status = "entered-in-error";
+  composition.identifier = versionIdentifier(composition);
+  return retraction;
+}
+
+/* ----------------------------- PENDING AMENDMENT ---------------------------- */
+/* Hand a submitted Bundle to its builder (which is opened next); kept for this tab only */
+export function startAmendment({ recordType, historyId, bundle }) {
+  window.sessionStorage.setItem(PENDING_KEY, JSON.stringify({ recordType, historyId, bundle, startedAt: new Date().toISOString() }));
+}
+
+/* The amendment waiting for this record type's builder, or null */
+export function pendingAmendment(recordType) {
+  try {
+    const pending = JSON.parse(window.sessionStorage.getItem(PENDING_KEY) || "null");
+    return pending?.recordType === recordType ? pending : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearAmendment() {
+  window.sessionStorage.removeItem(PENDING_KEY);
+}
@@ -0,0 +1,79 @@
+import { applyAmendment, retractionBundle, startAmendment, pendingAmendment, clearAmendment } from "./document-revision";
+import { validateBundle } from "./ndhm-validator";
+import { makeBundle } from "./test-bundles";
+
+const PATIENT = { id: 46, name: "Rohit Kumar", dob: "30-12-1991", abha_ref: "91-4444-5555-6666" };
+
+function revisionBundle({ suffix, practitionerName = "Dr. B. Rao", license = "NMC-456", title = "Health Document" }) {
+  return makeBundle({
+    suffix,
+    patient: PATIENT,
+    abhaAddress: "rohittestokay@sbx",
+    practitioner: { name: practitionerName, license },
+    custodian: "City Clinic",
+    idPrefix: "HealthDocumentBundle",
+    type: { text: "Record artifact" },
+    title,
+    section: [{ title: "Docs", entry: [] }],
+  });
+}
+
+afterEach(() => {
+  window.sessionStorage.clear();
+});
+
+test("an amendment replaces the earlier composition and keeps its identifiers", () => {
+  const earlier = revisionBundle({ suffix: "1" });
+  const edited = revisionBundle({ suffix: "2", title: "Health Document (corrected)" });
+  const amended = applyAmendment(edited, earlier);
+
+  const composition = amended.entry[0].resource;
+  expect(composition.id).toBe("c2");
+  expect(composition.status).toBe("amended");
+  expect(composition.identifier).toEqual({ system: "urn:ietf:rfc:3986", value: "urn:uuid:c1" });
+  expect(composition.relatesTo).toEqual([
+    { code: "replaces", targetReference: { type: "Composition", identifier: { system: "urn:ietf:rfc:3986", value: "urn:uuid:c1" }, display: "Health Document" } },
+  ]);
+
+  // same patient, practitioner and custodian: earlier logical ids, references follow
+  expect(amended.entry.map(e => e.fullUrl)).toEqual(["urn:uuid:c2", "urn:uuid:p1", "urn:uuid:d1", "urn:uuid:o1"]);
+  expect(composition.subject.reference).toBe("urn:uuid:p1");
+  expect(composition.author[0].reference).toBe("urn:uuid:d1");
+  expect(composition.custodian.reference).toBe("urn:uuid:o1");
+  expect(amended.identifier).toEqual(edited.identifier);
+  expect(edited.entry[0].resource.status).toBe("final");
+});
+
+test("the amended bundle validates like the edited one (relatesTo needs no entry for the earlier version)", () => {
+  const edited = revisionBundle({ suffix: "2" });
+  const amended = applyAmendment(edited, revisionBundle({ suffix: "1" }));
+  const messages = bundle => validateBundle(bundle).map(i => `${i.severity} ${i.message}`);
+  expect(messages(amended)).toEqual(messages(edited));
+  expect(messages(amended).filter(m => /does not resolve/.test(m))).toEqual([]);
+});
+
+test("a different practitioner keeps its own id in the amendment", () => {
+  const earlier = revisionBundle({ suffix: "1" });
+  const amended = applyAmendment(revisionBundle({ suffix: "2", practitionerName: "Dr. A. Verma", license: "NMC-123" }), earlier);
+  expect(amended.entry.map(e => e.resource.id)).toEqual(["c2", "p1", "d2", "o1"]);
+});
+
+test("a retraction is the same document marked entered-in-error in a new bundle", () => {
+  const earlier = { ...revisionBundle({ suffix: "1" }), signature: { data: "x" } };
+  const retraction = retractionBundle(earlier);
+  expect(retraction.entry[0].resource).toMatchObject({ id: "c1", status: "entered-in-error", identifier: { value: "urn:uuid:c1" } });
+  expect(retraction.entry.map(e => e.resource.id)).toEqual(earlier.entry.map(e => e.resource.id));
+  expect(retraction.id).toMatch(/^HealthDocumentBundle-[0-9a-f-]{36}$/);
+  expect(retraction.id).not.toBe(earlier.id);
+  expect(retraction.identifier.value).not.toBe(earlier.identifier.value);
+  expect(retraction.signature).toBeUndefined();
+  expect(earlier.entry[0].resource.status).toBe("final");
+});
+
+test("a pending amendment is only handed to its own record type", () => {
+  startAmendment({ recordType: "health-document", historyId: "h1", bundle: revisionBundle({ suffix: "1" }) });
+  expect(pendingAmendment("prescription")).toBeNull();
+  expect(pendingAmendment("health-document")).toMatchObject({ historyId: "h1" });
+  clearAmendment();
+  expect(pendingAmendment("health-document")).toBeNull();
+});
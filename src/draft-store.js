@@ -0,0 +1,46 @@
+// src/draft-store.js
+/*
+  Form drafts in IndexedDB (local-db.js, "drafts" store)
+  - Draft: { id, recordType, patientKey, patientName, abha, data, createdAt, updatedAt }
+    data is whatever the builder passes; File / Blob values (selected uploads) are stored
+    as is, IndexedDB keeps them across reloads
+  - Every call rejects when IndexedDB is unavailable; use isDraftStoreAvailable() to hide
+    the feature instead
+*/
+import { uuidv4 } from "./fhir-builders";
+import { isLocalDbAvailable, dbGet, dbGetAll, dbPut, dbDelete } from "./local-db";
+
+const STORE = "drafts";
+
+export const isDraftStoreAvailable = isLocalDbAvailable;
+
+/*
+  Insert or replace a draft (updatedAt is set here)
+  @param {{ id, recordType, patientKey, patientName?, abha?, data, createdAt? }} draft
+  @returns {Promise<object>} the stored draft
+*/
+export function saveDraft(draft) {
+  const now = new Date().toISOString();
+  return dbPut(STORE, { ...draft, createdAt: draft.createdAt || now, updatedAt: now });
+}
+
+export function loadDraft(id) {
+  return dbGet(STORE, id);
+}
+
+/* Drafts of one record type, most recently edited first */
+export async function listDrafts(recordType) {
+  const all = await dbGetAll(STORE, "recordType", recordType);
+  return all.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function deleteDraft(id) {
+  return dbDelete(STORE, id);
+}
+
+/* Copy of a draft under a new id; returns the copy */
+export async function duplicateDraft(id) {
+  const draft = await loadDraft(id);
+  if (!draft) throw new Error("Draft not found");
+  return saveDraft({ ...draft, id: uuidv4(), createdAt: undefined });
+}
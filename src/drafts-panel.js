@@ -0,0 +1,174 @@
+// src/drafts-panel.js
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { uuidv4 } from "./fhir-builders";
+import { usePatientSelection, patientKey } from "./patient-context";
+import { isDraftStoreAvailable, saveDraft, loadDraft, listDrafts, deleteDraft, duplicateDraft } from "./draft-store";
+
+/*
+  Autosaved drafts for a builder (draft-store.js)
+  - useDrafts(recordType, data, onRestore): data is the builder's form state; once it
+    differs from what was loaded it is saved (debounced) to the active draft of the
+    selected patient. Switching patient starts a new draft; the old one stays in the list.
+  - DraftsPanel: drafts of this record type with Resume / Duplicate / Discard. Resume
+    selects the draft's patient + ABHA address and calls onRestore(data).
+  - Without IndexedDB the hook is inert and the panel renders nothing
+*/
+
+const AUTOSAVE_DELAY_MS = 800;
+
+/* Comparable form snapshot; selected files count by name/size/type */
+function snapshotOf(data) {
+  return JSON.stringify(data, (k, v) => (v instanceof Blob ? `blob:${v.name || ""}:${v.size}:${v.type}` : v));
+}
+
+export function useDrafts(recordType, data, onRestore) {
+  const { patients, selectedPatient, selectedAbha, setSelectedPatientIdx, setSelectedAbha } = usePatientSelection();
+  const currentKey = selectedPatient ? patientKey(selectedPatient) : "";
+  const available = isDraftStoreAvailable();
+
+  const [drafts, setDrafts] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [savedAt, setSavedAt] = useState("");
+  const [error, setError] = useState("");
+
+  const active = useRef({ id: null, patientKey: "", createdAt: undefined });
+  const baseline = useRef(null);
+  const pending = useRef(null);
+  const latest = useRef(null);
+  latest.current = { data, patientName: selectedPatient?.name || "", abha: selectedAbha || "", onRestore };
+  const snapshot = snapshotOf(data);
+
+  const refresh = useCallback(() => {
+    if (!available) return Promise.resolve();
+    return listDrafts(recordType).then(setDrafts).catch(e => setError(`Drafts unavailable: ${e.message}`));
+  }, [available, recordType]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  /* Save a scheduled autosave now (patient switch, leaving the builder) */
+  const flush = useCallback(() => {
+    const save = pending.current;
+    pending.current = null;
+    if (save) save();
+  }, []);
+
+  useEffect(() => flush, [flush]);
+
+  /* Another patient: start a new draft on the next edit */
+  useEffect(() => {
+    if (active.current.patientKey === currentKey) return;
+    flush();
+    active.current = { id: null, patientKey: currentKey, createdAt: undefined };
+    baseline.current = null;
+    setActiveId(null);
+    setSavedAt("");
+  }, [currentKey, flush]);
+
+  useEffect(() => {
+    if (!available || !currentKey) return undefined;
+    if (baseline.current === null) {
+      baseline.current = snapshot;
+      return undefined;
+    }
+    if (snapshot === baseline.current) return undefined;
+    // values of this render, so a flush after a patient switch still saves the right draft
+    const { data: current, patientName, abha } = latest.current;
+    pending.current = () => {
+      if (!active.current.id) active.current = { id: uuidv4(), patientKey: currentKey, createdAt: undefined };
+      const { id, createdAt } = active.current;
+      return saveDraft({ id, recordType, patientKey: currentKey, patientName, abha, data: current, createdAt })
+        .then(saved => {
+          if (active.current.id === id) {
+            active.current.createdAt = saved.createdAt;
+            setActiveId(id);
+            setSavedAt(saved.updatedAt);
+          }
+          setError("");
+          return refresh();
+        })
+        .catch(e => setError(`Draft not saved: ${e.message}`));
+    };
+    const timer = setTimeout(flush, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [available, currentKey, snapshot, recordType, refresh, flush]);
+
+  const resume = useCallback(async id => {
+    flush();
+    const draft = await loadDraft(id);
+    if (!draft) return refresh();
+    const idx = patients.findIndex(p => patientKey(p) === draft.patientKey);
+    if (idx < 0) {
+      setError(`${draft.patientName || "The draft's patient"} is no longer in the patient list.`);
+      return undefined;
+    }
+    active.current = { id: draft.id, patientKey: draft.patientKey, createdAt: draft.createdAt };
+    baseline.current = snapshotOf(draft.data);
+    setSelectedPatientIdx(idx);
+    if (draft.abha) setSelectedAbha(draft.abha);
+    latest.current.onRestore(draft.data);
+    setActiveId(draft.id);
+    setSavedAt(draft.updatedAt);
+    setError("");
+    return undefined;
+  }, [patients, refresh, flush, setSelectedPatientIdx, setSelectedAbha]);
+
+  const discard = useCallback(async id => {
+    if (active.current.id === id) pending.current = null;
+    await deleteDraft(id);
+    if (active.current.id === id) {
+      active.current = { id: null, patientKey: currentKey, createdAt: undefined };
+      baseline.current = snapshot;
+      setActiveId(null);
+      setSavedAt("");
+    }
+    return refresh();
+  }, [currentKey, snapshot, refresh]);
+
+  const duplicate = useCallback(async id => {
+    await duplicateDraft(id);
+    return refresh();
+  }, [refresh]);
+
+  return { available, drafts, activeId, savedAt, error, resume, discard, duplicate };
+}
+
+export default function DraftsPanel({ drafts: d }) {
+  if (!d.available) return null;
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Drafts</span>
+        <small className="text-muted">
+          {d.activeId && d.savedAt ? `Autosaved ${new Date(d.savedAt).toLocaleTimeString()}` : "Changes are saved as a draft automatically"}
+        </small>
+      </div>
+      <div className="card-body">
+        {d.error && <div className="small text-danger mb-2">{d.error}</div>}
+        {d.drafts.length === 0 ? <div className="text-muted small">No drafts yet.</div> : (
+          <ul className="list-group">
+            {d.drafts.map(draft => (
+              <li key={draft.id} className="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                  <strong>{draft.patientName || "Unknown patient"}</strong>
+                  {draft.abha && <span className="text-muted"> — {draft.abha}</span>}
+                  {draft.id === d.activeId && <span className="badge bg-success ms-2">editing</span>}
+                  <div className="small text-muted">Last edited {new Date(draft.updatedAt).toLocaleString()}</div>
+                </div>
+                <div className="d-flex gap-1">
+                  <button className="btn btn-sm btn-outline-primary" disabled={draft.id === d.activeId} onClick={() => d.resume(draft.id)}>Resume</button>
+                  <button className="btn btn-sm btn-outline-secondary" onClick={() => d.duplicate(draft.id)}>Duplicate</button>
+                  <button
+                    className="btn btn-sm btn-outline-danger"
+                    onClick={() => window.confirm("Discard this draft?") && d.discard(draft.id)}
+                  >
+                    Discard
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
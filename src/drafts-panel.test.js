@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { PatientProvider, usePatientSelection } from "./patient-context";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+// In-memory stand-in for the IndexedDB store (jsdom has no IndexedDB)
+jest.mock("./draft-store", () => {
+  const mockDrafts = new Map();
+  let mockClock = 0;
+  const save = async d => {
+    const stored = { ...d, createdAt: d.createdAt || "2024-01-01T00:00:00.000Z", updatedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, ++mockClock)).toISOString() };
+    mockDrafts.set(d.id, stored);
+    return stored;
+  };
+  return {
+    isDraftStoreAvailable: () => true,
+    saveDraft: save,
+    loadDraft: async id => mockDrafts.get(id) || null,
+    listDrafts: async type => [...mockDrafts.values()].filter(d => d.recordType === type).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+    deleteDraft: async id => { mockDrafts.delete(id); },
+    duplicateDraft: async id => save({ ...mockDrafts.get(id), id: `${id}-copy`, createdAt: undefined }),
+  };
+});
+
+const PATIENTS = [
+  { id: 45, user_id: 101, name: "Asha Devi", abha_ref: "91-1111-2222-3333", additional_attributes: { abha_addresses: ["asha@sbx"] } },
+  { id: 46, user_id: 102, name: "Rohit Kumar", abha_ref: "91-4444-5555-6666", additional_attributes: { abha_addresses: ["rohitkumar30@sbx", "rohittestokay@sbx"] } },
+];
+
+function Harness() {
+  const [note, setNote] = useState("");
+  const { selectedPatient, setSelectedPatientIdx, setSelectedAbha } = usePatientSelection();
+  const drafts = useDrafts("test", { note }, d => setNote(d.note));
+  return (
+    <>
+      <div data-testid="patient">{selectedPatient?.name || ""}</div>
+      <input aria-label="note" value={note} onChange={e => setNote(e.target.value)} />
+      <button onClick={() => { setSelectedPatientIdx(1); setSelectedAbha("rohittestokay@sbx"); }}>Rohit</button>
+      <DraftsPanel drafts={drafts} />
+    </>
+  );
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => PATIENTS }));
+  window.confirm = jest.fn(() => true);
+});
+
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+  delete global.fetch;
+});
+
+const draftRow = name => screen.getAllByRole("listitem").find(li => within(li).queryByText(name));
+
+test("edits are autosaved per patient and can be resumed, duplicated and discarded", async () => {
+  render(<PatientProvider><Harness /></PatientProvider>);
+  await waitFor(() => expect(screen.getByTestId("patient").textContent).toBe("Asha Devi"));
+
+  fireEvent.change(screen.getByLabelText("note"), { target: { value: "first dose" } });
+  await waitFor(() => expect(within(draftRow("Asha Devi")).getByText("editing")).toBeInTheDocument(), { timeout: 3000 });
+  fireEvent.change(screen.getByLabelText("note"), { target: { value: "first dose, lot 7" } });
+  expect(screen.getByText(/Autosaved/)).toBeInTheDocument();
+
+  // switching right away still saves the last edit; the other patient gets a draft of its own
+  fireEvent.click(screen.getByText("Rohit"));
+  await waitFor(() => expect(screen.getByTestId("patient").textContent).toBe("Rohit Kumar"));
+  fireEvent.change(screen.getByLabelText("note"), { target: { value: "booster" } });
+  await waitFor(() => expect(draftRow("Rohit Kumar")).toHaveTextContent("rohittestokay@sbx"), { timeout: 3000 });
+  expect(screen.getAllByRole("listitem")).toHaveLength(2);
+
+  fireEvent.click(within(draftRow("Asha Devi")).getByText("Resume"));
+  await waitFor(() => expect(screen.getByTestId("patient").textContent).toBe("Asha Devi"));
+  expect(screen.getByLabelText("note").value).toBe("first dose, lot 7");
+
+  fireEvent.click(within(draftRow("Rohit Kumar")).getByText("Discard"));
+  await waitFor(() => expect(screen.getAllByRole("listitem")).toHaveLength(1));
+
+  fireEvent.click(within(draftRow("Asha Devi")).getByText("Duplicate"));
+  await waitFor(() => expect(screen.getAllByRole("listitem")).toHaveLength(2));
+});
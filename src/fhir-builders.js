@@ -0,0 +1,481 @@
+// src/fhir-builders.js
+/*
+  Shared FHIR R4 / NDHM building blocks used by every record builder
+  - Helpers: uuidv4, date conversion, XHTML narrative, file -> base64, ABHA address list,
+    global practitioner resolution
+  - Core resources: Patient, Practitioner, Organization, Encounter, Binary + DocumentReference,
+    Composition and the document Bundle
+  - Every record type emits the same Patient / Practitioner / Organization shape:
+      Patient.identifier      ABHA number (MR, https://healthid.ndhm.gov.in),
+                              ABHA address (PN), facility patient id (PI)
+      Practitioner.identifier medical license (MD, https://doctor.ndhm.gov.in)
+      Organization.identifier facility id (PRN, https://facility.ndhm.gov.in)
+  - Builders are pure: ids and timestamps are passed in by the caller
+*/
+import { getConfig } from "./config";
+import { paragraphs, narrativeDiv } from "./narrative";
+
+/* ------------------------------- CONSTANTS ------------------------------- */
+/* Canonical URL of an NDHM StructureDefinition (base from the active environment, config.js) */
+export function ndhmProfile(name) {
+  return `${getConfig().ndhmProfileBase}${name}`;
+}
+
+/* meta.profile for an NDHM StructureDefinition, e.g. ndhmMeta("Patient") */
+export function ndhmMeta(name) {
+  return { profile: [ndhmProfile(name)] };
+}
+
+export const V2_0203 = "http://terminology.hl7.org/CodeSystem/v2-0203";
+
+export const IDENTIFIER_SYSTEMS = {
+  abhaNumber: "https://healthid.ndhm.gov.in",
+  abhaAddress: "https://healthid.ndhm.gov.in/address",
+  practitionerLicense: "https://doctor.ndhm.gov.in",
+  facility: "https://facility.ndhm.gov.in",
+  uri: "urn:ietf:rfc:3986",
+};
+
+/* Facility (HIP) id used when the caller has none. Replace with your real HIP facility code */
+export const DEFAULT_FACILITY_ID = "HIP123456";
+
+/* Resource.language of everything the builders emit; uploads may say otherwise (document-details.js) */
+export const DEFAULT_LANGUAGE = "en-IN";
+
+export const ENCOUNTER_CLASS = {
+  AMB: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
+  IMP: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "IMP", display: "inpatient encounter" },
+  EMER: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "EMER", display: "emergency" },
+};
+
+/* Header-only PDF that older bundles carry when nothing was uploaded (bundle-reader.js skips it; builders now embed pdf-rendition.js) */
+export const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
+
+/* ------------------------------- HELPERS -------------------------------- */
+export function uuidv4() {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+export function isUuid(s) {
+  return typeof s === "string" && UUID_RE.test(s);
+}
+
+/* { reference: "urn:uuid:<id>" } (+ display when given) */
+export function ref(id, display) {
+  return display ? { reference: `urn:uuid:${id}`, display } : { reference: `urn:uuid:${id}` };
+}
+
+/* Composition.section.entry item for a built resource */
+export function entryRef(resource) {
+  return { reference: `urn:uuid:${resource.id}`, type: resource.resourceType };
+}
+
+/* Convert dd-mm-yyyy (or dd/mm/yyyy) to yyyy-mm-dd, else return undefined */
+export function ddmmyyyyToISO(v) {
+  if (!v) return undefined;
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
+  if (!sep) return undefined;
+  const parts = s.split(sep);
+  if (parts.length !== 3) return undefined;
+  const [dd, mm, yyyy] = parts;
+  if (!dd || !mm || !yyyy || yyyy.length !== 4) return undefined;
+  return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
+}
+
+/* Produce ISO datetime string with local timezone offset (e.g., 2025-08-30T15:04:05+05:30) */
+export function isoWithLocalOffsetFromDate(d) {
+  const date = d instanceof Date ? d : new Date(d);
+  const pad = n => String(Math.abs(Math.floor(n))).padStart(2, "0");
+  const tzo = -date.getTimezoneOffset();
+  const sign = tzo >= 0 ? "+" : "-";
+  const hh = pad(Math.floor(Math.abs(tzo) / 60));
+  const mm = pad(Math.abs(tzo) % 60);
+  return (
+    date.getFullYear() +
+    "-" +
+    pad(date.getMonth() + 1) +
+    "-" +
+    pad(date.getDate()) +
+    "T" +
+    pad(date.getHours()) +
+    ":" +
+    pad(date.getMinutes()) +
+    ":" +
+    pad(date.getSeconds()) +
+    sign +
+    hh +
+    ":" +
+    mm
+  );
+}
+
+/* Convert 'datetime-local' input (YYYY-MM-DDTHH:MM) to iso-with-offset */
+export function localDatetimeToISOWithOffset(localDatetime) {
+  if (!localDatetime) return isoWithLocalOffsetFromDate(new Date());
+  return isoWithLocalOffsetFromDate(new Date(localDatetime));
+}
+
+/* Current local time as a 'datetime-local' input value (YYYY-MM-DDTHH:MM) */
+export function nowLocalDatetimeInput() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/*
+  Narrative wrapper (XHTML) with lang & xml:lang (validator requirement)
+  content: an xhtml`` fragment (narrative.js), or plain text, which is escaped
+*/
+export function buildNarrative(title, content) {
+  return narrativeDiv(content, { title });
+}
+
+/* Read file into base64 (no "data:...," prefix) */
+export function fileToBase64NoPrefix(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("File read error"));
+    reader.onload = () => {
+      const res = reader.result || "";
+      const idx = String(res).indexOf("base64,");
+      if (idx >= 0) resolve(String(res).slice(idx + 7));
+      else resolve(String(res));
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
+/* Normalize ABHA addresses (strings or objects with address/isPrimary) */
+export function normalizeAbhaAddresses(patientObj) {
+  const raw =
+    patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
+      ? patientObj.additional_attributes.abha_addresses
+      : Array.isArray(patientObj?.abha_addresses)
+        ? patientObj.abha_addresses
+        : [];
+
+  const out = raw
+    .map(item => {
+      if (!item) return null;
+      if (typeof item === "string") return { value: item, label: item, primary: false };
+      if (typeof item === "object") {
+        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
+        try {
+          const v = JSON.stringify(item);
+          return { value: v, label: v, primary: !!item.isPrimary };
+        } catch { return null; }
+      }
+      return null;
+    })
+    .filter(Boolean);
+  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
+  return out;
+}
+
+/*
+  Practitioner from window.GlobalPractioner / window.GlobalPractitionerFHIR, else a placeholder
+  (placeholder: true). The id is always a uuid, because builders use it in urn:uuid fullUrls;
+  a non-uuid id from the global is replaced.
+  @returns {{ id, name, license, placeholder: boolean }}
+*/
+export function resolveGlobalPractitioner() {
+  const gp =
+    (typeof window !== "undefined" &&
+      (window.GlobalPractioner || window.GlobalPractitionerFHIR)) ||
+    null;
+
+  const fallback = {
+    id: uuidv4(),
+    name: "Dr. ABC",
+    license: "LIC-0000",
+    placeholder: true,
+  };
+
+  if (!gp) return fallback;
+
+  const id = isUuid(gp.id) ? gp.id : fallback.id;
+  const name =
+    (Array.isArray(gp.name) && gp.name[0]?.text) ||
+    (typeof gp.name === "string" ? gp.name : fallback.name);
+  const license =
+    (Array.isArray(gp.identifier) && gp.identifier[0]?.value) ||
+    gp.license ||
+    fallback.license;
+
+  return { id, name, license, placeholder: false };
+}
+
+/* ---------------------------- CORE RESOURCES ---------------------------- */
+
+/*
+  Patient from a patients API / patients.json record
+  (name, gender, dob dd-mm-yyyy, mobile, email, address, abha_ref, user_ref_id, user_id)
+  @param {object} opts
+  @param {string} opts.id           resource id (uuid)
+  @param {object} opts.patient      the API record
+  @param {string} [opts.abhaAddress] selected ABHA address
+*/
+export function buildPatient({ id, patient, abhaAddress }) {
+  const p = patient || {};
+  const identifier = [];
+  if (p.abha_ref) {
+    identifier.push({
+      type: { coding: [{ system: V2_0203, code: "MR", display: "Medical record number" }], text: "ABHA Number" },
+      system: IDENTIFIER_SYSTEMS.abhaNumber,
+      value: String(p.abha_ref),
+    });
+  }
+  if (abhaAddress) {
+    identifier.push({
+      type: { coding: [{ system: V2_0203, code: "PN", display: "Person number" }], text: "ABHA Address" },
+      system: IDENTIFIER_SYSTEMS.abhaAddress,
+      value: String(abhaAddress),
+    });
+  }
+  if (isUuid(p.user_ref_id)) {
+    identifier.push({
+      type: { coding: [{ system: V2_0203, code: "PI", display: "Patient internal identifier" }], text: "Patient ID" },
+      system: IDENTIFIER_SYSTEMS.uri,
+      value: `urn:uuid:${p.user_ref_id.toLowerCase()}`,
+    });
+  }
+
+  const telecom = [];
+  if (p.mobile) telecom.push({ system: "phone", value: String(p.mobile), use: "mobile" });
+  if (p.email) telecom.push({ system: "email", value: String(p.email) });
+
+  const gender = p.gender ? String(p.gender).toLowerCase() : undefined;
+  const birthDate = ddmmyyyyToISO(p.dob);
+
+  return {
+    resourceType: "Patient",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Patient"),
+    text: buildNarrative("Patient", paragraphs(p.name, [gender, birthDate].filter(Boolean).join(" "))),
+    identifier: identifier.length ? identifier : undefined,
+    name: p.name ? [{ text: String(p.name).trim() }] : undefined,
+    gender,
+    birthDate,
+    telecom: telecom.length ? telecom : undefined,
+    address: p.address ? [{ text: p.address }] : undefined,
+  };
+}
+
+/*
+  Practitioner with the medical license as identifier
+  @param {{ id, name, license, qualification?, phone?, email? }} opts
+*/
+export function buildPractitioner({ id, name, license, qualification, phone, email }) {
+  const telecom = [];
+  if (phone) telecom.push({ system: "phone", value: phone });
+  if (email) telecom.push({ system: "email", value: email });
+  return {
+    resourceType: "Practitioner",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Practitioner"),
+    text: buildNarrative("Practitioner", paragraphs(name, `License: ${license || ""}`, qualification)),
+    identifier: [
+      {
+        type: { coding: [{ system: V2_0203, code: "MD", display: "Medical License number" }] },
+        system: IDENTIFIER_SYSTEMS.practitionerLicense,
+        value: license || "LIC-0000",
+      },
+    ],
+    name: [{ text: name || "Dr. ABC" }],
+    telecom: telecom.length ? telecom : undefined,
+    qualification: qualification ? [{ code: { text: qualification } }] : undefined,
+  };
+}
+
+/*
+  Organization (facility / lab / issuer). Returns null when there is no name, so optional
+  organizations can be built unconditionally.
+  @param {{ id, name, facilityId?, phone?, address?, identifier? }} opts  identifier: extra identifiers
+*/
+export function buildOrganization({ id, name, facilityId = DEFAULT_FACILITY_ID, phone, address, identifier = [] }) {
+  if (!name) return null;
+  return {
+    resourceType: "Organization",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Organization"),
+    text: buildNarrative("Organization", paragraphs(name)),
+    identifier: [
+      {
+        type: { coding: [{ system: V2_0203, code: "PRN", display: "Provider number" }] },
+        system: IDENTIFIER_SYSTEMS.facility,
+        value: facilityId,
+      },
+      ...identifier,
+    ],
+    name,
+    telecom: phone ? [{ system: "phone", value: phone }] : undefined,
+    address: address ? [{ text: address }] : undefined,
+  };
+}
+
+/*
+  Encounter
+  @param {object} opts
+  @param {string} opts.id
+  @param {string} opts.patientId
+  @param {string} [opts.practitionerId] added as participant
+  @param {"AMB"|"IMP"|"EMER"} [opts.classCode="AMB"]
+  @param {string} [opts.start] dateTime, defaults to now
+  @param {string} [opts.end]   dateTime, defaults to start
+  @param {string} [opts.narrative] narrative text
+  Any other property (type, hospitalization, diagnosis, episodeOfCare, serviceProvider, ...) is copied as is.
+*/
+export function buildEncounter({ id, patientId, practitionerId, classCode = "AMB", status = "finished", start, end, narrative, ...rest }) {
+  const periodStart = start || isoWithLocalOffsetFromDate(new Date());
+  return {
+    resourceType: "Encounter",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Encounter"),
+    text: buildNarrative("Encounter", narrative || `${ENCOUNTER_CLASS[classCode].display} encounter on ${periodStart}`),
+    status,
+    class: ENCOUNTER_CLASS[classCode],
+    subject: ref(patientId),
+    ...(practitionerId ? { participant: [{ individual: ref(practitionerId) }] } : {}),
+    period: { start: periodStart, end: end || periodStart },
+    ...rest,
+  };
+}
+
+/* Binary holding base64 data */
+export function buildBinary({ id, contentType, data }) {
+  return {
+    resourceType: "Binary",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Binary"),
+    contentType,
+    data,
+  };
+}
+
+/* Bytes encoded by a base64 string (Attachment.size counts the data before encoding) */
+export function base64ByteLength(b64) {
+  const s = String(b64 || "").replace(/\s+/g, "");
+  return Math.max(0, Math.floor((s.length * 3) / 4) - (s.endsWith("==") ? 2 : s.endsWith("=") ? 1 : 0));
+}
+
+/*
+  DocumentReference + the Binary it points to. The attachment carries the data inline
+  (required by the NDHM profile) and its url points at the Binary; size is computed here,
+  the SHA-1 hash is added to the finished Bundle (attachment-metadata.js hashAttachments).
+  @param {object} opts
+  @param {string} opts.docRefId
+  @param {string} opts.binaryId
+  @param {string} opts.patientId
+  @param {string} [opts.authorId]
+  @param {object} opts.type   CodeableConcept for DocumentReference.type
+  @param {string} opts.title
+  @param {string} opts.contentType
+  @param {string} opts.data   base64 without prefix
+  @param {string} [opts.date]
+  @param {string} [opts.creation]    when the document itself was created (default: date)
+  @param {string} [opts.description]
+  @param {object} [opts.category]    CodeableConcept for DocumentReference.category
+  @param {string} [opts.language]    BCP-47 language of the document (DocumentReference and Attachment)
+  @returns {{ binary, docRef }}
+*/
+export function buildDocumentAttachment({ docRefId, binaryId, patientId, authorId, type, title, contentType, data, date, creation = date, description, category, language = DEFAULT_LANGUAGE }) {
+  const binary = buildBinary({ id: binaryId, contentType, data });
+  const docRef = {
+    resourceType: "DocumentReference",
+    id: docRefId,
+    language,
+    meta: ndhmMeta("DocumentReference"),
+    text: buildNarrative("DocumentReference", paragraphs(title, description)),
+    status: "current",
+    docStatus: "final",
+    type,
+    ...(category ? { category: [category] } : {}),
+    subject: ref(patientId),
+    ...(date ? { date } : {}),
+    ...(authorId ? { author: [ref(authorId)] } : {}),
+    ...(description ? { description } : {}),
+    content: [{
+      attachment: {
+        contentType,
+        language,
+        data,
+        url: `urn:uuid:${binaryId}`,
+        size: base64ByteLength(data),
+        title,
+        ...(creation ? { creation } : {}),
+      },
+    }],
+  };
+  return { binary, docRef };
+}
+
+/*
+  Composition for a document bundle
+  @param {object} opts
+  @param {string} opts.id
+  @param {string} opts.profile   NDHM profile name, e.g. "OPConsultRecord" (or a full StructureDefinition URL)
+  @param {object} opts.type      CodeableConcept for Composition.type
+  @param {string} opts.title
+  @param {string} [opts.status="final"]
+  @param {string} opts.patientId
+  @param {string} [opts.encounterId]
+  @param {string} opts.date
+  @param {string} opts.authorId
+  @param {string} [opts.authorDisplay]
+  @param {object[]} [opts.attester]  defaults to the author as professional attester
+  @param {string} [opts.custodianId]
+  @param {object[]} opts.section
+  @param {object|string} [opts.narrative] Composition.text content: xhtml`` fragment or plain text
+  Any other property (event, confidentiality, relatesTo, ...) is copied as is.
+*/
+export function buildComposition({ id, profile, type, title, status = "final", patientId, encounterId, date, authorId, authorDisplay, attester, custodianId, section, narrative, ...rest }) {
+  return {
+    resourceType: "Composition",
+    id,
+    language: DEFAULT_LANGUAGE,
+    meta: profile.includes("://") ? { profile: [profile] } : ndhmMeta(profile),
+    text: buildNarrative(title, narrative || paragraphs(title, authorDisplay && `Author: ${authorDisplay}`)),
+    status,
+    type,
+    subject: ref(patientId),
+    ...(encounterId ? { encounter: ref(encounterId) } : {}),
+    date,
+    author: [ref(authorId, authorDisplay)],
+    title,
+    attester: attester || [{ mode: "professional", party: ref(authorId) }],
+    ...(custodianId ? { custodian: ref(custodianId) } : {}),
+    ...rest,
+    section,
+  };
+}
+
+/*
+  Document Bundle: Composition first, then every other resource (null entries are skipped)
+  @param {{ idPrefix: string, composition: object, resources: object[] }} opts
+*/
+export function buildDocumentBundle({ idPrefix, composition, resources }) {
+  const now = isoWithLocalOffsetFromDate(new Date());
+  return {
+    resourceType: "Bundle",
+    id: `${idPrefix}-${uuidv4()}`,
+    meta: { ...ndhmMeta("DocumentBundle"), lastUpdated: now },
+    identifier: { system: IDENTIFIER_SYSTEMS.uri, value: `urn:uuid:${uuidv4()}` },
+    type: "document",
+    timestamp: now,
+    entry: [composition, ...resources]
+      .filter(Boolean)
+      .map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource })),
+  };
+}
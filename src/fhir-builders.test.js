@@ -0,0 +1,142 @@
+import {
+  ddmmyyyyToISO,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildDocumentAttachment,
+  buildComposition,
+  buildDocumentBundle,
+  resolveGlobalPractitioner,
+  isUuid,
+} from "./fhir-builders";
+
+const PATIENT = {
+  id: 7,
+  name: "Asha Devi",
+  email: "asha@example.org",
+  mobile: "9876543210",
+  gender: "Female",
+  dob: "05-03-1990",
+  address: "Pune",
+  abha_ref: "91-7104-3321-8355",
+  user_ref_id: "3F2504E0-4F89-41D3-9A0C-0305E82C3301",
+  user_id: 42,
+};
+
+describe("ddmmyyyyToISO", () => {
+  test("converts dd-mm-yyyy and dd/mm/yyyy, passes ISO through", () => {
+    expect(ddmmyyyyToISO("5-3-1990")).toBe("1990-03-05");
+    expect(ddmmyyyyToISO("05/03/1990")).toBe("1990-03-05");
+    expect(ddmmyyyyToISO("1990-03-05")).toBe("1990-03-05");
+    expect(ddmmyyyyToISO("1990")).toBeUndefined();
+  });
+});
+
+describe("resolveGlobalPractitioner", () => {
+  afterEach(() => {
+    delete window.GlobalPractioner;
+  });
+
+  test("the placeholder and a global with a non-uuid id get a plain uuid", () => {
+    const fallback = resolveGlobalPractitioner();
+    expect(isUuid(fallback.id)).toBe(true);
+    expect(fallback).toMatchObject({ name: "Dr. ABC", placeholder: true });
+
+    window.GlobalPractioner = { id: "doc-17", name: [{ text: "Dr. B. Rao" }], identifier: [{ value: "NMC-456" }] };
+    const resolved = resolveGlobalPractitioner();
+    expect(isUuid(resolved.id)).toBe(true);
+    expect(resolved).toMatchObject({ name: "Dr. B. Rao", license: "NMC-456", placeholder: false });
+
+    window.GlobalPractioner.id = "3f2b8c1e-9d4a-4e6b-8a1f-2c3d4e5f6a7b";
+    expect(resolveGlobalPractitioner().id).toBe("3f2b8c1e-9d4a-4e6b-8a1f-2c3d4e5f6a7b");
+  });
+});
+
+describe("buildPatient", () => {
+  test("emits ABHA number, ABHA address and facility patient id identifiers", () => {
+    const p = buildPatient({ id: "p1", patient: PATIENT, abhaAddress: "asha@abdm" });
+    expect(p.meta.profile).toEqual(["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"]);
+    expect(p.identifier.map(i => [i.type.coding[0].code, i.system, i.value])).toEqual([
+      ["MR", "https://healthid.ndhm.gov.in", "91-7104-3321-8355"],
+      ["PN", "https://healthid.ndhm.gov.in/address", "asha@abdm"],
+      ["PI", "urn:ietf:rfc:3986", "urn:uuid:3f2504e0-4f89-41d3-9a0c-0305e82c3301"],
+    ]);
+    expect(p.gender).toBe("female");
+    expect(p.birthDate).toBe("1990-03-05");
+    expect(p.telecom).toEqual([
+      { system: "phone", value: "9876543210", use: "mobile" },
+      { system: "email", value: "asha@example.org" },
+    ]);
+  });
+
+  test("omits identifiers that are not available", () => {
+    const p = buildPatient({ id: "p1", patient: { name: "X", user_ref_id: "not-a-uuid" } });
+    expect(p.identifier).toBeUndefined();
+    expect(p.telecom).toBeUndefined();
+  });
+});
+
+describe("buildPractitioner / buildOrganization", () => {
+  test("practitioner license goes under the NDHM doctor registry", () => {
+    const pr = buildPractitioner({ id: "d1", name: "Dr. A", license: "NMC-1", phone: "+91900" });
+    expect(pr.identifier[0]).toMatchObject({ system: "https://doctor.ndhm.gov.in", value: "NMC-1" });
+    expect(pr.identifier[0].type.coding[0].code).toBe("MD");
+    expect(pr.telecom).toEqual([{ system: "phone", value: "+91900" }]);
+  });
+
+  test("organization is null without a name and carries the facility id otherwise", () => {
+    expect(buildOrganization({ id: "o1", name: "" })).toBeNull();
+    const org = buildOrganization({ id: "o1", name: "City Lab", identifier: [{ value: "GST" }] });
+    expect(org.identifier[0]).toMatchObject({ system: "https://facility.ndhm.gov.in", value: "HIP123456" });
+    expect(org.identifier).toHaveLength(2);
+  });
+});
+
+describe("buildEncounter", () => {
+  test("uses the requested class and copies extra properties", () => {
+    const e = buildEncounter({ id: "e1", patientId: "p1", practitionerId: "d1", classCode: "IMP", start: "2024-01-01", end: "2024-01-05", hospitalization: { x: 1 } });
+    expect(e.class.code).toBe("IMP");
+    expect(e.subject).toEqual({ reference: "urn:uuid:p1" });
+    expect(e.participant).toEqual([{ individual: { reference: "urn:uuid:d1" } }]);
+    expect(e.period).toEqual({ start: "2024-01-01", end: "2024-01-05" });
+    expect(e.hospitalization).toEqual({ x: 1 });
+  });
+});
+
+describe("buildDocumentAttachment", () => {
+  test("inlines the data and points the attachment url at the Binary", () => {
+    const { binary, docRef } = buildDocumentAttachment({
+      docRefId: "dr1", binaryId: "b1", patientId: "p1", type: { text: "Doc" }, title: "a.pdf", contentType: "application/pdf", data: "AAAA",
+    });
+    expect(binary).toMatchObject({ resourceType: "Binary", id: "b1", contentType: "application/pdf", data: "AAAA" });
+    expect(docRef.content[0].attachment).toMatchObject({ data: "AAAA", url: "urn:uuid:b1" });
+    expect(docRef.author).toBeUndefined();
+  });
+});
+
+describe("buildComposition / buildDocumentBundle", () => {
+  test("bundle puts the composition first and skips missing resources", () => {
+    const composition = buildComposition({
+      id: "c1", profile: "OPConsultRecord", type: { text: "t" }, title: "T", patientId: "p1", date: "2024-01-01", authorId: "d1", section: [],
+    });
+    expect(composition.meta.profile[0]).toMatch(/OPConsultRecord$/);
+    expect(composition.attester).toEqual([{ mode: "professional", party: { reference: "urn:uuid:d1" } }]);
+    expect(composition.encounter).toBeUndefined();
+
+    const bundle = buildDocumentBundle({
+      idPrefix: "TestBundle",
+      composition,
+      resources: [{ resourceType: "Patient", id: "p1" }, null, { resourceType: "Practitioner", id: "d1" }],
+    });
+    expect(bundle.type).toBe("document");
+    expect(bundle.id).toMatch(/^TestBundle-/);
+    expect(bundle.identifier.system).toBe("urn:ietf:rfc:3986");
+    expect(bundle.entry.map(e => e.fullUrl)).toEqual(["urn:uuid:c1", "urn:uuid:p1", "urn:uuid:d1"]);
+  });
+
+  test("accepts a full StructureDefinition URL as profile", () => {
+    const c = buildComposition({ id: "c1", profile: "http://hl7.org/fhir/StructureDefinition/Composition", title: "T", patientId: "p1", authorId: "d1", section: [] });
+    expect(c.meta.profile).toEqual(["http://hl7.org/fhir/StructureDefinition/Composition"]);
+  });
+});
@@ -0,0 +1,189 @@
+// src/history-panel.js
+import React, { useCallback, useEffect, useState } from "react";
+import { usePatientSelection, patientKey } from "./patient-context";
+import { subscribeHistory, listSubmissions, deleteSubmission } from "./submission-history";
+import { isLocalDbAvailable } from "./local-db";
+import { STATUS_BADGE } from "./outbox-panel";
+import { submitBundle, submitResultMessage } from "./outbox";
+import { signWithStoredKey } from "./bundle-signature";
+import { AMENDABLE_RECORD_TYPES, startAmendment, retractionBundle } from "./document-revision";
+
+/*
+  Submission history page (submission-history.js)
+  - Every submitted bundle, for the selected patient or all patients, newest first
+  - Per entry: record type, composition id, environment, times, status and the server
+    response; "View JSON" shows the exact payload that was POSTed, which can be downloaded
+  - Sent documents can be amended (opens the builder with the document, document-revision.js)
+    or retracted (an "entered-in-error" version is submitted right away); a document that
+    was amended or retracted shows by what, and is no longer offered for either
+*/
+
+const ALL = "*";
+
+function download(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* Builder route of a record type (app-shell.js ROUTES) */
+function builderPath(recordType) {
+  return recordType === "health-document" ? "/" : `/${recordType}`;
+}
+
+/* Client-side navigation: app-shell.js follows popstate */
+function openBuilder(path) {
+  window.history.pushState(null, "", `${path}${window.location.search}`);
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+const REVISION_TEXT = { amendment: "Amended", retraction: "Retracted" };
+
+function when(iso) {
+  return iso ? new Date(iso).toLocaleString() : "";
+}
+
+/* One line for the server response (id / status fields when present) */
+function responseSummary(response) {
+  if (response == null) return "";
+  if (typeof response !== "object") return String(response);
+  const parts = ["id", "status", "message"].filter(k => response[k] != null).map(k => `${k}: ${response[k]}`);
+  return parts.length ? parts.join(" — ") : JSON.stringify(response).slice(0, 120);
+}
+
+export default function HistoryPage() {
+  const { patients, selectedPatient } = usePatientSelection();
+  const [filter, setFilter] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [error, setError] = useState("");
+
+  // follow the patient selected in the builders until another filter is picked here
+  const key = filter ?? (selectedPatient ? patientKey(selectedPatient) : ALL);
+
+  const refresh = useCallback(() => {
+    listSubmissions(key === ALL ? undefined : key)
+      .then(list => { setEntries(list); setError(""); })
+      .catch(e => setError(`History unavailable: ${e.message}`));
+  }, [key]);
+
+  useEffect(() => {
+    refresh();
+    return subscribeHistory(refresh);
+  }, [refresh]);
+
+  // entry id -> the later entry that amends / retracts it (cancelled attempts do not count)
+  const revisedBy = new Map(entries.filter(e => e.revision && e.status !== "cancelled").map(e => [e.revision.of, e]));
+  const byId = new Map(entries.map(e => [e.id, e]));
+
+  function onAmend(entry) {
+    startAmendment({ recordType: entry.recordType, historyId: entry.id, bundle: entry.payload.bundle });
+    openBuilder(builderPath(entry.recordType));
+  }
+
+  async function onRetract(entry) {
+    if (!window.confirm(`Withdraw "${entry.label || entry.recordType}"? An entered-in-error version of the document is submitted.`)) return;
+    const signed = await signWithStoredKey(retractionBundle(entry.payload.bundle));
+    if (!signed) return;
+    const result = await submitBundle({
+      recordType: entry.recordType,
+      label: `Retraction — ${entry.label || entry.recordType}`,
+      bundle: signed,
+      patient: entry.payload.patient,
+      patientKey: entry.patientKey,
+      patientName: entry.patientName,
+      revision: { kind: "retraction", of: entry.id },
+    });
+    alert(submitResultMessage(result));
+  }
+
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Submission History</h2>
+
+      <div className="d-flex align-items-center gap-2 mb-3">
+        <label className="form-label mb-0" htmlFor="history-patient">Patient</label>
+        <select id="history-patient" className="form-select w-auto" value={key} onChange={e => setFilter(e.target.value)}>
+          <option value={ALL}>All patients</option>
+          {patients.map(p => <option key={patientKey(p)} value={patientKey(p)}>{p.name}</option>)}
+        </select>
+      </div>
+
+      {!isLocalDbAvailable() && <div className="alert alert-warning">This browser has no IndexedDB: submissions are not recorded.</div>}
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {entries.length === 0 ? <div className="text-muted">No submissions{key === ALL ? "" : " for this patient"}.</div> : (
+        <ul className="list-group">
+          {entries.map(entry => (
+            <li key={entry.id} className="list-group-item">
+              <div className="d-flex justify-content-between align-items-start">
+                <div>
+                  <span className={`badge ${STATUS_BADGE[entry.status] || "bg-secondary"} me-2`}>{entry.status}</span>
+                  <strong>{entry.label || entry.recordType}</strong>
+                  {key === ALL && entry.patientName && <span className="text-muted"> — {entry.patientName}</span>}
+                  <div className="small text-muted">
+                    {entry.recordType} — Composition <code>{entry.compositionId || "?"}</code> — {entry.environment}
+                  </div>
+                  <div className="small text-muted">
+                    Submitted {when(entry.submittedAt)}
+                    {entry.sentAt && entry.sentAt !== entry.submittedAt && ` — sent ${when(entry.sentAt)}`}
+                  </div>
+                  {entry.response != null && <div className="small">Server: {responseSummary(entry.response)}</div>}
+                  {entry.error && entry.status !== "sent" && <div className="small text-danger">{entry.error}</div>}
+                  {entry.revision && (
+                    <div className="small">
+                      {entry.revision.kind === "retraction" ? "Withdraws" : "Replaces"} {byId.get(entry.revision.of)?.label || "an earlier submission"}
+                      {byId.get(entry.revision.of) && ` of ${when(byId.get(entry.revision.of).submittedAt)}`}
+                    </div>
+                  )}
+                  {revisedBy.has(entry.id) && (
+                    <div className="small text-warning-emphasis">
+                      {REVISION_TEXT[revisedBy.get(entry.id).revision.kind]} {when(revisedBy.get(entry.id).submittedAt)} ({revisedBy.get(entry.id).status})
+                    </div>
+                  )}
+                </div>
+                <div className="d-flex gap-1">
+                  {entry.status === "sent" && entry.revision?.kind !== "retraction" && !revisedBy.has(entry.id) && (
+                    <>
+                      {AMENDABLE_RECORD_TYPES.includes(entry.recordType) && (
+                        <button className="btn btn-sm btn-outline-primary" onClick={() => onAmend(entry)}>Amend</button>
+                      )}
+                      <button className="btn btn-sm btn-outline-warning" onClick={() => onRetract(entry)}>Retract</button>
+                    </>
+                  )}
+                  <button className="btn btn-sm btn-outline-primary" onClick={() => setOpenId(openId === entry.id ? null : entry.id)}>
+                    {openId === entry.id ? "Hide JSON" : "View JSON"}
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => download(`${entry.recordType}-${entry.compositionId || entry.id}.json`, JSON.stringify(entry.payload, null, 2))}
+                  >
+                    Download
+                  </button>
+                  <button className="btn btn-sm btn-outline-danger" onClick={() => window.confirm("Remove this entry from the history?") && deleteSubmission(entry.id)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+              {openId === entry.id && (
+                <div className="mt-2">
+                  <div className="small fw-bold">Sent to <code>{entry.url}</code></div>
+                  <pre className="bg-light border p-2 small mb-2" style={{ maxHeight: 400, overflow: "auto" }}>{JSON.stringify(entry.payload, null, 2)}</pre>
+                  {entry.response != null && (
+                    <>
+                      <div className="small fw-bold">Server response</div>
+                      <pre className="bg-light border p-2 small mb-0" style={{ maxHeight: 200, overflow: "auto" }}>{JSON.stringify(entry.response, null, 2)}</pre>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React from "react";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { PatientProvider } from "./patient-context";
+import HistoryPage from "./history-panel";
+
+jest.mock("./local-db", () => ({ isLocalDbAvailable: () => true }));
+
+// In-memory stand-in for the history store (jsdom has no IndexedDB)
+jest.mock("./submission-history", () => {
+  const mockEntries = [
+    { id: "h1", recordType: "prescription", label: "Prescription — Asha Devi", patientKey: "45", patientName: "Asha Devi", compositionId: "comp-1", environment: "uat", url: "https://uat.example/fhir-bundle", payload: { bundle: { resourceType: "Bundle", id: "b-1" }, patient: 101 }, status: "sent", response: { id: "srv-1", status: "accepted" }, submittedAt: "2024-05-02T10:00:00.000Z" },
+    { id: "h2", recordType: "op-consult", label: "OP Consult — Rohit Kumar", patientKey: "46", patientName: "Rohit Kumar", compositionId: "comp-2", environment: "uat", url: "https://uat.example/fhir-bundle", payload: { bundle: { resourceType: "Bundle", id: "b-2" }, patient: 102 }, status: "failed", error: "HTTP 400: Invalid bundle", response: null, submittedAt: "2024-05-01T10:00:00.000Z" },
+  ];
+  return {
+    subscribeHistory: () => () => {},
+    listSubmissions: async key => mockEntries.filter(e => !key || e.patientKey === key),
+    deleteSubmission: async () => {},
+  };
+});
+
+const PATIENTS = [
+  { id: 45, user_id: 101, name: "Asha Devi", abha_ref: "91-1111-2222-3333" },
+  { id: 46, user_id: 102, name: "Rohit Kumar", abha_ref: "91-4444-5555-6666" },
+];
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => PATIENTS }));
+});
+
+afterEach(() => {
+  window.history.replaceState(null, "", "/");
+  delete global.fetch;
+});
+
+test("history follows the selected patient and shows the exact JSON sent", async () => {
+  render(<PatientProvider><HistoryPage /></PatientProvider>);
+
+  const item = await screen.findByRole("listitem");
+  expect(within(item).getByText("Prescription — Asha Devi")).toBeInTheDocument();
+  expect(within(item).getByText(/srv-1/)).toBeInTheDocument();
+  expect(screen.queryByText("OP Consult — Rohit Kumar")).not.toBeInTheDocument();
+
+  fireEvent.click(within(item).getByText("View JSON"));
+  expect(within(item).getByText(/"id": "b-1"/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Patient"), { target: { value: "*" } });
+  expect(await screen.findByText("OP Consult — Rohit Kumar")).toBeInTheDocument();
+  expect(screen.getByText("HTTP 400: Invalid bundle")).toBeInTheDocument();
+});
@@ -0,0 +1,154 @@
+// src/image-pdf.js
+/*
+  Scanned pages -> one PDF document, in the browser (no library)
+  - imagesToPdf(pages, { name }): pages are { file, rotation } in reading order (JPEG / PNG
+    as accepted by attachment-intake.js; rotation 0 / 90 / 180 / 270, clockwise); each
+    becomes one A4 page with the image fitted inside a small margin
+  - JPEGs are embedded as they are (DCTDecode) and turned with the page's /Rotate, so no
+    quality is lost; PNGs and JPEGs with an EXIF orientation are redrawn to JPEG on a canvas
+    first (attachment-intake redraw), so pages come out the way the thumbnails show them
+  - jpegInfo(bytes): size and colour components from the JPEG frame header (DCT frames only);
+    jpegOrientation(bytes): the EXIF orientation
+*/
+import { redraw } from "./attachment-intake";
+
+const A4_SHORT = 595;
+const A4_LONG = 842;
+const MARGIN = 18;
+
+/* SOFn markers (frame headers); C4 / C8 / CC are DHT / JPG / DAC */
+const SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+/* the frames DCTDecode can decode: baseline, extended and progressive Huffman (not lossless / arithmetic) */
+const DCT_MARKERS = [0xc0, 0xc1, 0xc2];
+const COLOR_SPACES = { 1: "/DeviceGray", 3: "/DeviceRGB", 4: "/DeviceCMYK" };
+
+/* Marker segments before the scan data: { marker, at } (at: offset of the 0xFF) */
+function* segments(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return;
+  let i = 2;
+  while (i + 3 < bytes.length && bytes[i] === 0xff) {
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i += 1; // fill byte
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) return; // end of image / start of scan
+    yield { marker, at: i };
+    i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+  }
+}
+
+/*
+  { width, height, components } of a JPEG; null when there is no frame header or the frame is
+  one DCTDecode cannot decode (lossless SOF3 and friends, arithmetic coding)
+*/
+export function jpegInfo(bytes) {
+  for (const { marker, at } of segments(bytes)) {
+    if (!SOF_MARKERS.includes(marker)) continue;
+    if (!DCT_MARKERS.includes(marker)) return null;
+    return { height: (bytes[at + 5] << 8) | bytes[at + 6], width: (bytes[at + 7] << 8) | bytes[at + 8], components: bytes[at + 9] };
+  }
+  return null;
+}
+
+/* EXIF orientation (1-8) of a JPEG, 1 when it has none */
+export function jpegOrientation(bytes) {
+  for (const { marker, at } of segments(bytes)) {
+    if (marker !== 0xe1 || String.fromCharCode(...bytes.subarray(at + 4, at + 10)) !== "Exif\0\0") continue;
+    const tiff = at + 10;
+    const little = bytes[tiff] === 0x49; // "II"
+    const u16 = o => (little ? bytes[o] | (bytes[o + 1] << 8) : (bytes[o] << 8) | bytes[o + 1]);
+    const u32 = o => (little ? u16(o) + u16(o + 2) * 0x10000 : u16(o) * 0x10000 + u16(o + 2));
+    const ifd = tiff + u32(tiff + 4);
+    for (let k = 0, n = u16(ifd); k < n && ifd + 14 + k * 12 <= bytes.length; k++) {
+      const entry = ifd + 2 + k * 12;
+      if (u16(entry) === 0x0112) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+    return 1;
+  }
+  return 1;
+}
+
+/* All bytes of a Blob (FileReader: jsdom's Blob has no arrayBuffer()) */
+function readBytes(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("File read error"));
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+function bytesToBinary(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return out;
+}
+
+/*
+  JPEG bytes + frame info for one page. PNGs, and JPEGs with an EXIF orientation other than 1
+  (phone photos; the browser shows them turned, DCTDecode would not), are redrawn on a canvas.
+*/
+async function pageJpeg(file) {
+  let bytes = await readBytes(file);
+  if (file.type !== "image/jpeg" || jpegOrientation(bytes) !== 1) {
+    const redrawn = await redraw(file, "image/jpeg", { force: true });
+    if (!redrawn) {
+      throw new Error(file.type === "image/jpeg"
+        ? `${file.name}: this browser cannot apply the photo's orientation; rotate it with an image editor and add it again`
+        : `${file.name}: this browser cannot convert the image; use a JPEG instead`);
+    }
+    bytes = await readBytes(redrawn.blob);
+  }
+  const info = jpegInfo(bytes);
+  if (!info || !COLOR_SPACES[info.components]) throw new Error(`${file.name} is not a baseline or progressive JPEG image`);
+  return { bytes, ...info };
+}
+
+/*
+  One PDF from scanned pages
+  @param {Array<{ file: File, rotation?: number }>} pages
+  @param {{ name?: string }} [opts]  file name of the PDF
+  @returns {Promise<File>}  application/pdf
+*/
+export async function imagesToPdf(pages, { name = "scan.pdf" } = {}) {
+  if (!pages.length) throw new Error("Add at least one page");
+  const images = [];
+  for (const p of pages) images.push({ ...(await pageJpeg(p.file)), rotation: (((p.rotation || 0) % 360) + 360) % 360 });
+
+  // objects: 1 catalog, 2 pages, then (page, content, image) per page
+  const objects = [];
+  const pageObjNums = images.map((_, i) => 3 + i * 3);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageObjNums.map(n => `${n} 0 R`).join(" ")}] /Count ${images.length} >>`;
+  images.forEach((img, i) => {
+    const n = pageObjNums[i];
+    // page in the image's own orientation; /Rotate turns page and image together
+    const [pageW, pageH] = img.width > img.height ? [A4_LONG, A4_SHORT] : [A4_SHORT, A4_LONG];
+    const scale = Math.min((pageW - MARGIN * 2) / img.width, (pageH - MARGIN * 2) / img.height);
+    const w = img.width * scale;
+    const h = img.height * scale;
+    const stream = `q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${((pageW - w) / 2).toFixed(2)} ${((pageH - h) / 2).toFixed(2)} cm /Im0 Do Q`;
+    objects[n] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageW} ${pageH}]${img.rotation ? ` /Rotate ${img.rotation}` : ""} /Resources << /XObject << /Im0 ${n + 2} 0 R >> >> /Contents ${n + 1} 0 R >>`;
+    objects[n + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    objects[n + 2] = `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${COLOR_SPACES[img.components]} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>\nstream\n${bytesToBinary(img.bytes)}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets[n] = pdf.length;
+    pdf += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+  const xrefAt = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objects.length; n++) pdf += `${String(offsets[n]).padStart(10, "0")} 00000 n \n`;
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return new File([bytes], name, { type: "application/pdf" });
+}
@@ -0,0 +1,96 @@
+import { jpegInfo, jpegOrientation, imagesToPdf } from "./image-pdf";
+import { redraw } from "./attachment-intake";
+
+// jsdom cannot decode images; the canvas redraw is stood in for per test
+jest.mock("./attachment-intake", () => ({ redraw: jest.fn() }));
+
+/* Smallest JPEG-shaped bytes: SOI, an APP0 segment, a baseline frame header, EOI */
+function jpeg(width, height, components = 3, { sof = 0xc0, exif = [] } = {}) {
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    ...exif,
+    0xff, sof, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, components,
+    ...new Array(3 * components).fill(0),
+    0xff, 0xd9,
+  ]);
+}
+
+/* APP1 Exif segment with one IFD0 entry: Orientation (0x0112), SHORT */
+function exifSegment(orientation, little = false) {
+  const u16 = v => (little ? [v & 0xff, v >> 8] : [v >> 8, v & 0xff]);
+  const u32 = v => (little ? [...u16(v & 0xffff), ...u16(v >>> 16)] : [...u16(v >>> 16), ...u16(v & 0xffff)]);
+  const tiff = [...(little ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42), ...u32(8), ...u16(1), ...u16(0x0112), ...u16(3), ...u32(1), ...u16(orientation), 0, 0, ...u32(0)];
+  const body = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  return [0xff, 0xe1, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body];
+}
+
+function readText(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsBinaryString(blob);
+  });
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+test("jpegInfo reads the frame header after other segments", () => {
+  expect(jpegInfo(jpeg(1600, 1200))).toEqual({ width: 1600, height: 1200, components: 3 });
+  expect(jpegInfo(jpeg(10, 20, 1))).toEqual({ width: 10, height: 20, components: 1 });
+  expect(jpegInfo(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toBeNull();
+  expect(jpegInfo(jpeg(10, 20, 3, { sof: 0xc2 }))).toEqual({ width: 10, height: 20, components: 3 });
+});
+
+test("lossless and arithmetic-coded JPEGs are refused (DCTDecode cannot read them)", async () => {
+  expect(jpegInfo(jpeg(10, 20, 3, { sof: 0xc3 }))).toBeNull();
+  expect(jpegInfo(jpeg(10, 20, 3, { sof: 0xc9 }))).toBeNull();
+  const lossless = new File([jpeg(10, 20, 1, { sof: 0xc3 })], "ct.jpg", { type: "image/jpeg" });
+  await expect(imagesToPdf([{ file: lossless }])).rejects.toThrow("ct.jpg is not a baseline or progressive JPEG image");
+});
+
+test("jpegOrientation reads the EXIF tag in either byte order", () => {
+  expect(jpegOrientation(jpeg(10, 20))).toBe(1);
+  expect(jpegOrientation(jpeg(10, 20, 3, { exif: exifSegment(6) }))).toBe(6);
+  expect(jpegOrientation(jpeg(10, 20, 3, { exif: exifSegment(8, true) }))).toBe(8);
+  expect(jpegOrientation(jpeg(10, 20, 3, { exif: exifSegment(42) }))).toBe(1);
+});
+
+test("photos with an EXIF orientation are redrawn upright before embedding", async () => {
+  const photo = new File([jpeg(1600, 1200, 3, { exif: exifSegment(6) })], "photo.jpg", { type: "image/jpeg" });
+  redraw.mockResolvedValueOnce({ blob: new Blob([jpeg(1200, 1600)], { type: "image/jpeg" }) });
+  const text = await readText(await imagesToPdf([{ file: photo }]));
+  expect(redraw).toHaveBeenCalledWith(photo, "image/jpeg", { force: true });
+  expect(text).toContain("/Width 1200 /Height 1600");
+  expect(text).toContain("/MediaBox [0 0 595 842] /Resources");
+
+  redraw.mockResolvedValueOnce(null);
+  await expect(imagesToPdf([{ file: photo }])).rejects.toThrow(/photo.jpg: this browser cannot apply the photo's orientation/);
+});
+
+test("pages are combined in order, one image per page, rotated with /Rotate", async () => {
+  const pages = [
+    { file: new File([jpeg(1200, 1600)], "page-1.jpg", { type: "image/jpeg" }), rotation: 0 },
+    { file: new File([jpeg(1600, 1200, 1)], "page-2.jpg", { type: "image/jpeg" }), rotation: 270 },
+  ];
+  const pdf = await imagesToPdf(pages, { name: "report.pdf" });
+  expect(pdf).toMatchObject({ name: "report.pdf", type: "application/pdf" });
+
+  const text = await readText(pdf);
+  expect(text.startsWith("%PDF-1.4")).toBe(true);
+  expect(text).toContain("/Count 2");
+  expect(text).toContain("/MediaBox [0 0 595 842] /Resources");
+  expect(text).toContain("/MediaBox [0 0 842 595] /Rotate 270");
+  expect(text.indexOf("/Width 1200 /Height 1600 /ColorSpace /DeviceRGB")).toBeLessThan(text.indexOf("/Width 1600 /Height 1200 /ColorSpace /DeviceGray"));
+  const xrefAt = Number(text.match(/startxref\n(\d+)/)[1]);
+  expect(text.slice(xrefAt, xrefAt + 4)).toBe("xref");
+  const offsets = text.match(/^\d{10} 00000 n $/gm).map(l => Number(l.slice(0, 10)));
+  offsets.forEach((o, i) => expect(text.slice(o).startsWith(`${i + 1} 0 obj`)).toBe(true));
+});
+
+test("PNG pages need a canvas; no pages is an error", async () => {
+  redraw.mockResolvedValueOnce(null);
+  const png = new File([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], "chart.png", { type: "image/png" });
+  await expect(imagesToPdf([{ file: png }])).rejects.toThrow(/chart.png: this browser cannot convert the image/);
+  await expect(imagesToPdf([])).rejects.toThrow(/at least one page/);
+});
@@ -0,0 +1,404 @@
+// src/imaging-report-record.js
+import React, { useMemo, useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import { readDicomHeader, dicomDateToISO, dicomTimeToISO, groupDicomStudies } from "./dicom-parser";
+import {
+  ndhmMeta,
+  V2_0203,
+  IDENTIFIER_SYSTEMS,
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildComposition,
+  buildDocumentBundle,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml, paragraphs } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import { bodySiteForDicom, toCoding } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Imaging Report builder (NDHM DiagnosticReportRecord) — radiology
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner (radiologist) resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - DICOM (.dcm) files are parsed locally (see dicom-parser.js); only header metadata goes
+    into the bundle, the image files themselves are not uploaded
+  - One ImagingStudy per Study Instance UID, with its series / instances and counts;
+    series.bodySite is SNOMED coded from Body Part Examined when it is in terminology.js
+  - DiagnosticReport (DiagnosticReportImaging) carries findings + the radiologist's impression
+  - Report text and the parsed DICOM headers autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) containing:
+      Composition (DiagnosticReportRecord, SNOMED 721981007 "Diagnostic studies report")
+      Patient
+      Practitioner
+      (optional) Organization (imaging centre)
+      DiagnosticReport -> ImagingStudy(s)
+      ImagingStudy(s)
+*/
+
+/* Fixed SNOMED coding for Composition.type */
+const SNOMED_DIAGNOSTIC_REPORT = { system: "http://snomed.info/sct", code: "721981007", display: "Diagnostic studies report" };
+
+/* DiagnosticReport.code / category for imaging */
+const LOINC_IMAGING_STUDY = { system: "http://loinc.org", code: "18748-4", display: "Diagnostic imaging study" };
+const RADIOLOGY_CATEGORY = { system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "RAD", display: "Radiology" };
+
+const DICOM_SYSTEM = "http://dicom.nema.org/resources/ontology/DCM";
+
+/* Display names for the common DICOM modality codes */
+const MODALITIES = {
+  CR: "Computed Radiography",
+  CT: "Computed Tomography",
+  DX: "Digital Radiography",
+  MG: "Mammography",
+  MR: "Magnetic Resonance",
+  NM: "Nuclear Medicine",
+  PT: "Positron emission tomography",
+  US: "Ultrasound",
+  XA: "X-Ray Angiography",
+};
+
+/* DICOM TM/DA -> FHIR dateTime (date only when there is no time) */
+function dicomStudyStarted(study) {
+  const date = dicomDateToISO(study.studyDate);
+  if (!date) return undefined;
+  const time = dicomTimeToISO(study.studyTime);
+  return time ? localDatetimeToISOWithOffset(`${date}T${time.slice(0, 5)}`) : date;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function ImagingReportRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+  const [centreName, setCentreName] = useState("");
+
+  /* DICOM files: { name, header } or { name, error } */
+  const [dicomFiles, setDicomFiles] = useState([]);
+  const studies = useMemo(() => groupDicomStudies(dicomFiles.filter(f => f.header).map(f => f.header)), [dicomFiles]);
+
+  /* Report */
+  const [findings, setFindings] = useState("");
+  const [impression, setImpression] = useState("");
+
+  /* Parse picked DICOM files locally */
+  async function onDicomPicked(e) {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = "";
+    const parsed = await Promise.all(picked.map(async file => {
+      try {
+        return { name: file.name, header: readDicomHeader(await file.arrayBuffer()) };
+      } catch (err) {
+        return { name: file.name, error: err.message };
+      }
+    }));
+    setDicomFiles(prev => [...prev, ...parsed]);
+  }
+  function removeDicomFile(i) {
+    setDicomFiles(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "imaging-report",
+    { status, dateTimeLocal, centreName, dicomFiles, findings, impression },
+    d => {
+      setStatus(d.status);
+      setDateTimeLocal(d.dateTimeLocal);
+      setCentreName(d.centreName);
+      setDicomFiles(d.dicomFiles);
+      setFindings(d.findings);
+      setImpression(d.impression);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (studies.length === 0) errors.push("Add at least one readable DICOM file.");
+    studies.forEach(s => {
+      if (!s.studyInstanceUid) errors.push("A DICOM file has no Study Instance UID (0020,000D).");
+      s.series.forEach(se => {
+        if (!se.seriesInstanceUid) errors.push(`Study ${s.studyInstanceUid || "?"}: a file has no Series Instance UID (0020,000E).`);
+        if (!se.modality) errors.push(`Series ${se.seriesInstanceUid || "?"}: modality (0008,0060) is missing.`);
+      });
+    });
+    if (dicomFiles.some(f => f.error)) errors.push("Remove the files that could not be read as DICOM.");
+    if (!impression.trim()) errors.push("Impression is required.");
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const reportId = uuidv4();
+    const centreOrgId = centreName ? uuidv4() : null;
+    const imagingStudyIds = studies.map(() => uuidv4());
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+
+    function buildImagingStudyResources() {
+      return studies.map((s, idx) => {
+        const modalities = [...new Set(s.series.map(se => se.modality))];
+        const numberOfInstances = s.series.reduce((n, se) => n + se.instances.length, 0);
+        return {
+          resourceType: "ImagingStudy",
+          id: imagingStudyIds[idx],
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("ImagingStudy"),
+          text: buildNarrative("ImagingStudy", xhtml`<p>${s.studyDescription || modalities.join(", ")}: ${s.series.length} series, ${numberOfInstances} instance(s)</p>`),
+          identifier: [
+            { system: "urn:dicom:uid", value: `urn:oid:${s.studyInstanceUid}` },
+            ...(s.accessionNumber
+              ? [{ type: { coding: [{ system: V2_0203, code: "ACSN" }] }, value: s.accessionNumber }]
+              : []),
+          ],
+          status: "available",
+          modality: modalities.map(m => ({ system: DICOM_SYSTEM, code: m, display: MODALITIES[m] })),
+          subject: ref(patientId),
+          started: dicomStudyStarted(s),
+          interpreter: [ref(practitionerRes.id)],
+          numberOfSeries: s.series.length,
+          numberOfInstances,
+          description: s.studyDescription || undefined,
+          series: s.series.map(se => ({
+            uid: se.seriesInstanceUid,
+            number: se.seriesNumber ? Number(se.seriesNumber) : undefined,
+            modality: { system: DICOM_SYSTEM, code: se.modality, display: MODALITIES[se.modality] },
+            description: se.seriesDescription || undefined,
+            numberOfInstances: se.instances.length,
+            bodySite: se.bodyPartExamined ? toCoding(bodySiteForDicom(se.bodyPartExamined)) || { display: se.bodyPartExamined } : undefined,
+            ...(centreOrgId ? { performer: [{ actor: ref(centreOrgId) }] } : {}),
+            instance: se.instances.map(i => ({
+              uid: i.sopInstanceUid,
+              sopClass: { system: IDENTIFIER_SYSTEMS.uri, code: `urn:oid:${i.sopClassUid}` },
+              number: i.instanceNumber ? Number(i.instanceNumber) : undefined,
+            })),
+          })),
+        };
+      });
+    }
+
+    function buildDiagnosticReportResource(imagingStudies) {
+      return {
+        resourceType: "DiagnosticReport",
+        id: reportId,
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("DiagnosticReportImaging"),
+        text: buildNarrative("DiagnosticReport", paragraphs(findings.trim() && `Findings: ${findings.trim()}`, `Impression: ${impression.trim()}`)),
+        status: status === "preliminary" ? "preliminary" : "final",
+        category: [{ coding: [RADIOLOGY_CATEGORY] }],
+        code: { coding: [LOINC_IMAGING_STUDY], text: LOINC_IMAGING_STUDY.display },
+        subject: ref(patientId),
+        effectiveDateTime: imagingStudies[0].started || authoredOn,
+        issued: authoredOn,
+        performer: [ref(centreOrgId || practitionerRes.id)],
+        resultsInterpreter: [ref(practitionerRes.id)],
+        imagingStudy: imagingStudies.map(s => ref(s.id)),
+        conclusion: findings.trim() ? `${findings.trim()}\n\nImpression: ${impression.trim()}` : impression.trim(),
+      };
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const centreOrgRes = buildOrganization({ id: centreOrgId, name: centreName });
+    const imagingStudyResources = buildImagingStudyResources();
+    const reportRes = buildDiagnosticReportResource(imagingStudyResources);
+
+    const title = `Imaging report - ${imagingStudyResources.map(s => s.description || s.modality.map(m => m.code).join("/")).join(", ")}`;
+    const compositionRes = buildComposition({
+      id: compId,
+      profile: "DiagnosticReportRecord",
+      type: { coding: [SNOMED_DIAGNOSTIC_REPORT], text: SNOMED_DIAGNOSTIC_REPORT.display },
+      title,
+      status,
+      patientId,
+      date: authoredOn,
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      custodianId: centreOrgId,
+      narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p><p>${title}</p>`,
+      section: [
+        {
+          title: "Imaging report",
+          code: { coding: [SNOMED_DIAGNOSTIC_REPORT], text: SNOMED_DIAGNOSTIC_REPORT.display },
+          entry: [reportRes, ...imagingStudyResources].map(entryRef),
+        },
+      ],
+    });
+
+    const bundle = buildDocumentBundle({
+      idPrefix: "ImagingReportBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, centreOrgRes, reportRes, ...imagingStudyResources],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "imaging-report", label: `Imaging Report — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Imaging Report — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Radiologist <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Report metadata */}
+      <div className="card mb-3">
+        <div className="card-header">3. Report</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-4">
+              <label className="form-label">Report date/time</label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Status</label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Imaging centre (optional)</label>
+              <input className="form-control" value={centreName} onChange={e => setCentreName(e.target.value)} placeholder="Organization name (custodian)" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. DICOM files */}
+      <div className="card mb-3">
+        <div className="card-header">4. DICOM files <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <input type="file" className="form-control mb-2" accept=".dcm,.dicom,application/dicom" multiple onChange={onDicomPicked} />
+          <div className="form-text mb-2">Files are read in the browser; only the study / series metadata is added to the bundle.</div>
+
+          {dicomFiles.length > 0 && (
+            <table className="table table-sm align-middle">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Modality</th>
+                  <th>Body part</th>
+                  <th>Study date</th>
+                  <th>Study UID</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {dicomFiles.map((f, i) => (
+                  <tr key={i} className={f.error ? "table-danger" : ""}>
+                    <td>{f.name}</td>
+                    {f.error ? (
+                      <td colSpan={4}>{f.error}</td>
+                    ) : (
+                      <>
+                        <td>{f.header.modality}</td>
+                        <td>{f.header.bodyPartExamined}</td>
+                        <td>{dicomDateToISO(f.header.studyDate)}</td>
+                        <td className="text-break small">{f.header.studyInstanceUid}</td>
+                      </>
+                    )}
+                    <td><button className="btn btn-danger btn-sm" onClick={() => removeDicomFile(i)}>X</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {studies.map(s => (
+            <div key={s.studyInstanceUid} className="small text-muted">
+              Study {s.studyDescription || s.studyInstanceUid}: {s.series.length} series, {s.series.reduce((n, se) => n + se.instances.length, 0)} instance(s)
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* 5. Findings & impression */}
+      <div className="card mb-3">
+        <div className="card-header">5. Findings &amp; impression</div>
+        <div className="card-body">
+          <div className="mb-3">
+            <label className="form-label">Findings</label>
+            <textarea className="form-control" rows={5} value={findings} onChange={e => setFindings(e.target.value)} />
+          </div>
+          <div>
+            <label className="form-label">Impression <span className="text-danger">*</span></label>
+            <textarea className="form-control" rows={3} value={impression} onChange={e => setImpression(e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
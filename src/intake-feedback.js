@@ -0,0 +1,52 @@
+// src/intake-feedback.js
+import React, { useCallback, useState } from "react";
+import { intakeFiles, limitsText } from "./attachment-intake";
+
+/*
+  UI for attachment-intake.js
+  - useIntake(): run(files, usedBytes) checks picked files and resolves to the accepted
+    ones; the last run's rejections and notes stay available for IntakeFeedback
+  - IntakeFeedback: the limits, "checking" while photos are converted, the files that
+    were not attached (and why) and what was changed in the others
+*/
+
+const EMPTY = { rejected: [], notes: [] };
+
+export function useIntake() {
+  const [result, setResult] = useState(EMPTY);
+  const [busy, setBusy] = useState(false);
+
+  const run = useCallback(async (files, usedBytes = 0) => {
+    setBusy(true);
+    try {
+      const r = await intakeFiles(Array.from(files || []), { usedBytes });
+      setResult(r);
+      return r.accepted;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const clear = useCallback(() => setResult(EMPTY), []);
+
+  return { ...result, busy, run, clear };
+}
+
+export default function IntakeFeedback({ intake }) {
+  const { busy, rejected, notes } = intake;
+  return (
+    <div className="mt-1">
+      <div className="form-text">PDF, JPEG, PNG or HEIC. {limitsText()}; large photos are downscaled.</div>
+      {busy && <div className="small text-muted">Checking files…</div>}
+      {rejected.length > 0 && (
+        <div className="alert alert-warning py-2 mt-2 mb-2 small">
+          <strong>Not attached:</strong>
+          <ul className="mb-0">
+            {rejected.map((r, i) => <li key={i}>{r.name}: {r.reason}</li>)}
+          </ul>
+        </div>
+      )}
+      {notes.map((n, i) => <div key={i} className="small text-muted">{n}</div>)}
+    </div>
+  );
+}
@@ -1,52 +1,44 @@
 // src/App.js
 import React, { useEffect, useState } from "react";
 import "bootstrap/dist/css/bootstrap.min.css";
-
-/* ---------- Utilities ---------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  }).toLowerCase();
-}
-function toFhirDate(input) {
-  if (!input) return undefined;
-  if (/^\d{4}-\d{2}-\d{2}$/.test(input)) return input;
-  const m = input.match(/^(\d{1,2})[-\/](\d{1,2})[-\/](\d{2,4})$/);
-  if (m) {
-    let dd = m[1].padStart(2, "0");
-    let mm = m[2].padStart(2, "0");
-    let yy = m[3].length === 2 ? "19" + m[3] : m[3];
-    return `${yy}-${mm}-${dd}`;
-  }
-  const d = new Date(input);
-  if (!isNaN(d)) return d.toISOString().slice(0, 10);
-  return undefined;
-}
-function getAbhaAddressesForPatient(pt) {
-  if (!pt) return [];
-  const arr = pt.additional_attributes?.abha_addresses ?? [];
-  const normalized = (arr || []).map((a) => {
-    if (!a) return null;
-    if (typeof a === "string") return a;
-    if (typeof a === "object") return a.address ?? JSON.stringify(a);
-    return String(a);
-  }).filter(Boolean);
-  if (pt.abha_ref && !normalized.includes(pt.abha_ref)) normalized.unshift(pt.abha_ref);
-  return Array.from(new Set(normalized));
-}
+import {
+  ndhmMeta,
+  uuidv4,
+  ref,
+  entryRef,
+  isoWithLocalOffsetFromDate,
+  buildNarrative,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildDocumentAttachment,
+  fileToBase64NoPrefix,
+  buildComposition,
+  buildDocumentBundle,
+} from "./fhir-builders";
+import { xhtml, invoiceTable } from "./narrative";
+import { usePatientSelection } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import ValidationSummary from "./validation-feedback";
+import BundleImport from "./bundle-import";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+import { INTAKE_ACCEPT } from "./attachment-intake";
+import IntakeFeedback, { useIntake } from "./intake-feedback";
+import { hashAttachments, detailsParams } from "./attachment-metadata";
+import DocumentDetails from "./document-details";
+import { conceptParts, isoToDateInput, patientFromBundle, practitionerFromBundle, attachmentsFromBundle, restorePatientSelection } from "./bundle-reader";
 
 /* ---------- Defaults ---------- */
 const DEFAULT_PRACTITIONER = { id: uuidv4(), name: "Dr. ABC", license: "LIC-1234" };
 
 /* ---------- App ---------- */
 export default function App() {
-  const [patients, setPatients] = useState([]);
-  const [loadingPatients, setLoadingPatients] = useState(true);
-
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(null);
-  const [selectedAbha, setSelectedAbha] = useState("");
+  /* Patient + ABHA address (shared across builders) */
+  const patientSelection = usePatientSelection();
+  const { selectedPatient, selectedAbha } = patientSelection;
+  const [validationIssues, setValidationIssues] = useState([]);
 
   const [practitioner, setPractitioner] = useState({ ...DEFAULT_PRACTITIONER });
 
@@ -73,25 +65,22 @@ export default function App() {
   const [attachments, setAttachments] = useState([]);
   const [generatedBundleJson, setGeneratedBundleJson] = useState("");
 
-  /* ---------- fetch patients.json (public folder) ---------- */
-  useEffect(() => {
-    let mounted = true;
-    fetch("/patients.json")
-      .then((r) => {
-        if (!r.ok) throw new Error("patients.json not found");
-        return r.json();
-      })
-      .then((data) => {
-        if (!mounted) return;
-        setPatients(Array.isArray(data) ? data : [data]);
-      })
-      .catch((err) => {
-        console.warn("Could not fetch /patients.json:", err);
-        setPatients([]);
-      })
-      .finally(() => mounted && setLoadingPatients(false));
-    return () => (mounted = false);
-  }, []);
+  /* autosaved drafts (attachments included) */
+  const drafts = useDrafts(
+    "invoice-itemised",
+    { practitioner, organization, invoiceNumber, invoiceDate, invoiceType, paymentTerms, paymentStatus, lineItems, attachments },
+    (d) => {
+      setPractitioner(d.practitioner);
+      setOrganization(d.organization);
+      setInvoiceNumber(d.invoiceNumber);
+      setInvoiceDate(d.invoiceDate);
+      setInvoiceType(d.invoiceType);
+      setPaymentTerms(d.paymentTerms);
+      setPaymentStatus(d.paymentStatus);
+      setLineItems(d.lineItems);
+      setAttachments(d.attachments);
+    }
+  );
 
   /* ---------- line item handlers ---------- */
   function addLineItem() {
@@ -105,22 +94,82 @@ export default function App() {
   }
 
   /* ---------- attachments ---------- */
-  function handleFileChange(ev) {
-    const files = Array.from(ev.target.files || []);
-    files.forEach((f) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const base64 = e.target.result.split(",")[1];
-        setAttachments((s) => [...s, { id: uuidv4(), name: f.name, contentType: f.type || "application/octet-stream", data: base64 }]);
-      };
-      reader.readAsDataURL(f);
-    });
+  const intake = useIntake();
+  async function handleFileChange(ev) {
+    const picked = Array.from(ev.target.files || []);
     ev.target.value = null;
+    const usedBytes = attachments.reduce((sum, a) => sum + Math.floor((a.data.length * 3) / 4), 0);
+    const accepted = await intake.run(picked, usedBytes);
+    const added = await Promise.all(accepted.map(async (f) => ({
+      id: uuidv4(),
+      name: f.name,
+      contentType: f.type,
+      data: await fileToBase64NoPrefix(f),
+      creation: isoWithLocalOffsetFromDate(new Date(f.lastModified || Date.now())),
+      description: "",
+      category: "",
+      language: "",
+    })));
+    setAttachments((s) => [...s, ...added]);
+  }
+  function updateAttachment(id, patch) {
+    setAttachments((s) => s.map((a) => (a.id === id ? { ...a, ...patch } : a)));
   }
   function removeAttachment(id) {
     setAttachments((s) => s.filter((a) => a.id !== id));
   }
 
+  /* ---------- re-open a generated bundle ---------- */
+  function importBundle(doc) {
+    const { notes } = restorePatientSelection(patientFromBundle(doc), patientSelection);
+    const pr = practitionerFromBundle(doc);
+    if (pr) setPractitioner((p) => ({ ...p, name: pr.name || p.name, license: pr.license || p.license }));
+
+    const invoice = doc.all("Invoice")[0];
+    if (!invoice) return [...notes, "The bundle has no Invoice; only patient, practitioner and attachments were loaded."];
+
+    const issuer = doc.resolve(invoice.issuer);
+    if (issuer) {
+      setOrganization((o) => ({
+        ...o,
+        name: issuer.name || o.name,
+        gstin: (issuer.identifier || []).find((i) => i.type?.text === "GSTIN")?.value || "",
+        phone: issuer.telecom?.find((t) => t.system === "phone")?.value || "",
+        address: issuer.address?.[0]?.text || "",
+      }));
+    }
+
+    setInvoiceNumber(invoice.identifier?.[0]?.value || `INV-${Date.now()}`);
+    setInvoiceDate(isoToDateInput(invoice.date) || new Date().toISOString().slice(0, 10));
+    setInvoiceType(conceptParts(invoice.type).text || "healthcare");
+    setPaymentTerms(invoice.paymentTerms || "");
+    const statusNote = (invoice.note || []).find((n) => /^Payment status: /.test(n.text || ""));
+    setPaymentStatus(statusNote ? statusNote.text.replace(/^Payment status: /, "") : "pending");
+
+    // lineItem text is "<description> (<qty> <unit>)"; prices come back from the base / tax components
+    const items = (invoice.lineItem || []).map((li) => {
+      const c = li.chargeItemCodeableConcept || {};
+      const [, qty, unit] = /\((\d+(?:\.\d+)?) ([^)]*)\)$/.exec(c.text || "") || [];
+      const quantity = Number(qty || 1);
+      const amount = (type) => (li.priceComponent || []).find((pc) => pc.type === type)?.amount?.value || 0;
+      const base = amount("base");
+      return {
+        id: uuidv4(),
+        description: c.coding?.[0]?.display || c.text || "",
+        quantity,
+        unit: unit || "each",
+        unitPrice: quantity ? Number((base / quantity).toFixed(2)) : base,
+        taxPercent: base ? Number(((amount("tax") / base) * 100).toFixed(2)) : 0,
+      };
+    });
+    setLineItems(items.length ? items : [{ id: uuidv4(), description: "", quantity: 1, unit: "each", unitPrice: 0, taxPercent: 0 }]);
+
+    setAttachments(attachmentsFromBundle(doc).map((a) => ({ id: uuidv4(), name: a.title, contentType: a.contentType, data: a.data, creation: a.creation, description: a.description, category: a.category, language: a.language })));
+    setValidationIssues([]);
+    setGeneratedBundleJson(JSON.stringify(doc.bundle, null, 2));
+    return notes;
+  }
+
   /* ---------- auto compute totals ---------- */
   useEffect(() => {
     const base = lineItems.reduce((acc, li) => acc + Number(li.quantity || 0) * Number(li.unitPrice || 0), 0);
@@ -134,78 +183,27 @@ export default function App() {
   }, [lineItems]);
 
   /* ---------- build FHIR bundle ---------- */
-  function buildBundle() {
-    if (selectedPatientIdx === null) { alert("Please select a patient and ABHA address."); return null; }
-    const selPatient = patients[selectedPatientIdx];
+  async function buildBundle() {
+    if (!selectedPatient) { alert("Please select a patient and ABHA address."); return null; }
+    const selPatient = selectedPatient;
     if (!selPatient) { alert("Selected patient not found."); return null; }
     if (!selectedAbha) { alert("Please select an ABHA address."); return null; }
 
-    const patientId = (selPatient.user_ref_id && typeof selPatient.user_ref_id === "string") ? selPatient.user_ref_id.toLowerCase() : uuidv4();
+    const patientId = uuidv4();
     const compId = uuidv4();
     const practId = (practitioner.id && practitioner.id.length > 0) ? practitioner.id.toLowerCase() : uuidv4();
     const orgId = organization.id || uuidv4();
     const invoiceId = uuidv4();
 
-    // Patient resource
-    const patientResource = {
-      resourceType: "Patient",
-      id: patientId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] },
-      identifier: [
-        {
-          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-          value: selPatient.user_ref_id || `mrn-${selPatient.id}`,
-          type: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR", display: "Medical record number" }], text: "MR" }
-        },
-        {
-          system: "http://nrces.in/CodeSystem/identifier-type",
-          value: selectedAbha,
-          type: { coding: [{ system: "http://nrces.in/CodeSystem/identifier-type", code: "ABHA", display: "ABHA Address" }], text: "ABHA" }
-        }
-      ],
-      name: [{ text: selPatient.name || "" }],
-      gender: selPatient.gender ? selPatient.gender.toLowerCase() : undefined,
-      birthDate: toFhirDate(selPatient.dob),
-      telecom: [
-        ...(selPatient.mobile ? [{ system: "phone", value: selPatient.mobile, use: "mobile" }] : []),
-        ...(selPatient.email ? [{ system: "email", value: selPatient.email }] : [])
-      ],
-      address: selPatient.address ? [{ text: selPatient.address }] : undefined,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Patient: ${selPatient.name}</p></div>` }
-    };
-
-    // Practitioner resource — qualification display must match HL7 allowed text
-    const practitionerResource = {
-      resourceType: "Practitioner",
-      id: practId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-      identifier: [
-        { system: "http://nrces.in/CodeSystem/identifier-type", value: `PR-${practId}`, type: { coding: [{ system: "http://nrces.in/CodeSystem/identifier-type", code: "PR", display: "Practitioner" }], text: "PR" } }
-      ],
-      name: [{ text: practitioner.name || "Unknown Practitioner" }],
-      qualification: practitioner.license ? [
-        {
-          identifier: [{ system: "http://your.org/licenses", value: practitioner.license }],
-          code: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0360", code: "MD", display: "Doctor of Medicine" }], text: "Medical License" }
-        }
-      ] : undefined,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${practitioner.name}</p></div>` }
-    };
-
-    // Organization resource
-    const organizationResource = {
-      resourceType: "Organization",
+    const patientResource = buildPatient({ id: patientId, patient: selPatient, abhaAddress: selectedAbha });
+    const practitionerResource = buildPractitioner({ id: practId, name: practitioner.name, license: practitioner.license });
+    const organizationResource = buildOrganization({
       id: orgId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"] },
-      identifier: [
-        { system: "http://nrces.in/CodeSystem/identifier-type", value: "ORG-001", type: { coding: [{ system: "http://nrces.in/CodeSystem/identifier-type", code: "ORG", display: "Organization" }], text: "ORG" } },
-        ...(organization.gstin ? [{ system: "http://your.org/gstin", value: organization.gstin, type: { text: "GSTIN" } }] : [])
-      ],
       name: organization.name,
-      telecom: organization.phone ? [{ system: "phone", value: organization.phone }] : undefined,
-      address: organization.address ? [{ text: organization.address }] : undefined,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${organization.name}</p></div>` }
-    };
+      phone: organization.phone,
+      address: organization.address,
+      identifier: organization.gstin ? [{ system: "http://your.org/gstin", value: organization.gstin, type: { text: "GSTIN" } }] : []
+    });
 
     // Build invoice lineItems (only allowed properties)
     const processedLineItems = lineItems.map((li, idx) => {
@@ -244,82 +242,79 @@ export default function App() {
     const invoiceResource = {
       resourceType: "Invoice",
       id: invoiceId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Invoice"] },
+      meta: ndhmMeta("Invoice"),
       identifier: [{ system: "https://your.hospital.org/invoices", value: invoiceNumber || `INV-${invoiceId}` }],
       status: "issued",
       type: { coding: [{ system: "http://nrces.in/CodeSystem/invoice-type", code: invoiceType, display: "Invoice Type" }], text: invoiceType },
       date: invoiceDate || new Date().toISOString(),
-      subject: { reference: `urn:uuid:${patientId}`, display: selPatient.name },
-      recipient: { reference: `urn:uuid:${patientId}` },
-      issuer: { reference: `urn:uuid:${orgId}` },
+      subject: ref(patientId, selPatient.name),
+      recipient: ref(patientId),
+      issuer: ref(orgId),
       paymentTerms: paymentTerms || undefined,
       // paymentStatus is not a standard Invoice element — move to note
       note: paymentStatus ? [{ text: `Payment status: ${paymentStatus}` }] : undefined,
       totalNet: { value: Number(finalNet.toFixed(2)), currency: "INR" },
       totalGross: { value: Number(finalGross.toFixed(2)), currency: "INR" },
       lineItem: processedLineItems,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Invoice ${invoiceNumber}</p></div>` }
     };
+    invoiceResource.text = buildNarrative(`Invoice ${invoiceNumber}`, xhtml`<p>${selPatient.name}</p>${invoiceTable(invoiceResource)}`);
+
+    // Binary + DocumentReference for attachments
+    const now = isoWithLocalOffsetFromDate(new Date());
+    const attachmentResources = attachments.map((att) => buildDocumentAttachment({
+      docRefId: uuidv4(),
+      binaryId: att.id,
+      patientId,
+      authorId: practId,
+      type: { text: att.name },
+      title: att.name,
+      contentType: att.contentType,
+      data: att.data,
+      date: now,
+      creation: att.creation || now,
+      ...detailsParams(att)
+    }));
+    const docRefs = attachmentResources.map((r) => r.docRef);
+    const binaryResources = attachmentResources.map((r) => r.binary);
 
     // Composition for InvoiceRecord
-    const compositionResource = {
-      resourceType: "Composition",
+    const compositionResource = buildComposition({
       id: compId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/InvoiceRecord"] },
-      status: "final",
+      profile: "InvoiceRecord",
       type: { coding: [{ system: "http://nrces.in/CodeSystem/document-type", code: "INVR", display: "Invoice Record" }], text: "Invoice Record" },
       title: `Invoice ${invoiceNumber}`,
-      date: new Date().toISOString(),
-      subject: { reference: `urn:uuid:${patientId}`, display: selPatient.name },
-      // IMPORTANT: author must reference "Practitioner/<id>" so validator can match profile
-      author: [{ reference: `urn:uuid:${practId}`, display: practitioner.name }],
-      attester: [{ mode: "official", party: { reference: `urn:uuid:${practId}` }, time: new Date().toISOString() }],
+      patientId,
+      date: now,
+      authorId: practId,
+      authorDisplay: practitioner.name,
+      attester: [{ mode: "official", party: ref(practId), time: now }],
+      custodianId: orgId,
+      narrative: xhtml`<p>Invoice for ${selPatient.name}</p>`,
       section: [
         {
           title: "Invoice Section",
           code: { coding: [{ system: "http://nrces.in/CodeSystem/section-type", code: "invoice", display: "Invoice" }], text: "Invoice" },
-          text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Invoice details</p></div>` },
-          entry: [{ reference: `urn:uuid:${invoiceId}`, type: "Invoice" }]
+          text: buildNarrative("Invoice Section", invoiceTable(invoiceResource)),
+          entry: [invoiceResource, ...docRefs].map(entryRef)
         }
-      ],
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Invoice for ${selPatient.name}</p></div>` }
-    };
+      ]
+    });
 
-    // Binary + DocumentReference for attachments
-    const binaryResources = attachments.map((att) => ({ resourceType: "Binary", id: att.id, contentType: att.contentType, data: att.data }));
-    const docRefs = attachments.map((att) => ({
-      resourceType: "DocumentReference",
-      id: `doc-${att.id}`,
-      status: "current",
-      docStatus: "final",
-      type: { text: att.name },
-      content: [{ attachment: { url: `urn:uuid:${att.id}`, title: att.name, creation: new Date().toISOString() } }],
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${att.name}</p></div>` }
+    // Attachment.hash (SHA-1) on every attachment
+    const bundle = await hashAttachments(buildDocumentBundle({
+      idPrefix: "InvoiceBundle",
+      composition: compositionResource,
+      resources: [patientResource, practitionerResource, organizationResource, invoiceResource, ...docRefs, ...binaryResources]
     }));
 
-    // Build bundle entries (fullUrl = urn:uuid:<id>)
-    const entries = [
-      { fullUrl: `urn:uuid:${compId}`, resource: compositionResource },
-      { fullUrl: `urn:uuid:${patientId}`, resource: patientResource },
-      { fullUrl: `urn:uuid:${practId}`, resource: practitionerResource },
-      { fullUrl: `urn:uuid:${orgId}`, resource: organizationResource },
-      { fullUrl: `urn:uuid:${invoiceId}`, resource: invoiceResource },
-      ...binaryResources.map(br => ({ fullUrl: `urn:uuid:${br.id}`, resource: br })),
-      ...docRefs.map(dr => ({ fullUrl: `urn:uuid:${dr.id}`, resource: dr }))
-    ];
-
-    const bundle = {
-      resourceType: "Bundle",
-      id: uuidv4(),
-      type: "document",
-      timestamp: new Date().toISOString(),
-      identifier: { system: "urn:uuid", value: `invoice-bundle-${Date.now()}` },
-      entry: entries
-    };
+    setValidationIssues(validateBundle(bundle));
 
-    setGeneratedBundleJson(JSON.stringify(bundle, null, 2));
-    console.log("Generated bundle", bundle);
-    return bundle;
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+    setGeneratedBundleJson(JSON.stringify(signed, null, 2));
+    console.log("Generated bundle", signed);
+    return signed;
   }
 
   function downloadBundle() {
@@ -340,28 +335,11 @@ export default function App() {
     <div className="container my-4">
       <h3>Invoice Record — Builder (NDHM)</h3>
       <p className="text-muted">Select patient → ABHA → fill invoice, add items/tax, attach files, generate FHIR Bundle.</p>
+      <BundleImport onImport={importBundle} />
+      <DraftsPanel drafts={drafts} />
 
-      {/* Patient */}
-      <div className="card mb-3"><div className="card-body">
-        <h5>1. Patient</h5>
-        <div className="row g-2">
-          <div className="col-md-6">
-            <label className="form-label">Patient *</label>
-            <select className="form-select" value={selectedPatientIdx ?? ""} onChange={(e) => { const v = e.target.value === "" ? null : Number(e.target.value); setSelectedPatientIdx(v); setSelectedAbha(""); }}>
-              <option value="">-- select patient --</option>
-              {loadingPatients ? <option>Loading...</option> : patients.map((p, i) => <option key={i} value={i}>{p.name}{p.abha_ref ? ` (${p.abha_ref})` : ""}</option>)}
-            </select>
-          </div>
-          <div className="col-md-6">
-            <label className="form-label">ABHA *</label>
-            <select className="form-select" disabled={selectedPatientIdx === null} value={selectedAbha} onChange={(e) => setSelectedAbha(e.target.value)}>
-              <option value="">-- select ABHA --</option>
-              {selectedPatientIdx !== null && getAbhaAddressesForPatient(patients[selectedPatientIdx]).map((a, idx) => <option key={idx} value={a}>{a}</option>)}
-            </select>
-          </div>
-        </div>
-        {selectedPatientIdx !== null && <div className="mt-2"><small className="text-muted">Selected: {patients[selectedPatientIdx].name} • {patients[selectedPatientIdx].gender} • DOB: {patients[selectedPatientIdx].dob}</small></div>}
-      </div></div>
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
 
       {/* Practitioner */}
       <div className="card mb-3"><div className="card-body">
@@ -420,10 +398,18 @@ export default function App() {
 
         <div className="mt-3">
           <label className="form-label">Attachments</label>
-          <input type="file" className="form-control" onChange={handleFileChange} multiple />
-          <div className="mt-2">{attachments.map((a) => (<div key={a.id} className="d-flex justify-content-between align-items-center border rounded p-2 mb-1"><div><strong>{a.name}</strong> <small className="text-muted">({a.contentType})</small></div><div><button className="btn btn-sm btn-danger" onClick={() => removeAttachment(a.id)}>Remove</button></div></div>))}</div>
+          <input type="file" className="form-control" accept={INTAKE_ACCEPT} onChange={handleFileChange} multiple />
+          <IntakeFeedback intake={intake} />
+          <div className="mt-2">{attachments.map((a) => (
+            <div key={a.id} className="border rounded p-2 mb-1">
+              <div className="d-flex justify-content-between align-items-center"><div><strong>{a.name}</strong> <small className="text-muted">({a.contentType})</small></div><div><button className="btn btn-sm btn-danger" onClick={() => removeAttachment(a.id)}>Remove</button></div></div>
+              <DocumentDetails details={{ description: a.description || "", category: a.category || "", language: a.language || "" }} onChange={(d) => updateAttachment(a.id, d)} />
+            </div>
+          ))}</div>
         </div>
 
+        <div className="mt-3"><ValidationSummary issues={validationIssues} /></div>
+
         <div className="mt-3">
           <button className="btn btn-primary me-2" onClick={() => buildBundle()}>Generate Bundle</button>
           <button className="btn btn-outline-secondary" onClick={() => downloadBundle()} disabled={!generatedBundleJson}>Download Bundle</button>
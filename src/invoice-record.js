@@ -1,31 +1,28 @@
 // src/App.js
 import React, { useEffect, useState } from "react";
 import "bootstrap/dist/css/bootstrap.min.css";
-
-/* ---------- Utilities ---------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  }).toLowerCase();
-}
-
-// convert dd-mm-yyyy or dd/mm/yyyy -> yyyy-mm-dd; if already yyyy-mm-dd, return it
-function toFhirDate(input) {
-  if (!input) return undefined;
-  if (/^\d{4}-\d{2}-\d{2}$/.test(input)) return input;
-  const m = input.match(/^(\d{1,2})[-\/](\d{1,2})[-\/](\d{2,4})$/);
-  if (m) {
-    let dd = m[1].padStart(2, "0");
-    let mm = m[2].padStart(2, "0");
-    let yy = m[3].length === 2 ? "19" + m[3] : m[3];
-    return `${yy}-${mm}-${dd}`;
-  }
-  const d = new Date(input);
-  if (!isNaN(d)) return d.toISOString().slice(0, 10);
-  return undefined;
-}
+import {
+  ndhmMeta,
+  uuidv4,
+  ref,
+  entryRef,
+  isoWithLocalOffsetFromDate,
+  buildNarrative,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildComposition,
+  buildDocumentBundle,
+} from "./fhir-builders";
+import { xhtml, invoiceTable } from "./narrative";
+import { usePatientSelection } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import ValidationSummary from "./validation-feedback";
+import BundleImport from "./bundle-import";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+import { conceptParts, isoToDateInput, patientFromBundle, practitionerFromBundle, restorePatientSelection } from "./bundle-reader";
 
 /* ---------- Global practitioner (single object) ---------- */
 /* Use a UUID as id (validator expects valid lowercase UUID). */
@@ -35,14 +32,24 @@ const GlobalPractitioner = {
   license: "LIC-1234",
 };
 
+/* ---------- Re-open: Invoice.lineItem -> form rows ---------- */
+/* Each lineItem's description (chargeItem text) and base price; null-safe for foreign bundles */
+export function lineItemsFromInvoice(invoice) {
+  return (invoice?.lineItem || []).map((li) => {
+    const c = li.chargeItemCodeableConcept || {};
+    const base = (li.priceComponent || []).find((pc) => pc.type === "base");
+    return { id: uuidv4(), description: c.text || c.coding?.[0]?.display || "", amount: Number(base?.amount?.value || 0) };
+  });
+}
+
 /* ---------- App ---------- */
 export default function App() {
-  const [patients, setPatients] = useState([]);
-  const [loadingPatients, setLoadingPatients] = useState(true);
+  /* Patient + ABHA address (shared across builders) */
+  const patientSelection = usePatientSelection();
+  const { selectedPatient, selectedAbha } = patientSelection;
+  const [validationIssues, setValidationIssues] = useState([]);
 
   // UI selections
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(null);
-  const [selectedAbha, setSelectedAbha] = useState("");
   const [practitioner, setPractitioner] = useState({
     id: GlobalPractitioner.id,
     name: GlobalPractitioner.name,
@@ -61,43 +68,41 @@ export default function App() {
   const [generatedBundle, setGeneratedBundle] = useState(null);
   const [generatedBundleJson, setGeneratedBundleJson] = useState("");
 
-  /* ---------- fetch patients.json from public folder ---------- */
-  useEffect(() => {
-    let mounted = true;
-    fetch("/patients.json")
-      .then((r) => {
-        if (!r.ok) throw new Error("no patient.json");
-        return r.json();
-      })
-      .then((data) => {
-        if (!mounted) return;
-        if (Array.isArray(data)) setPatients(data);
-        else setPatients([data]);
-      })
-      .catch((err) => {
-        console.warn("Failed to fetch /patient.json — please place your patient file in public/patient.json", err);
-        setPatients([]); // empty — user can still enter manually
-      })
-      .finally(() => mounted && setLoadingPatients(false));
-    return () => (mounted = false);
-  }, []);
+  // autosaved drafts
+  const drafts = useDrafts("invoice", { practitioner, invoiceNumber, invoiceDate, invoiceType, lineItems, totalNet, totalGross }, (d) => {
+    setPractitioner(d.practitioner);
+    setInvoiceNumber(d.invoiceNumber);
+    setInvoiceDate(d.invoiceDate);
+    setInvoiceType(d.invoiceType);
+    setLineItems(d.lineItems);
+    setTotalNet(d.totalNet);
+    setTotalGross(d.totalGross);
+  });
 
-  /* ---------- helpers ---------- */
-  function getAbhaAddressesForPatient(pt) {
-    if (!pt) return [];
-    const arr = pt.additional_attributes?.abha_addresses ?? [];
-    const normalized = (arr || []).map((a) => {
-      if (!a) return null;
-      if (typeof a === "string") return a;
-      if (typeof a === "object") return a.address ?? JSON.stringify(a);
-      return String(a);
-    }).filter(Boolean);
-    // include abha_ref at front if present
-    if (pt.abha_ref && !normalized.includes(pt.abha_ref)) normalized.unshift(pt.abha_ref);
-    // uniq
-    return Array.from(new Set(normalized));
+  /* ---------- re-open a generated bundle ---------- */
+  function importBundle(doc) {
+    const { notes } = restorePatientSelection(patientFromBundle(doc), patientSelection);
+    const pr = practitionerFromBundle(doc);
+    if (pr) setPractitioner((p) => ({ ...p, name: pr.name || p.name, license: pr.license || p.license }));
+
+    const invoice = doc.all("Invoice")[0];
+    if (!invoice) return [...notes, "The bundle has no Invoice; only patient and practitioner were loaded."];
+
+    setInvoiceNumber(invoice.identifier?.[0]?.value || `INV-${Date.now()}`);
+    setInvoiceDate(isoToDateInput(invoice.date) || new Date().toISOString().slice(0, 10));
+    const type = conceptParts(invoice.type);
+    setInvoiceType(type.code || type.text || "healthcare");
+    const items = lineItemsFromInvoice(invoice);
+    setLineItems(items.length ? items : [{ id: uuidv4(), description: "", amount: 0 }]);
+    const computed = items.reduce((acc, it) => acc + it.amount, 0);
+    setTotalNet(Number(invoice.totalNet?.value ?? computed).toFixed(2));
+    setTotalGross(Number(invoice.totalGross?.value ?? computed).toFixed(2));
+    setValidationIssues([]);
+    setGeneratedBundleJson(JSON.stringify(doc.bundle, null, 2));
+    return notes;
   }
 
+  /* ---------- helpers ---------- */
   function addLineItem() {
     setLineItems((s) => [...s, { id: uuidv4(), description: "", amount: 0 }]);
   }
@@ -123,12 +128,12 @@ export default function App() {
   }, [lineItems.length]);
 
   /* ---------- Build FHIR Bundle ---------- */
-  function buildBundle() {
-    if (selectedPatientIdx === null) {
+  async function buildBundle() {
+    if (!selectedPatient) {
       alert("Please select a patient first.");
       return null;
     }
-    const selPatient = patients[selectedPatientIdx];
+    const selPatient = selectedPatient;
     if (!selPatient) {
       alert("Selected patient not found.");
       return null;
@@ -138,95 +143,20 @@ export default function App() {
       return null;
     }
 
-    // ids — use patient.user_ref_id when available (it's a UUID in your dataset)
-    const patientId = selPatient.user_ref_id ? selPatient.user_ref_id.toLowerCase() : uuidv4();
+    // ids
+    const patientId = uuidv4();
     const compId = uuidv4();
     const practitionerId = (practitioner.id && practitioner.id.length > 0) ? practitioner.id : uuidv4();
     const orgId = uuidv4();
     const invoiceId = uuidv4();
 
-    // Patient resource
-    const patientResource = {
-      resourceType: "Patient",
-      id: patientId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] },
-      identifier: [
-        {
-          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-          value: selPatient.user_ref_id || `mrn-${selPatient.id}`,
-          type: {
-            coding: [
-              { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR", display: "Medical record number" }
-            ],
-            text: "MR"
-          }
-        },
-        {
-          system: "http://nrces.in/CodeSystem/identifier-type",
-          value: selectedAbha,
-          type: {
-            coding: [
-              { system: "http://nrces.in/CodeSystem/identifier-type", code: "ABHA", display: "ABHA address" }
-            ],
-            text: "ABHA"
-          }
-        }
-      ],
-      name: [{ text: selPatient.name }],
-      gender: selPatient.gender ? selPatient.gender.toLowerCase() : undefined,
-      birthDate: toFhirDate(selPatient.dob),
-      telecom: [
-        ...(selPatient.mobile ? [{ system: "phone", value: selPatient.mobile, use: "mobile" }] : []),
-        ...(selPatient.email ? [{ system: "email", value: selPatient.email }] : [])
-      ],
-      address: selPatient.address ? [{ text: selPatient.address }] : undefined,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Patient: ${selPatient.name}</p></div>` }
-    };
+    const patientResource = buildPatient({ id: patientId, patient: selPatient, abhaAddress: selectedAbha });
 
     // Practitioner resource (from GlobalPractitioner but editable in UI)
-    const practitionerResource = {
-      resourceType: "Practitioner",
-      id: practitionerId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-      identifier: [
-        {
-          system: "http://nrces.in/CodeSystem/identifier-type",
-          value: `pract-${practitionerId}`, // internal id
-          type: { coding: [{ system: "http://nrces.in/CodeSystem/identifier-type", code: "PR", display: "Practitioner" }], text: "PR" }
-        }
-      ],
-      name: [{ text: practitioner.name || "Unknown Practitioner" }],
-      qualification: practitioner.license
-        ? [
-          {
-            identifier: [{ system: "http://your.org/licenses", value: practitioner.license }],
-            code: {
-              coding: [
-                { system: "http://terminology.hl7.org/CodeSystem/v2-0360", code: "MD", display: "Doctor of Medicine" }
-              ],
-              text: "Medical License"
-            }
-          }
-        ]
-        : undefined,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Practitioner: ${practitioner.name}</p></div>` }
-    };
+    const practitionerResource = buildPractitioner({ id: practitionerId, name: practitioner.name, license: practitioner.license });
 
     // Organization (issuer) resource
-    const organizationResource = {
-      resourceType: "Organization",
-      id: orgId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"] },
-      identifier: [
-        {
-          system: "http://nrces.in/CodeSystem/identifier-type",
-          value: "ORG-001",
-          type: { coding: [{ system: "http://nrces.in/CodeSystem/identifier-type", code: "ORG", display: "Organization" }], text: "ORG" }
-        }
-      ],
-      name: "Issuer Organization",
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Issuer Organization</p></div>` }
-    };
+    const organizationResource = buildOrganization({ id: orgId, name: "Issuer Organization" });
 
     // Invoice resource - follow NDHM invoice expectations:
     const netVal = Number(totalNet || lineItems.reduce((s, it) => s + Number(it.amount || 0), 0));
@@ -235,7 +165,7 @@ export default function App() {
     const invoiceResource = {
       resourceType: "Invoice",
       id: invoiceId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Invoice"] },
+      meta: ndhmMeta("Invoice"),
       identifier: [
         { system: "https://your.hospital.org/invoices", value: invoiceNumber || `INV-${invoiceId}` }
       ],
@@ -245,9 +175,9 @@ export default function App() {
         text: invoiceType
       },
       date: invoiceDate || new Date().toISOString(),
-      subject: { reference: `urn:uuid:${patientId}`, display: selPatient.name },
-      recipient: { reference: `urn:uuid:${patientId}` },
-      issuer: { reference: `urn:uuid:${orgId}` }, // must be Organization
+      subject: ref(patientId, selPatient.name),
+      recipient: ref(patientId),
+      issuer: ref(orgId), // must be Organization
       totalNet: { value: Number(netVal.toFixed(2)), currency: "INR" },
       totalGross: { value: Number(grossVal.toFixed(2)), currency: "INR" },
       lineItem: lineItems.map((li, idx) => ({
@@ -267,30 +197,25 @@ export default function App() {
           }
         ]
       })),
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Invoice ${invoiceNumber} for ${selPatient.name}</p></div>` }
     };
+    invoiceResource.text = buildNarrative(`Invoice ${invoiceNumber}`, xhtml`<p>${selPatient.name}</p>${invoiceTable(invoiceResource)}`);
 
     // Composition (InvoiceRecord)
-    const compositionResource = {
-      resourceType: "Composition",
+    const now = isoWithLocalOffsetFromDate(new Date());
+    const compositionResource = buildComposition({
       id: compId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/InvoiceRecord"] },
-      status: "final",
+      profile: "InvoiceRecord",
       type: {
         coding: [{ system: "http://nrces.in/CodeSystem/document-type", code: "INVR", display: "Invoice Record" }],
         text: "Invoice Record"
       },
       title: `Invoice ${invoiceNumber}`,
-      date: new Date().toISOString(),
-      subject: { reference: `urn:uuid:${patientId}`, display: selPatient.name },
-      author: [{ reference: `urn:uuid:${practitionerId}`, display: practitioner.name }],
-      attester: [
-        {
-          mode: "official",
-          party: { reference: `urn:uuid:${practitionerId}` },
-          time: new Date().toISOString()
-        }
-      ],
+      patientId,
+      date: now,
+      authorId: practitionerId,
+      authorDisplay: practitioner.name,
+      attester: [{ mode: "official", party: ref(practitionerId), time: now }],
+      narrative: xhtml`<p>Invoice for ${selPatient.name}</p>`,
       section: [
         {
           title: "Invoice Section",
@@ -300,38 +225,26 @@ export default function App() {
             ],
             text: "Invoice"
           },
-          text: {
-            status: "generated",
-            div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>Invoice details</p></div>`
-          },
-          entry: [
-            { reference: `urn:uuid:${invoiceId}`, type: "Invoice" }
-          ]
+          text: buildNarrative("Invoice Section", invoiceTable(invoiceResource)),
+          entry: [entryRef(invoiceResource)]
         }
-      ],
-
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><h3>Invoice Record</h3><p>Invoice for ${selPatient.name}</p></div>` }
-    };
-
-    // Bundle (document) — fullUrls use urn:uuid: + id, consistent with references above
-    const bundle = {
-      resourceType: "Bundle",
-      id: uuidv4(),
-      type: "document",
-      timestamp: new Date().toISOString(),
-      identifier: { system: "https://yourorg.com/fhir/bundles", value: `invoice-bundle-${Date.now()}` },
-      entry: [
-        { fullUrl: `urn:uuid:${compId}`, resource: compositionResource },
-        { fullUrl: `urn:uuid:${patientId}`, resource: patientResource },
-        { fullUrl: `urn:uuid:${practitionerId}`, resource: practitionerResource },
-        { fullUrl: `urn:uuid:${orgId}`, resource: organizationResource },
-        { fullUrl: `urn:uuid:${invoiceId}`, resource: invoiceResource }
       ]
-    };
-
-    setGeneratedBundle(bundle);
-    setGeneratedBundleJson(JSON.stringify(bundle, null, 2));
-    return bundle;
+    });
+
+    const bundle = buildDocumentBundle({
+      idPrefix: "InvoiceBundle",
+      composition: compositionResource,
+      resources: [patientResource, practitionerResource, organizationResource, invoiceResource]
+    });
+
+    setValidationIssues(validateBundle(bundle));
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+    setGeneratedBundle(signed);
+    setGeneratedBundleJson(JSON.stringify(signed, null, 2));
+    return signed;
   }
 
   function downloadBundle() {
@@ -355,45 +268,11 @@ export default function App() {
     <div className="container my-4">
       <h3>Invoice Record — Builder</h3>
       <p className="text-muted">Select a patient, pick ABHA address, edit practitioner if needed, add line items and generate FHIR Invoice Bundle.</p>
+      <BundleImport onImport={importBundle} />
+      <DraftsPanel drafts={drafts} />
 
-      <div className="card mb-3">
-        <div className="card-body">
-          <h5>Patient</h5>
-          <div className="row g-2">
-            <div className="col-md-6">
-              <label className="form-label required">Patient</label>
-              <select className="form-select" value={selectedPatientIdx ?? ""} onChange={(e) => {
-                const v = e.target.value === "" ? null : Number(e.target.value);
-                setSelectedPatientIdx(v);
-                setSelectedAbha("");
-              }}>
-                <option value="">-- select patient --</option>
-                {patients.map((p, i) => (
-                  <option key={i} value={i}>
-                    {p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}
-                  </option>
-                ))}
-              </select>
-            </div>
-
-            <div className="col-md-6">
-              <label className="form-label">ABHA address</label>
-              <select className="form-select" disabled={selectedPatientIdx === null} value={selectedAbha} onChange={(e) => setSelectedAbha(e.target.value)}>
-                <option value="">-- select abha --</option>
-                {selectedPatientIdx !== null && getAbhaAddressesForPatient(patients[selectedPatientIdx]).map((a, idx) => (
-                  <option key={idx} value={a}>{a}</option>
-                ))}
-              </select>
-            </div>
-          </div>
-
-          {selectedPatientIdx !== null && (
-            <div className="mt-3">
-              <strong>Selected:</strong> {patients[selectedPatientIdx].name} • {patients[selectedPatientIdx].gender} • DOB: {patients[selectedPatientIdx].dob}
-            </div>
-          )}
-        </div>
-      </div>
+      {/* 1. Patient */}
+      <PatientCard title="Patient" issues={issuesByField(validationIssues)} />
 
       <div className="card mb-3">
         <div className="card-body">
@@ -466,8 +345,10 @@ export default function App() {
             </div>
           </div>
 
+          <div className="mt-3"><ValidationSummary issues={validationIssues} /></div>
+
           <div className="mt-3">
-            <button className="btn btn-success me-2" onClick={() => { buildBundle(); }} disabled={selectedPatientIdx === null}>Generate Bundle</button>
+            <button className="btn btn-success me-2" onClick={() => { buildBundle(); }} disabled={!selectedPatient}>Generate Bundle</button>
             <button className="btn btn-outline-secondary" onClick={downloadBundle} disabled={!generatedBundleJson}>Download JSON</button>
           </div>
         </div>
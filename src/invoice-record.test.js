@@ -0,0 +1,19 @@
+import { lineItemsFromInvoice } from "./invoice-record";
+
+test("line items come back as form rows with their base price", () => {
+  const invoice = {
+    lineItem: [
+      { chargeItemCodeableConcept: { coding: [{ display: "Consultation" }], text: "Consultation" }, priceComponent: [{ type: "base", amount: { value: 500 } }] },
+      { chargeItemCodeableConcept: { coding: [{ display: "CBC" }] }, priceComponent: [{ type: "tax", amount: { value: 9 } }, { type: "base", amount: { value: 250.5 } }] },
+      { chargeItemCodeableConcept: {} },
+    ],
+  };
+  const rows = lineItemsFromInvoice(invoice);
+  expect(rows.map(({ description, amount }) => ({ description, amount }))).toEqual([
+    { description: "Consultation", amount: 500 },
+    { description: "CBC", amount: 250.5 },
+    { description: "", amount: 0 },
+  ]);
+  expect(new Set(rows.map((r) => r.id)).size).toBe(3);
+  expect(lineItemsFromInvoice({})).toEqual([]);
+});
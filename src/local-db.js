@@ -0,0 +1,74 @@
+// src/local-db.js
+/*
+  The app's IndexedDB database (no dependency)
+  - drafts: form drafts (draft-store.js), indexed by recordType
+  - outbox: queued bundle submissions (outbox.js), indexed by status
+  - submissions: history of submitted bundles (submission-history.js), indexed by patientKey
+  - Promise helpers for the few operations the app needs; every call rejects when
+    IndexedDB is unavailable (private mode, old browsers, tests), check isLocalDbAvailable()
+*/
+
+const DB_NAME = "ndhm-records";
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+export function isLocalDbAvailable() {
+  return typeof window !== "undefined" && !!window.indexedDB;
+}
+
+function openDb() {
+  if (!isLocalDbAvailable()) return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("drafts")) {
+          db.createObjectStore("drafts", { keyPath: "id" }).createIndex("recordType", "recordType");
+        }
+        if (!db.objectStoreNames.contains("outbox")) {
+          db.createObjectStore("outbox", { keyPath: "id" }).createIndex("status", "status");
+        }
+        if (!db.objectStoreNames.contains("submissions")) {
+          db.createObjectStore("submissions", { keyPath: "id" }).createIndex("patientKey", "patientKey");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/* Run one request against a store and resolve with its result once the transaction commits */
+async function withStore(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function dbGet(storeName, key) {
+  return withStore(storeName, "readonly", store => store.get(key)).then(v => v || null);
+}
+
+/* All records, or those whose `index` equals `value` */
+export function dbGetAll(storeName, index, value) {
+  return withStore(storeName, "readonly", store => (index ? store.index(index).getAll(value) : store.getAll())).then(v => v || []);
+}
+
+export function dbPut(storeName, value) {
+  return withStore(storeName, "readwrite", store => store.put(value)).then(() => value);
+}
+
+export function dbDelete(storeName, key) {
+  return withStore(storeName, "readwrite", store => store.delete(key));
+}
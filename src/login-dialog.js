@@ -0,0 +1,78 @@
+// src/login-dialog.js
+import React, { useEffect, useState } from "react";
+import { subscribeAuth, getAuthState, submitLogin, cancelLogin } from "./auth";
+import { getConfig } from "./config";
+
+/*
+  Sign-in prompt (auth.js)
+  - useAuth(): { session, prompt } kept current while mounted
+  - LoginDialog: shown whenever auth.js asks for a login (Sign in button, or a request that
+    got a 401); the request that triggered it continues once the user has signed in
+*/
+
+export function useAuth() {
+  const [state, setState] = useState(getAuthState);
+  useEffect(() => {
+    const update = () => setState(getAuthState());
+    update();
+    return subscribeAuth(update);
+  }, []);
+  return state;
+}
+
+export default function LoginDialog() {
+  const { prompt, session } = useAuth();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!prompt) return;
+    setUsername(u => u || session?.username || "");
+    setPassword("");
+    setError("");
+  }, [prompt, session]);
+
+  if (!prompt) return null;
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await submitLogin(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="login-title">
+        <div className="modal-dialog">
+          <form className="modal-content" onSubmit={onSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title" id="login-title">Sign in — {getConfig().label}</h5>
+            </div>
+            <div className="modal-body">
+              {prompt.reason && <div className="alert alert-warning py-2">{prompt.reason}</div>}
+              <label className="form-label" htmlFor="login-username">Username</label>
+              <input id="login-username" className="form-control mb-2" autoComplete="username" autoFocus value={username} onChange={e => setUsername(e.target.value)} />
+              <label className="form-label" htmlFor="login-password">Password</label>
+              <input id="login-password" type="password" className="form-control" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} />
+              {error && <div className="text-danger small mt-2">{error}</div>}
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-outline-secondary" onClick={cancelLogin}>Cancel</button>
+              <button type="submit" className="btn btn-primary" disabled={busy || !username.trim() || !password}>{busy ? "Signing in…" : "Sign in"}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+      <div className="modal-backdrop show" />
+    </>
+  );
+}
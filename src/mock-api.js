@@ -0,0 +1,58 @@
+// src/mock-api.js
+/*
+  Local mock backend for the "mock" environment (config.js)
+  - An axios adapter: the app's API calls are answered in the browser, nothing leaves it
+  - POST <authUrl>/login: any non-empty username + password; POST <authUrl>/refresh: a new
+    token for a mock refresh token (tokens last 1 hour)
+  - POST <fhirBundleUrl>: 401 without a mock Bearer token; 201 { id, status: "accepted",
+    receivedAt } for a Bundle, 400 otherwise
+  - Anything else: 404
+*/
+import { AxiosError } from "axios";
+import { uuidv4 } from "./fhir-builders";
+import { getConfig } from "./config";
+
+function respond(config, status, data) {
+  const response = { data, status, statusText: status < 300 ? "OK" : "Error", headers: {}, config, request: null };
+  if (status < 300) return response;
+  throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, null, response);
+}
+
+function parseBody(data) {
+  if (typeof data !== "string") return data || {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+function tokens() {
+  return { access_token: `mock-access-${uuidv4()}`, refresh_token: `mock-refresh-${uuidv4()}`, token_type: "Bearer", expires_in: 3600 };
+}
+
+function hasMockToken(config) {
+  const header = config.headers?.get ? config.headers.get("Authorization") : config.headers?.Authorization;
+  return String(header || "").startsWith("Bearer mock-access-");
+}
+
+export async function mockAdapter(config) {
+  const { fhirBundleUrl, authUrl } = getConfig();
+  const method = (config.method || "get").toLowerCase();
+  const body = parseBody(config.data);
+
+  if (method === "post" && config.url === `${authUrl}/login`) {
+    if (!body.username || !body.password) return respond(config, 401, { message: "Invalid username or password" });
+    return respond(config, 200, tokens());
+  }
+  if (method === "post" && config.url === `${authUrl}/refresh`) {
+    if (!String(body.refresh_token || "").startsWith("mock-refresh-")) return respond(config, 401, { message: "Invalid refresh token" });
+    return respond(config, 200, tokens());
+  }
+  if (method === "post" && config.url === fhirBundleUrl) {
+    if (!hasMockToken(config)) return respond(config, 401, { message: "Not signed in" });
+    if (body.bundle?.resourceType !== "Bundle") return respond(config, 400, { message: "Body must be { bundle: Bundle, patient }" });
+    return respond(config, 201, { id: uuidv4(), status: "accepted", receivedAt: new Date().toISOString(), mock: true });
+  }
+  return respond(config, 404, { message: `No mock for ${method.toUpperCase()} ${config.url}` });
+}
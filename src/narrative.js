@@ -0,0 +1,183 @@
+// src/narrative.js
+/*
+  Safe XHTML narrative (Resource.text.div) for every builder
+  - xhtml`<p>${value}</p>`: tagged template; interpolated values are escaped unless they
+    are themselves xhtml fragments (or arrays of them), so names, addresses and notes with
+    "&" or "<" stay text
+  - paragraphs(), table(): common shapes; table() renders caption / header / rows / footer
+    (immunization list, vitals, invoice line items with totals)
+  - narrativeDiv(): the FHIR root <div xmlns lang xml:lang>; plain strings become a <p>
+  - narrativeIssues(): well-formed XHTML, FHIR's allowed elements only, no scripts /
+    event handlers / javascript: links, some text content (txt-1, txt-2)
+*/
+
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+/* Elements FHIR narrative allows (txt-1: basic HTML formatting, tables, lists, links, images) */
+const ALLOWED_ELEMENTS = new Set([
+  "a", "abbr", "acronym", "b", "big", "blockquote", "br", "caption", "cite", "code", "col", "colgroup", "dd", "dfn",
+  "div", "dl", "dt", "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "kbd", "li", "ol", "p", "pre", "q",
+  "samp", "small", "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "tt", "ul", "var",
+]);
+
+/* ------------------------------- FRAGMENTS -------------------------------- */
+class XhtmlFragment {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+export function isXhtml(value) {
+  return value instanceof XhtmlFragment;
+}
+
+export function escapeXhtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* Markup for one interpolated value: fragments as is, arrays joined, null / false empty */
+function render(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (Array.isArray(value)) return value.map(render).join("");
+  if (isXhtml(value)) return value.markup;
+  return escapeXhtml(value);
+}
+
+/* Tagged template: the literal parts are markup, every ${value} is text (see render) */
+export function xhtml(strings, ...values) {
+  return new XhtmlFragment(strings.reduce((out, s, i) => out + s + (i < values.length ? render(values[i]) : ""), ""));
+}
+
+/* One <p> per non-empty value */
+export function paragraphs(...values) {
+  return xhtml`${values.flat().filter(v => v !== null && v !== undefined && v !== false && String(v).trim() !== "").map(v => xhtml`<p>${v}</p>`)}`;
+}
+
+/*
+  Table fragment
+  @param {object} opts
+  @param {string} [opts.caption]
+  @param {Array<{ label: string, value: (row) => any }>} opts.columns
+  @param {object[]} opts.rows
+  @param {any[][]} [opts.footer]  footer rows, one cell per column (null for an empty cell)
+  @param {string} [opts.empty]    text instead of the table when there are no rows
+*/
+export function table({ caption, columns, rows, footer = [], empty }) {
+  if (!rows.length && empty) return xhtml`<p>${empty}</p>`;
+  return xhtml`<table>${caption ? xhtml`<caption>${caption}</caption>` : ""}<thead><tr>${columns.map(c => xhtml`<th>${c.label}</th>`)}</tr></thead><tbody>${rows.map(row => xhtml`<tr>${columns.map(c => xhtml`<td>${c.value(row)}</td>`)}</tr>`)}</tbody>${footer.length ? xhtml`<tfoot>${footer.map(cells => xhtml`<tr>${cells.map(cell => xhtml`<td>${cell}</td>`)}</tr>`)}</tfoot>` : ""}</table>`;
+}
+
+/*
+  Resource.text: { status: "generated", div }
+  @param {XhtmlFragment|string} content  a fragment, or plain text (escaped, one <p>)
+  @param {{ title?: string }} [opts]      optional <h3> heading
+*/
+export function narrativeDiv(content, { title } = {}) {
+  const body = isXhtml(content) ? content : paragraphs(content);
+  return {
+    status: "generated",
+    div: `<div xmlns="${XHTML_NS}" lang="en-IN" xml:lang="en-IN">${title ? xhtml`<h3>${title}</h3>` : ""}${body}</div>`,
+  };
+}
+
+/* ----------------------------- RESOURCE TABLES ----------------------------- */
+function conceptText(concept) {
+  return concept?.text || concept?.coding?.[0]?.display || concept?.coding?.[0]?.code || "";
+}
+
+function observationValue(o) {
+  if (o.valueQuantity) return [o.valueQuantity.value, o.valueQuantity.unit].filter(v => v !== undefined && v !== "").join(" ");
+  if (o.valueCodeableConcept) return conceptText(o.valueCodeableConcept);
+  return o.valueString ?? "";
+}
+
+function money(value, currency) {
+  return `${Number(value || 0).toFixed(2)} ${currency}`;
+}
+
+/* Sum of a line item's price components of one type (base / tax / discount ...) */
+function priceOf(lineItem, type) {
+  return (lineItem.priceComponent || []).filter(c => c.type === type).reduce((sum, c) => sum + Number(c.amount?.value || 0), 0);
+}
+
+/* Immunization resources: vaccine, date, lot, status */
+export function immunizationTable(immunizations) {
+  return table({
+    caption: "Immunizations",
+    columns: [
+      { label: "Vaccine", value: r => conceptText(r.vaccineCode) },
+      { label: "Date", value: r => String(r.occurrenceDateTime || r.occurrenceString || "").slice(0, 10) },
+      { label: "Lot", value: r => r.lotNumber },
+      { label: "Status", value: r => r.status },
+    ],
+    rows: immunizations,
+    empty: "No immunization entries",
+  });
+}
+
+/* Observation resources (vitals, body measurements): name and value with unit */
+export function observationTable(observations, { caption, empty = "No observations recorded" } = {}) {
+  return table({
+    caption,
+    columns: [
+      { label: "Observation", value: o => conceptText(o.code) },
+      { label: "Value", value: observationValue },
+    ],
+    rows: observations,
+    empty,
+  });
+}
+
+/* Invoice line items (base, tax, amount) with net / tax / gross totals from the Invoice */
+export function invoiceTable(invoice) {
+  const currency = invoice.totalGross?.currency || invoice.totalNet?.currency || "INR";
+  const items = invoice.lineItem || [];
+  const net = invoice.totalNet?.value ?? items.reduce((sum, li) => sum + priceOf(li, "base"), 0);
+  const gross = invoice.totalGross?.value ?? net + items.reduce((sum, li) => sum + priceOf(li, "tax"), 0);
+  const total = (label, value) => [null, label, null, null, money(value, currency)];
+  return table({
+    caption: "Line items",
+    columns: [
+      { label: "#", value: li => li.sequence },
+      { label: "Item", value: li => conceptText(li.chargeItemCodeableConcept) },
+      { label: "Base", value: li => money(priceOf(li, "base"), currency) },
+      { label: "Tax", value: li => money(priceOf(li, "tax"), currency) },
+      { label: "Amount", value: li => money(priceOf(li, "base") + priceOf(li, "tax"), currency) },
+    ],
+    rows: items,
+    footer: [total("Net total", net), total("Tax", gross - net), total("Gross total", gross)],
+    empty: "No line items",
+  });
+}
+
+/* --------------------------------- CHECKS --------------------------------- */
+/* Problems with a narrative div (empty when it passes); without DOMParser only txt-1 / txt-2 by pattern */
+export function narrativeIssues(div) {
+  const issues = [];
+  if (typeof DOMParser === "undefined") {
+    if (!String(div || "").replace(/<[^>]*>/g, "").trim() && !/<img\b/i.test(div)) issues.push("Narrative must have some non-whitespace content (txt-2)");
+    if (/<script\b|\son[a-z]+\s*=/i.test(div)) issues.push("Narrative must not contain scripts, event handlers or javascript: links (txt-1)");
+    return issues;
+  }
+  const doc = new DOMParser().parseFromString(String(div || ""), "application/xml");
+  const root = doc.documentElement;
+  if (!root || doc.getElementsByTagName("parsererror").length) return ["Narrative is not well-formed XHTML (unescaped & or <?)"];
+  if (root.localName !== "div" || root.namespaceURI !== XHTML_NS) issues.push(`Narrative root must be <div xmlns="${XHTML_NS}">`);
+
+  const elements = [root, ...root.getElementsByTagName("*")];
+  const badElements = new Set(elements.filter(el => !ALLOWED_ELEMENTS.has(el.localName) || el.namespaceURI !== XHTML_NS).map(el => el.localName));
+  if (badElements.size) issues.push(`Narrative contains elements FHIR does not allow (txt-1): ${[...badElements].join(", ")}`);
+  const unsafe = elements.some(el => Array.from(el.attributes).some(a => /^on/i.test(a.localName) || /^\s*javascript:/i.test(a.value)));
+  if (unsafe) issues.push("Narrative must not contain scripts, event handlers or javascript: links (txt-1)");
+  if (!root.textContent.trim() && !root.getElementsByTagName("img").length) issues.push("Narrative must have some non-whitespace content (txt-2)");
+  return issues;
+}
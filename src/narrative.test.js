@@ -0,0 +1,56 @@
+import { xhtml, escapeXhtml, paragraphs, narrativeDiv, narrativeIssues, immunizationTable, observationTable, invoiceTable } from "./narrative";
+import { buildPatient, buildOrganization } from "./fhir-builders";
+import { narrativeParagraphs } from "./bundle-reader";
+
+test("interpolated values are escaped, nested fragments are not", () => {
+  const name = `Tom & "Jerry" <script>alert('x')</script>`;
+  expect(escapeXhtml(name)).toBe("Tom &amp; &quot;Jerry&quot; &lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;");
+  expect(String(xhtml`<p>${name}</p>${xhtml`<p>${"a<b"}</p>`}`)).toBe(`<p>${escapeXhtml(name)}</p><p>a&lt;b</p>`);
+  expect(String(xhtml`<p>${null}${false}${["x", xhtml`<b>y</b>`]}</p>`)).toBe("<p>x<b>y</b></p>");
+  expect(String(paragraphs("one", "", null, "two"))).toBe("<p>one</p><p>two</p>");
+});
+
+test("builder narratives stay well-formed with markup characters in the data", () => {
+  const patient = buildPatient({ id: "p1", patient: { name: "A <b>Bold</b> & Co", gender: "male", dob: "01-02-1990" } });
+  const org = buildOrganization({ id: "o1", name: "Clinic <img src=x onerror=alert(1)>" });
+  expect(narrativeIssues(patient.text.div)).toEqual([]);
+  expect(narrativeIssues(org.text.div)).toEqual([]);
+  expect(narrativeParagraphs(patient)[0]).toBe("A <b>Bold</b> & Co");
+  expect(narrativeParagraphs(org)).toEqual(["Clinic <img src=x onerror=alert(1)>"]);
+});
+
+test("narrativeIssues flags malformed markup, disallowed elements and handlers", () => {
+  const wrap = inner => `<div xmlns="http://www.w3.org/1999/xhtml">${inner}</div>`;
+  expect(narrativeIssues(narrativeDiv("Fine").div)).toEqual([]);
+  expect(narrativeIssues(wrap("<p>Tom & Jerry</p>"))[0]).toMatch(/well-formed/);
+  expect(narrativeIssues(wrap("<p>x</p><script>1</script>"))[0]).toMatch(/script/);
+  expect(narrativeIssues(wrap(`<p onclick="x()">x</p>`))[0]).toMatch(/event handlers/);
+  expect(narrativeIssues(wrap(`<a href="javascript:x()">x</a>`))[0]).toMatch(/javascript:/);
+  expect(narrativeIssues(wrap("<p> </p>"))[0]).toMatch(/txt-2/);
+  expect(narrativeIssues("<div><p>x</p></div>")[0]).toMatch(/root/);
+});
+
+test("resource tables: immunizations, observations and invoice totals", () => {
+  const imm = immunizationTable([{ vaccineCode: { text: "BCG" }, occurrenceDateTime: "2024-05-01T10:00:00+05:30", lotNumber: "L<1>", status: "completed" }]);
+  expect(String(imm)).toContain("<tr><td>BCG</td><td>2024-05-01</td><td>L&lt;1&gt;</td><td>completed</td></tr>");
+  expect(String(immunizationTable([]))).toBe("<p>No immunization entries</p>");
+
+  const obs = observationTable([{ code: { text: "Body weight" }, valueQuantity: { value: 70, unit: "kg" } }], { caption: "Vitals" });
+  expect(String(obs)).toContain("<caption>Vitals</caption>");
+  expect(String(obs)).toContain("<td>Body weight</td><td>70 kg</td>");
+
+  const price = (type, value) => ({ type, amount: { value, currency: "INR" } });
+  const invoice = {
+    totalNet: { value: 300, currency: "INR" },
+    totalGross: { value: 318, currency: "INR" },
+    lineItem: [
+      { sequence: 1, chargeItemCodeableConcept: { text: "Consultation" }, priceComponent: [price("base", 200)] },
+      { sequence: 2, chargeItemCodeableConcept: { text: "X-ray & report" }, priceComponent: [price("base", 100), price("tax", 18)] },
+    ],
+  };
+  const markup = String(invoiceTable(invoice));
+  expect(markup).toContain("<td>2</td><td>X-ray &amp; report</td><td>100.00 INR</td><td>18.00 INR</td><td>118.00 INR</td>");
+  expect(markup).toContain("<td>Tax</td><td></td><td></td><td>18.00 INR</td>");
+  expect(markup).toContain("<td>Gross total</td><td></td><td></td><td>318.00 INR</td>");
+  expect(narrativeIssues(narrativeDiv(invoiceTable(invoice), { title: "Invoice" }).div)).toEqual([]);
+});
@@ -0,0 +1,357 @@
+// src/ndhm-validator.js
+/*
+  Offline NDHM profile checks for generated document bundles (run before submit)
+  - A hand-kept subset of the NDHM StructureDefinitions: required elements (min cardinality),
+    fixed codes (Composition.type per record profile, identifier type codes, Encounter.class),
+    Observation.code slicing (LOINC / SNOMED), Composition cmp-1 / cmp-2 section rules,
+    narrative (txt-1 / txt-2), FHIR JSON rules (no empty strings / arrays / objects),
+    date formats, attachment size / hash format and reference resolution inside the Bundle
+  - Not a replacement for the official validator; it catches what the builders get wrong
+    most often, without a round trip
+  - Every issue carries the resource it came from and a form `field` key so builders can
+    show the message next to the input that caused it (see issuesByField)
+*/
+import { V2_0203, IDENTIFIER_SYSTEMS } from "./fhir-builders";
+import { narrativeIssues } from "./narrative";
+
+const SNOMED = "http://snomed.info/sct";
+const LOINC = "http://loinc.org";
+const UCUM = "http://unitsofmeasure.org";
+const V3_ACT_CODE = "http://terminology.hl7.org/CodeSystem/v3-ActCode";
+
+/* Composition.type fixed coding per NDHM record profile */
+export const COMPOSITION_TYPES = {
+  PrescriptionRecord: { system: SNOMED, code: "440545006" },
+  DiagnosticReportRecord: { system: SNOMED, code: "721981007" },
+  OPConsultRecord: { system: SNOMED, code: "371530004" },
+  DischargeSummaryRecord: { system: SNOMED, code: "373942005" },
+  ImmunizationRecord: { system: SNOMED, code: "41000179103" },
+  HealthDocumentRecord: { system: SNOMED, code: "419891008" },
+  WellnessRecord: { system: LOINC, code: "11502-2" },
+};
+
+/* Observation profiles whose code is sliced on LOINC / SNOMED */
+const SLICED_OBSERVATION_PROFILES = [
+  "ObservationVitalSigns",
+  "ObservationBodyMeasurement",
+  "ObservationPhysicalActivity",
+  "ObservationGeneralAssessment",
+  "ObservationWomenHealth",
+  "ObservationLifestyle",
+];
+
+/* LOINC vital sign / body measurement codes that need a UCUM valueQuantity */
+const QUANTITY_LOINC_CODES = ["8867-4", "8480-6", "8462-4", "8310-5", "59408-5", "9279-1", "8302-2", "29463-7", "39156-5"];
+
+const GENDERS = ["male", "female", "other", "unknown"];
+
+/*
+  Minimum cardinality + required codes per resource type
+  "x[x]" means any choice type (valueQuantity, valueString, ...)
+*/
+const RESOURCE_RULES = {
+  Composition: { required: ["status", "type", "subject", "date", "author", "title"], codes: { status: ["preliminary", "final", "amended", "entered-in-error"] } },
+  Patient: { required: ["name", "gender"], codes: { gender: GENDERS } },
+  Practitioner: { required: ["identifier", "name"] },
+  Organization: { required: ["identifier", "name"] },
+  Encounter: { required: ["status", "class", "subject"], codes: { status: ["planned", "arrived", "triaged", "in-progress", "onleave", "finished", "cancelled", "entered-in-error", "unknown"] } },
+  EpisodeOfCare: { required: ["status", "patient"] },
+  Appointment: { required: ["status", "participant"] },
+  Observation: { required: ["status", "code", "subject"], codes: { status: ["registered", "preliminary", "final", "amended", "corrected", "cancelled", "entered-in-error", "unknown"] } },
+  Condition: { required: ["code", "subject"] },
+  AllergyIntolerance: { required: ["code", "patient"] },
+  Procedure: { required: ["status", "code", "subject"] },
+  MedicationRequest: { required: ["status", "intent", "medication[x]", "subject", "authoredOn"] },
+  CarePlan: { required: ["status", "intent", "subject"] },
+  ServiceRequest: { required: ["status", "intent", "code", "subject"] },
+  DiagnosticReport: { required: ["status", "code", "subject"] },
+  ImagingStudy: { required: ["status", "subject"] },
+  Immunization: { required: ["status", "vaccineCode", "patient", "occurrence[x]"] },
+  ImmunizationRecommendation: { required: ["patient", "date", "recommendation"] },
+  DocumentReference: { required: ["status", "type", "subject", "content"] },
+  Binary: { required: ["contentType"] },
+  Invoice: { required: ["status"] },
+};
+
+/* Element names holding dateTime / date / instant values */
+const DATE_TIME_KEYS = ["date", "effectiveDateTime", "authoredOn", "issued", "occurrenceDateTime", "recordedDate", "onsetDateTime", "start", "end", "started", "creation"];
+const DATE_RE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const DATE_TIME_RE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/;
+const INSTANT_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/;
+const ABHA_NUMBER_RE = /^\d{2}-?\d{4}-?\d{4}-?\d{4}$/;
+const ABHA_ADDRESS_RE = /^[A-Za-z0-9._]+@[A-Za-z]+$/;
+
+/* ------------------------------- HELPERS -------------------------------- */
+
+function profileName(resource) {
+  const url = resource?.meta?.profile?.[0];
+  return url ? String(url).split("/").pop() : "";
+}
+
+function hasElement(resource, name) {
+  if (name.endsWith("[x]")) {
+    const prefix = name.slice(0, -3);
+    return Object.keys(resource).some(k => k.startsWith(prefix) && k.length > prefix.length && /[A-Z]/.test(k[prefix.length]) && isPresent(resource[k]));
+  }
+  return isPresent(resource[name]);
+}
+
+function isPresent(v) {
+  if (v === undefined || v === null || v === "") return false;
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+function codings(concept) {
+  return Array.isArray(concept?.coding) ? concept.coding : [];
+}
+
+function hasCoding(concept, { system, code }) {
+  return codings(concept).some(c => c.system === system && c.code === code);
+}
+
+/* Default form field for an issue: the resource type in camelCase */
+function defaultField(resourceType) {
+  if (!resourceType) return "bundle";
+  return resourceType[0].toLowerCase() + resourceType.slice(1);
+}
+
+/* Walk every value, calling fn(value, path, key) */
+function walk(value, path, fn, key) {
+  fn(value, path, key);
+  if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${path}[${i}]`, fn, key));
+  else if (value && typeof value === "object") Object.keys(value).forEach(k => walk(value[k], path ? `${path}.${k}` : k, fn, k));
+}
+
+/* ------------------------------ RESOURCE CHECKS ------------------------------ */
+
+function checkJsonRules(resource, report) {
+  walk(resource, "", (v, path) => {
+    if (!path) return;
+    if (v === null) report(path, "null is not allowed in FHIR JSON; omit the element");
+    else if (v === "") report(path, "Empty string is not allowed; omit the element or give it a value");
+    else if (Array.isArray(v) && v.length === 0) report(path, "Empty array is not allowed; omit the element");
+    else if (v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).every(k => v[k] === undefined)) report(path, "Element has no value or children (ele-1)");
+  });
+}
+
+function checkCardinalityAndCodes(resource, report) {
+  const rules = RESOURCE_RULES[resource.resourceType];
+  if (!rules) return;
+  for (const name of rules.required || []) {
+    if (!hasElement(resource, name)) report(name, `${resource.resourceType}.${name} is required (min 1)`);
+  }
+  for (const [name, allowed] of Object.entries(rules.codes || {})) {
+    const v = resource[name];
+    if (isPresent(v) && !allowed.includes(v)) report(name, `${resource.resourceType}.${name} "${v}" is not one of ${allowed.join(", ")}`);
+  }
+}
+
+/* Resource.text (or Composition.section[].text, with base "section[i].") */
+function checkNarrative(resource, report, base = "") {
+  const text = resource.text;
+  if (!text) return;
+  if (!["generated", "extensions", "additional", "empty"].includes(text.status)) report(`${base}text.status`, "Narrative status must be generated, extensions, additional or empty");
+  const div = typeof text.div === "string" ? text.div.trim() : "";
+  if (!div.startsWith("<div") || !div.includes('xmlns="http://www.w3.org/1999/xhtml"')) {
+    report(`${base}text.div`, 'Narrative div must be an XHTML <div xmlns="http://www.w3.org/1999/xhtml">');
+  } else {
+    narrativeIssues(div).forEach(message => report(`${base}text.div`, message));
+  }
+}
+
+function checkDates(resource, report) {
+  walk(resource, "", (v, path, key) => {
+    if (typeof v !== "string" || !key) return;
+    if (key === "birthDate" && !DATE_RE.test(v)) report(path, `"${v}" is not a FHIR date (YYYY, YYYY-MM or YYYY-MM-DD)`);
+    else if (DATE_TIME_KEYS.includes(key) && !DATE_TIME_RE.test(v)) report(path, `"${v}" is not a FHIR dateTime (a time needs seconds and a timezone)`);
+  });
+}
+
+function checkPatient(resource, report, warn) {
+  (resource.identifier || []).forEach((idf, i) => {
+    if (idf.system === IDENTIFIER_SYSTEMS.abhaAddress) {
+      if (!hasCoding(idf.type, { system: V2_0203, code: "PN" })) report(`identifier[${i}].type`, "ABHA address identifier must be typed PN (v2-0203)", "abha");
+      if (idf.value && !ABHA_ADDRESS_RE.test(idf.value)) warn(`identifier[${i}].value`, `"${idf.value}" does not look like an ABHA address (name@domain)`, "abha");
+    }
+    if (idf.system === IDENTIFIER_SYSTEMS.abhaNumber) {
+      if (!hasCoding(idf.type, { system: V2_0203, code: "MR" })) report(`identifier[${i}].type`, "ABHA number identifier must be typed MR (v2-0203)");
+      if (idf.value && !ABHA_NUMBER_RE.test(idf.value)) warn(`identifier[${i}].value`, `"${idf.value}" is not a 14 digit ABHA number`);
+    }
+    if (!idf.value) report(`identifier[${i}].value`, "Identifier value is required");
+  });
+}
+
+function checkPractitionerOrOrganization(resource, report) {
+  (resource.identifier || []).forEach((idf, i) => {
+    if (!codings(idf.type).length) report(`identifier[${i}].type`, `${resource.resourceType}.identifier.type is required`);
+    if (!idf.system) report(`identifier[${i}].system`, `${resource.resourceType}.identifier.system is required`);
+    if (!idf.value) report(`identifier[${i}].value`, `${resource.resourceType}.identifier.value is required`);
+  });
+}
+
+function checkEncounter(resource, report) {
+  if (resource.class && resource.class.system !== V3_ACT_CODE) report("class.system", `Encounter.class must come from ${V3_ACT_CODE}`);
+}
+
+function checkObservation(resource, report, warn) {
+  const codes = codings(resource.code);
+  const sliced = SLICED_OBSERVATION_PROFILES.includes(profileName(resource));
+  if (!codes.some(c => c.system === LOINC || c.system === SNOMED)) {
+    (sliced ? report : warn)("code.coding", "Observation.code needs a LOINC or SNOMED CT coding (code slicing)");
+  }
+  codes.forEach((c, i) => {
+    if ((c.system === LOINC || c.system === SNOMED) && !c.code) report(`code.coding[${i}].code`, "Coding code is required");
+  });
+  const quantityCode = codes.find(c => c.system === LOINC && QUANTITY_LOINC_CODES.includes(c.code));
+  if (quantityCode) {
+    const q = resource.valueQuantity;
+    if (!q) report("valueQuantity", `Observation ${quantityCode.code} must have a valueQuantity`);
+    else {
+      if (typeof q.value !== "number" || Number.isNaN(q.value)) report("valueQuantity.value", "Quantity value must be a number");
+      if (q.system !== UCUM || !q.code) report("valueQuantity.code", "Quantity must carry a UCUM system and code");
+    }
+  }
+  if (resource.dataAbsentReason && Object.keys(resource).some(k => k.startsWith("value") && k !== "value")) {
+    report("dataAbsentReason", "dataAbsentReason is only allowed when there is no value (obs-6)");
+  }
+}
+
+function checkComposition(resource, report) {
+  const name = profileName(resource);
+  const fixed = COMPOSITION_TYPES[name];
+  if (fixed && !hasCoding(resource.type, fixed)) report("type.coding", `${name} requires Composition.type ${fixed.system}|${fixed.code}`);
+  if (resource.subject?.reference && !resource.subject.reference.startsWith("urn:uuid:") && !resource.subject.reference.startsWith("Patient/")) {
+    report("subject", "Composition.subject must reference the Patient");
+  }
+  const checkSections = (sections, base) => sections.forEach((s, i) => {
+    const path = `${base}[${i}]`;
+    const hasEntry = Array.isArray(s.entry) && s.entry.length > 0;
+    const hasSub = Array.isArray(s.section) && s.section.length > 0;
+    if (!s.text && !hasEntry && !hasSub) report(path, `Section "${s.title || i + 1}" needs text, entries or sub-sections (cmp-1)`);
+    if (s.emptyReason && hasEntry) report(`${path}.emptyReason`, `Section "${s.title || i + 1}" can only have an emptyReason when it is empty (cmp-2)`);
+    checkNarrative(s, report, `${path}.`);
+    if (hasSub) checkSections(s.section, `${path}.section`);
+  });
+  checkSections(Array.isArray(resource.section) ? resource.section : [], "section");
+}
+
+/* Attachment.hash is the base64 of a SHA-1 digest (20 bytes); size counts the decoded data */
+const SHA1_BASE64_RE = /^[A-Za-z0-9+/]{27}=$/;
+
+function checkDocumentReference(resource, report) {
+  (resource.content || []).forEach((c, i) => {
+    const a = c.attachment || {};
+    const path = `content[${i}].attachment`;
+    if (a.hash !== undefined && !SHA1_BASE64_RE.test(a.hash)) report(`${path}.hash`, "Attachment.hash must be the base64 SHA-1 of the data");
+    if (a.size !== undefined && !(Number.isInteger(a.size) && a.size >= 0)) report(`${path}.size`, "Attachment.size must be a whole number of bytes");
+    if (a.data && !a.contentType) report(`${path}.contentType`, "Attachment.contentType is required when data is present (att-1)");
+  });
+}
+
+const TYPE_CHECKS = {
+  Patient: checkPatient,
+  Practitioner: checkPractitionerOrOrganization,
+  Organization: checkPractitionerOrOrganization,
+  Encounter: checkEncounter,
+  Observation: checkObservation,
+  Composition: checkComposition,
+  DocumentReference: checkDocumentReference,
+};
+
+/* ------------------------------- BUNDLE ------------------------------- */
+
+/*
+  Validate a document Bundle
+  @param {object} bundle
+  @returns {Array<{ severity: "error"|"warning", message, path, element, resourceType?, resourceId?, fullUrl?, field }>}
+    path:    FHIRPath-like location from the Bundle, e.g. Bundle.entry[2].resource.code.coding
+    element: location inside the resource, e.g. code.coding
+    field:   form field key (patient, abha, practitioner, composition, observation, ...)
+*/
+export function validateBundle(bundle) {
+  const issues = [];
+  const push = (severity, message, { element = "", entryIdx, resource, field } = {}) => {
+    const base = entryIdx === undefined ? "Bundle" : `Bundle.entry[${entryIdx}].resource`;
+    issues.push({
+      severity,
+      message,
+      path: element ? `${base}.${element}` : base,
+      element,
+      resourceType: resource?.resourceType,
+      resourceId: resource?.id,
+      fullUrl: entryIdx === undefined ? undefined : bundle.entry[entryIdx]?.fullUrl,
+      field: field || defaultField(resource?.resourceType),
+    });
+  };
+
+  if (!bundle || bundle.resourceType !== "Bundle") {
+    push("error", "Not a FHIR Bundle");
+    return issues;
+  }
+  if (bundle.type !== "document") push("error", 'Bundle.type must be "document"', { element: "type" });
+  if (!bundle.identifier?.system || !bundle.identifier?.value) push("error", "A document Bundle needs identifier.system and identifier.value (bdl-9)", { element: "identifier" });
+  if (!bundle.timestamp) push("error", "A document Bundle needs a timestamp (bdl-10)", { element: "timestamp" });
+  else if (!INSTANT_RE.test(bundle.timestamp)) push("error", `"${bundle.timestamp}" is not a FHIR instant`, { element: "timestamp" });
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  if (!entries.length) {
+    push("error", "Bundle has no entries", { element: "entry" });
+    return issues;
+  }
+  if (entries[0]?.resource?.resourceType !== "Composition") push("error", "The first entry of a document Bundle must be the Composition (bdl-11)", { element: "entry[0]" });
+
+  // fullUrl index for reference resolution
+  const fullUrls = new Set();
+  const typedIds = new Set();
+  entries.forEach((e, i) => {
+    if (!e.resource) return push("error", "Entry has no resource", { element: `entry[${i}]` });
+    if (!e.fullUrl) push("error", "Document Bundle entries need a fullUrl (bdl-7)", { element: `entry[${i}].fullUrl` });
+    else if (fullUrls.has(e.fullUrl)) push("error", `Duplicate fullUrl ${e.fullUrl} (bdl-7)`, { element: `entry[${i}].fullUrl` });
+    else fullUrls.add(e.fullUrl);
+    if (e.fullUrl?.startsWith("urn:uuid:") && e.resource.id && e.fullUrl !== `urn:uuid:${e.resource.id}`) {
+      push("error", `fullUrl ${e.fullUrl} does not match resource id ${e.resource.id}`, { element: `entry[${i}].fullUrl` });
+    }
+    typedIds.add(`${e.resource.resourceType}/${e.resource.id}`);
+  });
+
+  entries.forEach((e, entryIdx) => {
+    const resource = e.resource;
+    if (!resource) return;
+    const report = (element, message, field) => push("error", message, { element, entryIdx, resource, field });
+    const warn = (element, message, field) => push("warning", message, { element, entryIdx, resource, field });
+
+    checkJsonRules(resource, report);
+    checkCardinalityAndCodes(resource, report);
+    checkNarrative(resource, report);
+    checkDates(resource, report);
+    TYPE_CHECKS[resource.resourceType]?.(resource, report, warn);
+
+    walk(resource, "", (v, path, key) => {
+      if (key !== "reference" || typeof v !== "string" || v.startsWith("#")) return;
+      if (!fullUrls.has(v) && !typedIds.has(v)) report(path, `Reference ${v} does not resolve to an entry in the Bundle`);
+    });
+  });
+
+  return issues;
+}
+
+export function hasErrors(issues) {
+  return (issues || []).some(i => i.severity === "error");
+}
+
+/*
+  Group issues by form field
+  @param {Array} issues          from validateBundle
+  @param {object} [fieldsById]   resource id -> field key, for builders that create several
+                                 resources of one type (e.g. one Observation per input)
+  @returns {{ [field]: Array }}
+*/
+export function issuesByField(issues, fieldsById = {}) {
+  const out = {};
+  for (const issue of issues || []) {
+    const field = (issue.field === defaultField(issue.resourceType) && fieldsById[issue.resourceId]) || issue.field;
+    (out[field] = out[field] || []).push(issue);
+  }
+  return out;
+}
@@ -0,0 +1,93 @@
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { entryRef } from "./fhir-builders";
+import { makeBundle } from "./test-bundles";
+
+function vitalObservation(overrides = {}) {
+  return {
+    resourceType: "Observation",
+    id: "o1",
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationVitalSigns"] },
+    status: "final",
+    code: { coding: [{ system: "http://loinc.org", code: "8867-4", display: "Heart rate" }], text: "Heart rate" },
+    subject: { reference: "urn:uuid:p1" },
+    effectiveDateTime: "2024-01-01T10:00:00+05:30",
+    valueQuantity: { value: 72, unit: "beats/min", system: "http://unitsofmeasure.org", code: "/min" },
+    ...overrides,
+  };
+}
+
+function wellnessBundle({ observation = vitalObservation(), section } = {}) {
+  return makeBundle({
+    profile: "WellnessRecord",
+    type: { coding: [{ system: "http://loinc.org", code: "11502-2" }], text: "Wellness Record" },
+    title: "Wellness Record",
+    date: "2024-01-01T10:00:00+05:30",
+    section: section || [{ title: "Vitals", entry: [entryRef(observation)] }],
+    resources: [observation],
+  });
+}
+
+test("a bundle built with the shared builders has no errors", () => {
+  const issues = validateBundle(wellnessBundle());
+  expect(issues.filter(i => i.severity === "error")).toEqual([]);
+  expect(hasErrors(issues)).toBe(false);
+});
+
+test("rejects non-document bundles and a missing Composition", () => {
+  expect(validateBundle({ resourceType: "Patient" })[0].message).toMatch(/Not a FHIR Bundle/);
+  const b = wellnessBundle();
+  b.type = "collection";
+  b.entry.push(b.entry.shift());
+  const messages = validateBundle(b).map(i => i.message);
+  expect(messages).toEqual(expect.arrayContaining([expect.stringMatching(/type must be "document"/), expect.stringMatching(/bdl-11/)]));
+});
+
+test("reports missing required elements and invalid codes on the resource", () => {
+  const b = wellnessBundle();
+  const patient = b.entry.find(e => e.resource.resourceType === "Patient").resource;
+  delete patient.name;
+  patient.gender = "f";
+  const issues = validateBundle(b).filter(i => i.resourceType === "Patient");
+  expect(issues.map(i => i.element)).toEqual(expect.arrayContaining(["name", "gender"]));
+  expect(issues[0].path).toMatch(/^Bundle\.entry\[\d+\]\.resource\./);
+  expect(issues[0].field).toBe("patient");
+});
+
+test("Composition.type must carry the record profile's fixed code", () => {
+  const b = wellnessBundle();
+  b.entry[0].resource.type = { text: "Wellness" };
+  expect(validateBundle(b).map(i => i.element)).toContain("type.coding");
+});
+
+test("cmp-1: a section needs text, entries or sub-sections", () => {
+  const issues = validateBundle(wellnessBundle({ section: [{ title: "Vitals" }] }));
+  expect(issues.find(i => /cmp-1/.test(i.message))).toMatchObject({ resourceType: "Composition", element: "section[0]" });
+});
+
+test("Observation.code slicing and UCUM quantities", () => {
+  const obs = vitalObservation({
+    code: { coding: [{ system: "http://example.org/local", code: "HR" }] },
+  });
+  const messages = validateBundle(wellnessBundle({ observation: obs })).map(i => i.message);
+  expect(messages).toEqual(expect.arrayContaining([expect.stringMatching(/LOINC or SNOMED/)]));
+
+  const noUnit = vitalObservation({ valueQuantity: { value: 72, unit: "bpm" } });
+  expect(validateBundle(wellnessBundle({ observation: noUnit })).map(i => i.element)).toContain("valueQuantity.code");
+});
+
+test("unresolved references, empty arrays and bad dates are errors", () => {
+  const obs = vitalObservation({ performer: [{ reference: "urn:uuid:missing" }], meta: { profile: [] }, effectiveDateTime: "2024-01-01T10:00" });
+  const issues = validateBundle(wellnessBundle({ observation: obs })).filter(i => i.resourceType === "Observation");
+  expect(issues.map(i => i.element)).toEqual(expect.arrayContaining(["performer[0].reference", "meta.profile", "effectiveDateTime"]));
+});
+
+test("ABHA address issues are keyed to the abha field and can be remapped by resource id", () => {
+  const b = wellnessBundle();
+  const patient = b.entry.find(e => e.resource.resourceType === "Patient").resource;
+  patient.identifier[1].value = "not an address";
+  const byField = issuesByField(validateBundle(b), { o1: "vitals" });
+  expect(byField.abha[0].severity).toBe("warning");
+
+  const obs = vitalObservation({ valueQuantity: undefined, valueString: "72" });
+  expect(issuesByField(validateBundle(wellnessBundle({ observation: obs })), { o1: "vitals" }).vitals).toHaveLength(1);
+});
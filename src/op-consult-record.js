@@ -0,0 +1,652 @@
+// src/op-consult-record.js
+import React, { useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildComposition,
+  buildDocumentBundle,
+  ndhmMeta,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml, paragraphs } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  OP Consultation Record builder (NDHM OPConsultRecord)
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - Always emits an ambulatory (AMB) Encounter for the consultation
+  - Sections (each only when it has entries):
+      Chief complaints       -> Condition(s)
+      Allergies              -> AllergyIntolerance(s)
+      Medical history        -> Condition(s)
+      Physical examination   -> Observation(s)
+      Investigation advice   -> ServiceRequest(s)
+      Medications            -> MedicationRequest(s)
+      Follow up              -> Appointment
+  - Complaints / history (conditions), investigations (lab tests) and medications are coded
+    from the local terminology subset (terminology.js) when a suggestion is picked
+  - Clinical section rows autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) with Composition (SNOMED 371530004 "Clinical consultation report")
+*/
+
+/* Fixed SNOMED coding for Composition.type */
+const SNOMED_OP_CONSULT = { system: "http://snomed.info/sct", code: "371530004", display: "Clinical consultation report" };
+
+/* NDHM OPConsultRecord section codes (SNOMED) */
+const SECTION_CODES = {
+  chiefComplaints: { system: "http://snomed.info/sct", code: "422843007", display: "Chief complaint section" },
+  allergies: { system: "http://snomed.info/sct", code: "722446000", display: "Allergy record" },
+  medicalHistory: { system: "http://snomed.info/sct", code: "371529009", display: "History and physical report" },
+  physicalExamination: { system: "http://snomed.info/sct", code: "425044008", display: "Physical exam section" },
+  investigationAdvice: { system: "http://snomed.info/sct", code: "721963009", display: "Order document" },
+  medications: { system: "http://snomed.info/sct", code: "721912009", display: "Medication summary document" },
+  followUp: { system: "http://snomed.info/sct", code: "390906007", display: "Follow-up encounter" },
+};
+
+const CONDITION_CLINICAL_STATUS = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const ALLERGY_CLINICAL_STATUS = "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical";
+const ALLERGY_VERIFICATION_STATUS = "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification";
+
+/* Row templates for the repeatable lists */
+const ROW_TEMPLATES = {
+  complaint: { text: "", term: null, onsetDate: "", severity: "" },
+  allergy: { substance: "", reaction: "", criticality: "low" },
+  history: { text: "", term: null, onsetDate: "", clinicalStatus: "active" },
+  exam: { name: "", finding: "" },
+  investigation: { test: "", term: null, notes: "" },
+  medication: { drug: "", term: null, dosage: "" },
+};
+
+const SEVERITIES = {
+  "": null,
+  mild: { system: "http://snomed.info/sct", code: "255604002", display: "Mild" },
+  moderate: { system: "http://snomed.info/sct", code: "6736007", display: "Moderate" },
+  severe: { system: "http://snomed.info/sct", code: "24484000", display: "Severe" },
+};
+
+/* generic list helpers for the repeatable rows */
+function addRow(setter, template) {
+  setter(prev => [...prev, { ...template }]);
+}
+function updateRow(setter, i, key, val) {
+  setter(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: val } : r)));
+}
+/* coded field: text plus the picked terminology term (null for free text) */
+function updateTermRow(setter, i, key, text, term) {
+  setter(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: text, term } : r)));
+}
+function removeRow(setter, i) {
+  setter(prev => prev.filter((_, idx) => idx !== i));
+}
+
+/*
+  Condition for a complaint (encounter-diagnosis) or history (problem-list-item) row
+  @param {string} text
+  @param {{ term?, onsetDate?, clinicalStatus?, severity?, category }} row
+  @param {{ patientRef, encounterRef, recordedDate }} context
+*/
+export function buildConditionResource(text, { term, onsetDate, clinicalStatus = "active", severity, category }, { patientRef, encounterRef, recordedDate }) {
+  const sev = SEVERITIES[severity || ""];
+  return {
+    resourceType: "Condition",
+    id: uuidv4(),
+    language: DEFAULT_LANGUAGE,
+    meta: ndhmMeta("Condition"),
+    text: buildNarrative("Condition", xhtml`<p>${text}</p>`),
+    clinicalStatus: { coding: [{ system: CONDITION_CLINICAL_STATUS, code: clinicalStatus }] },
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", ...category }] }],
+    ...(sev ? { severity: { coding: [sev], text: sev.display } } : {}),
+    code: toCodeableConcept(term, text),
+    subject: patientRef,
+    encounter: encounterRef,
+    ...(onsetDate ? { onsetDateTime: onsetDate } : {}),
+    recordedDate,
+  };
+}
+
+/* Form errors for the clinical sections */
+export function consultErrors({ complaints, followUpLocal, followUpNotes }) {
+  const errors = [];
+  if (!complaints.some(c => c.text && c.text.trim())) errors.push("Enter at least one chief complaint.");
+  if (followUpNotes && !followUpLocal) errors.push("Follow up: pick a date/time for the appointment.");
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function OPConsultRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [title, setTitle] = useState("OP Consultation Record");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+  const [custodianName, setCustodianName] = useState("");
+
+  /* Clinical sections */
+  const [complaints, setComplaints] = useState([{ ...ROW_TEMPLATES.complaint }]);
+  const [allergies, setAllergies] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [exams, setExams] = useState([]);
+  const [investigations, setInvestigations] = useState([]);
+  const [medications, setMedications] = useState([]);
+  const [followUpLocal, setFollowUpLocal] = useState("");
+  const [followUpNotes, setFollowUpNotes] = useState("");
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "op-consult",
+    { status, title, dateTimeLocal, custodianName, complaints, allergies, history, exams, investigations, medications, followUpLocal, followUpNotes },
+    d => {
+      setStatus(d.status);
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setCustodianName(d.custodianName);
+      setComplaints(d.complaints);
+      setAllergies(d.allergies);
+      setHistory(d.history);
+      setExams(d.exams);
+      setInvestigations(d.investigations);
+      setMedications(d.medications);
+      setFollowUpLocal(d.followUpLocal);
+      setFollowUpNotes(d.followUpNotes);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (!title || !title.trim()) errors.push("Title is required.");
+    errors.push(...consultErrors({ complaints, followUpLocal, followUpNotes }));
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const encounterId = uuidv4();
+    const custodianOrgId = custodianName ? uuidv4() : null;
+
+    const patientRef = ref(patientId);
+    const encounterRef = ref(encounterId);
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+    const practitionerRef = ref(practitionerRes.id, practitioner.name);
+    const conditionContext = { patientRef, encounterRef, recordedDate: authoredOn };
+
+    function buildComplaintResources() {
+      return complaints
+        .filter(c => c.text && c.text.trim())
+        .map(c => buildConditionResource(c.text.trim(), {
+          term: c.term,
+          onsetDate: c.onsetDate,
+          severity: c.severity,
+          category: { code: "encounter-diagnosis", display: "Encounter Diagnosis" },
+        }, conditionContext));
+    }
+
+    function buildHistoryResources() {
+      return history
+        .filter(h => h.text && h.text.trim())
+        .map(h => buildConditionResource(h.text.trim(), {
+          term: h.term,
+          onsetDate: h.onsetDate,
+          clinicalStatus: h.clinicalStatus,
+          category: { code: "problem-list-item", display: "Problem List Item" },
+        }, conditionContext));
+    }
+
+    function buildAllergyResources() {
+      return allergies
+        .filter(a => a.substance && a.substance.trim())
+        .map(a => ({
+          resourceType: "AllergyIntolerance",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("AllergyIntolerance"),
+          text: buildNarrative("AllergyIntolerance", xhtml`<p>${a.substance}${a.reaction ? ` — ${a.reaction}` : ""}</p>`),
+          clinicalStatus: { coding: [{ system: ALLERGY_CLINICAL_STATUS, code: "active", display: "Active" }] },
+          verificationStatus: { coding: [{ system: ALLERGY_VERIFICATION_STATUS, code: "confirmed", display: "Confirmed" }] },
+          criticality: a.criticality || undefined,
+          code: { text: a.substance.trim() },
+          patient: patientRef,
+          encounter: encounterRef,
+          recordedDate: authoredOn,
+          recorder: practitionerRef,
+          ...(a.reaction ? { reaction: [{ manifestation: [{ text: a.reaction }] }] } : {}),
+        }));
+    }
+
+    function buildExamResources() {
+      return exams
+        .filter(e => e.name && e.name.trim() && e.finding && e.finding.trim())
+        .map(e => ({
+          resourceType: "Observation",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("Observation"),
+          text: buildNarrative("Observation", xhtml`<p>${e.name}: ${e.finding}</p>`),
+          status: "final",
+          category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "exam", display: "Exam" }] }],
+          code: { text: e.name.trim() },
+          subject: patientRef,
+          encounter: encounterRef,
+          effectiveDateTime: authoredOn,
+          performer: [practitionerRef],
+          valueString: e.finding.trim(),
+        }));
+    }
+
+    function buildInvestigationResources() {
+      return investigations
+        .filter(s => s.test && s.test.trim())
+        .map(s => ({
+          resourceType: "ServiceRequest",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("ServiceRequest"),
+          text: buildNarrative("ServiceRequest", paragraphs(s.test, s.notes)),
+          status: "active",
+          intent: "order",
+          code: toCodeableConcept(s.term, s.test),
+          subject: patientRef,
+          encounter: encounterRef,
+          authoredOn,
+          requester: practitionerRef,
+          ...(s.notes ? { note: [{ text: s.notes }] } : {}),
+        }));
+    }
+
+    function buildMedicationResources() {
+      return medications
+        .filter(m => m.drug && m.drug.trim())
+        .map(m => ({
+          resourceType: "MedicationRequest",
+          id: uuidv4(),
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("MedicationRequest"),
+          text: buildNarrative("MedicationRequest", paragraphs(m.drug, m.dosage)),
+          status: "active",
+          intent: "order",
+          medicationCodeableConcept: toCodeableConcept(m.term, m.drug),
+          subject: patientRef,
+          encounter: encounterRef,
+          authoredOn,
+          requester: practitionerRef,
+          ...(m.dosage ? { dosageInstruction: [{ text: m.dosage }] } : {}),
+        }));
+    }
+
+    function buildFollowUpResource() {
+      if (!followUpLocal) return null;
+      const start = localDatetimeToISOWithOffset(followUpLocal);
+      return {
+        resourceType: "Appointment",
+        id: uuidv4(),
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("Appointment"),
+        text: buildNarrative("Appointment", paragraphs(`Follow up on ${start}`, followUpNotes)),
+        status: "booked",
+        serviceCategory: [{ coding: [{ system: "http://snomed.info/sct", code: "408443003", display: "General medical practice" }] }],
+        appointmentType: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0276", code: "FOLLOWUP", display: "A follow up visit from a previous appointment" }] },
+        ...(followUpNotes ? { description: followUpNotes } : {}),
+        start,
+        created: authoredOn.slice(0, 10),
+        participant: [
+          { actor: { ...patientRef, display: selectedPatient?.name }, status: "accepted" },
+          { actor: practitionerRef, status: "accepted" },
+        ],
+      };
+    }
+
+    // Composition section: entries when present, skipped entirely when empty
+    function section(key, title, resources) {
+      if (!resources.length) return null;
+      return {
+        title,
+        code: { coding: [SECTION_CODES[key]] },
+        entry: resources.map(entryRef),
+      };
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const encounterRes = buildEncounter({ id: encounterId, patientId, practitionerId: practitionerRes.id, start: authoredOn, narrative: `OP consultation on ${authoredOn}` });
+    const custodianRes = buildOrganization({ id: custodianOrgId, name: custodianName });
+    const complaintRes = buildComplaintResources();
+    const allergyRes = buildAllergyResources();
+    const historyRes = buildHistoryResources();
+    const examRes = buildExamResources();
+    const investigationRes = buildInvestigationResources();
+    const medicationRes = buildMedicationResources();
+    const followUpRes = buildFollowUpResource();
+
+    const sections = [
+      section("chiefComplaints", "Chief complaints", complaintRes),
+      section("allergies", "Allergies", allergyRes),
+      section("medicalHistory", "Medical History", historyRes),
+      section("physicalExamination", "Physical Examination", examRes),
+      section("investigationAdvice", "Investigation Advice", investigationRes),
+      section("medications", "Medications", medicationRes),
+      section("followUp", "Follow Up", followUpRes ? [followUpRes] : []),
+    ].filter(Boolean);
+
+    const compositionRes = buildComposition({
+      id: compId,
+      profile: "OPConsultRecord",
+      type: { coding: [SNOMED_OP_CONSULT], text: SNOMED_OP_CONSULT.display },
+      title,
+      status,
+      patientId,
+      encounterId,
+      date: authoredOn,
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      custodianId: custodianOrgId,
+      narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p>`,
+      section: sections,
+    });
+
+    // Build Bundle
+    const bundle = buildDocumentBundle({
+      idPrefix: "OPConsultBundle",
+      composition: compositionRes,
+      resources: [
+        patientRes, practitionerRes, encounterRes, custodianRes,
+        ...complaintRes, ...allergyRes, ...historyRes, ...examRes, ...investigationRes, ...medicationRes, followUpRes,
+      ],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "op-consult", label: `OP Consult — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">OP Consultation Record — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Consulting Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Composition metadata */}
+      <div className="card mb-3">
+        <div className="card-header">3. Composition Metadata</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">Status <span className="text-danger">*</span></label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Title <span className="text-danger">*</span></label>
+              <input className="form-control" value={title} onChange={e => setTitle(e.target.value)} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Consultation Date/Time <span className="text-danger">*</span></label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Custodian (Organization) (optional)</label>
+              <input className="form-control" placeholder="Organization name (optional)" value={custodianName} onChange={e => setCustodianName(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. Chief complaints */}
+      <div className="card mb-3">
+        <div className="card-header">4. Chief Complaints <span className="text-danger">*</span></div>
+        <div className="card-body">
+          {complaints.map((c, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-6">
+                <label className="form-label">Complaint</label>
+                <TermPicker valueSet="conditions" value={c.text} term={c.term} onChange={(text, term) => updateTermRow(setComplaints, i, "text", text, term)} placeholder="e.g. Fever" />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Onset (optional)</label>
+                <input type="date" className="form-control" value={c.onsetDate} onChange={e => updateRow(setComplaints, i, "onsetDate", e.target.value)} />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Severity</label>
+                <select className="form-select" value={c.severity} onChange={e => updateRow(setComplaints, i, "severity", e.target.value)}>
+                  <option value="">--</option>
+                  <option value="mild">mild</option>
+                  <option value="moderate">moderate</option>
+                  <option value="severe">severe</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setComplaints, i)} disabled={complaints.length === 1}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setComplaints, ROW_TEMPLATES.complaint)}>+ Add Complaint</button>
+        </div>
+      </div>
+
+      {/* 5. Allergies */}
+      <div className="card mb-3">
+        <div className="card-header">5. Allergies (optional)</div>
+        <div className="card-body">
+          {allergies.map((a, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-4">
+                <label className="form-label">Substance</label>
+                <input className="form-control" value={a.substance} onChange={e => updateRow(setAllergies, i, "substance", e.target.value)} placeholder="e.g. Penicillin" />
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Reaction</label>
+                <input className="form-control" value={a.reaction} onChange={e => updateRow(setAllergies, i, "reaction", e.target.value)} placeholder="e.g. Rash" />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Criticality</label>
+                <select className="form-select" value={a.criticality} onChange={e => updateRow(setAllergies, i, "criticality", e.target.value)}>
+                  <option value="low">low</option>
+                  <option value="high">high</option>
+                  <option value="unable-to-assess">unable-to-assess</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setAllergies, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setAllergies, ROW_TEMPLATES.allergy)}>+ Add Allergy</button>
+        </div>
+      </div>
+
+      {/* 6. Medical history */}
+      <div className="card mb-3">
+        <div className="card-header">6. Medical History (optional)</div>
+        <div className="card-body">
+          {history.map((h, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-6">
+                <label className="form-label">Condition</label>
+                <TermPicker valueSet="conditions" value={h.text} term={h.term} onChange={(text, term) => updateTermRow(setHistory, i, "text", text, term)} placeholder="e.g. Type 2 diabetes" />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Since (optional)</label>
+                <input type="date" className="form-control" value={h.onsetDate} onChange={e => updateRow(setHistory, i, "onsetDate", e.target.value)} />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Status</label>
+                <select className="form-select" value={h.clinicalStatus} onChange={e => updateRow(setHistory, i, "clinicalStatus", e.target.value)}>
+                  <option value="active">active</option>
+                  <option value="remission">remission</option>
+                  <option value="resolved">resolved</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setHistory, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setHistory, ROW_TEMPLATES.history)}>+ Add History</button>
+        </div>
+      </div>
+
+      {/* 7. Physical examination */}
+      <div className="card mb-3">
+        <div className="card-header">7. Physical Examination (optional)</div>
+        <div className="card-body">
+          {exams.map((x, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-4">
+                <label className="form-label">Examination</label>
+                <input className="form-control" value={x.name} onChange={e => updateRow(setExams, i, "name", e.target.value)} placeholder="e.g. Chest" />
+              </div>
+              <div className="col-md-7">
+                <label className="form-label">Finding</label>
+                <input className="form-control" value={x.finding} onChange={e => updateRow(setExams, i, "finding", e.target.value)} placeholder="e.g. Bilateral air entry equal, no crepitations" />
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setExams, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setExams, ROW_TEMPLATES.exam)}>+ Add Finding</button>
+        </div>
+      </div>
+
+      {/* 8. Investigation advice */}
+      <div className="card mb-3">
+        <div className="card-header">8. Investigation Advice (optional)</div>
+        <div className="card-body">
+          {investigations.map((s, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-5">
+                <label className="form-label">Test</label>
+                <TermPicker valueSet="labTests" value={s.test} term={s.term} onChange={(text, term) => updateTermRow(setInvestigations, i, "test", text, term)} placeholder="e.g. Complete blood count" />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Notes</label>
+                <input className="form-control" value={s.notes} onChange={e => updateRow(setInvestigations, i, "notes", e.target.value)} placeholder="e.g. Fasting sample" />
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setInvestigations, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setInvestigations, ROW_TEMPLATES.investigation)}>+ Add Investigation</button>
+        </div>
+      </div>
+
+      {/* 9. Medications */}
+      <div className="card mb-3">
+        <div className="card-header">9. Medications (optional)</div>
+        <div className="card-body">
+          {medications.map((m, i) => (
+            <div key={i} className="row g-2 align-items-end mb-2">
+              <div className="col-md-5">
+                <label className="form-label">Drug</label>
+                <TermPicker valueSet="medications" value={m.drug} term={m.term} onChange={(text, term) => updateTermRow(setMedications, i, "drug", text, term)} placeholder="e.g. Paracetamol" />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Dosage instructions</label>
+                <input className="form-control" value={m.dosage} onChange={e => updateRow(setMedications, i, "dosage", e.target.value)} placeholder="e.g. 1 tablet TDS for 3 days after food" />
+              </div>
+              <div className="col-md-1">
+                <button className="btn btn-danger mb-1" onClick={() => removeRow(setMedications, i)}>X</button>
+              </div>
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => addRow(setMedications, ROW_TEMPLATES.medication)}>+ Add Medication</button>
+        </div>
+      </div>
+
+      {/* 10. Follow up */}
+      <div className="card mb-3">
+        <div className="card-header">10. Follow Up (optional)</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-4">
+              <label className="form-label">Follow-up Date/Time</label>
+              <input type="datetime-local" className="form-control" value={followUpLocal} onChange={e => setFollowUpLocal(e.target.value)} />
+            </div>
+            <div className="col-md-8">
+              <label className="form-label">Notes</label>
+              <input className="form-control" value={followUpNotes} onChange={e => setFollowUpNotes(e.target.value)} placeholder="e.g. Review with CBC report" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
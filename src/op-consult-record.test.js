@@ -0,0 +1,33 @@
+import { buildConditionResource, consultErrors } from "./op-consult-record";
+import { ref } from "./fhir-builders";
+
+const CONTEXT = { patientRef: ref("p1"), encounterRef: ref("e1"), recordedDate: "2024-05-01T10:00:00+05:30" };
+
+test("complaints become encounter diagnoses with severity and onset", () => {
+  const condition = buildConditionResource("Fever", { onsetDate: "2024-04-28", severity: "moderate", category: { code: "encounter-diagnosis", display: "Encounter Diagnosis" } }, CONTEXT);
+  expect(condition).toMatchObject({
+    resourceType: "Condition",
+    clinicalStatus: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: "active" }] },
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "encounter-diagnosis", display: "Encounter Diagnosis" }] }],
+    severity: { coding: [{ system: "http://snomed.info/sct", code: "6736007", display: "Moderate" }], text: "Moderate" },
+    code: { text: "Fever" },
+    subject: { reference: "urn:uuid:p1" },
+    encounter: { reference: "urn:uuid:e1" },
+    onsetDateTime: "2024-04-28",
+    recordedDate: "2024-05-01T10:00:00+05:30",
+  });
+  expect(condition.id).toMatch(/^[0-9a-f-]{36}$/);
+});
+
+test("history rows keep their clinical status and leave out what was not entered", () => {
+  const condition = buildConditionResource("Hypertension", { clinicalStatus: "resolved", category: { code: "problem-list-item", display: "Problem List Item" } }, CONTEXT);
+  expect(condition.clinicalStatus.coding[0].code).toBe("resolved");
+  expect(condition).not.toHaveProperty("severity");
+  expect(condition).not.toHaveProperty("onsetDateTime");
+});
+
+test("a chief complaint is required, and follow-up notes need a date", () => {
+  expect(consultErrors({ complaints: [{ text: " " }], followUpLocal: "", followUpNotes: "" })).toEqual(["Enter at least one chief complaint."]);
+  expect(consultErrors({ complaints: [{ text: "Cough" }], followUpLocal: "", followUpNotes: "Review in a week" })).toEqual(["Follow up: pick a date/time for the appointment."]);
+  expect(consultErrors({ complaints: [{ text: "Cough" }], followUpLocal: "2024-05-08T10:00", followUpNotes: "Review" })).toEqual([]);
+});
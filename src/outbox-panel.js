@@ -0,0 +1,110 @@
+// src/outbox-panel.js
+import React, { useCallback, useEffect, useState } from "react";
+import { isLocalDbAvailable } from "./local-db";
+import { subscribeOutbox, listOutbox, cancelSubmission, resubmit, removeSubmission, processOutbox } from "./outbox";
+
+/*
+  Outbox page (outbox.js)
+  - Every queued submission with its status, attempts, last error and next retry
+  - Pending / failed items can be cancelled; failed / cancelled ones resubmitted;
+    anything not in flight removed
+  - useOutbox(): the items, kept current while mounted (also used for the navbar count)
+*/
+
+export const STATUS_BADGE = {
+  pending: "bg-warning text-dark",
+  sending: "bg-info text-dark",
+  sent: "bg-success",
+  failed: "bg-danger",
+  cancelled: "bg-secondary",
+};
+
+export function useOutbox() {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(() => {
+    listOutbox()
+      .then(list => { setItems(list); setError(""); })
+      .catch(e => setError(`Outbox unavailable: ${e.message}`));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return subscribeOutbox(refresh);
+  }, [refresh]);
+
+  return { items, error };
+}
+
+function when(iso) {
+  return iso ? new Date(iso).toLocaleString() : "";
+}
+
+export default function OutboxPage() {
+  const { items, error } = useOutbox();
+  const [busyId, setBusyId] = useState(null);
+
+  async function run(id, action) {
+    setBusyId(id);
+    try {
+      await action(id);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  const waiting = items.filter(i => i.status === "pending").length;
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="mb-0">Outbox</h2>
+        <button className="btn btn-outline-primary" disabled={!waiting} onClick={() => processOutbox()}>Retry now</button>
+      </div>
+      <p className="text-muted">
+        Bundles that could not be submitted are kept here and retried automatically (with increasing delays) while the app is open,
+        and as soon as the browser is back online.
+      </p>
+
+      {!isLocalDbAvailable() && <div className="alert alert-warning">This browser has no IndexedDB: failed submissions cannot be kept.</div>}
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {items.length === 0 ? <div className="text-muted">The outbox is empty.</div> : (
+        <ul className="list-group">
+          {items.map(item => (
+            <li key={item.id} className="list-group-item d-flex justify-content-between align-items-start">
+              <div>
+                <span className={`badge ${STATUS_BADGE[item.status] || "bg-secondary"} me-2`}>{item.status}</span>
+                <strong>{item.label || item.recordType}</strong>
+                <div className="small text-muted">
+                  Queued {when(item.createdAt)} — {item.attempts} attempt{item.attempts === 1 ? "" : "s"}
+                  {item.status === "pending" && item.nextAttemptAt && ` — next retry ${new Date(item.nextAttemptAt).toLocaleTimeString()}`}
+                  {item.status === "sent" && ` — sent ${when(item.sentAt)}`}
+                </div>
+                {item.lastError && item.status !== "sent" && <div className="small text-danger">{item.lastError}</div>}
+              </div>
+              <div className="d-flex gap-1">
+                {(item.status === "pending" || item.status === "failed") && (
+                  <button className="btn btn-sm btn-outline-secondary" disabled={busyId === item.id} onClick={() => run(item.id, cancelSubmission)}>Cancel</button>
+                )}
+                {(item.status === "failed" || item.status === "cancelled") && (
+                  <button className="btn btn-sm btn-outline-primary" disabled={busyId === item.id} onClick={() => run(item.id, resubmit)}>Resubmit</button>
+                )}
+                {item.status !== "sending" && (
+                  <button
+                    className="btn btn-sm btn-outline-danger"
+                    disabled={busyId === item.id}
+                    onClick={() => window.confirm(item.status === "sent" ? "Remove this entry?" : "Remove this submission? It will not be retried (the JSON stays in the Submission History).") && run(item.id, removeSubmission)}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+// src/outbox.js
+/*
+  Outbox for FHIR bundle submissions
+  - submitBundle(): POST now; when offline, or the network / server fails, the submission is
+    kept in IndexedDB (local-db.js, "outbox" store) instead of being lost
+  - Retries with exponential backoff (15 s, doubling, max 15 min) while the app is open, and
+    right away when the browser comes back online (startOutboxWorker)
+  - Client errors (4xx except 408/429) are not retried: the item is "failed" and can be
+    resubmitted or cancelled from the Outbox page
+  - Retries never open the sign-in prompt: on a 401 the item stays queued (authRequired) and
+    the run ends; it is tried again once the user has signed in
+  - Item: { id, recordType, label, url, payload: { bundle, patient }, status, attempts,
+    nextAttemptAt, lastError, authRequired?, response?, historyId, createdAt, updatedAt, sentAt? }
+    status: pending | sending | sent | failed | cancelled
+  - Every submission is also recorded in the submission history (submission-history.js),
+    whose entry follows the outbox item until it is sent, failed or cancelled
+*/
+import { uuidv4 } from "./fhir-builders";
+import { getConfig } from "./config";
+import { apiClient } from "./api-client";
+import { recordSubmission, updateSubmission } from "./submission-history";
+import { isLocalDbAvailable, dbGet, dbGetAll, dbPut, dbDelete } from "./local-db";
+import { subscribeAuth, getSession } from "./auth";
+
+const STORE = "outbox";
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const POLL_MS = 15 * 1000;
+
+/* ------------------------------- CHANGE EVENTS ------------------------------ */
+const listeners = new Set();
+
+/* fn() is called after every outbox change; returns the unsubscribe function */
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+async function saveItem(item) {
+  const stored = await dbPut(STORE, { ...item, updatedAt: new Date().toISOString() });
+  listeners.forEach(fn => fn());
+  return stored;
+}
+
+/* --------------------------------- POLICY ---------------------------------- */
+/* Delay before retry number `attempts` + 1 */
+export function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/* Network errors, timeouts, 408 / 429 and 5xx are worth retrying */
+export function isRetryable(error) {
+  const status = error?.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function errorText(error) {
+  const status = error?.response?.status;
+  const data = error?.response?.data;
+  const detail = typeof data === "string" ? data : data?.message || data?.error;
+  return status ? `HTTP ${status}${detail ? `: ${detail}` : ""}` : error?.message || "Network error";
+}
+
+function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/* -------------------------------- SUBMITTING ------------------------------- */
+/*
+  Submit a bundle, queueing it when that is not possible now
+  @param {{ recordType: string, label: string, bundle: object, patient: number, patientKey?: string,
+    patientName?: string, revision?: { kind: "amendment" | "retraction", of: string }, url?: string }} opts
+    patient is the user id sent to the server; patientKey / patientName / revision (the history
+    entry this one amends or retracts, document-revision.js) file the history entry
+    url defaults to the bundle endpoint of the active environment (config.js); queued items
+    keep the URL they were first sent to
+  @returns {Promise<{ ok: true, data } | { ok: false, queued: boolean, retrying: boolean, error: string, id? }>}
+*/
+export async function submitBundle({ recordType, label, bundle, patient, patientKey = String(patient ?? ""), patientName = "", revision = null, url = getConfig().fhirBundleUrl }) {
+  const payload = { bundle, patient };
+  const history = { recordType, label, patientKey, patientName, revision, environment: getConfig().name, url, payload };
+  let error = null;
+  if (isOnline()) {
+    try {
+      const res = await apiClient.post(url, payload);
+      await recordSubmission({ ...history, status: "sent", response: res.data });
+      return { ok: true, data: res.data };
+    } catch (e) {
+      error = e;
+      console.error("Error submitting FHIR Bundle:", e.response?.data || e.message);
+    }
+  }
+
+  const message = error ? errorText(error) : "Offline";
+  const retrying = !error || isRetryable(error);
+  if (!isLocalDbAvailable()) return { ok: false, queued: false, retrying: false, error: message };
+
+  const now = Date.now();
+  const id = uuidv4();
+  const status = retrying ? "pending" : "failed";
+  const entry = await recordSubmission({ ...history, status, error: message, response: error?.response?.data ?? null, outboxId: id });
+  const item = {
+    id,
+    recordType,
+    label,
+    url,
+    payload,
+    status,
+    attempts: error ? 1 : 0,
+    // offline: due as soon as the browser is back online
+    nextAttemptAt: retrying ? (error ? now + backoffDelay(1) : now) : null,
+    lastError: message,
+    historyId: entry?.id || null,
+    createdAt: new Date(now).toISOString(),
+  };
+  try {
+    await saveItem(item);
+  } catch (e) {
+    console.error("Outbox unavailable:", e);
+    await updateSubmission(entry?.id, { status: "failed", outboxId: null });
+    return { ok: false, queued: false, retrying: false, error: message };
+  }
+  return { ok: false, queued: true, retrying, error: message, id: item.id };
+}
+
+/* Alert text for a submitBundle() result */
+export function submitResultMessage(result) {
+  if (result.ok) return "FHIR Bundle Submitted Successfully";
+  if (!result.queued) return `Error submitting FHIR Bundle (${result.error}). See console.`;
+  return result.retrying
+    ? `Could not submit now (${result.error}). The bundle was saved to the Outbox and will be retried automatically.`
+    : `The server rejected the bundle (${result.error}). It is kept in the Outbox, where it can be resubmitted or cancelled.`;
+}
+
+/* --------------------------------- RETRYING -------------------------------- */
+/* One retry; resolves to false when the server wants a sign-in (the item stays queued) */
+async function attempt(item) {
+  await saveItem({ ...item, status: "sending" });
+  const attempts = item.attempts + 1;
+  try {
+    const res = await apiClient.post(item.url, item.payload, { noLoginPrompt: true });
+    const sentAt = new Date().toISOString();
+    await saveItem({ ...item, status: "sent", attempts, lastError: null, authRequired: false, nextAttemptAt: null, response: res.data, sentAt });
+    await updateSubmission(item.historyId, { status: "sent", response: res.data, error: null, sentAt });
+  } catch (e) {
+    if (e.response?.status === 401) {
+      const lastError = `${errorText(e)} — sign in to send it`;
+      await saveItem({ ...item, status: "pending", attempts, lastError, authRequired: true, nextAttemptAt: Date.now() + backoffDelay(attempts) });
+      await updateSubmission(item.historyId, { status: "pending", error: lastError });
+      return false;
+    }
+    const status = isRetryable(e) ? "pending" : "failed";
+    await saveItem({ ...item, status, attempts, lastError: errorText(e), nextAttemptAt: status === "pending" ? Date.now() + backoffDelay(attempts) : null });
+    await updateSubmission(item.historyId, { status, error: errorText(e), response: e.response?.data ?? null });
+  }
+  return true;
+}
+
+let running = null;
+
+/* Send every pending item that is due, oldest first (one run at a time) */
+export function processOutbox() {
+  if (!running) {
+    running = (async () => {
+      // items queued during a run are picked up before it ends; sent / retried items are no longer due
+      while (isLocalDbAvailable() && isOnline()) {
+        const due = (await dbGetAll(STORE, "status", "pending"))
+          .filter(i => (i.nextAttemptAt || 0) <= Date.now())
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        if (!due.length) break;
+        let signedIn = true;
+        for (const item of due) {
+          signedIn = await attempt(item);
+          if (!signedIn) break;
+        }
+        if (!signedIn) break; // the rest waits for a sign-in rather than failing the same way
+      }
+    })()
+      .catch(e => console.error("Outbox run failed:", e))
+      .finally(() => { running = null; });
+  }
+  return running;
+}
+
+/* Items held back by a 401 are due again, and the run starts, when a (new) session appears */
+function retryAfterSignIn() {
+  let last = getSession();
+  return subscribeAuth(() => {
+    const session = getSession();
+    if (!session || session === last) return;
+    last = session;
+    dbGetAll(STORE, "status", "pending")
+      .then(items => Promise.all(items.filter(i => i.authRequired).map(i => saveItem({ ...i, nextAttemptAt: Date.now() }))))
+      .then(processOutbox)
+      .catch(e => console.warn("Outbox unavailable:", e));
+  });
+}
+
+/*
+  Retry loop for the lifetime of the app: on start (items a closed tab left "sending" are
+  queued again), when the browser comes back online, after a sign-in, and every 15 s for due items
+  @returns {() => void} stop
+*/
+export function startOutboxWorker() {
+  if (!isLocalDbAvailable()) return () => {};
+  dbGetAll(STORE, "status", "sending")
+    .then(items => Promise.all(items.map(i => saveItem({ ...i, status: "pending", nextAttemptAt: Date.now() }))))
+    .then(processOutbox)
+    .catch(e => console.warn("Outbox unavailable:", e));
+  const onOnline = () => processOutbox();
+  window.addEventListener("online", onOnline);
+  const timer = setInterval(processOutbox, POLL_MS);
+  const unsubscribeAuth = retryAfterSignIn();
+  return () => {
+    unsubscribeAuth();
+    window.removeEventListener("online", onOnline);
+    clearInterval(timer);
+  };
+}
+
+/* ---------------------------------- ITEMS ---------------------------------- */
+/* Newest first */
+export async function listOutbox() {
+  if (!isLocalDbAvailable()) return [];
+  const items = await dbGetAll(STORE);
+  return items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/* Stop retrying; the bundle is kept so it can be resubmitted */
+export async function cancelSubmission(id) {
+  const item = await dbGet(STORE, id);
+  if (item && (item.status === "pending" || item.status === "failed")) {
+    await saveItem({ ...item, status: "cancelled", nextAttemptAt: null });
+    await updateSubmission(item.historyId, { status: "cancelled" });
+  }
+}
+
+/* Queue a failed / cancelled item again and try it now */
+export async function resubmit(id) {
+  const item = await dbGet(STORE, id);
+  if (!item || item.status === "sending" || item.status === "sent") return;
+  await saveItem({ ...item, status: "pending", nextAttemptAt: Date.now() });
+  await updateSubmission(item.historyId, { status: "pending" });
+  await processOutbox();
+}
+
+export async function removeSubmission(id) {
+  await dbDelete(STORE, id);
+  listeners.forEach(fn => fn());
+}
@@ -0,0 +1,167 @@
+import { apiClient } from "./api-client";
+import {
+  backoffDelay,
+  isRetryable,
+  submitBundle,
+  submitResultMessage,
+  processOutbox,
+  listOutbox,
+  cancelSubmission,
+  resubmit,
+} from "./outbox";
+import { listSubmissions } from "./submission-history";
+
+jest.mock("./api-client", () => ({ apiClient: { post: jest.fn() } }));
+
+// In-memory stand-in for the IndexedDB stores (jsdom has no IndexedDB)
+jest.mock("./local-db", () => {
+  const mockStores = { drafts: new Map(), outbox: new Map(), submissions: new Map() };
+  return {
+    mockStores,
+    isLocalDbAvailable: () => true,
+    dbGet: async (store, key) => mockStores[store].get(key) || null,
+    dbGetAll: async (store, index, value) => [...mockStores[store].values()].filter(v => !index || v[index] === value),
+    dbPut: async (store, value) => { mockStores[store].set(value.id, value); return value; },
+    dbDelete: async (store, key) => { mockStores[store].delete(key); },
+  };
+});
+
+const { mockStores } = jest.requireMock("./local-db");
+
+const BUNDLE = { resourceType: "Bundle", type: "document", entry: [{ fullUrl: "urn:uuid:c-1", resource: { resourceType: "Composition", id: "c-1" } }] };
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+const submit = () => submitBundle({ recordType: "prescription", label: "Prescription — Asha Devi", bundle: BUNDLE, patient: 101, patientKey: "45", patientName: "Asha Devi" });
+
+beforeEach(() => {
+  mockStores.outbox.clear();
+  mockStores.submissions.clear();
+  apiClient.post.mockReset();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test("retry policy: exponential backoff with a cap, only transient errors are retried", () => {
+  expect(backoffDelay(1)).toBe(15000);
+  expect(backoffDelay(2)).toBe(30000);
+  expect(backoffDelay(4)).toBe(120000);
+  expect(backoffDelay(20)).toBe(15 * 60 * 1000);
+
+  expect(isRetryable(new Error("Network Error"))).toBe(true);
+  expect(isRetryable(httpError(503))).toBe(true);
+  expect(isRetryable(httpError(429))).toBe(true);
+  expect(isRetryable(httpError(400))).toBe(false);
+  expect(isRetryable(httpError(422))).toBe(false);
+});
+
+test("a successful submission is not queued", async () => {
+  apiClient.post.mockResolvedValueOnce({ data: { id: "srv-1" } });
+  const result = await submit();
+  expect(result).toEqual({ ok: true, data: { id: "srv-1" } });
+  expect(apiClient.post).toHaveBeenCalledWith(expect.stringContaining("/api/v5/fhir-bundle"), { bundle: BUNDLE, patient: 101 });
+  expect(await listOutbox()).toHaveLength(0);
+  expect(submitResultMessage(result)).toBe("FHIR Bundle Submitted Successfully");
+});
+
+test("network / server failures are queued and sent by the retry run once due", async () => {
+  apiClient.post.mockRejectedValueOnce(new Error("Network Error"));
+  const result = await submit();
+  expect(result).toMatchObject({ ok: false, queued: true, retrying: true, error: "Network Error" });
+  expect(submitResultMessage(result)).toMatch(/saved to the Outbox/);
+
+  const [item] = await listOutbox();
+  expect(item).toMatchObject({ status: "pending", attempts: 1, label: "Prescription — Asha Devi", payload: { bundle: BUNDLE, patient: 101 } });
+  expect(item.nextAttemptAt).toBeGreaterThan(Date.now());
+
+  // not due yet
+  await processOutbox();
+  expect(apiClient.post).toHaveBeenCalledTimes(1);
+
+  mockStores.outbox.set(item.id, { ...item, nextAttemptAt: Date.now() - 1 });
+  apiClient.post.mockRejectedValueOnce(httpError(502, "Bad Gateway"));
+  await processOutbox();
+  const [retried] = await listOutbox();
+  expect(retried).toMatchObject({ status: "pending", attempts: 2, lastError: "HTTP 502: Bad Gateway" });
+  expect(retried.nextAttemptAt - Date.now()).toBeGreaterThan(15000);
+
+  mockStores.outbox.set(item.id, { ...retried, nextAttemptAt: Date.now() - 1 });
+  apiClient.post.mockResolvedValueOnce({ data: { id: "srv-2" } });
+  await processOutbox();
+  const [sent] = await listOutbox();
+  expect(sent).toMatchObject({ status: "sent", attempts: 3, lastError: null, response: { id: "srv-2" } });
+  expect(sent.sentAt).toBeTruthy();
+});
+
+test("rejected bundles fail without retries and can be cancelled or resubmitted", async () => {
+  apiClient.post.mockRejectedValueOnce(httpError(400, { message: "Invalid bundle" }));
+  const result = await submit();
+  expect(result).toMatchObject({ ok: false, queued: true, retrying: false, error: "HTTP 400: Invalid bundle" });
+
+  const [item] = await listOutbox();
+  expect(item).toMatchObject({ status: "failed", nextAttemptAt: null });
+  await processOutbox();
+  expect(apiClient.post).toHaveBeenCalledTimes(1);
+
+  await cancelSubmission(item.id);
+  expect((await listOutbox())[0].status).toBe("cancelled");
+
+  apiClient.post.mockResolvedValueOnce({ data: { id: "srv-3" } });
+  await resubmit(item.id);
+  expect((await listOutbox())[0]).toMatchObject({ status: "sent", attempts: 2 });
+});
+
+test("a 401 during a retry run keeps the items queued and ends the run without a sign-in prompt", async () => {
+  const onLine = jest.spyOn(window.navigator, "onLine", "get").mockReturnValue(false);
+  await submit();
+  await submit();
+  onLine.mockRestore();
+
+  apiClient.post.mockRejectedValueOnce(httpError(401, { message: "Token expired" }));
+  await processOutbox();
+  expect(apiClient.post).toHaveBeenCalledTimes(1);
+  expect(apiClient.post).toHaveBeenCalledWith(expect.any(String), expect.any(Object), { noLoginPrompt: true });
+
+  const items = await listOutbox();
+  expect(items.map(i => i.status)).toEqual(["pending", "pending"]);
+  const held = items.find(i => i.attempts === 1);
+  expect(held).toMatchObject({ authRequired: true, lastError: "HTTP 401: Token expired — sign in to send it" });
+  expect(held.nextAttemptAt).toBeGreaterThan(Date.now());
+});
+
+test("offline submissions are queued without trying the network", async () => {
+  const onLine = jest.spyOn(window.navigator, "onLine", "get").mockReturnValue(false);
+  const result = await submit();
+  expect(result).toMatchObject({ ok: false, queued: true, retrying: true, error: "Offline" });
+  expect(apiClient.post).not.toHaveBeenCalled();
+  expect((await listOutbox())[0]).toMatchObject({ status: "pending", attempts: 0 });
+
+  onLine.mockReturnValue(true);
+  apiClient.post.mockResolvedValueOnce({ data: {} });
+  await processOutbox();
+  expect((await listOutbox())[0].status).toBe("sent");
+  onLine.mockRestore();
+});
+
+test("every submission is kept in the history per patient and follows the outbox", async () => {
+  apiClient.post.mockResolvedValueOnce({ data: { id: "srv-4", status: "accepted" } });
+  await submit();
+  apiClient.post.mockRejectedValueOnce(httpError(503));
+  await submit();
+
+  const entries = await listSubmissions("45");
+  const sent = entries.find(e => e.status === "sent");
+  const queued = entries.find(e => e.status === "pending");
+  expect(sent).toMatchObject({ status: "sent", recordType: "prescription", patientName: "Asha Devi", compositionId: "c-1", response: { id: "srv-4" } });
+  expect(sent.payload).toEqual({ bundle: BUNDLE, patient: 101 });
+  expect(queued).toMatchObject({ status: "pending", error: "HTTP 503" });
+  expect(await listSubmissions("46")).toHaveLength(0);
+
+  const [item] = await listOutbox();
+  expect(item.historyId).toBe(queued.id);
+  mockStores.outbox.set(item.id, { ...item, nextAttemptAt: Date.now() - 1 });
+  apiClient.post.mockResolvedValueOnce({ data: { id: "srv-5" } });
+  await processOutbox();
+  expect((await listSubmissions("45")).find(e => e.id === queued.id)).toMatchObject({ status: "sent", response: { id: "srv-5" }, error: null });
+});
@@ -0,0 +1,70 @@
+// src/patient-card.js
+import React from "react";
+import { usePatientSelection } from "./patient-context";
+import { FieldIssues } from "./validation-feedback";
+
+/*
+  Patient picker card shared by the record builders
+  - Patient + ABHA address selects bound to the shared patient context
+  - Read-only summary of the selected patient (address too when showAddress is set)
+  - issues: issuesByField(...) from ndhm-validator.js; Patient / ABHA address issues show inline
+*/
+export default function PatientCard({ title = "1. Patient", showAddress = false, issues = {} }) {
+  const { patients, loading, selectedPatientIdx, setSelectedPatientIdx, selectedPatient, abhaOptions, selectedAbha, setSelectedAbha } = usePatientSelection();
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title} <span className="text-danger">*</span></div>
+      <div className="card-body">
+        <div className="row g-3 mb-2">
+          <div className="col-md-8">
+            <label className="form-label">Select Patient</label>
+            <select className="form-select" value={selectedPatientIdx} onChange={e => setSelectedPatientIdx(Number(e.target.value))}>
+              {loading && <option value={-1}>Loading...</option>}
+              {!loading && patients.length === 0 && <option value={-1}>No patients loaded</option>}
+              {patients.map((p, i) => (
+                <option key={p.id || i} value={i}>{p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="col-md-4">
+            <label className="form-label">ABHA Address (pick)</label>
+            <select className="form-select" value={selectedAbha} onChange={e => setSelectedAbha(e.target.value)} disabled={!abhaOptions.length}>
+              {abhaOptions.length === 0 ? <option value="">No ABHA addresses</option> : abhaOptions.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+            </select>
+            <FieldIssues issues={issues.abha} />
+          </div>
+        </div>
+
+        {selectedPatient && (
+          <div className="row g-3">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={selectedPatient.name || ""} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Gender</label>
+              <input className="form-control" readOnly value={selectedPatient.gender || ""} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">DOB</label>
+              <input className="form-control" readOnly value={selectedPatient.dob || ""} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Mobile</label>
+              <input className="form-control" readOnly value={selectedPatient.mobile || ""} />
+            </div>
+            {showAddress && (
+              <div className="col-12">
+                <label className="form-label">Address</label>
+                <textarea className="form-control" rows={2} readOnly value={selectedPatient.address || ""} />
+              </div>
+            )}
+          </div>
+        )}
+        <FieldIssues issues={issues.patient} />
+      </div>
+    </div>
+  );
+}
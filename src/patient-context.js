@@ -0,0 +1,118 @@
+// src/patient-context.js
+/*
+  Shared patient selection for every record builder
+  - Patients are loaded once: API first (window.GlobalPatientAPI or the patients URL of the
+    active environment, config.js; signed in through api-client.js), fallback /patients.json
+  - The selected patient and ABHA address live here, so switching builders keeps them
+  - Deep links: ?patient=<id or user_id>&abha=<address> preselects; the query string is
+    kept in sync (replaceState) so the current URL can be shared
+*/
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { normalizeAbhaAddresses } from "./fhir-builders";
+import { getConfig } from "./config";
+import { apiFetch } from "./api-client";
+
+const PatientContext = createContext(null);
+
+/* Load the patient list: API first, fallback to public/patients.json */
+export async function fetchPatients() {
+  try {
+    const apiRes = await apiFetch(window.GlobalPatientAPI || getConfig().patientsUrl);
+    if (!apiRes.ok) throw new Error("API fetch failed");
+    const apiData = await apiRes.json();
+    if (!Array.isArray(apiData) || apiData.length === 0) throw new Error("API returned empty");
+    return apiData;
+  } catch (apiErr) {
+    console.warn("API fetch failed, falling back to local patients.json", apiErr);
+    const localRes = await fetch("/patients.json");
+    const localData = await localRes.json();
+    return Array.isArray(localData) ? localData : [];
+  }
+}
+
+/* Key used in ?patient= : the record id, else user_id */
+export function patientKey(p) {
+  return String(p?.id ?? p?.user_id ?? "");
+}
+
+function findPatientIdx(patients, key) {
+  if (!key) return -1;
+  return patients.findIndex(p => String(p.id) === key || String(p.user_id) === key);
+}
+
+function readQuery() {
+  const q = new URLSearchParams(window.location.search);
+  return { patient: q.get("patient") || "", abha: q.get("abha") || "" };
+}
+
+function writeQuery(patient, abha) {
+  const q = new URLSearchParams(window.location.search);
+  if (patient) q.set("patient", patient); else q.delete("patient");
+  if (abha) q.set("abha", abha); else q.delete("abha");
+  const search = q.toString();
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`);
+}
+
+export function PatientProvider({ children }) {
+  const [patients, setPatients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedKey, setSelectedKey] = useState("");
+  const [selectedAbha, setSelectedAbha] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    fetchPatients()
+      .then(list => {
+        if (!mounted) return;
+        setPatients(list);
+        const wanted = readQuery();
+        const idx = findPatientIdx(list, wanted.patient);
+        const initial = idx >= 0 ? list[idx] : list[0];
+        if (!initial) return;
+        const options = normalizeAbhaAddresses(initial);
+        setSelectedKey(patientKey(initial));
+        setSelectedAbha(options.some(o => o.value === wanted.abha) ? wanted.abha : options[0]?.value || "");
+      })
+      .catch(err => console.error("Failed to fetch local patients.json:", err))
+      .finally(() => mounted && setLoading(false));
+    return () => { mounted = false; };
+  }, []);
+
+  useEffect(() => {
+    if (!loading) writeQuery(selectedKey, selectedAbha);
+  }, [loading, selectedKey, selectedAbha]);
+
+  const selectedPatientIdx = useMemo(() => findPatientIdx(patients, selectedKey), [patients, selectedKey]);
+  const selectedPatient = selectedPatientIdx >= 0 ? patients[selectedPatientIdx] : null;
+  const abhaOptions = useMemo(() => (selectedPatient ? normalizeAbhaAddresses(selectedPatient) : []), [selectedPatient]);
+
+  /* Selecting a patient resets the ABHA address to its first (primary) address */
+  const setSelectedPatientIdx = useCallback(idx => {
+    const p = idx >= 0 ? patients[idx] : null;
+    setSelectedKey(p ? patientKey(p) : "");
+    setSelectedAbha(p ? normalizeAbhaAddresses(p)[0]?.value || "" : "");
+  }, [patients]);
+
+  const value = useMemo(() => ({
+    patients,
+    loading,
+    selectedPatientIdx,
+    setSelectedPatientIdx,
+    selectedPatient,
+    abhaOptions,
+    selectedAbha,
+    setSelectedAbha,
+  }), [patients, loading, selectedPatientIdx, setSelectedPatientIdx, selectedPatient, abhaOptions, selectedAbha]);
+
+  return <PatientContext.Provider value={value}>{children}</PatientContext.Provider>;
+}
+
+/*
+  Selected patient / ABHA address shared across builders
+  @returns {{ patients, loading, selectedPatientIdx, setSelectedPatientIdx, selectedPatient, abhaOptions, selectedAbha, setSelectedAbha }}
+*/
+export function usePatientSelection() {
+  const ctx = useContext(PatientContext);
+  if (!ctx) throw new Error("usePatientSelection must be used inside <PatientProvider>");
+  return ctx;
+}
@@ -0,0 +1,319 @@
+// src/pdf-rendition.js
+/*
+  Printable PDF of a record, generated in the browser (no library)
+  - buildTextPdfBase64(lines): minimal PDF 1.4 writer; A4 pages, Helvetica / Helvetica-Bold
+    (WinAnsi), word-wrapped lines, horizontal rules and table rows. No font is embedded, so
+    text in other scripts cannot be shown: it prints as "?" and the PDF opens with LOSSY_NOTE
+    (unsupportedPdfChars tells which characters)
+  - narrativeLines(div): a resource narrative (narrative.js XHTML) as writer lines; its
+    tables (immunizations, vitals, invoice line items) become table rows
+  - recordPdfLines({ composition, resources }): facility letterhead (custodian), title,
+    patient and practitioner header, the Composition narrative, then every section (its
+    narrative, else the narratives of its entries)
+  - buildRenditionAttachment(): that PDF as Binary + DocumentReference, described as
+    RENDITION_DESCRIPTION so re-opening a bundle (bundle-reader.js) does not take it for an upload
+*/
+import { buildDocumentAttachment } from "./fhir-builders";
+
+export const RENDITION_DESCRIPTION = "Printable rendition of the record";
+
+/* --------------------------------- WRITER --------------------------------- */
+/*
+  Each line is one of
+    { text, size?, bold?, center?, gapBefore? }
+    { rule: true, gapBefore? }                   horizontal line across the page
+    { cells: [text...], size?, bold?, header?, gapBefore? }  table row (equal columns;
+                                                 header rows are bold with a rule below)
+  Returns base64 (no data: prefix).
+*/
+const PDF_PAGE_W = 595;
+const PDF_PAGE_H = 842;
+const PDF_MARGIN = 56;
+const CONTENT_W = PDF_PAGE_W - PDF_MARGIN * 2;
+export const LOSSY_NOTE = 'Note: some text uses characters the PDF fonts cannot show; they are printed as "?". The structured record keeps the original text.';
+
+/* Characters WinAnsi has outside Latin-1 (its 0x80-0x9F block), and stand-ins for common ones it lacks */
+const WIN_ANSI = {
+  "€": "\x80", "‚": "\x82", "ƒ": "\x83", "„": "\x84", "…": "\x85", "†": "\x86", "‡": "\x87", "ˆ": "\x88",
+  "‰": "\x89", "Š": "\x8a", "‹": "\x8b", "Œ": "\x8c", "Ž": "\x8e", "‘": "\x91", "’": "\x92", "“": "\x93",
+  "”": "\x94", "•": "\x95", "–": "\x96", "—": "\x97", "˜": "\x98", "™": "\x99", "š": "\x9a", "›": "\x9b",
+  "œ": "\x9c", "ž": "\x9e", "Ÿ": "\x9f", "₹": "Rs.", "→": "->", "≤": "<=", "≥": ">=",
+};
+const UNSUPPORTED = /[^\x20-\x7e\xa0-\xff\s]/gu;
+
+/*
+  The characters of the writer lines that the standard fonts cannot show (Devanagari, Tamil, ...);
+  they are printed as "?". The PDF is then lossy; the FHIR resources keep the original text.
+*/
+export function unsupportedPdfChars(lines) {
+  const found = new Set();
+  lines.forEach(l => [l.text, ...(l.cells || [])].forEach(t => {
+    (String(t ?? "").match(UNSUPPORTED) || []).forEach(c => {
+      if (!WIN_ANSI[c]) found.add(c);
+    });
+  }));
+  return [...found].join("");
+}
+
+function pdfEscape(s) {
+  return Array.from(String(s), c => WIN_ANSI[c] || c).join("")
+    .replace(/[^\x20-\x7e\x80-\xff]/gu, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+/* Helvetica averages ~0.5em per glyph; good enough to wrap prose */
+function wrapText(text, size, maxWidth, minChars = 10) {
+  const maxChars = Math.max(minChars, Math.floor(maxWidth / (size * 0.5)));
+  const out = [];
+  String(text).split("\n").forEach(para => {
+    let line = "";
+    para.split(/\s+/).filter(Boolean).forEach(word => {
+      if (!line) line = word;
+      else if ((line + " " + word).length <= maxChars) line += " " + word;
+      else {
+        out.push(line);
+        line = word;
+      }
+    });
+    out.push(line);
+  });
+  return out;
+}
+
+function textOp(t, { bold, size, x, y }) {
+  return `BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${pdfEscape(t)}) Tj ET`;
+}
+
+function ruleOp(y) {
+  return `0.5 w ${PDF_MARGIN} ${y.toFixed(1)} m ${PDF_PAGE_W - PDF_MARGIN} ${y.toFixed(1)} l S`;
+}
+
+export function buildTextPdfBase64(lines) {
+  const lost = unsupportedPdfChars(lines);
+  if (lost) {
+    console.warn(`PDF rendition: ${lost.length} character(s) cannot be shown and are printed as "?"`);
+    lines = [{ text: LOSSY_NOTE, size: 8 }, ...lines];
+  }
+  const pages = [[]];
+  let y = PDF_PAGE_H - PDF_MARGIN;
+  const ensure = height => {
+    if (y - height < PDF_MARGIN) {
+      pages.push([]);
+      y = PDF_PAGE_H - PDF_MARGIN;
+    }
+  };
+  const draw = op => pages[pages.length - 1].push(op);
+
+  lines.forEach(l => {
+    const size = l.size || 11;
+    const leading = size * 1.4;
+    y -= l.gapBefore || 0;
+    if (l.rule) {
+      ensure(leading / 2);
+      y -= leading / 2;
+      draw(ruleOp(y));
+      return;
+    }
+    if (l.cells) {
+      const width = CONTENT_W / Math.max(1, l.cells.length);
+      const wrapped = l.cells.map(c => wrapText(c ?? "", size, width - 6, 1));
+      const rowLines = Math.max(1, ...wrapped.map(w => w.length));
+      ensure(leading * rowLines + (l.header ? leading / 2 : 0));
+      wrapped.forEach((cellLines, i) => cellLines.forEach((t, j) => {
+        if (t) draw(textOp(t, { bold: l.bold || l.header, size, x: PDF_MARGIN + i * width, y: y - leading * (j + 1) }));
+      }));
+      y -= leading * rowLines;
+      if (l.header) {
+        y -= leading / 4;
+        draw(ruleOp(y));
+        y -= leading / 4;
+      }
+      return;
+    }
+    wrapText(l.text || "", size, CONTENT_W).forEach(t => {
+      ensure(leading);
+      y -= leading;
+      const x = l.center ? Math.max(PDF_MARGIN, (PDF_PAGE_W - t.length * size * 0.5) / 2) : PDF_MARGIN;
+      draw(textOp(t, { bold: l.bold, size, x, y }));
+    });
+  });
+
+  // objects: 1 catalog, 2 pages, 3 F1, 4 F2, then (page, content) per page
+  const objects = [];
+  const pageObjNums = pages.map((_, i) => 5 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageObjNums.map(n => `${n} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  pages.forEach((ops, i) => {
+    const stream = ops.join("\n");
+    objects[pageObjNums[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_W} ${PDF_PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjNums[i] + 1} 0 R >>`;
+    objects[pageObjNums[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets[n] = pdf.length;
+    pdf += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+  const xrefAt = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objects.length; n++) pdf += `${String(offsets[n]).padStart(10, "0")} 00000 n \n`;
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return btoa(pdf);
+}
+
+/* ------------------------------- NARRATIVE -------------------------------- */
+function textOf(node) {
+  return (node.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+function tableLines(table) {
+  const lines = [];
+  Array.from(table.getElementsByTagName("caption")).forEach(c => lines.push({ text: textOf(c), bold: true, gapBefore: 4 }));
+  Array.from(table.getElementsByTagName("tr")).forEach(tr => {
+    const cells = Array.from(tr.children).filter(c => c.localName === "td" || c.localName === "th");
+    lines.push({
+      cells: cells.map(textOf),
+      size: 10,
+      header: cells.every(c => c.localName === "th"),
+      bold: tr.parentNode.localName === "tfoot",
+    });
+  });
+  return lines;
+}
+
+/*
+  Writer lines for a narrative div
+  @param {string} div
+  @param {{ headings?: boolean }} [opts]  headings: false drops <h1>..<h6> (the resource type titles)
+*/
+export function narrativeLines(div, { headings = true } = {}) {
+  if (!div) return [];
+  const doc = typeof DOMParser === "undefined" ? null : new DOMParser().parseFromString(String(div), "application/xml");
+  if (!doc || doc.getElementsByTagName("parsererror").length) {
+    const text = String(div).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+    return text ? [{ text }] : [];
+  }
+  const lines = [];
+  const visit = node => {
+    if (node.nodeType === 3) {
+      if (textOf(node)) lines.push({ text: textOf(node) });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const name = node.localName;
+    if (/^h[1-6]$/.test(name)) {
+      if (headings) lines.push({ text: textOf(node), bold: true, gapBefore: 6 });
+    } else if (name === "table") {
+      lines.push(...tableLines(node));
+    } else if (name === "ul" || name === "ol") {
+      Array.from(node.children).forEach((li, i) => lines.push({ text: `${name === "ol" ? `${i + 1}.` : "-"} ${textOf(li)}` }));
+    } else if (name === "div" || name === "blockquote") {
+      Array.from(node.childNodes).forEach(visit);
+    } else if (textOf(node)) {
+      lines.push({ text: textOf(node) });
+    }
+  };
+  Array.from(doc.documentElement.childNodes).forEach(visit);
+  return lines;
+}
+
+/* --------------------------------- RECORD --------------------------------- */
+function nameOf(resource) {
+  if (!resource) return "";
+  return typeof resource.name === "string" ? resource.name : resource.name?.[0]?.text || "";
+}
+
+function identifierLabel(idf) {
+  return idf.type?.text || idf.type?.coding?.[0]?.display || "Identifier";
+}
+
+function letterheadLines(org) {
+  const contact = [org.address?.[0]?.text, org.telecom?.find(t => t.system === "phone")?.value].filter(Boolean).join(" | ");
+  return [
+    { text: org.name, size: 14, bold: true, center: true },
+    ...(contact ? [{ text: contact, size: 9, center: true }] : []),
+    { rule: true, gapBefore: 4 },
+  ];
+}
+
+function patientLines(patient) {
+  const details = [patient.gender, patient.birthDate && `DOB ${patient.birthDate}`].filter(Boolean).join(", ");
+  return [
+    { text: `Patient: ${nameOf(patient)}${details ? `, ${details}` : ""}`, bold: true, gapBefore: 12 },
+    ...(patient.identifier || []).filter(i => i.value).map(i => ({ text: `${identifierLabel(i)}: ${i.value}`, size: 10 })),
+  ];
+}
+
+function authorLine(author) {
+  const license = author.resourceType === "Practitioner" ? author.identifier?.[0]?.value : "";
+  return { text: `${author.resourceType}: ${nameOf(author)}${license ? ` (${license})` : ""}` };
+}
+
+/*
+  Writer lines for a document
+  @param {object} opts
+  @param {object} opts.composition
+  @param {object[]} opts.resources  the other resources of the Bundle (null entries ignored)
+*/
+export function recordPdfLines({ composition, resources }) {
+  const index = new Map();
+  resources.filter(Boolean).forEach(r => {
+    index.set(`urn:uuid:${r.id}`, r);
+    index.set(`${r.resourceType}/${r.id}`, r);
+  });
+  const resolve = reference => (reference?.reference ? index.get(reference.reference) : null);
+  const custodian = resolve(composition.custodian);
+  const patient = resolve(composition.subject);
+  const authors = (composition.author || []).map(resolve).filter(Boolean);
+
+  const sectionLines = (section, depth) => {
+    const body = section.text?.div
+      ? narrativeLines(section.text.div, { headings: false })
+      : (section.entry || []).map(resolve).filter(Boolean).flatMap(r => (r.text?.div ? narrativeLines(r.text.div, { headings: false }) : [{ text: r.resourceType }]));
+    return [
+      { text: section.title || "Section", size: depth ? 11 : 12, bold: true, gapBefore: 14 },
+      ...body,
+      ...(section.section || []).flatMap(s => sectionLines(s, depth + 1)),
+    ];
+  };
+
+  return [
+    ...(custodian ? letterheadLines(custodian) : []),
+    { text: composition.title || "Health record", size: 15, bold: true, center: true, gapBefore: 12 },
+    { text: `Date: ${composition.date || ""}`, gapBefore: 12 },
+    ...(composition.status && composition.status !== "final" ? [{ text: `Status: ${composition.status}` }] : []),
+    ...(patient ? patientLines(patient) : []),
+    ...authors.map(authorLine),
+    { rule: true, gapBefore: 6 },
+    ...narrativeLines(composition.text?.div, { headings: false }),
+    ...(composition.section || []).flatMap(s => sectionLines(s, 0)),
+    { text: `Composition ${composition.id}`, size: 8, gapBefore: 24 },
+  ];
+}
+
+/*
+  The record PDF as Binary + DocumentReference
+  @param {{ docRefId, binaryId, patientId, authorId?, type, composition, resources }} opts
+         type: DocumentReference.type; composition / resources as for recordPdfLines
+  @returns {{ binary, docRef }}
+*/
+export function buildRenditionAttachment({ docRefId, binaryId, patientId, authorId, type, composition, resources }) {
+  const slug = String(composition.title || "record").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "record";
+  return buildDocumentAttachment({
+    docRefId,
+    binaryId,
+    patientId,
+    authorId,
+    type,
+    title: `${slug}-${String(composition.date || "").slice(0, 10)}.pdf`,
+    contentType: "application/pdf",
+    data: buildTextPdfBase64(recordPdfLines({ composition, resources })),
+    date: composition.date,
+    description: RENDITION_DESCRIPTION,
+  });
+}
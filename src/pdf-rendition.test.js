@@ -0,0 +1,98 @@
+import { buildTextPdfBase64, unsupportedPdfChars, LOSSY_NOTE, narrativeLines, recordPdfLines, buildRenditionAttachment, RENDITION_DESCRIPTION } from "./pdf-rendition";
+import { buildPatient, buildPractitioner, buildOrganization, buildComposition, buildDocumentBundle, buildNarrative } from "./fhir-builders";
+import { immunizationTable, invoiceTable } from "./narrative";
+import { readDocumentBundle, attachmentsFromBundle } from "./bundle-reader";
+
+const PATIENT = { id: 46, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991", abha_ref: "91-4444-5555-6666" };
+
+function makeRecord() {
+  const patient = buildPatient({ id: "p1", patient: PATIENT, abhaAddress: "rohittestokay@sbx" });
+  const practitioner = buildPractitioner({ id: "d1", name: "Dr. B. Rao", license: "NMC-456" });
+  const clinic = buildOrganization({ id: "o1", name: "City Clinic", address: "MG Road, Pune", phone: "+912000000000" });
+  const immunization = {
+    resourceType: "Immunization",
+    id: "i1",
+    status: "completed",
+    vaccineCode: { text: "BCG" },
+    patient: { reference: "urn:uuid:p1" },
+    occurrenceDateTime: "2024-05-01T10:00:00+05:30",
+  };
+  const composition = buildComposition({
+    id: "c1",
+    profile: "ImmunizationRecord",
+    type: { text: "Immunization record" },
+    title: "Immunization Record",
+    patientId: "p1",
+    date: "2024-05-01T10:00:00+05:30",
+    authorId: "d1",
+    custodianId: "o1",
+    section: [{ title: "Immunization section", entry: [{ reference: "urn:uuid:i1" }], text: buildNarrative("Immunization section", immunizationTable([immunization])) }],
+  });
+  return { composition, resources: [patient, practitioner, clinic, immunization] };
+}
+
+test("the writer produces a PDF with a valid cross-reference table", () => {
+  const pdf = atob(buildTextPdfBase64([{ text: "Title", bold: true }, { rule: true }, { cells: ["A", "B"], header: true }, { cells: ["1", "2"] }]));
+  expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+  expect(pdf.trimEnd().endsWith("%%EOF")).toBe(true);
+  const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(xrefAt, xrefAt + 4)).toBe("xref");
+  const offsets = pdf.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(l => Number(l.slice(0, 10)));
+  offsets.forEach((offset, i) => expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  expect(pdf).toContain("(Title) Tj");
+  expect(pdf).toContain(" l S");
+
+  const long = atob(buildTextPdfBase64(Array.from({ length: 80 }, (_, i) => ({ text: `Line ${i}` }))));
+  expect(long).toMatch(/\/Count 2 /);
+});
+
+test("characters the fonts lack are flagged: WinAnsi punctuation is kept, other scripts print as ?", () => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const plain = atob(buildTextPdfBase64([{ text: "Fee “paid” – ₹500 (Dr. José)" }]));
+  expect(plain).toContain("(Fee \x93paid\x94 \x96 Rs.500 \\(Dr. Jos\xe9\\)) Tj");
+  expect(plain).not.toContain("printed as");
+  expect(console.warn).not.toHaveBeenCalled();
+
+  const lines = [{ text: "Name: आशा देवी" }, { cells: ["Dose", "౧"] }];
+  expect(unsupportedPdfChars(lines)).toBe("आशादेवी౧");
+  const lossy = atob(buildTextPdfBase64(lines));
+  expect(lossy).toContain("(Name: ??? ????) Tj");
+  expect(lossy.indexOf(LOSSY_NOTE.slice(0, 20))).toBeLessThan(lossy.indexOf("(Name:"));
+  expect(console.warn).toHaveBeenCalledTimes(1);
+  console.warn.mockRestore();
+});
+
+test("narrative tables become table rows, totals in bold", () => {
+  const invoice = {
+    totalNet: { value: 100, currency: "INR" },
+    totalGross: { value: 118, currency: "INR" },
+    lineItem: [{ sequence: 1, chargeItemCodeableConcept: { text: "X-ray" }, priceComponent: [{ type: "base", amount: { value: 100 } }, { type: "tax", amount: { value: 18 } }] }],
+  };
+  const lines = narrativeLines(buildNarrative("Invoice", invoiceTable(invoice)).div, { headings: false });
+  expect(lines[0]).toMatchObject({ text: "Line items", bold: true });
+  expect(lines[1]).toMatchObject({ cells: ["#", "Item", "Base", "Tax", "Amount"], header: true });
+  expect(lines[2]).toMatchObject({ cells: ["1", "X-ray", "100.00 INR", "18.00 INR", "118.00 INR"], bold: false });
+  expect(lines[lines.length - 1]).toMatchObject({ cells: ["", "Gross total", "", "", "118.00 INR"], bold: true });
+});
+
+test("record lines: letterhead, patient and practitioner header, section tables", () => {
+  const lines = recordPdfLines(makeRecord());
+  const texts = lines.map(l => l.text || (l.cells || []).join(" | "));
+  expect(lines[0]).toMatchObject({ text: "City Clinic", bold: true, center: true });
+  expect(texts).toContain("MG Road, Pune | +912000000000");
+  expect(texts).toContain("Immunization Record");
+  expect(texts).toContain("Patient: Rohit Kumar, male, DOB 1991-12-30");
+  expect(texts).toContain("Practitioner: Dr. B. Rao (NMC-456)");
+  expect(texts).toContain("Immunization section");
+  expect(texts).toContain("BCG | 2024-05-01 |  | completed");
+});
+
+test("the rendition is embedded as a PDF and not re-opened as an upload", () => {
+  const { composition, resources } = makeRecord();
+  const { binary, docRef } = buildRenditionAttachment({ docRefId: "r1", binaryId: "b1", patientId: "p1", type: { text: "Immunization document" }, composition, resources });
+  expect(docRef).toMatchObject({ description: RENDITION_DESCRIPTION, content: [{ attachment: { contentType: "application/pdf", title: "immunization-record-2024-05-01.pdf" } }] });
+  expect(atob(binary.data)).toContain("(Patient: Rohit Kumar, male, DOB 1991-12-30) Tj");
+
+  const bundle = buildDocumentBundle({ idPrefix: "Test", composition, resources: [...resources, docRef, binary] });
+  expect(attachmentsFromBundle(readDocumentBundle(bundle))).toEqual([]);
+});
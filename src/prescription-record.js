@@ -0,0 +1,414 @@
+// src/prescription-record.js
+import React, { useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  resolveGlobalPractitioner,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildEncounter,
+  buildComposition,
+  buildDocumentBundle,
+  ndhmMeta,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml } from "./narrative";
+import { usePatientSelection, patientKey } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, hasErrors, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import { submitBundle, submitResultMessage } from "./outbox";
+import ValidationSummary from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { toCodeableConcept } from "./terminology";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Prescription Record builder (NDHM PrescriptionRecord)
+  - Patient + ABHA address from the shared patient context (patient-context.js)
+  - Practitioner resolved from window.GlobalPractioner / window.GlobalPractitionerFHIR (same as App.js)
+  - ABHA addresses normalized and selectable
+  - Repeatable medication rows (drug, strength, form, dosage, frequency, duration, route, instructions);
+    the drug is coded (SNOMED) when picked from the local terminology subset (terminology.js)
+  - Medication rows autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) containing:
+      Composition (PrescriptionRecord, SNOMED 440545006 "Prescription record")
+      Patient
+      Practitioner
+      (optional) Encounter, Organization (custodian)
+      MedicationRequest(s) — one per medication row, referenced from the Prescription section
+*/
+
+/* Fixed SNOMED coding for Composition.type and the Prescription section */
+const SNOMED_PRESCRIPTION_RECORD = { system: "http://snomed.info/sct", code: "440545006", display: "Prescription record" };
+
+/* Dosage forms offered in the medication rows (kept as text in medicationCodeableConcept) */
+const DOSAGE_FORMS = ["Tablet", "Capsule", "Syrup", "Suspension", "Injection", "Ointment", "Cream", "Drops", "Inhaler", "Sachet"];
+
+/* Frequency shorthand -> Timing.repeat (per day unless noted) */
+const FREQUENCIES = {
+  OD: { label: "OD (once daily)", repeat: { frequency: 1, period: 1, periodUnit: "d" } },
+  BD: { label: "BD (twice daily)", repeat: { frequency: 2, period: 1, periodUnit: "d" } },
+  TDS: { label: "TDS (thrice daily)", repeat: { frequency: 3, period: 1, periodUnit: "d" } },
+  QID: { label: "QID (four times daily)", repeat: { frequency: 4, period: 1, periodUnit: "d" } },
+  HS: { label: "HS (at bedtime)", repeat: { frequency: 1, period: 1, periodUnit: "d", when: ["HS"] } },
+  SOS: { label: "SOS (when required)", repeat: null, asNeeded: true },
+  STAT: { label: "STAT (immediately, once)", repeat: { count: 1 } },
+};
+
+/* Routes of administration (SNOMED) */
+const ROUTES = [
+  { code: "26643006", display: "Oral route" },
+  { code: "6064005", display: "Topical route" },
+  { code: "47625008", display: "Intravenous route" },
+  { code: "78421000", display: "Intramuscular route" },
+  { code: "34206005", display: "Subcutaneous route" },
+  { code: "37839007", display: "Sublingual route" },
+  { code: "46713006", display: "Nasal route" },
+  { code: "54485002", display: "Ophthalmic route" },
+  { code: "447694001", display: "Respiratory tract route" },
+];
+
+const DURATION_UNITS = { d: "day(s)", wk: "week(s)", mo: "month(s)" };
+
+function emptyMedication() {
+  return { drug: "", drugTerm: null, strength: "", form: "Tablet", dosage: "", frequency: "BD", durationValue: "", durationUnit: "d", route: "26643006", instructions: "" };
+}
+
+/* Human readable dosage line, e.g. "1 tablet BD for 5 day(s) — after food" */
+export function medicationDosageText(m) {
+  const parts = [];
+  if (m.dosage) parts.push(m.dosage);
+  if (m.frequency) parts.push(m.frequency);
+  if (m.durationValue) parts.push(`for ${m.durationValue} ${DURATION_UNITS[m.durationUnit] || m.durationUnit}`);
+  const route = ROUTES.find(r => r.code === m.route);
+  if (route) parts.push(`(${route.display.replace(/ route$/, "").toLowerCase()})`);
+  const text = parts.join(" ");
+  return m.instructions ? `${text} — ${m.instructions}` : text;
+}
+
+/* MedicationRequest.dosageInstruction[0] for a medication row: frequency -> Timing.repeat, duration -> boundsDuration */
+export function dosageInstruction(m) {
+  const freq = FREQUENCIES[m.frequency];
+  const route = ROUTES.find(r => r.code === m.route);
+  const repeat = freq?.repeat ? { ...freq.repeat } : {};
+  if (m.durationValue) repeat.boundsDuration = { value: Number(m.durationValue), unit: DURATION_UNITS[m.durationUnit], system: "http://unitsofmeasure.org", code: m.durationUnit };
+  return {
+    sequence: 1,
+    text: medicationDosageText(m),
+    ...(m.instructions ? { additionalInstruction: [{ text: m.instructions }] } : {}),
+    ...(Object.keys(repeat).length ? { timing: { repeat } } : {}),
+    ...(freq?.asNeeded ? { asNeededBoolean: true } : {}),
+    ...(route ? { route: { coding: [{ system: "http://snomed.info/sct", ...route }], text: route.display } } : {}),
+  };
+}
+
+/* Form errors for the medication rows (rows without a drug name are ignored) */
+export function medicationErrors(medications) {
+  const errors = [];
+  if (!medications.some(m => m.drug && m.drug.trim())) errors.push("Add at least one medication.");
+  medications.forEach((m, i) => {
+    if (!m.drug || !m.drug.trim()) return;
+    if (m.durationValue && !(Number(m.durationValue) > 0)) errors.push(`Medication ${i + 1}: duration must be a positive number.`);
+  });
+  return errors;
+}
+
+/* ------------------------------- APP ------------------------------------- */
+
+export default function PrescriptionRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [practitioner] = useState(resolveGlobalPractitioner);
+
+  /* Composition fields */
+  const [status, setStatus] = useState("final");
+  const [title, setTitle] = useState("Prescription Record");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+
+  /* Optional fields */
+  const [encounterRefText, setEncounterRefText] = useState("");
+  const [custodianName, setCustodianName] = useState("");
+
+  /* Medication rows */
+  const [medications, setMedications] = useState([emptyMedication()]);
+
+  function addMedication() {
+    setMedications(prev => [...prev, emptyMedication()]);
+  }
+  function updateMedication(i, key, val) {
+    setMedications(prev => prev.map((m, idx) => (idx === i ? { ...m, [key]: val } : m)));
+  }
+  function removeMedication(i) {
+    setMedications(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "prescription",
+    { status, title, dateTimeLocal, encounterRefText, custodianName, medications },
+    d => {
+      setStatus(d.status);
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setEncounterRefText(d.encounterRefText);
+      setCustodianName(d.custodianName);
+      setMedications(d.medications);
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (!title || !title.trim()) errors.push("Title is required.");
+    errors.push(...medicationErrors(medications));
+    return errors;
+  }
+
+  /* --------------------------- Build FHIR Bundle --------------------------- */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+    const rows = medications.filter(m => m.drug && m.drug.trim());
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const encounterId = encounterRefText ? uuidv4() : null;
+    const custodianOrgId = custodianName ? uuidv4() : null;
+    const medReqIds = rows.map(() => uuidv4());
+
+    const practitionerRes = buildPractitioner({ id: practitioner.id || uuidv4(), name: practitioner.name, license: practitioner.license });
+
+    function buildEncounterResource() {
+      if (!encounterId) return null;
+      return buildEncounter({ id: encounterId, patientId, practitionerId: practitionerRes.id, narrative: encounterRefText });
+    }
+
+    // One MedicationRequest per medication row
+    function buildMedicationRequestResources() {
+      return rows.map((m, idx) => {
+        const medText = [m.drug.trim(), m.strength, m.form].filter(Boolean).join(" ");
+        const dosage = dosageInstruction(m);
+
+        return {
+          resourceType: "MedicationRequest",
+          id: medReqIds[idx],
+          language: DEFAULT_LANGUAGE,
+          meta: ndhmMeta("MedicationRequest"),
+          text: buildNarrative("MedicationRequest", xhtml`<p>${medText}</p><p>${dosage.text}</p>`),
+          status: "active",
+          intent: "order",
+          medicationCodeableConcept: toCodeableConcept(m.drugTerm, medText),
+          subject: { reference: `urn:uuid:${patientId}`, display: selectedPatient?.name },
+          ...(encounterId ? { encounter: { reference: `urn:uuid:${encounterId}` } } : {}),
+          authoredOn,
+          requester: { reference: `urn:uuid:${practitionerRes.id}`, display: practitioner.name },
+          dosageInstruction: [dosage],
+        };
+      });
+    }
+
+    function buildCompositionResource(medReqs) {
+      return buildComposition({
+        id: compId,
+        profile: "PrescriptionRecord",
+        type: { coding: [SNOMED_PRESCRIPTION_RECORD], text: SNOMED_PRESCRIPTION_RECORD.display },
+        title,
+        status,
+        patientId,
+        encounterId,
+        date: authoredOn,
+        authorId: practitionerRes.id,
+        authorDisplay: practitioner.name,
+        custodianId: custodianOrgId,
+        narrative: xhtml`<p>Subject: ${selectedPatient?.name || ""}</p><p>Author: ${practitioner.name}</p>`,
+        section: [
+          {
+            title: "Prescription",
+            code: { coding: [SNOMED_PRESCRIPTION_RECORD], text: SNOMED_PRESCRIPTION_RECORD.display },
+            entry: medReqs.map(entryRef),
+          },
+        ],
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const encounterRes = buildEncounterResource();
+    const custodianRes = buildOrganization({ id: custodianOrgId, name: custodianName });
+    const medReqResources = buildMedicationRequestResources();
+    const compositionRes = buildCompositionResource(medReqResources);
+
+    // Build Bundle
+    const bundle = buildDocumentBundle({
+      idPrefix: "PrescriptionBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, encounterRes, custodianRes, ...medReqResources],
+    });
+
+    // Offline NDHM profile checks; issues are shown next to the form fields
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    if (hasErrors(issues) && !window.confirm("The bundle has NDHM validation errors (shown on the form). Submit anyway?")) return;
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    const patientUserId = Number(selectedPatient.user_id);
+    // queued in the Outbox (retried automatically) when offline or the server fails
+    const result = await submitBundle({ recordType: "prescription", label: `Prescription — ${selectedPatient.name}`, bundle: signed, patient: patientUserId, patientKey: patientKey(selectedPatient), patientName: selectedPatient.name });
+    alert(submitResultMessage(result));
+  }
+
+  /* ------------------------------- RENDER UI -------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Prescription Record — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* 2. Practitioner (global) */}
+      <div className="card mb-3">
+        <div className="card-header">2. Prescriber / Practitioner <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-6">
+              <label className="form-label">Name</label>
+              <input className="form-control" readOnly value={practitioner?.name || ""} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">License</label>
+              <input className="form-control" readOnly value={practitioner?.license || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 3. Composition metadata */}
+      <div className="card mb-3">
+        <div className="card-header">3. Composition Metadata</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">Status <span className="text-danger">*</span></label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Title <span className="text-danger">*</span></label>
+              <input className="form-control" value={title} onChange={e => setTitle(e.target.value)} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Date/Time <span className="text-danger">*</span></label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Encounter (optional)</label>
+              <input className="form-control" placeholder="Encounter reference (optional free text)" value={encounterRefText} onChange={e => setEncounterRefText(e.target.value)} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Custodian (Organization) (optional)</label>
+              <input className="form-control" placeholder="Organization name (optional)" value={custodianName} onChange={e => setCustodianName(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* 4. Medications */}
+      <div className="card mb-3">
+        <div className="card-header">4. Medications (one or more) <span className="text-danger">*</span></div>
+        <div className="card-body">
+          {medications.map((m, i) => (
+            <div key={i} className="border rounded p-2 mb-2">
+              <div className="row g-2 align-items-end">
+                <div className="col-md-4">
+                  <label className="form-label">Drug</label>
+                  <TermPicker
+                    valueSet="medications"
+                    value={m.drug}
+                    term={m.drugTerm}
+                    onChange={(text, term) => setMedications(prev => prev.map((x, idx) => (idx === i ? { ...x, drug: text, drugTerm: term } : x)))}
+                    placeholder="e.g. Paracetamol"
+                  />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Strength</label>
+                  <input className="form-control" value={m.strength} onChange={e => updateMedication(i, "strength", e.target.value)} placeholder="500 mg" />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Form</label>
+                  <select className="form-select" value={m.form} onChange={e => updateMedication(i, "form", e.target.value)}>
+                    {DOSAGE_FORMS.map(f => <option key={f} value={f}>{f}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Dosage</label>
+                  <input className="form-control" value={m.dosage} onChange={e => updateMedication(i, "dosage", e.target.value)} placeholder="1 tablet" />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Frequency</label>
+                  <select className="form-select" value={m.frequency} onChange={e => updateMedication(i, "frequency", e.target.value)}>
+                    {Object.entries(FREQUENCIES).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+                  </select>
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Duration</label>
+                  <input className="form-control" type="number" min="1" value={m.durationValue} onChange={e => updateMedication(i, "durationValue", e.target.value)} />
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Unit</label>
+                  <select className="form-select" value={m.durationUnit} onChange={e => updateMedication(i, "durationUnit", e.target.value)}>
+                    {Object.entries(DURATION_UNITS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-3">
+                  <label className="form-label">Route</label>
+                  <select className="form-select" value={m.route} onChange={e => updateMedication(i, "route", e.target.value)}>
+                    {ROUTES.map(r => <option key={r.code} value={r.code}>{r.display}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Instructions</label>
+                  <input className="form-control" value={m.instructions} onChange={e => updateMedication(i, "instructions", e.target.value)} placeholder="e.g. after food" />
+                </div>
+                <div className="col-md-1 d-flex align-items-end">
+                  <button className="btn btn-danger mb-1" onClick={() => removeMedication(i)} disabled={medications.length === 1}>X</button>
+                </div>
+              </div>
+              {m.drug && <div className="form-text">{medicationDosageText(m)}</div>}
+            </div>
+          ))}
+          <button className="btn btn-sm btn-outline-secondary" onClick={addMedication}>+ Add Medication</button>
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Submit</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { medicationDosageText, dosageInstruction, medicationErrors } from "./prescription-record";
+
+const row = overrides => ({ drug: "Paracetamol", drugTerm: null, strength: "500 mg", form: "Tablet", dosage: "1 tablet", frequency: "BD", durationValue: "5", durationUnit: "d", route: "26643006", instructions: "", ...overrides });
+
+test("frequency shorthand becomes Timing.repeat, with the duration as boundsDuration", () => {
+  expect(dosageInstruction(row({ instructions: "after food" }))).toEqual({
+    sequence: 1,
+    text: "1 tablet BD for 5 day(s) (oral) — after food",
+    additionalInstruction: [{ text: "after food" }],
+    timing: { repeat: { frequency: 2, period: 1, periodUnit: "d", boundsDuration: { value: 5, unit: "day(s)", system: "http://unitsofmeasure.org", code: "d" } } },
+    route: { coding: [{ system: "http://snomed.info/sct", code: "26643006", display: "Oral route" }], text: "Oral route" },
+  });
+  expect(dosageInstruction(row({ frequency: "HS", durationValue: "" })).timing).toEqual({ repeat: { frequency: 1, period: 1, periodUnit: "d", when: ["HS"] } });
+  expect(dosageInstruction(row({ frequency: "STAT", durationValue: "" })).timing).toEqual({ repeat: { count: 1 } });
+});
+
+test("SOS is as needed, with a timing only when a duration is given", () => {
+  const sos = dosageInstruction(row({ frequency: "SOS", durationValue: "", route: "" }));
+  expect(sos).toEqual({ sequence: 1, text: "1 tablet SOS", asNeededBoolean: true });
+  expect(dosageInstruction(row({ frequency: "SOS", durationValue: "2", durationUnit: "wk" })).timing.repeat).toEqual({
+    boundsDuration: { value: 2, unit: "week(s)", system: "http://unitsofmeasure.org", code: "wk" },
+  });
+  expect(medicationDosageText(row({ dosage: "", durationValue: "", route: "54485002" }))).toBe("BD (ophthalmic)");
+});
+
+test("at least one named medication, with a positive duration", () => {
+  expect(medicationErrors([row({ drug: " " })])).toEqual(["Add at least one medication."]);
+  expect(medicationErrors([row({ drug: "" }), row({ durationValue: "0" }), row({ durationValue: "abc" }), row()])).toEqual([
+    "Medication 2: duration must be a positive number.",
+    "Medication 3: duration must be a positive number.",
+  ]);
+  expect(medicationErrors([row({ durationValue: "" })])).toEqual([]);
+});
@@ -0,0 +1,454 @@
+// src/referral-record.js
+import React, { useRef, useState } from "react";
+import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  ndhmMeta,
+  uuidv4,
+  ref,
+  entryRef,
+  localDatetimeToISOWithOffset,
+  isoWithLocalOffsetFromDate,
+  nowLocalDatetimeInput,
+  buildNarrative,
+  fileToBase64NoPrefix,
+  buildPatient,
+  buildPractitioner,
+  buildOrganization,
+  buildDocumentAttachment,
+  buildComposition,
+  buildDocumentBundle,
+  DEFAULT_LANGUAGE,
+} from "./fhir-builders";
+import { xhtml } from "./narrative";
+import { usePatientSelection } from "./patient-context";
+import PatientCard from "./patient-card";
+import { validateBundle, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import ValidationSummary from "./validation-feedback";
+import { INTAKE_ACCEPT } from "./attachment-intake";
+import IntakeFeedback, { useIntake } from "./intake-feedback";
+import { hashAttachments, detailsParams } from "./attachment-metadata";
+import DocumentDetails, { NO_DETAILS } from "./document-details";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+
+/*
+  Referral Letter Builder (plain JS, single-file)
+  - Patient: shared patient context (patient-context.js)
+  - Practitioner (referring): global PRACTITIONERS (same list as Immunization.js)
+  - Referred-to practitioner and/or organization: a Practitioner / Organization resource when
+    its license number / HFR facility ID is entered, otherwise the name only (performer.display)
+  - ServiceRequest (intent order, priority routine/urgent/asap/stat) with reason
+  - Upload supporting documents (PDF/JPEG/PNG/HEIC, attachment-intake.js) and tick which ones go with the referral
+    (ServiceRequest.supportingInfo -> DocumentReference), each with an optional description and kind
+    (document-details.js); Attachment.size / hash / creation from attachment-metadata.js
+  - Referral details and the selected files (with their details) autosaved as a draft per patient (drafts-panel.js)
+  - Produces FHIR Bundle (document) with Composition (SNOMED 3457005 "Patient referral")
+*/
+
+/* --------------------------- GLOBAL PRACTITIONERS --------------------------- */
+const PRACTITIONERS = [
+  { id: "prac-1", name: "Dr. A. Verma", qualification: "MBBS, MD", phone: "+919000011111", email: "verma@example.org", registration: { system: "https://nmc.org.in", value: "NMC-123" } },
+  { id: "prac-2", name: "Dr. B. Rao", qualification: "MBBS, MS", phone: "+919000022222", email: "rao@example.org", registration: { system: "https://nmc.org.in", value: "NMC-456" } },
+];
+
+/* Fixed SNOMED coding for Composition.type, section code and ServiceRequest.category */
+const SNOMED_REFERRAL = { system: "http://snomed.info/sct", code: "3457005", display: "Patient referral" };
+
+const PRIORITIES = ["routine", "urgent", "asap", "stat"];
+
+/*
+  Who the patient is referred to, as ServiceRequest.performer entries plus the resources they
+  point at. A Practitioner needs its license / registration number and an Organization its
+  facility ID (NDHM requires an identifier); without one the name is kept as display text.
+  @param {{ name?, license?, specialty?, orgName?, facilityId? }} target  form values
+  @returns {{ resources: object[], performer: object[] }}
+*/
+export function buildReferralTargets({ name = "", license = "", specialty = "", orgName = "", facilityId = "" }) {
+  const resources = [];
+  const performer = [];
+  const add = (resource, display) => {
+    resources.push(resource);
+    performer.push(ref(resource.id, display));
+  };
+  if (name.trim() && license.trim()) {
+    add(buildPractitioner({ id: uuidv4(), name: name.trim(), license: license.trim(), qualification: specialty.trim() || undefined }), name.trim());
+  } else if (name.trim()) {
+    performer.push({ display: name.trim() });
+  }
+  if (orgName.trim() && facilityId.trim()) {
+    add(buildOrganization({ id: uuidv4(), name: orgName.trim(), facilityId: facilityId.trim() }), orgName.trim());
+  } else if (orgName.trim()) {
+    performer.push({ display: orgName.trim() });
+  }
+  return { resources, performer };
+}
+
+/* Form errors for the referral details: someone to refer to, and why */
+export function referralErrors({ referredToName, referredToOrg, reason }) {
+  const errors = [];
+  if (!referredToName.trim() && !referredToOrg.trim()) errors.push("Enter the practitioner and/or organization the patient is referred to.");
+  if (!reason.trim()) errors.push("Reason for referral is required.");
+  return errors;
+}
+
+/* ------------------------------- APP -------------------------------------- */
+
+export default function ReferralRecord() {
+  /* Patient + ABHA address (shared across builders) */
+  const { selectedPatient, selectedAbha } = usePatientSelection();
+  const [validationIssues, setValidationIssues] = useState([]);
+
+  /* practitioner (global, referring) */
+  const [selectedPractitionerIdx, setSelectedPractitionerIdx] = useState(0);
+
+  /* composition meta */
+  const [status, setStatus] = useState("final");
+  const [title, setTitle] = useState("Referral Letter");
+  const [dateTimeLocal, setDateTimeLocal] = useState(nowLocalDatetimeInput);
+
+  /* referral details */
+  const [referredToName, setReferredToName] = useState("");
+  const [referredToSpecialty, setReferredToSpecialty] = useState("");
+  const [referredToLicense, setReferredToLicense] = useState("");
+  const [referredToOrg, setReferredToOrg] = useState("");
+  const [referredToFacilityId, setReferredToFacilityId] = useState("");
+  const [reason, setReason] = useState("");
+  const [priority, setPriority] = useState("routine");
+  const [clinicalNotes, setClinicalNotes] = useState("");
+
+  /* Supporting document uploads (each can be included / excluded) */
+  const fileInputRef = useRef(null);
+  const [files, setFiles] = useState([]); // { file: File, include: boolean, details: { description, category, language } }[]
+
+  const intake = useIntake();
+  async function onFilesPicked(e) {
+    const picked = Array.from(e.target.files || []);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    const list = await intake.run(picked, files.reduce((sum, f) => sum + f.file.size, 0));
+    setFiles(prev => [...prev, ...list.map(file => ({ file, include: true, details: NO_DETAILS }))]);
+  }
+
+  function toggleFileAtIndex(i) {
+    setFiles(prev => prev.map((f, idx) => (idx === i ? { ...f, include: !f.include } : f)));
+  }
+
+  function setFileDetailsAt(i, details) {
+    setFiles(prev => prev.map((f, idx) => (idx === i ? { ...f, details } : f)));
+  }
+
+  function removeFileAtIndex(i) {
+    setFiles(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  /* output */
+  const [jsonOut, setJsonOut] = useState("");
+
+  /* autosaved drafts */
+  const drafts = useDrafts(
+    "referral",
+    { selectedPractitionerIdx, status, title, dateTimeLocal, referredToName, referredToSpecialty, referredToLicense, referredToOrg, referredToFacilityId, reason, priority, clinicalNotes, files },
+    d => {
+      setSelectedPractitionerIdx(d.selectedPractitionerIdx);
+      setStatus(d.status);
+      setTitle(d.title);
+      setDateTimeLocal(d.dateTimeLocal);
+      setReferredToName(d.referredToName);
+      setReferredToSpecialty(d.referredToSpecialty);
+      setReferredToLicense(d.referredToLicense);
+      setReferredToOrg(d.referredToOrg);
+      setReferredToFacilityId(d.referredToFacilityId);
+      setReason(d.reason);
+      setPriority(d.priority);
+      setClinicalNotes(d.clinicalNotes);
+      setFiles(d.files || []);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+      setValidationIssues([]);
+    }
+  );
+
+  /* Validation before generating */
+  function validateBeforeBuild() {
+    const errors = [];
+    if (!selectedPatient) errors.push("Select a patient (required).");
+    if (!status) errors.push("Status is required.");
+    if (!title || !title.trim()) errors.push("Title is required.");
+    errors.push(...referralErrors({ referredToName, referredToOrg, reason }));
+    return errors;
+  }
+
+  /* ---------------------- Build FHIR Bundle (async) ------------------------ */
+  async function onBuildBundle() {
+    const errors = validateBeforeBuild();
+    if (errors.length) {
+      alert("Please fix:\n" + errors.join("\n"));
+      return;
+    }
+
+    const authoredOn = localDatetimeToISOWithOffset(dateTimeLocal);
+    const supporting = files.filter(f => f.include);
+
+    // ids
+    const compId = uuidv4();
+    const patientId = uuidv4();
+    const practitionerId = uuidv4();
+    const serviceRequestId = uuidv4();
+    const docBinaryIds = supporting.map(() => uuidv4());
+    const docRefIds = supporting.map(() => uuidv4());
+
+    const referring = PRACTITIONERS[selectedPractitionerIdx] || PRACTITIONERS[0];
+
+    // Build DocumentReference + Binary resources from the ticked uploads
+    async function buildDocAndBinaryResources() {
+      const binaries = [];
+      const docRefs = [];
+
+      for (let i = 0; i < supporting.length; i++) {
+        const { file: f, details } = supporting[i];
+        const contentType = f.type || "application/pdf";
+        const dataB64 = await fileToBase64NoPrefix(f);
+        const title = f.name || "document.pdf";
+
+        const { binary, docRef } = buildDocumentAttachment({
+          docRefId: docRefIds[i],
+          binaryId: docBinaryIds[i],
+          patientId,
+          authorId: practitionerId,
+          type: { coding: [SNOMED_REFERRAL], text: "Referral supporting document" },
+          title,
+          contentType,
+          data: dataB64,
+          date: authoredOn,
+          creation: isoWithLocalOffsetFromDate(new Date(f.lastModified || Date.now())),
+          ...detailsParams(details),
+        });
+        binaries.push(binary);
+        docRefs.push(docRef);
+      }
+
+      return { binaries, docRefs };
+    }
+
+    function buildServiceRequestResource(docRefsArr, performer) {
+      const referralTo = referredToSpecialty ? `Referral to ${referredToSpecialty}` : "Referral";
+
+      return {
+        resourceType: "ServiceRequest",
+        id: serviceRequestId,
+        language: DEFAULT_LANGUAGE,
+        meta: ndhmMeta("ServiceRequest"),
+        text: buildNarrative("ServiceRequest", xhtml`<p>${referralTo} (${priority})</p><p>Reason: ${reason}</p>`),
+        status: "active",
+        intent: "order",
+        priority,
+        category: [{ coding: [SNOMED_REFERRAL], text: SNOMED_REFERRAL.display }],
+        code: { text: referralTo },
+        subject: ref(patientId),
+        authoredOn,
+        requester: ref(practitionerId, referring.name),
+        performer: performer.length ? performer : undefined,
+        reasonCode: [{ text: reason.trim() }],
+        supportingInfo: docRefsArr.length ? docRefsArr.map(dr => ref(dr.id)) : undefined,
+        note: clinicalNotes.trim() ? [{ text: clinicalNotes.trim() }] : undefined,
+      };
+    }
+
+    function buildCompositionResource(serviceRequest, docRefsArr) {
+      return buildComposition({
+        id: compId,
+        profile: "http://hl7.org/fhir/StructureDefinition/Composition",
+        type: { coding: [SNOMED_REFERRAL], text: SNOMED_REFERRAL.display },
+        title,
+        status,
+        patientId,
+        date: authoredOn,
+        authorId: practitionerId,
+        authorDisplay: referring.name,
+        narrative: xhtml`<p>${title}</p><p>Referred by: ${referring.name}</p><p>Referred to: ${[referredToName, referredToOrg].filter(Boolean).join(", ")}</p>`,
+        section: [
+          {
+            title: "Referral",
+            code: { coding: [SNOMED_REFERRAL], text: SNOMED_REFERRAL.display },
+            entry: [serviceRequest, ...docRefsArr].map(entryRef),
+          },
+        ],
+      });
+    }
+
+    // Build resources
+    const patientRes = buildPatient({ id: patientId, patient: selectedPatient, abhaAddress: selectedAbha });
+    const practitionerRes = buildPractitioner({
+      id: practitionerId,
+      name: referring.name,
+      license: referring.registration?.value,
+      qualification: referring.qualification,
+      phone: referring.phone,
+      email: referring.email,
+    });
+    const targets = buildReferralTargets({
+      name: referredToName,
+      license: referredToLicense,
+      specialty: referredToSpecialty,
+      orgName: referredToOrg,
+      facilityId: referredToFacilityId,
+    });
+    const { binaries, docRefs } = await buildDocAndBinaryResources();
+    const serviceRequestRes = buildServiceRequestResource(docRefs, targets.performer);
+    const compositionRes = buildCompositionResource(serviceRequestRes, docRefs);
+
+    const bundle = await hashAttachments(buildDocumentBundle({
+      idPrefix: "ReferralBundle",
+      composition: compositionRes,
+      resources: [patientRes, practitionerRes, ...targets.resources, serviceRequestRes, ...docRefs, ...binaries],
+    }));
+
+    setValidationIssues(validateBundle(bundle));
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+    setJsonOut(JSON.stringify(signed, null, 2));
+    alert("Bundle generated. Copy the JSON below to validate.");
+  }
+
+  /* ------------------------------- UI ------------------------------------- */
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Referral Letter — Builder</h2>
+      <DraftsPanel drafts={drafts} />
+
+      {/* 1. Patient */}
+      <PatientCard issues={issuesByField(validationIssues)} />
+
+      {/* Practitioner */}
+      <div className="card mb-3">
+        <div className="card-header">2. Referring Practitioner (Author) <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-6">
+              <label className="form-label">Select Practitioner</label>
+              <select className="form-select" value={selectedPractitionerIdx} onChange={e => setSelectedPractitionerIdx(Number(e.target.value))}>
+                {PRACTITIONERS.map((p, i) => <option key={p.id} value={i}>{p.name} ({p.qualification})</option>)}
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Practitioner (read only)</label>
+              <input className="form-control" readOnly value={PRACTITIONERS[selectedPractitionerIdx]?.name || ""} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Composition metadata */}
+      <div className="card mb-3">
+        <div className="card-header">3. Composition Metadata</div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-3">
+              <label className="form-label">Status</label>
+              <select className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                <option value="preliminary">preliminary</option>
+                <option value="final">final</option>
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Title</label>
+              <input className="form-control" value={title} onChange={e => setTitle(e.target.value)} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Date/Time</label>
+              <input type="datetime-local" className="form-control" value={dateTimeLocal} onChange={e => setDateTimeLocal(e.target.value)} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Referral */}
+      <div className="card mb-3">
+        <div className="card-header">4. Referral (ServiceRequest) <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-4">
+              <label className="form-label">Referred to (practitioner)</label>
+              <input className="form-control" value={referredToName} onChange={e => setReferredToName(e.target.value)} placeholder="e.g. Dr. C. Iyer" />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Specialty</label>
+              <input className="form-control" value={referredToSpecialty} onChange={e => setReferredToSpecialty(e.target.value)} placeholder="e.g. Cardiology" />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Referred to (organization)</label>
+              <input className="form-control" value={referredToOrg} onChange={e => setReferredToOrg(e.target.value)} placeholder="e.g. City Heart Hospital" />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Practitioner license / registration no.</label>
+              <input className="form-control" value={referredToLicense} onChange={e => setReferredToLicense(e.target.value)} placeholder="e.g. NMC-789" />
+            </div>
+            <div className="col-md-4 offset-md-4">
+              <label className="form-label">Facility ID (HFR)</label>
+              <input className="form-control" value={referredToFacilityId} onChange={e => setReferredToFacilityId(e.target.value)} placeholder="e.g. IN2710001234" />
+            </div>
+            <div className="col-12 form-text mt-1">Without a license number / facility ID the name is sent as text only, not as a Practitioner / Organization resource.</div>
+            <div className="col-md-9">
+              <label className="form-label">Reason for referral</label>
+              <input className="form-control" value={reason} onChange={e => setReason(e.target.value)} placeholder="e.g. Evaluation of exertional chest pain" />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Urgency</label>
+              <select className="form-select" value={priority} onChange={e => setPriority(e.target.value)}>
+                {PRIORITIES.map(p => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </div>
+            <div className="col-12">
+              <label className="form-label">Clinical notes (optional)</label>
+              <textarea className="form-control" rows={3} value={clinicalNotes} onChange={e => setClinicalNotes(e.target.value)} placeholder="History, findings and treatment so far" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Supporting documents */}
+      <div className="card mb-3">
+        <div className="card-header">5. Supporting Documents (optional) — DocumentReference + Binary</div>
+        <div className="card-body">
+          <div className="mb-2">
+            <label className="form-label">Upload PDF / JPG / PNG / HEIC (multiple)</label>
+            <input ref={fileInputRef} type="file" accept={INTAKE_ACCEPT} multiple onChange={onFilesPicked} />
+            <IntakeFeedback intake={intake} />
+          </div>
+          {files.length === 0 ? <div className="text-muted">No files selected — the referral will be sent without supporting documents.</div> : (
+            <ul className="list-group">
+              {files.map((f, i) => (
+                <li key={i} className="list-group-item">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <div className="form-check">
+                      <input className="form-check-input" type="checkbox" id={`ref-doc-${i}`} checked={f.include} onChange={() => toggleFileAtIndex(i)} />
+                      <label className="form-check-label" htmlFor={`ref-doc-${i}`}>{f.file.name}</label>
+                    </div>
+                    <button className="btn btn-sm btn-danger" onClick={() => removeFileAtIndex(i)}>Remove</button>
+                  </div>
+                  {f.include && <DocumentDetails details={f.details} onChange={d => setFileDetailsAt(i, d)} />}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <ValidationSummary issues={validationIssues} />
+
+      {/* Actions */}
+      <div className="mb-4">
+        <button className="btn btn-primary" onClick={onBuildBundle}>Generate Referral Bundle</button>
+      </div>
+
+      {/* Output */}
+      <div className="card mb-5">
+        <div className="card-header">Output JSON (Bundle)</div>
+        <div className="card-body">
+          <textarea className="form-control" rows={18} value={jsonOut} onChange={e => setJsonOut(e.target.value)} />
+          <div className="mt-2 text-muted">Copy JSON and validate with your FHIR validator (Inferno / other).</div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { buildReferralTargets, referralErrors } from "./referral-record";
+import { validateBundle } from "./ndhm-validator";
+import { buildPatient, buildComposition, buildDocumentBundle } from "./fhir-builders";
+
+test("referred-to practitioner and organization become resources when their identifiers are known", () => {
+  const { resources, performer } = buildReferralTargets({ name: " Dr. C. Iyer ", license: "NMC-789", specialty: "Cardiology", orgName: "City Heart Hospital", facilityId: "IN2710001234" });
+  const [practitioner, organization] = resources;
+  expect(practitioner).toMatchObject({ resourceType: "Practitioner", name: [{ text: "Dr. C. Iyer" }], qualification: [{ code: { text: "Cardiology" } }] });
+  expect(practitioner.identifier[0].value).toBe("NMC-789");
+  expect(organization).toMatchObject({ resourceType: "Organization", name: "City Heart Hospital" });
+  expect(organization.identifier[0].value).toBe("IN2710001234");
+  expect(performer).toEqual([
+    { reference: `urn:uuid:${practitioner.id}`, display: "Dr. C. Iyer" },
+    { reference: `urn:uuid:${organization.id}`, display: "City Heart Hospital" },
+  ]);
+
+  const patient = buildPatient({ id: "p1", patient: { name: "Asha Devi", gender: "female", dob: "05-03-1990" } });
+  const composition = buildComposition({
+    id: "c1", profile: "HealthDocumentRecord", type: { text: "Referral" }, title: "Referral", patientId: "p1",
+    date: "2024-05-01T10:00:00+05:30", authorId: practitioner.id, section: [{ title: "Referral", entry: resources.map(r => ({ reference: `urn:uuid:${r.id}` })) }],
+  });
+  const issues = validateBundle(buildDocumentBundle({ idPrefix: "Test", composition, resources: [patient, ...resources] }));
+  expect(issues.filter(i => /identifier/.test(i.message))).toEqual([]);
+});
+
+test("without an identifier only the name is kept, as performer display", () => {
+  expect(buildReferralTargets({ name: "Dr. C. Iyer", orgName: "City Heart Hospital", facilityId: " " })).toEqual({
+    resources: [],
+    performer: [{ display: "Dr. C. Iyer" }, { display: "City Heart Hospital" }],
+  });
+  expect(buildReferralTargets({})).toEqual({ resources: [], performer: [] });
+});
+
+test("a referral needs someone to refer to and a reason", () => {
+  expect(referralErrors({ referredToName: " ", referredToOrg: "", reason: "" })).toEqual([
+    "Enter the practitioner and/or organization the patient is referred to.",
+    "Reason for referral is required.",
+  ]);
+  expect(referralErrors({ referredToName: "", referredToOrg: "City Heart Hospital", reason: "Chest pain on exertion" })).toEqual([]);
+});
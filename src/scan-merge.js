@@ -0,0 +1,120 @@
+// src/scan-merge.js
+import React, { useEffect, useRef, useState } from "react";
+import { imagesToPdf } from "./image-pdf";
+import IntakeFeedback, { useIntake } from "./intake-feedback";
+
+/*
+  "Scanned pages" panel: photos of a multi-page report combined into one PDF (image-pdf.js)
+  - Pick several images, or take them one at a time with the camera (capture on mobile);
+    each goes through attachment intake (HEIC converted, large photos downscaled)
+  - Pages can be reordered, rotated in 90° steps and removed before combining
+  - onMerged(file) receives the PDF and resolves to true when the builder attached it;
+    the pages are then cleared
+*/
+const IMAGE_ACCEPT = ".jpg,.jpeg,.png,.heic,.heif,image/jpeg,image/png,image/heic,image/heif";
+
+let nextPageId = 1;
+
+function pdfName(name) {
+  const base = name.trim().replace(/\.pdf$/i, "") || `scan-${new Date().toISOString().slice(0, 10)}`;
+  return `${base}.pdf`;
+}
+
+export default function ScanMerge({ onMerged, usedBytes = 0 }) {
+  const [pages, setPages] = useState([]); // { id, file, url, rotation }[]
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const intake = useIntake();
+
+  // thumbnail object URLs are released when the panel goes away
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+  useEffect(() => () => pagesRef.current.forEach(p => URL.revokeObjectURL(p.url)), []);
+
+  async function onPicked(e) {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = "";
+    setError("");
+    const accepted = await intake.run(picked, usedBytes + pages.reduce((sum, p) => sum + p.file.size, 0));
+    const images = accepted.filter(f => f.type.startsWith("image/"));
+    if (images.length < accepted.length) setError("PDF files cannot be added as pages; attach them as documents instead.");
+    setPages(prev => [...prev, ...images.map(file => ({ id: nextPageId++, file, url: URL.createObjectURL(file), rotation: 0 }))]);
+  }
+
+  function move(i, delta) {
+    setPages(prev => {
+      const next = [...prev];
+      [next[i], next[i + delta]] = [next[i + delta], next[i]];
+      return next;
+    });
+  }
+
+  function rotate(i) {
+    setPages(prev => prev.map((p, idx) => (idx === i ? { ...p, rotation: (p.rotation + 90) % 360 } : p)));
+  }
+
+  function remove(i) {
+    URL.revokeObjectURL(pages[i].url);
+    setPages(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  async function combine() {
+    setBusy(true);
+    setError("");
+    try {
+      const pdf = await imagesToPdf(pages, { name: pdfName(name) });
+      if (await onMerged(pdf)) {
+        pages.forEach(p => URL.revokeObjectURL(p.url));
+        setPages([]);
+        setName("");
+        intake.clear();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="border rounded p-2 mt-3">
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <strong className="me-auto">Scanned pages → one PDF</strong>
+        <label className="btn btn-sm btn-outline-secondary mb-0">
+          Add images
+          <input type="file" accept={IMAGE_ACCEPT} multiple hidden onChange={onPicked} />
+        </label>
+        <label className="btn btn-sm btn-outline-secondary mb-0">
+          Take photo
+          <input type="file" accept="image/*" capture="environment" hidden onChange={onPicked} />
+        </label>
+      </div>
+      <IntakeFeedback intake={intake} />
+      {error && <div className="small text-danger mt-1">{error}</div>}
+
+      {pages.length > 0 && (
+        <>
+          <ol className="list-group list-group-numbered mt-2">
+            {pages.map((p, i) => (
+              <li key={p.id} className="list-group-item d-flex align-items-center gap-2">
+                <img src={p.url} alt={`Page ${i + 1}`} style={{ width: 48, height: 48, objectFit: "contain", transform: `rotate(${p.rotation}deg)` }} />
+                <span className="me-auto small">{p.file.name}</span>
+                <button className="btn btn-sm btn-outline-secondary" disabled={i === 0} onClick={() => move(i, -1)} title="Move up">↑</button>
+                <button className="btn btn-sm btn-outline-secondary" disabled={i === pages.length - 1} onClick={() => move(i, 1)} title="Move down">↓</button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => rotate(i)} title="Rotate 90° clockwise">⟳</button>
+                <button className="btn btn-sm btn-danger" onClick={() => remove(i)}>Remove</button>
+              </li>
+            ))}
+          </ol>
+          <div className="d-flex gap-2 mt-2">
+            <input className="form-control form-control-sm" placeholder={pdfName("")} value={name} onChange={e => setName(e.target.value)} />
+            <button className="btn btn-sm btn-primary text-nowrap" disabled={busy} onClick={combine}>
+              {busy ? "Combining…" : `Combine ${pages.length} page${pages.length > 1 ? "s" : ""} into PDF`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// src/signing-key.js
+import React, { useState } from "react";
+import {
+  generateSigningKey,
+  keyRecordFromJwk,
+  exportKeyRecord,
+  loadStoredKey,
+  storeKey,
+  verifyBundle,
+} from "./bundle-signature";
+
+/*
+  Practitioner signing key + signature check
+  - Generate / import / export / remove the key kept in this browser; every builder signs
+    its Bundle with it (bundle-signature.js) when one is present
+  - Verify: paste or load a received Bundle, optionally with the author's public key
+*/
+
+function download(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function SigningKeyPage() {
+  const [keyRecord, setKeyRecord] = useState(loadStoredKey);
+  const [keyError, setKeyError] = useState("");
+  const [bundleText, setBundleText] = useState("");
+  const [publicKeyText, setPublicKeyText] = useState("");
+  const [result, setResult] = useState(null);
+
+  function save(record) {
+    storeKey(record);
+    setKeyRecord(record);
+    setKeyError("");
+  }
+
+  async function onGenerate() {
+    if (keyRecord && !window.confirm("Replace the current signing key? Bundles signed with it can still be verified with its public key.")) return;
+    try {
+      save(await generateSigningKey());
+    } catch (e) {
+      setKeyError(e.message);
+    }
+  }
+
+  async function onImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      save(await keyRecordFromJwk(await file.text()));
+    } catch (err) {
+      setKeyError(`Import failed: ${err.message}`);
+    }
+  }
+
+  function onRemove() {
+    if (!window.confirm("Remove the signing key from this browser? Export it first if you need it again.")) return;
+    save(null);
+  }
+
+  async function readFileInto(e, setter) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) setter(await file.text());
+  }
+
+  async function onVerify() {
+    setResult(null);
+    try {
+      const bundle = JSON.parse(bundleText);
+      const publicJwk = publicKeyText.trim() ? JSON.parse(publicKeyText) : undefined;
+      setResult(await verifyBundle(bundle, publicJwk));
+    } catch (e) {
+      setResult({ valid: false, reason: `Could not read input: ${e.message}` });
+    }
+  }
+
+  return (
+    <div className="container py-4">
+      <h2 className="mb-3">Signing Key</h2>
+
+      <div className="card mb-3">
+        <div className="card-header">1. Author key (this browser)</div>
+        <div className="card-body">
+          {keyRecord ? (
+            <p className="mb-2">
+              Key id <code>{keyRecord.kid}</code>
+              <span className="text-muted"> — created {new Date(keyRecord.createdAt).toLocaleString()}</span>
+              <br />
+              <span className="small text-muted">Bundles from every builder are signed (ES256, detached JWS) with this key.</span>
+            </p>
+          ) : (
+            <p className="mb-2 text-muted">No key. Bundles are submitted unsigned until you generate or import one.</p>
+          )}
+          <div className="d-flex flex-wrap gap-2">
+            <button className="btn btn-primary" onClick={onGenerate}>Generate key</button>
+            <label className="btn btn-outline-secondary mb-0">
+              Import key (JWK)
+              <input type="file" accept=".json,.jwk,application/json" hidden onChange={onImport} />
+            </label>
+            <button className="btn btn-outline-secondary" disabled={!keyRecord} onClick={() => download(`signing-key-${keyRecord.kid}.json`, exportKeyRecord(keyRecord))}>
+              Export key
+            </button>
+            <button className="btn btn-outline-secondary" disabled={!keyRecord} onClick={() => download(`public-key-${keyRecord.kid}.json`, exportKeyRecord(keyRecord, { includePrivate: false }))}>
+              Export public key
+            </button>
+            <button className="btn btn-outline-danger" disabled={!keyRecord} onClick={onRemove}>Remove</button>
+          </div>
+          {keyError && <div className="text-danger small mt-2">{keyError}</div>}
+        </div>
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header">2. Verify a signed Bundle</div>
+        <div className="card-body">
+          <label className="form-label" htmlFor="verify-bundle">Bundle JSON</label>
+          <input type="file" accept=".json,application/json" className="form-control mb-2" onChange={e => readFileInto(e, setBundleText)} />
+          <textarea id="verify-bundle" className="form-control mb-3" rows={8} value={bundleText} onChange={e => setBundleText(e.target.value)} />
+
+          <label className="form-label" htmlFor="verify-key">Author public key (JWK, optional)</label>
+          <textarea id="verify-key" className="form-control" rows={3} value={publicKeyText} onChange={e => setPublicKeyText(e.target.value)} />
+          <div className="form-text mb-3">Without it the key embedded in the signature is used: that shows the Bundle was not altered, not who signed it.</div>
+
+          <button className="btn btn-primary" disabled={!bundleText.trim()} onClick={onVerify}>Verify</button>
+
+          {result && (
+            <div className={`alert mt-3 mb-0 ${result.valid ? (result.trustedKey ? "alert-success" : "alert-warning") : "alert-danger"}`}>
+              <strong>{result.valid ? "Valid signature" : "Invalid signature"}:</strong> {result.reason}
+              {result.valid && !result.trustedKey && " (checked with the embedded key only)"}
+              {result.who && <div className="small">Signer: <code>{result.who}</code>{result.kid && <> — key id <code>{result.kid}</code></>}</div>}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// src/submission-history.js
+/*
+  Local history of submitted bundles (local-db.js, "submissions" store)
+  - One entry per submitBundle() call (outbox.js), kept after the outbox item is removed
+  - Entry: { id, recordType, label, patientKey, patientName, compositionId, environment,
+    url, payload, status, response, error, revision, outboxId?, submittedAt, updatedAt, sentAt? }
+    payload is the exact JSON that was (or will be) POSTed: { bundle, patient }
+    status follows the submission: sent | pending | failed | cancelled
+    revision: null, or { kind: "amendment" | "retraction", of: <entry id> } (document-revision.js)
+  - Best effort: without IndexedDB nothing is recorded and the list is empty
+*/
+import { uuidv4 } from "./fhir-builders";
+import { isLocalDbAvailable, dbGet, dbGetAll, dbPut, dbDelete } from "./local-db";
+
+const STORE = "submissions";
+
+const listeners = new Set();
+
+/* fn() is called after every history change; returns the unsubscribe function */
+export function subscribeHistory(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function notify() {
+  listeners.forEach(fn => fn());
+}
+
+/* Composition.id of a document bundle (first entry) */
+export function compositionIdOf(bundle) {
+  const first = bundle?.entry?.[0]?.resource;
+  return first?.resourceType === "Composition" ? first.id || "" : "";
+}
+
+/*
+  Add an entry; returns it, or null when it could not be stored
+  @param {{ recordType, label, patientKey, patientName, environment, url, payload, status, response?, error?, outboxId? }} entry
+*/
+export async function recordSubmission(entry) {
+  if (!isLocalDbAvailable()) return null;
+  const now = new Date().toISOString();
+  const stored = {
+    id: uuidv4(),
+    compositionId: compositionIdOf(entry.payload?.bundle),
+    response: null,
+    error: null,
+    ...entry,
+    submittedAt: now,
+    updatedAt: now,
+    ...(entry.status === "sent" ? { sentAt: now } : {}),
+  };
+  try {
+    await dbPut(STORE, stored);
+    notify();
+    return stored;
+  } catch (e) {
+    console.warn("Submission history unavailable:", e);
+    return null;
+  }
+}
+
+/* Merge a status change (from the outbox) into an entry */
+export async function updateSubmission(id, patch) {
+  if (!id || !isLocalDbAvailable()) return;
+  try {
+    const entry = await dbGet(STORE, id);
+    if (!entry) return;
+    await dbPut(STORE, { ...entry, ...patch, updatedAt: new Date().toISOString() });
+    notify();
+  } catch (e) {
+    console.warn("Submission history unavailable:", e);
+  }
+}
+
+/* Newest first; only one patient's entries when patientKey is given */
+export async function listSubmissions(patientKey) {
+  if (!isLocalDbAvailable()) return [];
+  const entries = patientKey ? await dbGetAll(STORE, "patientKey", patientKey) : await dbGetAll(STORE);
+  return entries.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+}
+
+export async function deleteSubmission(id) {
+  await dbDelete(STORE, id);
+  notify();
+}
@@ -0,0 +1,67 @@
+// src/term-picker.js
+import React, { useId, useState } from "react";
+import { VALUE_SETS, searchTerms } from "./terminology";
+
+/*
+  Typeahead input for a coded field, backed by the local terminology subset (terminology.js)
+  - Typing keeps free text (term = null); picking a suggestion sets the text to its display
+    and returns the term ({ system, code, display, ... })
+  - Arrow keys / Enter pick, Escape closes
+  - The picked code is shown under the input so users can see the field is coded
+  @param {{ valueSet, value, term, onChange(text, term), placeholder?, className? }} props
+*/
+export default function TermPicker({ valueSet, value, term, onChange, placeholder, className = "" }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const listId = useId();
+  const matches = open ? searchTerms(valueSet, value, 8) : [];
+
+  function pick(t) {
+    onChange(t.display, t);
+    setOpen(false);
+  }
+
+  function onKeyDown(e) {
+    if (!matches.length) return;
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive(a => Math.min(a + 1, matches.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive(a => Math.max(a - 1, 0)); }
+    else if (e.key === "Enter") { e.preventDefault(); pick(matches[active] || matches[0]); }
+    else if (e.key === "Escape") setOpen(false);
+  }
+
+  const systemLabel = term?.system?.includes("loinc") ? "LOINC" : "SNOMED";
+
+  return (
+    <div className={`position-relative ${className}`}>
+      <input
+        className="form-control"
+        value={value || ""}
+        placeholder={placeholder || `Search ${VALUE_SETS[valueSet]?.title.toLowerCase() || "terms"}`}
+        role="combobox"
+        aria-controls={listId}
+        aria-expanded={matches.length > 0 ? "true" : "false"}
+        aria-autocomplete="list"
+        onChange={e => { onChange(e.target.value, null); setOpen(true); setActive(0); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={onKeyDown}
+      />
+      {matches.length > 0 && (
+        <ul id={listId} className="dropdown-menu show w-100" role="listbox" style={{ maxHeight: 260, overflowY: "auto" }}>
+          {matches.map((t, i) => (
+            <li key={t.code} role="option" aria-selected={i === active}>
+              <button
+                type="button"
+                className={`dropdown-item text-wrap${i === active ? " active" : ""}`}
+                onMouseDown={e => { e.preventDefault(); pick(t); }}
+              >
+                {t.display} <small className={i === active ? "" : "text-muted"}>{t.code}</small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {term?.code && <div className="form-text">{systemLabel} {term.code}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,289 @@
+// src/terminology.js
+/*
+  Local terminology subset for coded fields (works offline, no terminology server)
+  - Value sets: vaccines, lab tests, conditions, medications, body sites (SNOMED CT / LOINC),
+    plus the observation and lifestyle codes used by the wellness record
+  - A small snapshot of the NDHM value sets, not the full code systems; anything not listed
+    can still be entered as free text (CodeableConcept.text only)
+  - searchTerms() ranks matches for the typeahead (term-picker.js); toCodeableConcept() /
+    toCoding() turn a picked term into FHIR
+*/
+
+export const SNOMED = "http://snomed.info/sct";
+export const LOINC = "http://loinc.org";
+
+/*
+  Value set shape: { title, system, concepts: [{ code, display, synonyms?, ...extra }] }
+  A concept may carry its own `system` (mixed value sets) and extra hints such as
+  `unit` (UCUM, lab tests) or `dicom` (DICOM BodyPartExamined, body sites)
+*/
+export const VALUE_SETS = {
+  vaccines: {
+    title: "Vaccines",
+    system: SNOMED,
+    concepts: [
+      { code: "836402002", display: "Bacillus Calmette-Guerin vaccine", synonyms: ["BCG"] },
+      { code: "836374004", display: "Hepatitis B virus antigen-containing vaccine", synonyms: ["Hep B", "HepB"] },
+      { code: "836375003", display: "Hepatitis A virus antigen-containing vaccine", synonyms: ["Hep A", "HepA"] },
+      { code: "111164008", display: "Poliovirus vaccine", synonyms: ["OPV", "IPV", "Polio"] },
+      { code: "836380007", display: "Haemophilus influenzae type b antigen-containing vaccine", synonyms: ["Hib"] },
+      { code: "836381006", display: "Corynebacterium diphtheriae antigen-containing vaccine", synonyms: ["Diphtheria"] },
+      { code: "836398007", display: "Clostridium tetani antigen-containing vaccine", synonyms: ["Tetanus", "TT"] },
+      { code: "836382004", display: "Measles virus antigen-containing vaccine", synonyms: ["Measles", "MR", "MMR"] },
+      { code: "836388001", display: "Rubella virus antigen-containing vaccine", synonyms: ["Rubella"] },
+      { code: "836387005", display: "Rotavirus antigen-containing vaccine", synonyms: ["Rotavirus", "RVV"] },
+      { code: "836377006", display: "Influenza virus antigen-containing vaccine", synonyms: ["Flu"] },
+      { code: "836378001", display: "Japanese encephalitis virus antigen-containing vaccine", synonyms: ["JE"] },
+      { code: "836379009", display: "Human papillomavirus antigen-containing vaccine", synonyms: ["HPV"] },
+      { code: "836390000", display: "Rabies virus antigen-containing vaccine", synonyms: ["Rabies", "ARV"] },
+      { code: "836393003", display: "Salmonella enterica subspecies enterica serovar Typhi antigen-containing vaccine", synonyms: ["Typhoid", "TCV"] },
+      { code: "836495005", display: "Human alphaherpesvirus 3 antigen-containing vaccine", synonyms: ["Varicella", "Chickenpox"] },
+      { code: "836385002", display: "Yellow fever virus antigen-containing vaccine", synonyms: ["Yellow fever"] },
+      { code: "1119305005", display: "SARS-CoV-2 antigen vaccine", synonyms: ["COVID-19", "Covishield", "Covaxin"] },
+      { code: "1119349007", display: "SARS-CoV-2 mRNA vaccine", synonyms: ["COVID-19 mRNA"] },
+    ],
+  },
+
+  labTests: {
+    title: "Lab tests",
+    system: LOINC,
+    concepts: [
+      { code: "58410-2", display: "CBC panel - Blood by Automated count", synonyms: ["Complete blood count"] },
+      { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood", synonyms: ["Hb"], unit: "g/dL" },
+      { code: "4544-3", display: "Hematocrit [Volume Fraction] of Blood by Automated count", synonyms: ["PCV", "Hct"], unit: "%" },
+      { code: "789-8", display: "Erythrocytes [#/volume] in Blood by Automated count", synonyms: ["RBC count"], unit: "10*6/uL" },
+      { code: "6690-2", display: "Leukocytes [#/volume] in Blood by Automated count", synonyms: ["WBC count", "TLC"], unit: "10*3/uL" },
+      { code: "777-3", display: "Platelets [#/volume] in Blood by Automated count", synonyms: ["Platelet count"], unit: "10*3/uL" },
+      { code: "787-2", display: "MCV [Entitic volume] by Automated count", synonyms: ["MCV"], unit: "fL" },
+      { code: "785-6", display: "MCH [Entitic mass] by Automated count", synonyms: ["MCH"], unit: "pg" },
+      { code: "786-4", display: "MCHC [Mass/volume] by Automated count", synonyms: ["MCHC"], unit: "g/dL" },
+      { code: "57698-3", display: "Lipid panel with direct LDL - Serum or Plasma", synonyms: ["Lipid profile"] },
+      { code: "2093-3", display: "Cholesterol [Mass/volume] in Serum or Plasma", synonyms: ["Total cholesterol"], unit: "mg/dL" },
+      { code: "2571-8", display: "Triglyceride [Mass/volume] in Serum or Plasma", synonyms: ["TG"], unit: "mg/dL" },
+      { code: "2085-9", display: "Cholesterol in HDL [Mass/volume] in Serum or Plasma", synonyms: ["HDL"], unit: "mg/dL" },
+      { code: "18262-6", display: "Cholesterol in LDL [Mass/volume] in Serum or Plasma by Direct assay", synonyms: ["LDL"], unit: "mg/dL" },
+      { code: "13458-5", display: "Cholesterol in VLDL [Mass/volume] in Serum or Plasma", synonyms: ["VLDL"], unit: "mg/dL" },
+      { code: "24362-6", display: "Renal function 2000 panel - Serum or Plasma", synonyms: ["RFT", "KFT"] },
+      { code: "3091-6", display: "Urea [Mass/volume] in Serum or Plasma", synonyms: ["Urea"], unit: "mg/dL" },
+      { code: "2160-0", display: "Creatinine [Mass/volume] in Serum or Plasma", synonyms: ["Serum creatinine"], unit: "mg/dL" },
+      { code: "3084-1", display: "Urate [Mass/volume] in Serum or Plasma", synonyms: ["Uric acid"], unit: "mg/dL" },
+      { code: "2951-2", display: "Sodium [Moles/volume] in Serum or Plasma", synonyms: ["Na"], unit: "mmol/L" },
+      { code: "2823-3", display: "Potassium [Moles/volume] in Serum or Plasma", synonyms: ["K"], unit: "mmol/L" },
+      { code: "1558-6", display: "Fasting glucose [Mass/volume] in Serum or Plasma", synonyms: ["FBS", "Fasting blood sugar"], unit: "mg/dL" },
+      { code: "2345-7", display: "Glucose [Mass/volume] in Serum or Plasma", synonyms: ["RBS", "Blood sugar"], unit: "mg/dL" },
+      { code: "4548-4", display: "Hemoglobin A1c/Hemoglobin.total in Blood", synonyms: ["HbA1c"], unit: "%" },
+      { code: "1742-6", display: "Alanine aminotransferase [Enzymatic activity/volume] in Serum or Plasma", synonyms: ["ALT", "SGPT"], unit: "U/L" },
+      { code: "1920-8", display: "Aspartate aminotransferase [Enzymatic activity/volume] in Serum or Plasma", synonyms: ["AST", "SGOT"], unit: "U/L" },
+      { code: "1975-2", display: "Bilirubin.total [Mass/volume] in Serum or Plasma", synonyms: ["Total bilirubin"], unit: "mg/dL" },
+      { code: "3016-3", display: "Thyrotropin [Units/volume] in Serum or Plasma", synonyms: ["TSH"], unit: "m[IU]/L" },
+      { code: "24357-6", display: "Urinalysis macro (dipstick) panel - Urine", synonyms: ["Urine routine"] },
+    ],
+  },
+
+  conditions: {
+    title: "Conditions / findings",
+    system: SNOMED,
+    concepts: [
+      { code: "386661006", display: "Fever" },
+      { code: "49727002", display: "Cough" },
+      { code: "25064002", display: "Headache" },
+      { code: "21522001", display: "Abdominal pain" },
+      { code: "29857009", display: "Chest pain" },
+      { code: "267036007", display: "Dyspnea", synonyms: ["Breathlessness", "Shortness of breath"] },
+      { code: "62315008", display: "Diarrhea" },
+      { code: "422587007", display: "Nausea" },
+      { code: "422400008", display: "Vomiting" },
+      { code: "271807003", display: "Eruption of skin", synonyms: ["Rash"] },
+      { code: "84229001", display: "Fatigue" },
+      { code: "279039007", display: "Low back pain" },
+      { code: "38341003", display: "Hypertensive disorder", synonyms: ["Hypertension", "High blood pressure", "HTN"] },
+      { code: "44054006", display: "Diabetes mellitus type 2", synonyms: ["T2DM", "Diabetes"] },
+      { code: "46635009", display: "Diabetes mellitus type 1", synonyms: ["T1DM"] },
+      { code: "11687002", display: "Gestational diabetes mellitus", synonyms: ["GDM"] },
+      { code: "398254007", display: "Pre-eclampsia" },
+      { code: "55822004", display: "Hyperlipidemia" },
+      { code: "414916001", display: "Obesity" },
+      { code: "40930008", display: "Hypothyroidism" },
+      { code: "34486009", display: "Hyperthyroidism" },
+      { code: "271737000", display: "Anemia" },
+      { code: "87522002", display: "Iron deficiency anemia" },
+      { code: "195967001", display: "Asthma" },
+      { code: "13645005", display: "Chronic obstructive lung disease", synonyms: ["COPD"] },
+      { code: "54150009", display: "Upper respiratory infection", synonyms: ["URTI"] },
+      { code: "233604007", display: "Pneumonia" },
+      { code: "56717001", display: "Tuberculosis", synonyms: ["TB"] },
+      { code: "61462000", display: "Malaria" },
+      { code: "38362002", display: "Dengue" },
+      { code: "4834000", display: "Typhoid fever" },
+      { code: "840539006", display: "Disease caused by severe acute respiratory syndrome coronavirus 2", synonyms: ["COVID-19"] },
+      { code: "68566005", display: "Urinary tract infectious disease", synonyms: ["UTI"] },
+      { code: "235595009", display: "Gastroesophageal reflux disease", synonyms: ["GERD", "Acidity"] },
+      { code: "22298006", display: "Myocardial infarction", synonyms: ["Heart attack", "MI"] },
+      { code: "84114007", display: "Heart failure" },
+      { code: "49436004", display: "Atrial fibrillation" },
+      { code: "230690007", display: "Cerebrovascular accident", synonyms: ["Stroke", "CVA"] },
+      { code: "709044004", display: "Chronic kidney disease", synonyms: ["CKD"] },
+      { code: "84757009", display: "Epilepsy" },
+      { code: "37796009", display: "Migraine" },
+      { code: "35489007", display: "Depressive disorder", synonyms: ["Depression"] },
+      { code: "197480006", display: "Anxiety disorder" },
+      { code: "396275006", display: "Osteoarthritis" },
+      { code: "69896004", display: "Rheumatoid arthritis" },
+    ],
+  },
+
+  medications: {
+    title: "Medications",
+    system: SNOMED,
+    concepts: [
+      { code: "387517004", display: "Paracetamol", synonyms: ["Acetaminophen", "Dolo", "Crocin"] },
+      { code: "387207008", display: "Ibuprofen" },
+      { code: "387458008", display: "Aspirin" },
+      { code: "372687004", display: "Amoxicillin" },
+      { code: "387531004", display: "Azithromycin" },
+      { code: "372840008", display: "Ciprofloxacin" },
+      { code: "372478003", display: "Doxycycline" },
+      { code: "372602008", display: "Metronidazole" },
+      { code: "372567009", display: "Metformin" },
+      { code: "67866001", display: "Insulin" },
+      { code: "386864001", display: "Amlodipine" },
+      { code: "373567002", display: "Losartan" },
+      { code: "373444002", display: "Atorvastatin" },
+      { code: "395821003", display: "Pantoprazole" },
+      { code: "387137007", display: "Omeprazole" },
+      { code: "372487007", display: "Ondansetron" },
+      { code: "372523007", display: "Cetirizine" },
+      { code: "372897005", display: "Salbutamol", synonyms: ["Albuterol"] },
+      { code: "63718003", display: "Folic acid" },
+      { code: "387402000", display: "Ferrous sulfate", synonyms: ["Iron"] },
+    ],
+  },
+
+  bodySites: {
+    title: "Body sites",
+    system: SNOMED,
+    concepts: [
+      { code: "69536005", display: "Head structure", dicom: "HEAD" },
+      { code: "12738006", display: "Brain structure", dicom: "BRAIN" },
+      { code: "89546000", display: "Bone structure of cranium", synonyms: ["Skull"], dicom: "SKULL" },
+      { code: "45048000", display: "Neck structure", dicom: "NECK" },
+      { code: "51185008", display: "Thoracic structure", synonyms: ["Chest", "Thorax"], dicom: "CHEST" },
+      { code: "39607008", display: "Lung structure", dicom: "LUNG" },
+      { code: "80891009", display: "Heart structure", dicom: "HEART" },
+      { code: "76752008", display: "Breast structure", dicom: "BREAST" },
+      { code: "113345001", display: "Abdominal structure", synonyms: ["Abdomen"], dicom: "ABDOMEN" },
+      { code: "10200004", display: "Liver structure", dicom: "LIVER" },
+      { code: "64033007", display: "Kidney structure", dicom: "KIDNEY" },
+      { code: "12921003", display: "Pelvis structure", dicom: "PELVIS" },
+      { code: "421060004", display: "Spinal structure", synonyms: ["Spine"], dicom: "SPINE" },
+      { code: "122494005", display: "Cervical spine structure", dicom: "CSPINE" },
+      { code: "122495006", display: "Thoracic spine structure", dicom: "TSPINE" },
+      { code: "122496007", display: "Lumbar spine structure", dicom: "LSPINE" },
+      { code: "53120007", display: "Upper limb structure", synonyms: ["Arm"], dicom: "ARM" },
+      { code: "16982005", display: "Shoulder region structure", dicom: "SHOULDER" },
+      { code: "127949000", display: "Elbow region structure", dicom: "ELBOW" },
+      { code: "8205005", display: "Wrist region structure", dicom: "WRIST" },
+      { code: "85562004", display: "Hand structure", dicom: "HAND" },
+      { code: "61685007", display: "Lower limb structure", synonyms: ["Leg"], dicom: "LEG" },
+      { code: "29836001", display: "Hip region structure", dicom: "HIP" },
+      { code: "72696002", display: "Knee region structure", dicom: "KNEE" },
+      { code: "344001", display: "Ankle region structure", dicom: "ANKLE" },
+      { code: "56459004", display: "Foot structure", dicom: "FOOT" },
+    ],
+  },
+
+  /* Wellness observation codes (LOINC slices of the NDHM observation profiles) */
+  observations: {
+    title: "Observations",
+    system: LOINC,
+    concepts: [
+      { code: "8867-4", display: "Heart rate", unit: "/min" },
+      { code: "8480-6", display: "Systolic blood pressure", unit: "mm[Hg]" },
+      { code: "8462-4", display: "Diastolic blood pressure", unit: "mm[Hg]" },
+      { code: "8310-5", display: "Body temperature", unit: "Cel" },
+      { code: "59408-5", display: "Oxygen saturation in Arterial blood by Pulse oximetry", synonyms: ["SpO2"], unit: "%" },
+      { code: "8302-2", display: "Body height", unit: "cm" },
+      { code: "29463-7", display: "Body weight", unit: "kg" },
+      { code: "39156-5", display: "Body mass index (BMI) [Ratio]", synonyms: ["BMI"], unit: "kg/m2" },
+      { code: "68516-4", display: "On those days that you engage in moderate to strenuous exercise, how many minutes, on average, do you exercise", synonyms: ["Physical activity"] },
+      { code: "8693-4", display: "Mental status", synonyms: ["General assessment"] },
+    ],
+  },
+
+  lifestyle: {
+    title: "Lifestyle",
+    system: SNOMED,
+    concepts: [
+      { code: "229819007", display: "Tobacco use and exposure", synonyms: ["Smoking", "Tobacco"] },
+      { code: "228273003", display: "Finding relating to alcohol drinking behavior", synonyms: ["Alcohol", "Drinking"] },
+      { code: "365949003", display: "Health-related behavior finding", synonyms: ["Diet", "Exercise", "Sleep"] },
+    ],
+  },
+};
+
+function normalize(s) {
+  return String(s || "").toLowerCase().trim();
+}
+
+function withSystem(valueSet, concept) {
+  return { system: concept.system || VALUE_SETS[valueSet].system, ...concept };
+}
+
+/*
+  Typeahead search within one value set
+  Ranking: exact code, display / synonym prefix, word prefix, substring
+  @returns {Array<{ system, code, display, ... }>}
+*/
+export function searchTerms(valueSet, query, limit = 10) {
+  const vs = VALUE_SETS[valueSet];
+  if (!vs) return [];
+  const q = normalize(query);
+  if (!q) return vs.concepts.slice(0, limit).map(c => withSystem(valueSet, c));
+
+  const scored = [];
+  for (const c of vs.concepts) {
+    const names = [c.display, ...(c.synonyms || [])].map(normalize);
+    let score = 0;
+    if (normalize(c.code) === q) score = 100;
+    else if (names.some(n => n === q)) score = 90;
+    else if (names.some(n => n.startsWith(q))) score = 70;
+    else if (names.some(n => n.split(/[^a-z0-9]+/).some(w => w.startsWith(q)))) score = 50;
+    else if (names.some(n => n.includes(q))) score = 30;
+    if (score) scored.push({ score, c });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || a.c.display.length - b.c.display.length)
+    .slice(0, limit)
+    .map(({ c }) => withSystem(valueSet, c));
+}
+
+/* Concept by code, null when not in the subset */
+export function findTerm(valueSet, code) {
+  const c = VALUE_SETS[valueSet]?.concepts.find(x => x.code === code);
+  return c ? withSystem(valueSet, c) : null;
+}
+
+/* Body site for a DICOM BodyPartExamined value (CHEST, LSPINE, ...) */
+export function bodySiteForDicom(bodyPartExamined) {
+  const key = normalize(bodyPartExamined).toUpperCase().replace(/[^A-Z]/g, "");
+  const c = key && VALUE_SETS.bodySites.concepts.find(x => x.dicom === key);
+  return c ? withSystem("bodySites", c) : null;
+}
+
+/* Coding for a picked term */
+export function toCoding(term) {
+  if (!term?.code) return undefined;
+  return { system: term.system, code: term.code, display: term.display };
+}
+
+/*
+  CodeableConcept for a coded field: coding + text when a term was picked,
+  text only for free text, undefined when both are empty
+  @param {object|null} term  picked term (searchTerms / findTerm)
+  @param {string} [text]     what the user typed / sees; defaults to the term display
+*/
+export function toCodeableConcept(term, text) {
+  const t = String(text || "").trim();
+  if (term?.code) return { coding: [toCoding(term)], text: t || term.display };
+  return t ? { text: t } : undefined;
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { VALUE_SETS, searchTerms, findTerm, bodySiteForDicom, toCodeableConcept, toCoding, SNOMED, LOINC } from "./terminology";
+import TermPicker from "./term-picker";
+
+test("every concept has a code and display, codes are unique per value set", () => {
+  for (const [key, vs] of Object.entries(VALUE_SETS)) {
+    const codes = vs.concepts.map(c => c.code);
+    expect(new Set(codes).size).toBe(codes.length);
+    vs.concepts.forEach(c => expect(c.display).toBeTruthy());
+    expect([SNOMED, LOINC]).toContain(vs.system);
+    expect(key).toBeTruthy();
+  }
+});
+
+test("search ranks synonyms and prefixes, and matches codes", () => {
+  expect(searchTerms("vaccines", "bcg")[0].code).toBe("836402002");
+  expect(searchTerms("conditions", "htn")[0]).toMatchObject({ system: SNOMED, code: "38341003" });
+  expect(searchTerms("labTests", "hba1c")[0].code).toBe("4548-4");
+  expect(searchTerms("labTests", "718-7")[0].display).toMatch(/^Hemoglobin/);
+  expect(searchTerms("medications", "zzz")).toEqual([]);
+  expect(searchTerms("medications", "", 3)).toHaveLength(3);
+  expect(searchTerms("nope", "x")).toEqual([]);
+});
+
+test("picked terms become coded CodeableConcepts, free text stays text only", () => {
+  const term = findTerm("medications", "387517004");
+  expect(toCodeableConcept(term, "Paracetamol 500 mg Tablet")).toEqual({
+    coding: [{ system: SNOMED, code: "387517004", display: "Paracetamol" }],
+    text: "Paracetamol 500 mg Tablet",
+  });
+  expect(toCodeableConcept(null, " Crocin ")).toEqual({ text: "Crocin" });
+  expect(toCodeableConcept(null, "")).toBeUndefined();
+  expect(toCoding(findTerm("labTests", "2160-0"))).toEqual({ system: LOINC, code: "2160-0", display: "Creatinine [Mass/volume] in Serum or Plasma" });
+});
+
+test("DICOM body parts map to SNOMED body sites", () => {
+  expect(bodySiteForDicom("CHEST")).toMatchObject({ code: "51185008" });
+  expect(bodySiteForDicom("lspine")).toMatchObject({ code: "122496007" });
+  expect(bodySiteForDicom("TAIL")).toBeNull();
+});
+
+test("TermPicker suggests as you type and returns the picked term", () => {
+  function Harness() {
+    const [text, setText] = useState("");
+    const [term, setTerm] = useState(null);
+    return (
+      <>
+        <TermPicker valueSet="vaccines" value={text} term={term} onChange={(t, tm) => { setText(t); setTerm(tm); }} />
+        <output data-testid="code">{term ? term.code : "none"}</output>
+      </>
+    );
+  }
+  render(<Harness />);
+  const input = screen.getByRole("combobox");
+  fireEvent.change(input, { target: { value: "hep a" } });
+  expect(screen.getAllByRole("option")[0].textContent).toMatch(/^Hepatitis A/);
+  fireEvent.keyDown(input, { key: "Enter" });
+  expect(input.value).toBe("Hepatitis A virus antigen-containing vaccine");
+  expect(screen.getByTestId("code").textContent).toBe("836375003");
+  expect(screen.getByText("SNOMED 836375003")).toBeInTheDocument();
+
+  fireEvent.change(input, { target: { value: "Hepatitis A, local brand" } });
+  expect(screen.getByTestId("code").textContent).toBe("none");
+});
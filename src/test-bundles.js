@@ -0,0 +1,54 @@
+// src/test-bundles.js
+/*
+  Document Bundles for the unit tests (not imported by the app)
+  - makeBundle(opts): Patient + Practitioner (+ custodian Organization, Encounter) and a
+    Composition authored by the practitioner, built with fhir-builders.js as the builders do;
+    ids end in the suffix (p1, d1, o1, e1, c1) so two bundles can be told apart
+  - Tests add their own resources (documents, observations) and the sections referencing them
+*/
+import { buildPatient, buildPractitioner, buildOrganization, buildEncounter, buildComposition, buildDocumentBundle } from "./fhir-builders";
+
+export const TEST_PATIENT = { id: 7, name: "Asha Devi", gender: "Female", dob: "05-03-1990", abha_ref: "91-7104-3321-8355" };
+export const TEST_DATE = "2024-05-01T10:00:00+05:30";
+
+/*
+  @param {object} [opts]
+  @param {string} [opts.suffix]        id suffix, "1" by default
+  @param {object} [opts.patient]       patient-list entry (buildPatient), with opts.abhaAddress
+  @param {object} [opts.practitioner]  buildPractitioner fields
+  @param {string} [opts.custodian]     custodian Organization name
+  @param {string} [opts.encounter]     Encounter narrative
+  @param {object[]} [opts.resources]   further Bundle entries
+  @param {string} [opts.idPrefix]      Bundle.id prefix
+  Other fields (profile, type, title, date, section, authorDisplay, ...) go to buildComposition.
+*/
+export function makeBundle({
+  suffix = "1",
+  patient = TEST_PATIENT,
+  abhaAddress = "asha@sbx",
+  practitioner = { name: "Dr. A", license: "NMC-1" },
+  custodian,
+  encounter,
+  resources = [],
+  idPrefix = "Test",
+  ...composition
+} = {}) {
+  const patientRes = buildPatient({ id: `p${suffix}`, patient, abhaAddress });
+  const practitionerRes = buildPractitioner({ id: `d${suffix}`, ...practitioner });
+  const custodianRes = custodian ? buildOrganization({ id: `o${suffix}`, name: custodian }) : null;
+  const encounterRes = encounter ? buildEncounter({ id: `e${suffix}`, patientId: patientRes.id, narrative: encounter }) : null;
+  const compositionRes = buildComposition({
+    profile: "HealthDocumentRecord",
+    type: { text: "Record" },
+    title: "Record",
+    date: TEST_DATE,
+    section: [],
+    ...composition,
+    id: `c${suffix}`,
+    patientId: patientRes.id,
+    encounterId: encounterRes?.id,
+    authorId: practitionerRes.id,
+    custodianId: custodianRes?.id,
+  });
+  return buildDocumentBundle({ idPrefix, composition: compositionRes, resources: [patientRes, practitionerRes, custodianRes, encounterRes, ...resources] });
+}
@@ -0,0 +1,38 @@
+// src/validation-feedback.js
+import React from "react";
+
+/*
+  UI for ndhm-validator.js issues
+  - FieldIssues: messages under one form field (pass issuesByField(...)[field])
+  - ValidationSummary: every issue with its location in the Bundle, shown near Submit
+*/
+export function FieldIssues({ issues }) {
+  if (!issues || !issues.length) return null;
+  return (
+    <div className="mt-1">
+      {issues.map((i, idx) => (
+        <div key={idx} className={`small ${i.severity === "error" ? "text-danger" : "text-warning"}`}>
+          {i.message}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function ValidationSummary({ issues }) {
+  if (!issues || !issues.length) return null;
+  const errors = issues.filter(i => i.severity === "error").length;
+  return (
+    <div className={`alert ${errors ? "alert-danger" : "alert-warning"}`}>
+      <strong>NDHM validation:</strong> {errors} error(s), {issues.length - errors} warning(s)
+      <ul className="mb-0 mt-2 small">
+        {issues.map((i, idx) => (
+          <li key={idx}>
+            <span className={`badge me-1 ${i.severity === "error" ? "bg-danger" : "bg-warning text-dark"}`}>{i.severity}</span>
+            <code>{i.path}</code> — {i.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,31 +1,54 @@
 // App.js
 import React, { useEffect, useState } from "react";
-import { v4 as uuidv4 } from "uuid";
 import "bootstrap/dist/css/bootstrap.min.css";
+import {
+  uuidv4,
+  isUuid,
+  ref,
+  entryRef,
+  ddmmyyyyToISO,
+  isoWithLocalOffsetFromDate,
+  buildPatient,
+  buildPractitioner,
+  buildComposition,
+  buildDocumentBundle,
+  ndhmProfile,
+} from "./fhir-builders";
+import { xhtml, narrativeDiv, observationTable } from "./narrative";
+import { usePatientSelection } from "./patient-context";
+import { validateBundle, issuesByField } from "./ndhm-validator";
+import { signWithStoredKey } from "./bundle-signature";
+import ValidationSummary, { FieldIssues } from "./validation-feedback";
+import TermPicker from "./term-picker";
+import { findTerm, toCoding } from "./terminology";
+import BundleImport from "./bundle-import";
+import DraftsPanel, { useDrafts } from "./drafts-panel";
+import { conceptParts, patientFromBundle, practitionerFromBundle, restorePatientSelection } from "./bundle-reader";
 
 /*
   Wellness Record Builder — corrected for NDHM profile validation.
-  - Fetch /patients.json
+  - Patients + selected ABHA address from the shared patient context (patient-context.js)
   - Patient dropdown (name/gender/dob/mrn displayed)
   - ABHA address dropdown (appears after patient selected)
   - Single practitioner (GLOBAL_PRACTITIONER) used as author/attester/performer
   - Generates a NDHM-friendly FHIR Bundle (Composition, Patient, Practitioner, Observations)
+  - Observation / lifestyle codes from the local terminology subset (terminology.js)
   - Fixes:
     - Composition.section: text is an object (status/div) or entry[] non-empty
     - Observation.code uses LOINC or SNOMED (slice match)
     - coding.display uses official strings / or omitted to avoid mismatches
     - Observations have non-empty text.div
     - Identifiers have type.coding.display
+  - Generated bundle is checked offline (ndhm-validator.js); issues show under the inputs they came from
+  - A generated bundle can be re-opened into the form (bundle-reader.js)
+  - Observation inputs autosaved as a draft per patient (drafts-panel.js)
 */
 
-const NDHM_PATIENT_PROFILE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient";
-const NDHM_PRACTITIONER_PROFILE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner";
-const NDHM_WELLNESS_COMPOSITION = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/WellnessRecord";
-const OBS_PHYSICAL_PROFILE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationPhysicalActivity";
-const OBS_GENERAL_PROFILE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationGeneralAssessment";
-const OBS_LIFESTYLE_PROFILE = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationLifestyle";
-
-const V2_0203 = "http://terminology.hl7.org/CodeSystem/v2-0203";
+const OBS_PHYSICAL_PROFILE = ndhmProfile("ObservationPhysicalActivity");
+const OBS_GENERAL_PROFILE = ndhmProfile("ObservationGeneralAssessment");
+const OBS_LIFESTYLE_PROFILE = ndhmProfile("ObservationLifestyle");
+const OBS_VITAL_SIGNS_PROFILE = ndhmProfile("ObservationVitalSigns");
+const OBS_BODY_MEASUREMENT_PROFILE = ndhmProfile("ObservationBodyMeasurement");
 
 /* single practitioner (global) */
 const GLOBAL_PRACTITIONER = {
@@ -35,21 +58,6 @@ const GLOBAL_PRACTITIONER = {
 };
 
 /* helpers */
-const isUuid = (s) => typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(s);
-
-function ddmmyyyyToISO(v) {
-  if (!v) return "";
-  const s = String(v).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-  const sep = s.includes("-") ? "-" : s.includes("/") ? "/" : null;
-  if (!sep) return "";
-  const parts = s.split(sep);
-  if (parts.length !== 3) return "";
-  const [dd, mm, yyyy] = parts;
-  if (yyyy && yyyy.length === 4) return `${yyyy.padStart(4, "0")}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
-  return "";
-}
-
 function extractAbhaAddresses(apiPatient) {
   const raw = apiPatient?.additional_attributes?.abha_addresses;
   if (!Array.isArray(raw)) {
@@ -83,106 +91,20 @@ function mapApiToForm(apiP) {
     address: apiP?.address || "",
     abhaRef: apiP?.abha_ref || "",
     abhaAddresses: extractAbhaAddresses(apiP),
-    selectedAbhaAddress: undefined,
     mrn: apiP?.user_id ? String(apiP.user_id) : "",
   };
 }
 
-/* Build FHIR Patient with identifier.type.coding.display present */
-function buildFhirPatient(form) {
-  const id = form.resourceId && isUuid(form.resourceId) ? form.resourceId.toLowerCase() : uuidv4();
-  const identifier = [];
-
-  if (form.abhaRef) {
-    identifier.push({
-      system: "https://healthid.abdm.gov.in",
-      value: String(form.abhaRef),
-      type: {
-        coding: [{ system: V2_0203, code: "PI", display: "Patient internal identifier" }],
-        text: "ABHA Number",
-      },
-    });
-  }
-
-  if (form.selectedAbhaAddress) {
-    identifier.push({
-      system: "https://healthid.abdm.gov.in/address",
-      value: String(form.selectedAbhaAddress),
-      type: {
-        coding: [{ system: V2_0203, code: "PN", display: "Person number" }],
-        text: "ABHA Address",
-      },
-    });
-  }
-
-  if (form.mrn) {
-    identifier.push({
-      system: "http://hospital.example/mrn",
-      value: String(form.mrn),
-      type: {
-        coding: [{ system: V2_0203, code: "MR", display: "Medical record number" }],
-        text: "MRN",
-      },
-    });
-  }
-
-  if (!identifier.length) {
-    identifier.push({
-      system: "urn:uuid",
-      value: id,
-      type: {
-        coding: [{ system: V2_0203, code: "PI", display: "Patient internal identifier" }],
-        text: "generated-id",
-      },
-    });
-  }
-
-  const telecom = form.mobile ? [{ system: "phone", value: String(form.mobile) }] : [];
-
-  return {
-    resourceType: "Patient",
-    id,
-    meta: { profile: [NDHM_PATIENT_PROFILE] },
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${form.displayName}</p></div>` },
-    identifier,
-    name: [{ text: form.displayName }],
-    gender: form.gender || undefined,
-    birthDate: form.birthDate || undefined,
-    telecom,
-    address: form.address ? [{ text: form.address }] : [],
-  };
-}
-
-/* Build Practitioner resource (single, generated id) */
-function buildPractitioner(pract) {
-  const id = uuidv4();
-  return {
-    resourceType: "Practitioner",
-    id,
-    meta: { profile: [NDHM_PRACTITIONER_PROFILE] },
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${pract.name}</p></div>` },
-    identifier: [
-      {
-        system: "https://ndhm.in/practitioner/license",
-        value: String(pract.license || ""),
-        type: { coding: [{ system: V2_0203, code: "MD", display: "Medical License number" }], text: "Medical License number" },
-      },
-      {
-        system: "https://your.system/login-id",
-        value: String(pract.loginId || ""),
-        type: { coding: [{ system: V2_0203, code: "PN", display: "Person number" }], text: "Login id" },
-      },
-    ],
-    name: [{ text: pract.name }],
-  };
-}
-
-/* Chosen, validator-friendly code slices:
+/* Chosen, validator-friendly code slices (codes/displays come from terminology.js):
    - Physical activity: LOINC 68516-4 (in NDHM PA value set)
    - General assessment: LOINC 8693-4 (present in NDHM general-assessment value set)
-   - Lifestyle example: SNOMED 229819007 ("Tobacco use and exposure")
+   - Lifestyle: picked from the SNOMED lifestyle subset; 365949003 ("Health-related behavior finding")
+     when the row is free text
    These choices were made to satisfy NDHM slicing (LOINC or SNOMED) and to avoid display mismatches.
    (References: NDHM IG pages + LOINC pages.) */
+const PHYSICAL_ACTIVITY_CODE = "68516-4";
+const GENERAL_ASSESSMENT_CODE = "8693-4";
+const LIFESTYLE_FALLBACK_CODE = "365949003";
 
 function buildPhysicalActivityObs(patientId, practitionerId, text) {
   const id = uuidv4();
@@ -193,13 +115,7 @@ function buildPhysicalActivityObs(patientId, practitionerId, text) {
     status: "final",
     // LOINC slice (system must be http://loinc.org to match NDHM profile slicing)
     code: {
-      coding: [
-        {
-          system: "http://loinc.org",
-          code: "68516-4",
-          display: "On those days that you engage in moderate to strenuous exercise, how many minutes, on average, do you exercise",
-        },
-      ],
+      coding: [toCoding(findTerm("observations", PHYSICAL_ACTIVITY_CODE))],
       text: "Physical activity",
     },
     subject: { reference: `urn:uuid:${patientId}` },
@@ -207,7 +123,7 @@ function buildPhysicalActivityObs(patientId, practitionerId, text) {
     effectiveDateTime: new Date().toISOString(),
     // NDHM profile allows string for physical activity -> use valueString
     valueString: text || "Not provided",
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${text || "Not provided"}</p></div>` },
+    text: narrativeDiv(text || "Not provided"),
   };
 }
 
@@ -221,9 +137,7 @@ function buildGeneralAssessmentObs(patientId, practitionerId, notes, pain) {
     status: "final",
     // choose a LOINC code that is present in NDHM general assessment value set (example: 8693-4)
     code: {
-      coding: [
-        { system: "http://loinc.org", code: "8693-4", display: "Mental status" },
-      ],
+      coding: [toCoding(findTerm("observations", GENERAL_ASSESSMENT_CODE))],
       text: "General assessment",
     },
     subject: { reference: `urn:uuid:${patientId}` },
@@ -234,54 +148,65 @@ function buildGeneralAssessmentObs(patientId, practitionerId, notes, pain) {
     component: [
       { code: { text: "Any current pain?" }, valueCodeableConcept: { text: pain ? "Yes" : "No" } },
     ],
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${textVal}</p></div>` },
+    text: narrativeDiv(textVal),
   };
 }
 
-function buildLifestyleObs(patientId, practitionerId, label, value) {
+function buildLifestyleObs(patientId, practitionerId, label, value, term) {
   const id = uuidv4();
   const v = typeof value === "boolean" ? (value ? "Yes" : "No") : String(value || "Not provided");
-  // Example SNOMED code for Tobacco exposure (NDHM lifestyle accepts SNOMED)
+  // NDHM lifestyle accepts SNOMED; free-text rows fall back to the generic behavior finding
+  const coding = toCoding(term?.code ? term : findTerm("lifestyle", LIFESTYLE_FALLBACK_CODE));
   return {
     resourceType: "Observation",
     id,
     meta: { profile: [OBS_LIFESTYLE_PROFILE] },
     status: "final",
     code: {
-      coding: [{ system: "http://snomed.info/sct", code: "229819007", display: "Tobacco use and exposure" }],
+      coding: [coding],
       text: label || "Lifestyle",
     },
     subject: { reference: `urn:uuid:${patientId}` },
     performer: [{ reference: `urn:uuid:${practitionerId}` }],
     effectiveDateTime: new Date().toISOString(),
     valueCodeableConcept: { text: v },
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${label}: ${v}</p></div>` },
+    text: narrativeDiv(`${label}: ${v}`),
   };
 }
 
-/* optional vitals (as Quantity) */
-function buildVitalObservation(patientId, practitionerId, codeText, quantity, unit, loincCode) {
+/* optional vitals / body measurements (as Quantity); display and UCUM unit from terminology.js */
+function buildVitalObservation(patientId, practitionerId, loincCode, quantity, profile = OBS_VITAL_SIGNS_PROFILE) {
   if (quantity === "" || quantity === undefined || quantity === null) return null;
+  const term = findTerm("observations", loincCode);
+  const codeText = term.display;
+  const unit = term.unit;
   const id = uuidv4();
   return {
     resourceType: "Observation",
     id,
-    meta: { profile: [] },
+    meta: { profile: [profile] },
     status: "final",
-    code: loincCode ? { coding: [{ system: "http://loinc.org", code: loincCode, display: codeText }], text: codeText } : { text: codeText },
+    code: { coding: [toCoding(term)], text: codeText },
     subject: { reference: `urn:uuid:${patientId}` },
     performer: [{ reference: `urn:uuid:${practitionerId}` }],
     effectiveDateTime: new Date().toISOString(),
     valueQuantity: { value: Number(quantity), unit: unit || "", system: "http://unitsofmeasure.org", code: unit || "" },
-    text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${codeText}: ${quantity} ${unit || ""}</p></div>` },
+    text: narrativeDiv(`${codeText}: ${quantity} ${unit || ""}`.trim()),
   };
 }
 
+/* LOINC code -> vitals / body input, for re-opening a bundle */
+const VITAL_INPUTS = { "8867-4": "hr", "8480-6": "systolic", "8462-4": "diastolic", "8310-5": "temp", "59408-5": "spo2" };
+const BODY_INPUTS = { "8302-2": "height", "29463-7": "weight", "39156-5": "bmi" };
+
+/* Builders write "Not provided" for empty inputs; read it back as empty */
+const providedText = (v) => (v && v !== "Not provided" ? v : "");
+
 /* React app */
 export default function App() {
-  const [apiPatients, setApiPatients] = useState([]);
+  /* Patient list, selection and ABHA address come from the shared patient context; edits stay local */
+  const { patients, selectedPatientIdx: selectedIndex, setSelectedPatientIdx: setSelectedIndex, selectedAbha, setSelectedAbha } = usePatientSelection();
   const [forms, setForms] = useState([]);
-  const [selectedIndex, setSelectedIndex] = useState(-1);
   const [form, setForm] = useState(null);
 
   const [practitioner, setPractitioner] = useState({ ...GLOBAL_PRACTITIONER });
@@ -290,7 +215,7 @@ export default function App() {
   const [physicalText, setPhysicalText] = useState("");
   const [generalNotes, setGeneralNotes] = useState("");
   const [generalPain, setGeneralPain] = useState(false);
-  const [lifestyle, setLifestyle] = useState([{ label: "Smoking", value: false }]);
+  const [lifestyle, setLifestyle] = useState([{ label: "Smoking", term: findTerm("lifestyle", "229819007"), value: false }]);
 
   // optional vitals/body
   const [vitals, setVitals] = useState({ hr: "", systolic: "", diastolic: "", temp: "", spo2: "" });
@@ -298,31 +223,27 @@ export default function App() {
 
   const [bundleJson, setBundleJson] = useState("");
   const [message, setMessage] = useState("");
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [fieldIssues, setFieldIssues] = useState({});
+
+  const drafts = useDrafts("wellness", { practitioner, physicalText, generalNotes, generalPain, lifestyle, vitals, body }, (d) => {
+    setPractitioner(d.practitioner);
+    setPhysicalText(d.physicalText);
+    setGeneralNotes(d.generalNotes);
+    setGeneralPain(d.generalPain);
+    setLifestyle(d.lifestyle);
+    setVitals(d.vitals);
+    setBody(d.body);
+  });
 
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await fetch("/patients.json", { cache: "no-store" });
-        const data = await res.json();
-        const arr = Array.isArray(data) ? data : data?.data ?? [];
-        setApiPatients(arr);
-        const mapped = arr.map(mapApiToForm);
-        setForms(mapped);
-        if (mapped.length > 0) {
-          setSelectedIndex(0);
-          setForm({ ...mapped[0], selectedAbhaAddress: (mapped[0].abhaAddresses && mapped[0].abhaAddresses[0]) || mapped[0].abhaRef || "" });
-        }
-      } catch (err) {
-        console.error("Failed to load patients.json", err);
-        setMessage("Failed to load patients.json — place the file in public/patients.json and reload.");
-      }
-    })();
-  }, []);
+    setForms(patients.map(mapApiToForm));
+  }, [patients]);
 
   useEffect(() => {
     if (selectedIndex >= 0 && forms[selectedIndex]) {
       const f = forms[selectedIndex];
-      setForm({ ...f, selectedAbhaAddress: (f.abhaAddresses && f.abhaAddresses[0]) || f.abhaRef || "" });
+      setForm({ ...f });
     }
   }, [selectedIndex, forms]);
 
@@ -335,8 +256,14 @@ export default function App() {
     });
   }
 
+  /* Patient issues for one element ("" = the ones not shown under a specific input) */
+  function patientIssues(element) {
+    const shown = ["name", "gender", "birthDate"];
+    return (fieldIssues.patient || []).filter((i) => (element ? i.element.startsWith(element) : !shown.some((e) => i.element.startsWith(e))));
+  }
+
   function addLifestyle() {
-    setLifestyle((s) => [...s, { label: "", value: "" }]);
+    setLifestyle((s) => [...s, { label: "", term: null, value: "" }]);
   }
   function removeLifestyle(i) {
     setLifestyle((s) => (s.length > 1 ? s.filter((_, idx) => idx !== i) : s));
@@ -349,33 +276,104 @@ export default function App() {
     });
   }
 
-  function generateBundle() {
+  /* Re-open a generated bundle: patient edits, practitioner and observations back into the form */
+  function importBundle(doc) {
+    const info = patientFromBundle(doc);
+    const { idx, notes } = restorePatientSelection(info, { patients, setSelectedPatientIdx: setSelectedIndex, setSelectedAbha });
+    if (idx >= 0) {
+      setForms((prev) => prev.map((f, i) => (i === idx ? {
+        ...f,
+        displayName: info.name || f.displayName,
+        gender: info.gender || f.gender,
+        birthDate: info.birthDate || f.birthDate,
+        mobile: info.mobile || f.mobile,
+        address: info.address || f.address,
+        abhaRef: info.abhaNumber || f.abhaRef,
+      } : f)));
+    }
+
+    const pr = practitionerFromBundle(doc);
+    if (pr) setPractitioner((p) => ({ ...p, name: pr.name || p.name, license: pr.license || p.license }));
+
+    const nextVitals = { hr: "", systolic: "", diastolic: "", temp: "", spo2: "" };
+    const nextBody = { height: "", weight: "", bmi: "" };
+    const nextLifestyle = [];
+    let nextPhysical = "";
+    let nextNotes = "";
+    let nextPain = false;
+    for (const o of doc.all("Observation")) {
+      const profile = o.meta?.profile?.[0];
+      const { code } = conceptParts(o.code);
+      if (VITAL_INPUTS[code]) nextVitals[VITAL_INPUTS[code]] = String(o.valueQuantity?.value ?? "");
+      else if (BODY_INPUTS[code]) nextBody[BODY_INPUTS[code]] = String(o.valueQuantity?.value ?? "");
+      else if (profile === OBS_PHYSICAL_PROFILE) nextPhysical = providedText(o.valueString);
+      else if (profile === OBS_GENERAL_PROFILE) {
+        nextNotes = providedText(o.valueCodeableConcept?.text);
+        nextPain = o.component?.[0]?.valueCodeableConcept?.text === "Yes";
+      } else if (profile === OBS_LIFESTYLE_PROFILE) {
+        const v = o.valueCodeableConcept?.text;
+        nextLifestyle.push({
+          label: o.code?.text || "",
+          term: code && code !== LIFESTYLE_FALLBACK_CODE ? findTerm("lifestyle", code) : null,
+          value: v === "Yes" ? true : v === "No" ? false : providedText(v),
+        });
+      }
+    }
+    setVitals(nextVitals);
+    setBody(nextBody);
+    setPhysicalText(nextPhysical);
+    setGeneralNotes(nextNotes);
+    setGeneralPain(nextPain);
+    setLifestyle(nextLifestyle.length ? nextLifestyle : [{ label: "", term: null, value: "" }]);
+
+    setValidationIssues([]);
+    setFieldIssues({});
+    setBundleJson(JSON.stringify(doc.bundle, null, 2));
+    setMessage("Bundle re-opened — edit the form and generate again.");
+    return notes;
+  }
+
+  async function generateBundle() {
     setMessage("");
     setBundleJson("");
+    setValidationIssues([]);
+    setFieldIssues({});
 
     if (!form) return setMessage("Please select a patient.");
-    if (!form.selectedAbhaAddress && !form.abhaRef) return setMessage("Please select ABHA address.");
+    if (!selectedAbha && !form.abhaRef) return setMessage("Please select ABHA address.");
     if (!practitioner.name || !practitioner.license) return setMessage("Practitioner name and license required.");
 
-    const patientRes = buildFhirPatient(form);
-    const practitionerRes = buildPractitioner(practitioner);
+    const patientRes = buildPatient({
+      id: uuidv4(),
+      patient: {
+        ...form.api,
+        name: form.displayName,
+        gender: form.gender,
+        dob: form.birthDate,
+        mobile: form.mobile,
+        address: form.address,
+        abha_ref: form.abhaRef,
+      },
+      abhaAddress: selectedAbha || form.abhaRef,
+    });
+    const practitionerRes = buildPractitioner({ id: uuidv4(), name: practitioner.name, license: practitioner.license });
 
     const observations = [];
 
     // vitals
-    const hrObs = buildVitalObservation(patientRes.id, practitionerRes.id, "Heart rate", vitals.hr, "beats/min", "8867-4");
+    const hrObs = buildVitalObservation(patientRes.id, practitionerRes.id, "8867-4", vitals.hr);
     if (hrObs) observations.push(hrObs);
-    const bpSys = buildVitalObservation(patientRes.id, practitionerRes.id, "Systolic blood pressure", vitals.systolic, "mmHg", "8480-6");
-    const bpDia = buildVitalObservation(patientRes.id, practitionerRes.id, "Diastolic blood pressure", vitals.diastolic, "mmHg", "8462-4");
+    const bpSys = buildVitalObservation(patientRes.id, practitionerRes.id, "8480-6", vitals.systolic);
+    const bpDia = buildVitalObservation(patientRes.id, practitionerRes.id, "8462-4", vitals.diastolic);
     if (bpSys) observations.push(bpSys);
     if (bpDia) observations.push(bpDia);
-    if (vitals.temp) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "Body temperature", vitals.temp, "Cel", "8310-5"));
-    if (vitals.spo2) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "SpO2", vitals.spo2, "%", "59408-5"));
+    if (vitals.temp) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "8310-5", vitals.temp));
+    if (vitals.spo2) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "59408-5", vitals.spo2));
 
     // body
-    if (body.height) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "Height", body.height, "cm", "8302-2"));
-    if (body.weight) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "Weight", body.weight, "kg", "29463-7"));
-    if (body.bmi) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "BMI", body.bmi, "kg/m2", "39156-5"));
+    if (body.height) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "8302-2", body.height, OBS_BODY_MEASUREMENT_PROFILE));
+    if (body.weight) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "29463-7", body.weight, OBS_BODY_MEASUREMENT_PROFILE));
+    if (body.bmi) observations.push(buildVitalObservation(patientRes.id, practitionerRes.id, "39156-5", body.bmi, OBS_BODY_MEASUREMENT_PROFILE));
 
     // physical activity
     const physObs = buildPhysicalActivityObs(patientRes.id, practitionerRes.id, physicalText || "Not provided");
@@ -386,75 +384,76 @@ export default function App() {
     observations.push(genObs);
 
     // lifestyle repeatable
+    const lifestyleIds = [];
     for (const li of lifestyle) {
       if (!li.label && (li.value === "" || li.value === null || li.value === undefined)) continue;
-      observations.push(buildLifestyleObs(patientRes.id, practitionerRes.id, li.label || "Lifestyle", li.value));
+      const lo = buildLifestyleObs(patientRes.id, practitionerRes.id, li.label || "Lifestyle", li.value, li.term);
+      lifestyleIds.push(lo.id);
+      observations.push(lo);
     }
 
     // composition sections: include entry arrays only when non-empty; otherwise include text object
-    const compId = uuidv4();
     const sections = [];
 
-    const vitalsEntries = observations.filter((o) => o.valueQuantity).map((o) => ({ reference: `urn:uuid:${o.id}` }));
-    if (vitalsEntries.length) {
-      sections.push({ title: "Vitals", entry: vitalsEntries });
-    } else {
-      sections.push({ title: "Vitals", text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">No vitals recorded</div>` } });
-    }
+    const vitalObs = observations.filter((o) => o.valueQuantity);
+    sections.push({
+      title: "Vitals",
+      ...(vitalObs.length ? { entry: vitalObs.map(entryRef) } : {}),
+      text: narrativeDiv(observationTable(vitalObs, { caption: "Vitals", empty: "No vitals recorded" })),
+    });
 
     if (physObs) {
-      sections.push({ title: "Physical Activity", entry: [{ reference: `urn:uuid:${physObs.id}` }], text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">Physical activity</div>` } });
+      sections.push({ title: "Physical Activity", entry: [entryRef(physObs)], text: narrativeDiv("Physical activity") });
     } else {
-      sections.push({ title: "Physical Activity", text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">No physical activity recorded</div>` } });
+      sections.push({ title: "Physical Activity", text: narrativeDiv("No physical activity recorded") });
     }
 
     if (genObs) {
-      sections.push({ title: "General Assessment", entry: [{ reference: `urn:uuid:${genObs.id}` }], text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">General assessment</div>` } });
+      sections.push({ title: "General Assessment", entry: [entryRef(genObs)], text: narrativeDiv("General assessment") });
     } else {
-      sections.push({ title: "General Assessment", text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">No general assessment recorded</div>` } });
+      sections.push({ title: "General Assessment", text: narrativeDiv("No general assessment recorded") });
     }
 
-    const lifestyleEntries = observations.filter((o) => (o.meta?.profile || []).includes(OBS_LIFESTYLE_PROFILE)).map((o) => ({ reference: `urn:uuid:${o.id}` }));
+    const lifestyleEntries = observations.filter((o) => (o.meta?.profile || []).includes(OBS_LIFESTYLE_PROFILE)).map(entryRef);
     if (lifestyleEntries.length) {
-      sections.push({ title: "Lifestyle", entry: lifestyleEntries, text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">Lifestyle</div>` } });
+      sections.push({ title: "Lifestyle", entry: lifestyleEntries, text: narrativeDiv("Lifestyle") });
     } else {
-      sections.push({ title: "Lifestyle", text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml">No lifestyle observations recorded</div>` } });
+      sections.push({ title: "Lifestyle", text: narrativeDiv("No lifestyle observations recorded") });
     }
 
-    const composition = {
-      resourceType: "Composition",
-      id: compId,
-      meta: { profile: [NDHM_WELLNESS_COMPOSITION] },
-      status: "final",
+    const composition = buildComposition({
+      id: uuidv4(),
+      profile: "WellnessRecord",
       type: { coding: [{ system: "http://loinc.org", code: "11502-2" }], text: "Wellness Record" },
-      subject: { reference: `urn:uuid:${patientRes.id}`, display: form.displayName },
-      date: new Date().toISOString(),
-      author: [{ reference: `urn:uuid:${practitionerRes.id}`, display: practitioner.name }],
-      attester: [{ mode: "official", party: { reference: `urn:uuid:${practitionerRes.id}` } }],
       title: "Wellness Record",
+      patientId: patientRes.id,
+      date: isoWithLocalOffsetFromDate(new Date()),
+      authorId: practitionerRes.id,
+      authorDisplay: practitioner.name,
+      attester: [{ mode: "official", party: ref(practitionerRes.id) }],
+      narrative: xhtml`<p>Wellness Record - ${form.displayName}</p>`,
       section: sections,
-      text: { status: "generated", div: `<div xmlns="http://www.w3.org/1999/xhtml"><h3>Wellness Record - ${form.displayName}</h3></div>` },
-    };
+    });
 
-    const bundle = {
-      resourceType: "Bundle",
-      type: "document",
-      id: uuidv4(),
-      identifier: { system: "https://nrces.in/ids/bundles", value: uuidv4() },
-      timestamp: new Date().toISOString(),
-      entry: [],
-    };
-
-    // composition first
-    bundle.entry.push({ fullUrl: `urn:uuid:${composition.id}`, resource: composition });
-    // patient and practitioner
-    bundle.entry.push({ fullUrl: `urn:uuid:${patientRes.id}`, resource: patientRes });
-    bundle.entry.push({ fullUrl: `urn:uuid:${practitionerRes.id}`, resource: practitionerRes });
-    // observations
-    for (const o of observations) bundle.entry.push({ fullUrl: `urn:uuid:${o.id}`, resource: o });
-
-    setBundleJson(JSON.stringify(bundle, null, 2));
-    setMessage("Bundle generated — copy-paste into Inferno/validator. If any remaining validation errors appear, paste them and I'll patch them exactly.");
+    const bundle = buildDocumentBundle({ idPrefix: "WellnessBundle", composition, resources: [patientRes, practitionerRes, ...observations] });
+
+    // resource id -> form section, so validator issues land next to the inputs
+    const fieldsById = { [physObs.id]: "physicalActivity", [genObs.id]: "generalAssessment" };
+    observations.filter((o) => o.valueQuantity).forEach((o) => {
+      fieldsById[o.id] = o.meta.profile.includes(OBS_BODY_MEASUREMENT_PROFILE) ? "body" : "vitals";
+    });
+    lifestyleIds.forEach((id) => { fieldsById[id] = "lifestyle"; });
+    const issues = validateBundle(bundle);
+    setValidationIssues(issues);
+    setFieldIssues(issuesByField(issues, fieldsById));
+
+    // Bundle.signature with the practitioner key from the Signing Key page (unsigned if none)
+    const signed = await signWithStoredKey(bundle);
+    if (!signed) return;
+
+    setBundleJson(JSON.stringify(signed, null, 2));
+    const errors = issues.filter((i) => i.severity === "error").length;
+    setMessage(errors ? `Bundle generated with ${errors} NDHM validation error(s) — see the messages next to the fields.` : "Bundle generated — passed the offline NDHM checks.");
     setTimeout(() => {
       const el = document.getElementById("bundlePreview");
       if (el) el.scrollIntoView({ behavior: "smooth" });
@@ -470,6 +469,8 @@ export default function App() {
     <div className="container my-4">
       <h3>Wellness Record Builder — corrected</h3>
       <p className="text-muted">Bootstrap UI. Select patient → choose ABHA address → edit → Generate FHIR Bundle</p>
+      <BundleImport onImport={importBundle} />
+      <DraftsPanel drafts={drafts} />
 
       <div className="card mb-3">
         <div className="card-header">Patient</div>
@@ -491,6 +492,7 @@ export default function App() {
               <div className="col-md-6">
                 <label className="form-label">Name *</label>
                 <input className="form-control" value={form.displayName} onChange={(e) => updateFormField("displayName", e.target.value)} />
+                <FieldIssues issues={patientIssues("name")} />
               </div>
 
               <div className="col-md-3">
@@ -502,11 +504,13 @@ export default function App() {
                   <option value="other">Other</option>
                   <option value="unknown">Unknown</option>
                 </select>
+                <FieldIssues issues={patientIssues("gender")} />
               </div>
 
               <div className="col-md-3">
                 <label className="form-label">DOB</label>
                 <input className="form-control" value={form.birthDate} onChange={(e) => updateFormField("birthDate", e.target.value)} placeholder="YYYY-MM-DD" />
+                <FieldIssues issues={patientIssues("birthDate")} />
               </div>
 
               <div className="col-md-4"><label className="form-label">Mobile</label><input className="form-control" value={form.mobile} onChange={(e) => updateFormField("mobile", e.target.value)} /></div>
@@ -517,16 +521,18 @@ export default function App() {
 
               <div className="col-12">
                 <label className="form-label">ABHA address (select) *</label>
-                <select className="form-select" value={form.selectedAbhaAddress || ""} onChange={(e) => updateFormField("selectedAbhaAddress", e.target.value)}>
+                <select className="form-select" value={selectedAbha || ""} onChange={(e) => setSelectedAbha(e.target.value)}>
                   <option value="">-- select ABHA address --</option>
                   {(form.abhaAddresses && form.abhaAddresses.length > 0 ? form.abhaAddresses : (form.abhaRef ? [form.abhaRef] : [])).map((a, i) => (
                     <option key={i} value={a}>{a}</option>
                   ))}
                 </select>
+                <FieldIssues issues={fieldIssues.abha} />
                 <div className="form-text">Select one ABHA address. No remove option for ABHA addresses.</div>
               </div>
             </div>
           )}
+          <FieldIssues issues={patientIssues("")} />
         </div>
       </div>
 
@@ -537,6 +543,7 @@ export default function App() {
           <div className="col-md-8"><input className="form-control" value={practitioner.name} onChange={(e) => setPractitioner({ ...practitioner, name: e.target.value })} /></div>
           <div className="col-md-4"><input className="form-control" value={practitioner.license} onChange={(e) => setPractitioner({ ...practitioner, license: e.target.value })} /></div>
           <div className="col-12 mt-1"><small className="text-muted">Practitioner is included in bundle and used as author/attester/performer.</small></div>
+          <div className="col-12"><FieldIssues issues={fieldIssues.practitioner} /></div>
         </div>
       </div>
 
@@ -555,13 +562,15 @@ export default function App() {
             <div className="col-md-3"><input className="form-control" placeholder="Weight kg" value={body.weight} onChange={(e) => setBody({ ...body, weight: e.target.value })} /></div>
             <div className="col-md-3"><input className="form-control" placeholder="BMI" value={body.bmi} onChange={(e) => setBody({ ...body, bmi: e.target.value })} /></div>
           </div>
+          <FieldIssues issues={fieldIssues.vitals} />
+          <FieldIssues issues={fieldIssues.body} />
         </div>
       </div>
 
       {/* Observations */}
       <div className="card mb-3">
         <div className="card-header">Physical Activity (single)</div>
-        <div className="card-body"><textarea className="form-control" rows="3" value={physicalText} onChange={(e) => setPhysicalText(e.target.value)} placeholder="Summary" /></div>
+        <div className="card-body"><textarea className="form-control" rows="3" value={physicalText} onChange={(e) => setPhysicalText(e.target.value)} placeholder="Summary" /><FieldIssues issues={fieldIssues.physicalActivity} /></div>
       </div>
 
       <div className="card mb-3">
@@ -569,6 +578,7 @@ export default function App() {
         <div className="card-body">
           <textarea className="form-control mb-2" rows="3" value={generalNotes} onChange={(e) => setGeneralNotes(e.target.value)} placeholder="Notes" />
           <div className="form-check"><input className="form-check-input" id="pain" type="checkbox" checked={generalPain} onChange={(e) => setGeneralPain(e.target.checked)} /><label className="form-check-label" htmlFor="pain">Any current pain?</label></div>
+          <FieldIssues issues={fieldIssues.generalAssessment} />
         </div>
       </div>
 
@@ -577,7 +587,14 @@ export default function App() {
         <div className="card-body">
           {lifestyle.map((r, i) => (
             <div className="d-flex gap-2 align-items-center mb-2" key={i}>
-              <input className="form-control" placeholder="Label (e.g. Smoking)" value={r.label} onChange={(e) => updateLifestyle(i, "label", e.target.value)} />
+              <TermPicker
+                className="flex-fill"
+                valueSet="lifestyle"
+                value={r.label}
+                term={r.term}
+                onChange={(text, term) => setLifestyle((s) => s.map((x, idx) => (idx === i ? { ...x, label: text, term } : x)))}
+                placeholder="Label (e.g. Smoking)"
+              />
               <input className="form-control" placeholder="Value (true/false or text)" value={typeof r.value === "boolean" ? (r.value ? "true" : "false") : r.value} onChange={(e) => {
                 const v = e.target.value;
                 if (v === "true" || v === "false") updateLifestyle(i, "value", v === "true");
@@ -586,16 +603,18 @@ export default function App() {
               <button className="btn btn-danger" onClick={() => removeLifestyle(i)} disabled={lifestyle.length <= 1}>Remove</button>
             </div>
           ))}
+          <FieldIssues issues={fieldIssues.lifestyle} />
           <button className="btn btn-primary" onClick={addLifestyle}>Add lifestyle</button>
         </div>
       </div>
 
       <div className="mb-4">
         <button className="btn btn-success me-2" onClick={generateBundle}>Generate FHIR Bundle</button>
-        <button className="btn btn-outline-secondary" onClick={() => { setBundleJson(""); setMessage(""); }}>Reset Preview</button>
+        <button className="btn btn-outline-secondary" onClick={() => { setBundleJson(""); setMessage(""); setValidationIssues([]); setFieldIssues({}); }}>Reset Preview</button>
       </div>
 
       {message && <div className="alert alert-warning">{message}</div>}
+      <ValidationSummary issues={validationIssues} />
 
       {bundleJson && (
         <div id="bundlePreview" className="card mb-4">
@@ -607,7 +626,7 @@ export default function App() {
         </div>
       )}
 
-      <div className="text-muted small">Notes: coding uses LOINC (http://loinc.org) or SNOMED (http://snomed.info/sct) to satisfy NDHM slicing; Composition sections include proper text objects when empty to obey cmp-1. If Inferno shows remaining messages, paste the exact validator output and I'll patch the bundle line-by-line.</div>
+      <div className="text-muted small">Notes: coding uses LOINC (http://loinc.org) or SNOMED (http://snomed.info/sct) to satisfy NDHM slicing; Composition sections include proper text objects when empty to obey cmp-1. Generated bundles are checked offline against the NDHM profiles before you copy them.</div>
     </div>
   );
 }